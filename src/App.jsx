@@ -13,10 +13,16 @@ import ProtectedRoute from './components/Auth/ProtectedRoute.jsx';
 import MainDashboard from './components/Dashboard/MainDashboard.jsx';
 import ImportForm from './components/Import/ImportForm.jsx';
 import SweedImportForm from './components/Import/SweedImportForm.jsx';
+import ImportHistory from './components/Import/ImportHistory.jsx';
+import InventoryBrowser from './components/Inventory/InventoryBrowser.jsx';
 import ScanningForm from './components/Scanning/ScanningForm.jsx';
 import LabelGenerationForm from './components/Labels/LabelGenerationForm.jsx';
 import ReportsForm from './components/Reports/ReportsForm.jsx';
+import QualityRulesSettings from './components/Settings/QualityRulesSettings.jsx';
+import ScanFeedbackSettings from './components/Settings/ScanFeedbackSettings.jsx';
+import LabelStockSettings from './components/Settings/LabelStockSettings.jsx';
 import ErrorBoundary from './components/Common/ErrorBoundary.jsx';
+import { USER_ROLES } from './constants.js';
 
 // Styles
 import './styles/App.css';
@@ -41,9 +47,28 @@ function App() {
                       <Route path="import" element={<ImportForm />} />
                       {/* FIXED: Changed from "import-sweed" to "sweed-import" to match navigation links */}
                       <Route path="sweed-import" element={<SweedImportForm />} />
+                      <Route path="import-history" element={<ImportHistory />} />
+                      <Route path="inventory" element={<InventoryBrowser />} />
                       <Route path="scanning" element={<ScanningForm />} />
                       <Route path="labels" element={<LabelGenerationForm />} />
                       <Route path="reports" element={<ReportsForm />} />
+                      <Route path="scan-feedback" element={<ScanFeedbackSettings />} />
+                      <Route
+                        path="quality-rules"
+                        element={
+                          <ProtectedRoute requiredRoles={[USER_ROLES.ADMIN]}>
+                            <QualityRulesSettings />
+                          </ProtectedRoute>
+                        }
+                      />
+                      <Route
+                        path="label-stocks"
+                        element={
+                          <ProtectedRoute requiredRoles={[USER_ROLES.ADMIN]}>
+                            <LabelStockSettings />
+                          </ProtectedRoute>
+                        }
+                      />
                     </Route>
                   </Route>
                   
@@ -1,12 +1,19 @@
 import React, { useState } from 'react';
 import { Link, useLocation, useNavigate } from 'react-router-dom';
 import { useAuth } from '../../contexts/AuthContext.jsx';
+import { USER_ROLES } from '../../constants.js';
+import ScanSessionSwitcher from './ScanSessionSwitcher.jsx';
 import { 
   Home, 
   Upload, 
   Scan, 
   Tag, 
   BarChart3,
+  History,
+  ShieldCheck,
+  LayoutGrid,
+  Boxes,
+  Volume2,
   LogOut, 
   Menu, 
   X,
@@ -18,18 +25,23 @@ import toast from 'react-hot-toast';
 export default function Header({ inventoryStats, sessionStats }) {
   const location = useLocation();
   const navigate = useNavigate();
-  const { user, logout, getSessionDuration } = useAuth();
+  const { user, logout, getSessionDuration, hasAnyRole } = useAuth();
   const [isMobileMenuOpen, setIsMobileMenuOpen] = useState(false);
   const [isUserMenuOpen, setIsUserMenuOpen] = useState(false);
+  const [isSessionMenuOpen, setIsSessionMenuOpen] = useState(false);
 
   const navigationItems = [
     { path: '/dashboard', label: 'Dashboard', icon: Home },
     { path: '/import', label: 'Import Main', icon: Upload },
     { path: '/sweed-import', label: 'Import Sweed', icon: Upload },
+    { path: '/import-history', label: 'History', icon: History },
+    { path: '/inventory', label: 'Inventory', icon: Boxes },
     { path: '/scanning', label: 'Scanning', icon: Scan },
     { path: '/labels', label: 'Labels', icon: Tag },
-    { path: '/reports', label: 'Reports', icon: BarChart3 }
-  ];
+    { path: '/reports', label: 'Reports', icon: BarChart3 },
+    { path: '/quality-rules', label: 'Rules', icon: ShieldCheck, roles: [USER_ROLES.ADMIN] },
+    { path: '/label-stocks', label: 'Stocks', icon: LayoutGrid, roles: [USER_ROLES.ADMIN] }
+  ].filter(item => !item.roles || hasAnyRole(item.roles));
 
   const handleLogout = () => {
     toast.success('Logged out successfully');
@@ -39,16 +51,20 @@ export default function Header({ inventoryStats, sessionStats }) {
 
   const toggleMobileMenu = () => {
     setIsMobileMenuOpen(!isMobileMenuOpen);
-    if (isUserMenuOpen) {
-      setIsUserMenuOpen(false);
-    }
+    setIsUserMenuOpen(false);
+    setIsSessionMenuOpen(false);
   };
 
   const toggleUserMenu = () => {
     setIsUserMenuOpen(!isUserMenuOpen);
-    if (isMobileMenuOpen) {
-      setIsMobileMenuOpen(false);
-    }
+    setIsMobileMenuOpen(false);
+    setIsSessionMenuOpen(false);
+  };
+
+  const toggleSessionMenu = () => {
+    setIsSessionMenuOpen(!isSessionMenuOpen);
+    setIsMobileMenuOpen(false);
+    setIsUserMenuOpen(false);
   };
 
   const closeMobileMenu = () => {
@@ -106,6 +122,13 @@ export default function Header({ inventoryStats, sessionStats }) {
               </div>
             </div>
 
+            {/* Scanning Session Switcher */}
+            <ScanSessionSwitcher
+              isOpen={isSessionMenuOpen}
+              onToggle={toggleSessionMenu}
+              onClose={() => setIsSessionMenuOpen(false)}
+            />
+
             {/* User Menu */}
             <div className="relative">
               <button
@@ -135,6 +158,14 @@ export default function Header({ inventoryStats, sessionStats }) {
                   </div>
                   
                   <div className="p-2">
+                    <Link
+                      to="/scan-feedback"
+                      onClick={closeUserMenu}
+                      className="w-full flex items-center space-x-2 px-3 py-2 text-sm text-[#FAFCFB] hover:bg-[#39414E] rounded-lg transition-colors"
+                    >
+                      <Volume2 className="h-4 w-4" />
+                      <span>Scan Feedback</span>
+                    </Link>
                     <button
                       onClick={() => {
                         closeUserMenu();
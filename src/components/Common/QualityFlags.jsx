@@ -0,0 +1,22 @@
+import React from 'react';
+import { AlertTriangle } from 'lucide-react';
+
+// Warning badges for the data-quality flags set on an item during import
+export default function QualityFlags({ flags, compact = false }) {
+  if (!flags || flags.length === 0) return null;
+
+  return (
+    <div className="flex flex-wrap gap-1">
+      {flags.map(flag => (
+        <span
+          key={flag.ruleId}
+          title={flag.message}
+          className="inline-flex items-center space-x-1 px-2 py-0.5 rounded border text-xs font-medium bg-yellow-500/10 text-yellow-400 border-yellow-500/20"
+        >
+          <AlertTriangle className="h-3 w-3" />
+          <span>{compact ? flag.label : flag.message}</span>
+        </span>
+      ))}
+    </div>
+  );
+}
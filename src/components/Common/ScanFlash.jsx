@@ -0,0 +1,30 @@
+import React, { useEffect } from 'react';
+import { useSession } from '../../contexts/SessionContext.jsx';
+import { SCAN_FEEDBACK } from '../../constants.js';
+
+// Full-screen color flash for the latest scan outcome - visible from across the room
+export default function ScanFlash() {
+  const { scanFlash, clearScanFlash } = useSession();
+
+  useEffect(() => {
+    if (!scanFlash) return undefined;
+
+    const timer = setTimeout(clearScanFlash, SCAN_FEEDBACK.FLASH_DURATION);
+    return () => clearTimeout(timer);
+  }, [scanFlash, clearScanFlash]);
+
+  if (!scanFlash) return null;
+
+  const definition = SCAN_FEEDBACK.OUTCOMES[scanFlash.outcome];
+
+  return (
+    <div
+      key={scanFlash.id}
+      className="fixed inset-0 z-50 pointer-events-none flex items-center justify-center"
+      style={{ backgroundColor: definition.flashColor }}
+      aria-hidden="true"
+    >
+      <span className="text-5xl font-bold text-[#FAFCFB] drop-shadow-lg">{definition.label}</span>
+    </div>
+  );
+}
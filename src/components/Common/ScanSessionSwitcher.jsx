@@ -0,0 +1,282 @@
+import React, { useState, useMemo } from 'react';
+import { useInventory } from '../../contexts/InventoryContext.jsx';
+import { useSession } from '../../contexts/SessionContext.jsx';
+import { DataProcessor } from '../../utils/dataProcessor.js';
+import { SCAN_SESSION_STATUS, SCAN_SESSION_STATUS_LABELS, SCAN_SESSION_TYPES, SCAN_SESSION_TYPE_LABELS } from '../../constants.js';
+import { Layers, ChevronDown, Plus, Play, Pause, CheckCircle, Archive } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const STATUS_STYLES = {
+  [SCAN_SESSION_STATUS.ACTIVE]: 'bg-green-500/10 text-green-400 border-green-500/20',
+  [SCAN_SESSION_STATUS.PAUSED]: 'bg-yellow-500/10 text-yellow-400 border-yellow-500/20',
+  [SCAN_SESSION_STATUS.CLOSED]: 'bg-blue-500/10 text-blue-400 border-blue-500/20',
+  [SCAN_SESSION_STATUS.ARCHIVED]: 'bg-[#39414E] text-[#9FA3AC] border-[#39414E]'
+};
+
+const STATUS_DOTS = {
+  [SCAN_SESSION_STATUS.ACTIVE]: 'bg-green-500',
+  [SCAN_SESSION_STATUS.PAUSED]: 'bg-yellow-500',
+  [SCAN_SESSION_STATUS.CLOSED]: 'bg-blue-500',
+  [SCAN_SESSION_STATUS.ARCHIVED]: 'bg-[#9FA3AC]'
+};
+
+function StatusBadge({ status }) {
+  return (
+    <span className={`px-2 py-0.5 rounded border text-xs font-medium ${STATUS_STYLES[status]}`}>
+      {SCAN_SESSION_STATUS_LABELS[status]}
+    </span>
+  );
+}
+
+function CountBadge({ session }) {
+  if (session.type !== SCAN_SESSION_TYPES.CYCLE_COUNT) return null;
+
+  return (
+    <span className="px-2 py-0.5 rounded border text-xs font-medium bg-purple-500/10 text-purple-400 border-purple-500/20" title={session.zone || 'All locations'}>
+      Count
+    </span>
+  );
+}
+
+// Header dropdown for creating, switching, pausing, closing and archiving named scanning sessions
+export default function ScanSessionSwitcher({ isOpen, onToggle, onClose }) {
+  const { mainInventory } = useInventory();
+  const {
+    scanSessions,
+    currentSession,
+    activeOrder,
+    getSessionStats,
+    createScanSession,
+    switchScanSession,
+    pauseScanSession,
+    resumeScanSession,
+    closeScanSession,
+    archiveScanSession
+  } = useSession();
+
+  const [newSessionName, setNewSessionName] = useState('');
+  const [newSessionType, setNewSessionType] = useState(SCAN_SESSION_TYPES.PICK);
+  const [newSessionZone, setNewSessionZone] = useState('');
+  const [showArchived, setShowArchived] = useState(false);
+
+  const zones = useMemo(() => (
+    Array.from(DataProcessor.getLocationLookup(mainInventory).values()).sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+  ), [mainInventory]);
+
+  if (!currentSession) return null;
+
+  const stats = getSessionStats();
+  const otherSessions = scanSessions
+    .filter(session => session.id !== currentSession.id && session.status !== SCAN_SESSION_STATUS.ARCHIVED)
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  const archivedSessions = scanSessions
+    .filter(session => session.id !== currentSession.id && session.status === SCAN_SESSION_STATUS.ARCHIVED)
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    const isCount = newSessionType === SCAN_SESSION_TYPES.CYCLE_COUNT;
+    const session = createScanSession(newSessionName, {
+      type: newSessionType,
+      zone: isCount ? newSessionZone || null : null
+    });
+    if (!session) {
+      toast.error('Could not save the current session - storage is full');
+      return;
+    }
+
+    setNewSessionName('');
+    setNewSessionType(SCAN_SESSION_TYPES.PICK);
+    setNewSessionZone('');
+    toast.success(`Started ${isCount ? 'cycle count' : 'session'} "${session.name}"`);
+    onClose();
+  };
+
+  const handleSwitch = (session) => {
+    if (!switchScanSession(session.id)) {
+      toast.error('Could not save the current session - storage is full');
+      return;
+    }
+
+    toast.success(`Switched to "${session.name}"`);
+    onClose();
+  };
+
+  const handleClose = () => {
+    const orderWarning = activeOrder ? `\n\nOrder ${activeOrder.orderNumber} is still in progress.` : '';
+    if (!window.confirm(`Close session "${currentSession.name}"? It will no longer accept scans until resumed.${orderWarning}`)) return;
+
+    closeScanSession();
+    toast.success(`Session "${currentSession.name}" closed`);
+  };
+
+  const handleArchive = (session) => {
+    archiveScanSession(session.id);
+    toast.success(`Session "${session.name}" archived`);
+  };
+
+  const renderSessionRow = (session) => (
+    <div key={session.id} className="flex items-center justify-between px-4 py-2 hover:bg-[#39414E]/50">
+      <button onClick={() => handleSwitch(session)} className="flex-1 min-w-0 text-left">
+        <div className="text-sm text-[#FAFCFB] truncate">{session.name}</div>
+        <div className="text-xs text-[#9FA3AC]">
+          {session.itemCount || 0} items • {new Date(session.updatedAt).toLocaleString()}
+        </div>
+      </button>
+      <div className="flex items-center space-x-2 ml-2">
+        <CountBadge session={session} />
+        <StatusBadge status={session.status} />
+        {session.status === SCAN_SESSION_STATUS.CLOSED && (
+          <button
+            onClick={() => handleArchive(session)}
+            className="p-1 rounded text-[#9FA3AC] hover:text-[#FAFCFB] hover:bg-[#39414E] transition-colors"
+            title="Archive session"
+          >
+            <Archive className="h-3 w-3" />
+          </button>
+        )}
+      </div>
+    </div>
+  );
+
+  return (
+    <div className="relative">
+      <button
+        onClick={onToggle}
+        className="flex items-center space-x-2 px-3 py-2 rounded-lg text-sm font-medium text-[#9FA3AC] hover:bg-[#39414E] transition-colors"
+        title="Scanning session"
+      >
+        <Layers className="h-4 w-4" />
+        <span className={`w-2 h-2 rounded-full ${STATUS_DOTS[currentSession.status]}`}></span>
+        <span className="hidden sm:block max-w-[10rem] truncate text-[#FAFCFB]">{currentSession.name}</span>
+        <ChevronDown className="h-4 w-4" />
+      </button>
+
+      {isOpen && (
+        <div className="absolute right-0 mt-2 w-80 bg-[#181B22] border border-[#39414E] rounded-lg shadow-lg z-50">
+          {/* Current Session */}
+          <div className="px-4 py-3 border-b border-[#39414E] space-y-2">
+            <div className="flex items-center justify-between">
+              <div className="text-sm font-medium text-[#FAFCFB] truncate">{currentSession.name}</div>
+              <div className="flex items-center space-x-2">
+                <CountBadge session={currentSession} />
+                <StatusBadge status={currentSession.status} />
+              </div>
+            </div>
+            <div className="text-xs text-[#9FA3AC]">
+              {stats.totalItemsScanned} items, {stats.totalUnitsPicked} units • started by {currentSession.createdBy}
+            </div>
+            <div className="flex items-center space-x-2">
+              {currentSession.status === SCAN_SESSION_STATUS.ACTIVE ? (
+                <button
+                  onClick={() => {
+                    pauseScanSession();
+                    toast.success(`Session "${currentSession.name}" paused`);
+                  }}
+                  className="bg-[#181B22] text-[#FAFCFB] border border-[#39414E] hover:bg-[#39414E] px-3 py-1.5 rounded-lg text-sm flex items-center space-x-1 transition-colors"
+                >
+                  <Pause className="h-3 w-3" />
+                  <span>Pause</span>
+                </button>
+              ) : (
+                <button
+                  onClick={() => {
+                    resumeScanSession();
+                    toast.success(`Session "${currentSession.name}" resumed`);
+                  }}
+                  className="bg-[#86EFAC] text-[#00001C] hover:opacity-90 px-3 py-1.5 rounded-lg text-sm flex items-center space-x-1 transition-opacity"
+                >
+                  <Play className="h-3 w-3" />
+                  <span>{currentSession.status === SCAN_SESSION_STATUS.PAUSED ? 'Resume' : 'Reopen'}</span>
+                </button>
+              )}
+              {currentSession.status !== SCAN_SESSION_STATUS.CLOSED && currentSession.status !== SCAN_SESSION_STATUS.ARCHIVED && (
+                <button
+                  onClick={handleClose}
+                  className="bg-[#181B22] text-[#FAFCFB] border border-[#39414E] hover:bg-[#39414E] px-3 py-1.5 rounded-lg text-sm flex items-center space-x-1 transition-colors"
+                >
+                  <CheckCircle className="h-3 w-3" />
+                  <span>Close</span>
+                </button>
+              )}
+            </div>
+          </div>
+
+          {/* Other Sessions */}
+          {otherSessions.length > 0 && (
+            <div className="py-2 border-b border-[#39414E] max-h-64 overflow-y-auto">
+              <div className="px-4 pb-1 text-xs font-medium text-[#9FA3AC]">Switch to</div>
+              {otherSessions.map(renderSessionRow)}
+            </div>
+          )}
+
+          {archivedSessions.length > 0 && (
+            <div className="py-2 border-b border-[#39414E]">
+              <button
+                onClick={() => setShowArchived(!showArchived)}
+                className="px-4 text-xs text-[#86EFAC] hover:opacity-80 transition-opacity"
+              >
+                {showArchived ? 'Hide' : 'Show'} {archivedSessions.length} archived
+              </button>
+              {showArchived && (
+                <div className="mt-1 max-h-48 overflow-y-auto">
+                  {archivedSessions.map(renderSessionRow)}
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* New Session */}
+          <form onSubmit={handleCreate} className="p-3 space-y-2">
+            <div className="flex items-center space-x-1 bg-[#15161B] rounded-lg p-1">
+              {Object.values(SCAN_SESSION_TYPES).map(type => (
+                <button
+                  key={type}
+                  type="button"
+                  onClick={() => setNewSessionType(type)}
+                  className={`flex-1 px-3 py-1 rounded-md text-xs font-medium transition-colors ${
+                    newSessionType === type
+                      ? 'bg-[#86EFAC] text-[#00001C]'
+                      : 'text-[#9FA3AC] hover:text-[#FAFCFB]'
+                  }`}
+                >
+                  {SCAN_SESSION_TYPE_LABELS[type]}
+                </button>
+              ))}
+            </div>
+            {newSessionType === SCAN_SESSION_TYPES.CYCLE_COUNT && (
+              <select
+                value={newSessionZone}
+                onChange={(e) => setNewSessionZone(e.target.value)}
+                className="w-full bg-[#15161B] border border-[#39414E] text-[#FAFCFB] rounded-lg px-3 py-1.5 text-sm focus:border-[#86EFAC] focus:outline-none"
+              >
+                <option value="">All locations</option>
+                {zones.map(zone => (
+                  <option key={zone} value={zone}>{zone}</option>
+                ))}
+              </select>
+            )}
+            <div className="flex items-center space-x-2">
+              <input
+                type="text"
+                value={newSessionName}
+                onChange={(e) => setNewSessionName(e.target.value)}
+                placeholder={newSessionType === SCAN_SESSION_TYPES.CYCLE_COUNT
+                  ? `Cycle Count - ${newSessionZone || 'All Locations'}`
+                  : `Session ${scanSessions.length + 1}`}
+                className="flex-1 min-w-0 bg-[#15161B] border border-[#39414E] text-[#FAFCFB] rounded-lg px-3 py-1.5 text-sm focus:border-[#86EFAC] focus:outline-none"
+              />
+              <button
+                type="submit"
+                className="bg-[#86EFAC] text-[#00001C] hover:opacity-90 px-3 py-1.5 rounded-lg text-sm flex items-center space-x-1 transition-opacity"
+              >
+                <Plus className="h-3 w-3" />
+                <span>New</span>
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,234 @@
+import React, { useState, useMemo } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useInventory } from '../../contexts/InventoryContext.jsx';
+import { useSession } from '../../contexts/SessionContext.jsx';
+import { DataProcessor } from '../../utils/dataProcessor.js';
+import { CalendarClock, Hourglass, Scan, Search } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+// Rows rendered per bucket - "Add to Scanning" always uses the full filtered list
+const ROW_LIMIT = 200;
+
+const VIEWS = [
+  { id: 'expiration', label: 'Days to Expiration', icon: CalendarClock },
+  { id: 'age', label: 'Product Age', icon: Hourglass }
+];
+
+const BUCKET_STYLES = {
+  red: 'text-red-400',
+  orange: 'text-orange-400',
+  yellow: 'text-yellow-400',
+  blue: 'text-blue-400',
+  green: 'text-green-400'
+};
+
+export default function ExpirationDashboard() {
+  const navigate = useNavigate();
+  const { mainInventory } = useInventory();
+  const { addScannedItems, scanBlockedReason } = useSession();
+
+  const [view, setView] = useState('expiration');
+  const [selectedBucketId, setSelectedBucketId] = useState('expired');
+  const [locationFilter, setLocationFilter] = useState('all');
+  const [searchTerm, setSearchTerm] = useState('');
+
+  const report = useMemo(() => DataProcessor.buildExpirationReport(mainInventory), [mainInventory]);
+  const buckets = report[view];
+  const selectedBucket = buckets.find(bucket => bucket.id === selectedBucketId) || buckets[0];
+  const missingCount = view === 'expiration' ? report.noExpiration.length : report.noAge.length;
+
+  const locations = useMemo(() => {
+    return [...new Set(selectedBucket.items.map(item => item.location).filter(Boolean))].sort();
+  }, [selectedBucket]);
+
+  // Bucket items narrowed by location and search text
+  const filteredItems = useMemo(() => {
+    const term = searchTerm.toLowerCase().trim();
+
+    return selectedBucket.items.filter(item => {
+      if (locationFilter !== 'all' && item.location !== locationFilter) return false;
+      if (!term) return true;
+
+      return item.sku?.toLowerCase().includes(term) ||
+        item.productName?.toLowerCase().includes(term) ||
+        item.brand?.toLowerCase().includes(term);
+    });
+  }, [selectedBucket, locationFilter, searchTerm]);
+
+  // Switch between expiration and age views
+  const handleViewChange = (viewId) => {
+    setView(viewId);
+    setSelectedBucketId(report[viewId][0].id);
+    setLocationFilter('all');
+  };
+
+  // Select a bucket and reset the location filter
+  const handleBucketSelect = (bucketId) => {
+    setSelectedBucketId(bucketId);
+    setLocationFilter('all');
+  };
+
+  // Push the filtered list into the scanning session as a pull list
+  const handleAddToScanning = () => {
+    if (scanBlockedReason) {
+      toast.error(scanBlockedReason);
+      return;
+    }
+
+    const viewLabel = VIEWS.find(option => option.id === view).label;
+    const added = addScannedItems(
+      filteredItems.map(item => ({ barcode: item.barcode, sku: item.sku, source: 'MainInventory' })),
+      `Pull list added from dashboard: ${viewLabel} ${selectedBucket.label}`
+    );
+
+    if (added === 0) {
+      toast('All of these items are already in the scan list');
+      return;
+    }
+
+    toast.success(`Added ${added} item${added !== 1 ? 's' : ''} to the scan list`);
+    navigate('/scanning');
+  };
+
+  const formatDays = (item) => {
+    const days = view === 'expiration' ? item.daysToExpiration : item.ageInDays;
+    if (view === 'expiration' && days < 0) return `${-days} days ago`;
+    return `${days} days`;
+  };
+
+  return (
+    <div className="bg-[#181B22] border border-[#39414E] rounded-2xl p-6">
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4 mb-6">
+        <div>
+          <h2 className="text-xl font-bold text-[#FAFCFB]">Expiration & Age</h2>
+          <p className="text-sm text-[#9FA3AC]">
+            {mainInventory.length.toLocaleString()} Main Inventory items
+            {missingCount > 0 && ` • ${missingCount.toLocaleString()} without a ${view === 'expiration' ? 'expiration' : 'manufacturing or reception'} date`}
+          </p>
+        </div>
+
+        <div className="flex items-center space-x-2">
+          {VIEWS.map(option => {
+            const Icon = option.icon;
+            return (
+              <button
+                key={option.id}
+                onClick={() => handleViewChange(option.id)}
+                className={`px-3 py-1.5 rounded-lg text-sm flex items-center space-x-2 transition-colors ${
+                  view === option.id
+                    ? 'bg-[#86EFAC] text-[#00001C]'
+                    : 'text-[#9FA3AC] hover:text-[#FAFCFB] hover:bg-[#39414E]'
+                }`}
+              >
+                <Icon className="h-4 w-4" />
+                <span>{option.label}</span>
+              </button>
+            );
+          })}
+        </div>
+      </div>
+
+      {/* Buckets */}
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-3 mb-6">
+        {buckets.map(bucket => (
+          <button
+            key={bucket.id}
+            onClick={() => handleBucketSelect(bucket.id)}
+            className={`p-3 rounded-lg border text-left transition-colors ${
+              selectedBucket.id === bucket.id
+                ? 'border-[#86EFAC] bg-[#86EFAC]/5'
+                : 'border-[#39414E] hover:border-[#9FA3AC]'
+            }`}
+          >
+            <div className={`text-sm ${BUCKET_STYLES[bucket.color]}`}>{bucket.label}</div>
+            <div className="text-xl font-semibold text-[#FAFCFB] mt-1">{bucket.items.length.toLocaleString()}</div>
+            <div className="text-xs text-[#9FA3AC]">{bucket.totalQuantity.toLocaleString()} units</div>
+          </button>
+        ))}
+      </div>
+
+      {/* Filters + Action */}
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-3 mb-4">
+        <div className="flex items-center space-x-3">
+          <div className="relative">
+            <Search className="h-4 w-4 text-[#9FA3AC] absolute left-3 top-1/2 -translate-y-1/2" />
+            <input
+              type="text"
+              value={searchTerm}
+              onChange={(e) => setSearchTerm(e.target.value)}
+              placeholder="Filter SKU, product, brand..."
+              className="bg-[#15161B] border border-[#39414E] text-[#FAFCFB] rounded-lg pl-9 pr-3 py-1.5 text-sm focus:border-[#86EFAC] focus:outline-none"
+            />
+          </div>
+          <select
+            value={locationFilter}
+            onChange={(e) => setLocationFilter(e.target.value)}
+            className="bg-[#15161B] border border-[#39414E] text-[#FAFCFB] rounded-lg px-3 py-1.5 text-sm focus:border-[#86EFAC] focus:outline-none"
+          >
+            <option value="all">All Locations</option>
+            {locations.map(location => (
+              <option key={location} value={location}>{location}</option>
+            ))}
+          </select>
+        </div>
+
+        <button
+          onClick={handleAddToScanning}
+          disabled={filteredItems.length === 0}
+          className="bg-[#86EFAC] text-[#00001C] hover:opacity-90 disabled:opacity-50 px-4 py-2 rounded-lg flex items-center space-x-2 transition-opacity"
+        >
+          <Scan className="h-4 w-4" />
+          <span>Add {filteredItems.length.toLocaleString()} to Scanning</span>
+        </button>
+      </div>
+
+      {/* Item Table */}
+      {filteredItems.length === 0 ? (
+        <div className="p-6 text-center text-sm text-[#9FA3AC]">No items in this bucket</div>
+      ) : (
+        <div className="overflow-x-auto max-h-96 overflow-y-auto">
+          <table className="min-w-full">
+            <thead>
+              <tr className="border-b border-[#39414E]">
+                <th className="px-4 py-2 text-left text-sm font-medium text-[#9FA3AC]">SKU</th>
+                <th className="px-4 py-2 text-left text-sm font-medium text-[#9FA3AC]">Product</th>
+                <th className="px-4 py-2 text-left text-sm font-medium text-[#9FA3AC]">Location</th>
+                <th className="px-4 py-2 text-left text-sm font-medium text-[#9FA3AC]">Qty</th>
+                <th className="px-4 py-2 text-left text-sm font-medium text-[#9FA3AC]">
+                  {view === 'expiration' ? 'Expires' : 'Manufactured'}
+                </th>
+                <th className="px-4 py-2 text-left text-sm font-medium text-[#9FA3AC]">
+                  {view === 'expiration' ? 'Remaining' : 'Age'}
+                </th>
+              </tr>
+            </thead>
+            <tbody>
+              {filteredItems.slice(0, ROW_LIMIT).map(item => (
+                <tr key={item.duplicateKey || `${item.barcode}_${item.sku}`} className="border-b border-[#39414E]">
+                  <td className="px-4 py-2 text-sm text-[#FAFCFB] font-mono">{item.sku}</td>
+                  <td className="px-4 py-2 text-sm">
+                    <div className="text-[#FAFCFB]">{item.productName || '—'}</div>
+                    <div className="text-xs text-[#9FA3AC]">{item.brand}</div>
+                  </td>
+                  <td className="px-4 py-2 text-sm text-[#9FA3AC]">{item.location || '—'}</td>
+                  <td className="px-4 py-2 text-sm text-[#FAFCFB]">{item.quantity}</td>
+                  <td className="px-4 py-2 text-sm text-[#9FA3AC]">
+                    {view === 'expiration'
+                      ? item.expirationDate
+                      : item.manufacturingDate || item.receptionDate || '—'}
+                  </td>
+                  <td className={`px-4 py-2 text-sm ${BUCKET_STYLES[selectedBucket.color]}`}>{formatDays(item)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {filteredItems.length > ROW_LIMIT && (
+            <div className="mt-2 text-sm text-[#9FA3AC] text-center">
+              Showing first {ROW_LIMIT} of {filteredItems.length.toLocaleString()}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -3,6 +3,7 @@ import { Link } from 'react-router-dom';
 import { useAuth } from '../../contexts/AuthContext.jsx';
 import { useInventory } from '../../contexts/InventoryContext.jsx';
 import { useSession } from '../../contexts/SessionContext.jsx';
+import ExpirationDashboard from './ExpirationDashboard.jsx';
 
 export default function MainDashboard() {
   const { user } = useAuth();
@@ -107,6 +108,13 @@ export default function MainDashboard() {
             );
           })}
         </div>
+
+        {/* Expiration & Age Tracking */}
+        {hasMainInventory && (
+          <div className="mt-12">
+            <ExpirationDashboard />
+          </div>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,249 @@
+import React, { useState, useMemo } from 'react';
+import { DataProcessor } from '../../utils/dataProcessor.js';
+import { MAPPING_CONFIDENCE } from '../../constants.js';
+import {
+  Columns,
+  CheckCircle,
+  AlertCircle,
+  Bookmark,
+  Loader2,
+  Upload
+} from 'lucide-react';
+
+// Badge styling per confidence level
+const CONFIDENCE_STYLES = {
+  [MAPPING_CONFIDENCE.HIGH]: 'bg-green-500/10 text-green-400 border-green-500/20',
+  [MAPPING_CONFIDENCE.MEDIUM]: 'bg-yellow-500/10 text-yellow-400 border-yellow-500/20',
+  [MAPPING_CONFIDENCE.LOW]: 'bg-orange-500/10 text-orange-400 border-orange-500/20',
+  [MAPPING_CONFIDENCE.NONE]: 'bg-red-500/10 text-red-400 border-red-500/20',
+  [MAPPING_CONFIDENCE.MANUAL]: 'bg-blue-500/10 text-blue-400 border-blue-500/20',
+  [MAPPING_CONFIDENCE.PROFILE]: 'bg-purple-500/10 text-purple-400 border-purple-500/20'
+};
+
+export default function ColumnMappingStep({
+  analysis,
+  defaultProfileName = '',
+  isLoading = false,
+  onMappingChange,
+  onConfirm,
+  onCancel
+}) {
+  const [mapping, setMapping] = useState(() => ({ ...analysis.mapping }));
+  const [overridden, setOverridden] = useState({});
+  const [saveProfile, setSaveProfile] = useState(!analysis.profileId);
+  const [profileName, setProfileName] = useState(analysis.profileName || defaultProfileName);
+  const [showAllFields, setShowAllFields] = useState(!analysis.profileId);
+
+  // Rebuild field rows whenever the user changes a column
+  const fields = useMemo(() => {
+    return analysis.fields.map(field => {
+      if (!overridden[field.key]) return field;
+
+      const index = mapping[field.key];
+      return {
+        ...field,
+        index,
+        header: index >= 0 && analysis.headers[index] ? analysis.headers[index].label : '',
+        confidence: index >= 0 ? MAPPING_CONFIDENCE.MANUAL : MAPPING_CONFIDENCE.NONE,
+        samples: DataProcessor.getColumnSamples(analysis.sampleRows, index)
+      };
+    });
+  }, [analysis, mapping, overridden]);
+
+  const hasIdentifier = mapping.SKU >= 0 || mapping.BARCODE >= 0;
+  const unmappedCount = fields.filter(field => field.index < 0).length;
+  const lowConfidenceCount = fields.filter(field =>
+    field.confidence === MAPPING_CONFIDENCE.LOW || field.confidence === MAPPING_CONFIDENCE.NONE
+  ).length;
+
+  // Handle column change for a field
+  const handleColumnChange = (fieldKey, value) => {
+    const updated = { ...mapping, [fieldKey]: parseInt(value, 10) };
+    setMapping(updated);
+    setOverridden(prev => ({ ...prev, [fieldKey]: true }));
+    if (onMappingChange) onMappingChange(updated);
+  };
+
+  // Handle confirm
+  const handleConfirm = () => {
+    onConfirm({
+      mapping,
+      saveProfile: saveProfile && profileName.trim() !== '',
+      profileName: profileName.trim()
+    });
+  };
+
+  return (
+    <div className="bg-[#181B22] border border-[#39414E] rounded-xl p-6">
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center space-x-3">
+          <Columns className="h-5 w-5 text-[#86EFAC]" />
+          <div>
+            <h2 className="text-lg font-semibold text-[#FAFCFB]">Column Mapping</h2>
+            <p className="text-sm text-[#9FA3AC]">
+              {analysis.sheets && analysis.sheets.length > 1 && `Sheet "${analysis.selectedSheets[0]}" • `}
+              Header row {analysis.headerRow} {analysis.headerDetected ? '(auto-detected)' : '(default)'} • {analysis.headers.length} columns • Data starts at row {analysis.dataStartRow}
+            </p>
+          </div>
+        </div>
+
+        <div className="text-sm text-[#9FA3AC] text-right">
+          {unmappedCount > 0 && <div>{unmappedCount} field{unmappedCount !== 1 ? 's' : ''} unmapped</div>}
+          {lowConfidenceCount > 0 && <div>{lowConfidenceCount} low-confidence match{lowConfidenceCount !== 1 ? 'es' : ''}</div>}
+        </div>
+      </div>
+
+      {!analysis.headerDetected && (
+        <div className="mb-4 p-4 bg-yellow-500/10 border border-yellow-500/20 rounded-lg">
+          <div className="flex items-center space-x-2">
+            <AlertCircle className="h-5 w-5 text-yellow-400 flex-shrink-0" />
+            <span className="text-yellow-400">
+              Could not find a header row - using row {analysis.headerRow}. Check the column assignments below.
+            </span>
+          </div>
+        </div>
+      )}
+
+      {/* Export metadata from the rows above the header */}
+      {analysis.metadata && analysis.metadata.fields.length > 0 && (
+        <div className="mb-4 p-4 bg-[#15161B] border border-[#39414E] rounded-lg grid grid-cols-1 md:grid-cols-3 gap-4 text-sm">
+          <div>
+            <div className="text-[#9FA3AC]">Facility</div>
+            <div className="text-[#FAFCFB]">{analysis.metadata.facility || '—'}</div>
+          </div>
+          <div>
+            <div className="text-[#9FA3AC]">Export Date</div>
+            <div className="text-[#FAFCFB]">{analysis.metadata.exportDate || '—'}</div>
+          </div>
+          <div>
+            <div className="text-[#9FA3AC]">Report</div>
+            <div className="text-[#FAFCFB]">{analysis.metadata.reportName || '—'}</div>
+          </div>
+        </div>
+      )}
+
+      {/* Saved profile banner */}
+      {analysis.profileId && (
+        <div className="mb-4 p-4 bg-purple-500/10 border border-purple-500/20 rounded-lg flex items-center justify-between">
+          <div className="flex items-center space-x-2">
+            <Bookmark className="h-5 w-5 text-purple-400" />
+            <span className="text-purple-400">
+              Saved profile "{analysis.profileName}" matched this file's headers and was applied
+            </span>
+          </div>
+          <button
+            onClick={() => setShowAllFields(!showAllFields)}
+            className="text-sm text-purple-300 hover:text-purple-200 transition-colors"
+          >
+            {showAllFields ? 'Hide mapping' : 'Review mapping'}
+          </button>
+        </div>
+      )}
+
+      {!hasIdentifier && (
+        <div className="mb-4 p-4 bg-red-500/10 border border-red-500/20 rounded-lg">
+          <div className="flex items-center space-x-2">
+            <AlertCircle className="h-5 w-5 text-red-400 flex-shrink-0" />
+            <span className="text-red-400">Map at least the SKU or Barcode column before importing</span>
+          </div>
+        </div>
+      )}
+
+      {/* Mapping Table */}
+      {showAllFields && (
+        <div className="overflow-x-auto mb-4">
+          <table className="min-w-full">
+            <thead>
+              <tr className="border-b border-[#39414E]">
+                <th className="px-4 py-2 text-left text-sm font-medium text-[#9FA3AC]">Field</th>
+                <th className="px-4 py-2 text-left text-sm font-medium text-[#9FA3AC]">Column</th>
+                <th className="px-4 py-2 text-left text-sm font-medium text-[#9FA3AC]">Sample Values</th>
+                <th className="px-4 py-2 text-left text-sm font-medium text-[#9FA3AC]">Confidence</th>
+              </tr>
+            </thead>
+            <tbody>
+              {fields.map(field => (
+                <tr key={field.key} className="border-b border-[#39414E]">
+                  <td className="px-4 py-2 text-sm text-[#FAFCFB] whitespace-nowrap">{field.label}</td>
+                  <td className="px-4 py-2 text-sm">
+                    <select
+                      value={mapping[field.key]}
+                      onChange={(e) => handleColumnChange(field.key, e.target.value)}
+                      className="bg-[#15161B] border border-[#39414E] text-[#FAFCFB] rounded-lg px-2 py-1 text-sm focus:border-[#86EFAC] focus:outline-none"
+                    >
+                      <option value={-1}>— Not mapped —</option>
+                      {analysis.headers.map(header => (
+                        <option key={header.index} value={header.index}>
+                          {header.index + 1}. {header.label}
+                        </option>
+                      ))}
+                    </select>
+                  </td>
+                  <td className="px-4 py-2 text-sm text-[#9FA3AC] font-mono">
+                    {field.samples.length > 0 ? field.samples.join(' • ') : '—'}
+                  </td>
+                  <td className="px-4 py-2 text-sm">
+                    <span className={`inline-block px-2 py-0.5 rounded border text-xs font-medium ${CONFIDENCE_STYLES[field.confidence]}`}>
+                      {field.confidence}
+                    </span>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* Profile + Actions */}
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4 pt-4 border-t border-[#39414E]">
+        <div className="flex items-center space-x-3">
+          <label className="flex items-center space-x-2 text-sm text-[#FAFCFB]">
+            <input
+              type="checkbox"
+              checked={saveProfile}
+              onChange={(e) => setSaveProfile(e.target.checked)}
+              className="rounded border-[#39414E]"
+            />
+            <span>{analysis.profileId ? 'Update profile' : 'Save as profile'}</span>
+          </label>
+          <input
+            type="text"
+            value={profileName}
+            onChange={(e) => setProfileName(e.target.value)}
+            disabled={!saveProfile}
+            placeholder="Profile name..."
+            className="bg-[#15161B] border border-[#39414E] text-[#FAFCFB] rounded-lg px-3 py-1.5 text-sm focus:border-[#86EFAC] focus:outline-none disabled:opacity-50"
+          />
+        </div>
+
+        <div className="flex items-center space-x-3">
+          <button
+            onClick={onCancel}
+            disabled={isLoading}
+            className="bg-[#181B22] text-[#FAFCFB] border border-[#39414E] hover:bg-[#39414E] px-4 py-2 rounded-lg transition-colors"
+          >
+            Cancel
+          </button>
+
+          <button
+            onClick={handleConfirm}
+            disabled={isLoading || !hasIdentifier}
+            className="bg-[#86EFAC] text-[#00001C] hover:opacity-90 disabled:opacity-50 px-4 py-2 rounded-lg flex items-center space-x-2 transition-opacity"
+          >
+            {isLoading ? (
+              <>
+                <Loader2 className="animate-spin h-4 w-4" />
+                <span>Importing...</span>
+              </>
+            ) : (
+              <>
+                {analysis.profileId ? <CheckCircle className="h-4 w-4" /> : <Upload className="h-4 w-4" />}
+                <span>Confirm & Import</span>
+              </>
+            )}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,213 @@
+import React, { useState } from 'react';
+import {
+  GitCompare,
+  PlusCircle,
+  MinusCircle,
+  Hash,
+  DollarSign,
+  MapPin,
+  CheckCircle,
+  X
+} from 'lucide-react';
+
+// Rows rendered per tab - the counts above always show the full totals
+const ROW_LIMIT = 200;
+
+const TABS = [
+  { id: 'added', label: 'Added', icon: PlusCircle, color: 'text-green-400' },
+  { id: 'removed', label: 'Removed', icon: MinusCircle, color: 'text-red-400' },
+  { id: 'quantityChanges', label: 'Quantity', icon: Hash, color: 'text-blue-400' },
+  { id: 'priceChanges', label: 'Price / Cost', icon: DollarSign, color: 'text-yellow-400' },
+  { id: 'locationChanges', label: 'Location', icon: MapPin, color: 'text-purple-400' }
+];
+
+const PRICE_FIELD_LABELS = {
+  price: 'Price',
+  wholesaleCost: 'Cost'
+};
+
+export default function ImportDiffReview({
+  pendingImport,
+  isLoading = false,
+  onAccept,
+  onCancel
+}) {
+  const { diff } = pendingImport;
+  const [activeTab, setActiveTab] = useState(
+    () => (TABS.find(tab => diff.summary[tab.id] > 0) || TABS[0]).id
+  );
+
+  const rows = diff[activeTab];
+  const visibleRows = rows.slice(0, ROW_LIMIT);
+
+  // Product cell shared by every tab
+  const renderProduct = (item) => (
+    <td className="px-4 py-2 text-sm">
+      <div className="text-[#FAFCFB]">{item.productName || '—'}</div>
+      <div className="text-xs text-[#9FA3AC] font-mono">{item.sku} • {item.barcode}</div>
+    </td>
+  );
+
+  const renderRows = () => {
+    switch (activeTab) {
+      case 'added':
+      case 'removed':
+        return visibleRows.map(item => (
+          <tr key={`${item.barcode}_${item.sku}`} className="border-b border-[#39414E]">
+            {renderProduct(item)}
+            <td className="px-4 py-2 text-sm text-[#9FA3AC]">{item.brand || '—'}</td>
+            <td className="px-4 py-2 text-sm text-[#FAFCFB]">{item.quantity}</td>
+            <td className="px-4 py-2 text-sm text-[#9FA3AC]">{item.location || '—'}</td>
+          </tr>
+        ));
+
+      case 'quantityChanges':
+        return visibleRows.map(change => (
+          <tr key={change.key} className="border-b border-[#39414E]">
+            {renderProduct(change.item)}
+            <td className="px-4 py-2 text-sm text-[#9FA3AC]">{change.before}</td>
+            <td className="px-4 py-2 text-sm text-[#FAFCFB]">{change.after}</td>
+            <td className={`px-4 py-2 text-sm font-medium ${change.delta > 0 ? 'text-green-400' : 'text-red-400'}`}>
+              {change.delta > 0 ? `+${change.delta}` : change.delta}
+            </td>
+          </tr>
+        ));
+
+      case 'priceChanges':
+        return visibleRows.map(change => (
+          <tr key={change.key} className="border-b border-[#39414E]">
+            {renderProduct(change.item)}
+            <td className="px-4 py-2 text-sm text-[#FAFCFB]" colSpan={3}>
+              {change.fields.map(field => (
+                <div key={field.field}>
+                  <span className="text-[#9FA3AC]">{PRICE_FIELD_LABELS[field.field]}:</span>{' '}
+                  {field.before || '—'} → {field.after || '—'}
+                </div>
+              ))}
+            </td>
+          </tr>
+        ));
+
+      case 'locationChanges':
+        return visibleRows.map(change => (
+          <tr key={change.key} className="border-b border-[#39414E]">
+            {renderProduct(change.item)}
+            <td className="px-4 py-2 text-sm text-[#9FA3AC]">{change.before || '—'}</td>
+            <td className="px-4 py-2 text-sm text-[#FAFCFB]" colSpan={2}>{change.after || '—'}</td>
+          </tr>
+        ));
+
+      default:
+        return null;
+    }
+  };
+
+  const columnHeaders = {
+    added: ['Product', 'Brand', 'Qty', 'Location'],
+    removed: ['Product', 'Brand', 'Qty', 'Location'],
+    quantityChanges: ['Product', 'Before', 'After', 'Change'],
+    priceChanges: ['Product', 'Changes'],
+    locationChanges: ['Product', 'From', 'To']
+  }[activeTab];
+
+  return (
+    <div className="bg-[#181B22] border border-[#39414E] rounded-xl p-6">
+      <div className="flex items-center space-x-3 mb-4">
+        <GitCompare className="h-5 w-5 text-[#86EFAC]" />
+        <div>
+          <h2 className="text-lg font-semibold text-[#FAFCFB]">Review Changes</h2>
+          <p className="text-sm text-[#9FA3AC]">
+            {pendingImport.file.name} • {pendingImport.statistics.processedRows} items compared with the loaded inventory
+          </p>
+        </div>
+      </div>
+
+      {/* Summary */}
+      <div className="grid grid-cols-2 md:grid-cols-6 gap-3 mb-4">
+        {TABS.map(tab => {
+          const Icon = tab.icon;
+          return (
+            <button
+              key={tab.id}
+              onClick={() => setActiveTab(tab.id)}
+              className={`p-3 rounded-lg border text-left transition-colors ${
+                activeTab === tab.id
+                  ? 'border-[#86EFAC] bg-[#86EFAC]/5'
+                  : 'border-[#39414E] hover:border-[#9FA3AC]'
+              }`}
+            >
+              <div className="flex items-center space-x-2 text-sm text-[#9FA3AC]">
+                <Icon className={`h-4 w-4 ${tab.color}`} />
+                <span>{tab.label}</span>
+              </div>
+              <div className="text-xl font-semibold text-[#FAFCFB] mt-1">
+                {diff.summary[tab.id].toLocaleString()}
+              </div>
+            </button>
+          );
+        })}
+        <div className="p-3 rounded-lg border border-[#39414E]">
+          <div className="text-sm text-[#9FA3AC]">Unchanged</div>
+          <div className="text-xl font-semibold text-[#FAFCFB] mt-1">
+            {diff.summary.unchanged.toLocaleString()}
+          </div>
+        </div>
+      </div>
+
+      {/* Detail Table */}
+      {rows.length > 0 ? (
+        <div className="overflow-x-auto max-h-96 overflow-y-auto mb-4">
+          <table className="min-w-full">
+            <thead>
+              <tr className="border-b border-[#39414E]">
+                {columnHeaders.map(header => (
+                  <th
+                    key={header}
+                    colSpan={header === 'Changes' ? 3 : header === 'To' ? 2 : 1}
+                    className="px-4 py-2 text-left text-sm font-medium text-[#9FA3AC]"
+                  >
+                    {header}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>{renderRows()}</tbody>
+          </table>
+          {rows.length > ROW_LIMIT && (
+            <div className="mt-2 text-sm text-[#9FA3AC] text-center">
+              Showing first {ROW_LIMIT} of {rows.length.toLocaleString()}
+            </div>
+          )}
+        </div>
+      ) : (
+        <div className="mb-4 p-6 text-center text-sm text-[#9FA3AC]">No changes in this category</div>
+      )}
+
+      {!diff.summary.hasChanges && (
+        <div className="mb-4 p-4 bg-blue-500/10 border border-blue-500/20 rounded-lg text-sm text-blue-400">
+          This file matches the loaded inventory - importing it changes nothing.
+        </div>
+      )}
+
+      {/* Actions */}
+      <div className="flex justify-end space-x-3 pt-4 border-t border-[#39414E]">
+        <button
+          onClick={onCancel}
+          disabled={isLoading}
+          className="bg-[#181B22] text-[#FAFCFB] border border-[#39414E] hover:bg-[#39414E] px-4 py-2 rounded-lg flex items-center space-x-2 transition-colors"
+        >
+          <X className="h-4 w-4" />
+          <span>Cancel Import</span>
+        </button>
+        <button
+          onClick={onAccept}
+          disabled={isLoading}
+          className="bg-[#86EFAC] text-[#00001C] hover:opacity-90 disabled:opacity-50 px-4 py-2 rounded-lg flex items-center space-x-2 transition-opacity"
+        >
+          <CheckCircle className="h-4 w-4" />
+          <span>Accept & Save</span>
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -1,14 +1,20 @@
-import React, { useState, useRef } from 'react';
+import React, { useState, useRef, useMemo } from 'react';
 import { Link } from 'react-router-dom';
 import { useInventory } from '../../contexts/InventoryContext.jsx';
 import { ValidationHelper } from '../../utils/validation.js';
+import { DataProcessor } from '../../utils/dataProcessor.js';
+import { DATA_SOURCES, IMPORT_STAGES } from '../../constants.js';
+import ColumnMappingStep from './ColumnMappingStep.jsx';
+import ImportProgress from './ImportProgress.jsx';
+import SheetPicker from './SheetPicker.jsx';
+import ImportResultsPanel from './ImportResultsPanel.jsx';
+import ImportDiffReview from './ImportDiffReview.jsx';
 import { 
   Upload, 
   File, 
   CheckCircle, 
   AlertCircle, 
   ArrowLeft,
-  Loader2,
   Trash2
 } from 'lucide-react';
 import toast from 'react-hot-toast';
@@ -16,24 +22,33 @@ import toast from 'react-hot-toast';
 export default function ImportForm() {
   const {
     mainInventory,
-    importMainInventory,
+    prepareMainInventoryImport,
+    commitMainInventoryImport,
+    discardPendingImport,
     clearMainInventory,
     isLoading,
     error,
     clearError,
-    getInventoryStats
+    getInventoryStats,
+    analyzeImportFile,
+    cancelImport,
+    saveMappingProfile
   } = useInventory();
 
   const [selectedFile, setSelectedFile] = useState(null);
   const [dragActive, setDragActive] = useState(false);
   const [importResult, setImportResult] = useState(null);
-  const [previewData, setPreviewData] = useState(null);
+  const [mappingAnalysis, setMappingAnalysis] = useState(null);
+  const [columnMapping, setColumnMapping] = useState(null);
+  const [isAnalyzing, setIsAnalyzing] = useState(false);
+  const [importProgress, setImportProgress] = useState(null);
+  const [pendingImport, setPendingImport] = useState(null);
   const fileInputRef = useRef(null);
 
   const stats = getInventoryStats();
 
   // Handle file selection
-  const handleFileSelect = (file) => {
+  const handleFileSelect = async (file) => {
     const validation = ValidationHelper.validateFile(file);
     
     if (!validation.isValid) {
@@ -43,33 +58,76 @@ export default function ImportForm() {
 
     setSelectedFile(file);
     setImportResult(null);
+    setMappingAnalysis(null);
+    setPendingImport(null);
     clearError();
     
-    // Generate preview data
-    generatePreview(file);
+    await runAnalysis(file);
   };
 
-  // Generate preview data
-  const generatePreview = async (file) => {
-    try {
-      const text = await file.text();
-      const lines = text.split('\n').slice(2, 22); // Skip headers, show first 20 data rows
-      const preview = lines.map((line, index) => {
-        const columns = line.split(',');
-        return {
-          row: index + 3,
-          facility: columns[0] || '',
-          product: columns[1] || '',
-          brand: columns[4] || '',
-          sku: columns[8] || '',
-          barcode: columns[9] || '',
-          quantity: columns[11] || ''
-        };
-      }).filter(row => row.sku || row.barcode); // Only show rows with data
-      
-      setPreviewData(preview);
-    } catch (error) {
-      console.error('Preview generation error:', error);
+  // Parse the file in the import worker and build the column-mapping step
+  const runAnalysis = async (file, sheetNames = null) => {
+    setIsAnalyzing(true);
+    setImportProgress({ stage: IMPORT_STAGES.READING, loaded: 0, total: 0 });
+    const result = await analyzeImportFile(file, DATA_SOURCES.MAIN_INVENTORY, handleProgress, { sheetNames });
+    setIsAnalyzing(false);
+    setImportProgress(null);
+
+    if (result.cancelled) {
+      resetSelection();
+      return;
+    }
+
+    if (!result.success) {
+      toast.error(result.error || 'Could not read file');
+      return;
+    }
+
+    setMappingAnalysis(result.analysis);
+    setColumnMapping(result.analysis.mapping);
+
+    if (result.profile) {
+      toast.success(`Applied saved mapping profile "${result.profile.name}"`);
+    }
+  };
+
+  // Build preview rows from the parsed file using the current mapping
+  const previewData = useMemo(() => {
+    if (!mappingAnalysis || !columnMapping) return null;
+
+    return mappingAnalysis.previewRows
+      .map((row, index) => ({
+        row: mappingAnalysis.dataStartRow + index,
+        facility: DataProcessor.cleanString(row[columnMapping.FACILITY_NAME]),
+        product: DataProcessor.cleanString(row[columnMapping.PRODUCT_NAME]),
+        brand: DataProcessor.cleanString(row[columnMapping.BRAND]),
+        sku: DataProcessor.cleanString(row[columnMapping.SKU]),
+        barcode: DataProcessor.cleanString(row[columnMapping.BARCODE]),
+        quantity: DataProcessor.cleanString(row[columnMapping.QUANTITY])
+      }))
+      .filter(row => row.sku || row.barcode); // Only show rows with data
+  }, [mappingAnalysis, columnMapping]);
+
+  // Track worker progress for the progress bar
+  const handleProgress = (loaded, total, stage) => {
+    setImportProgress({ stage, loaded, total });
+  };
+
+  // Cancel the running parse or import
+  const handleCancel = () => {
+    cancelImport();
+    setImportProgress(null);
+  };
+
+  // Reset the selected file and mapping step
+  const resetSelection = () => {
+    setSelectedFile(null);
+    setMappingAnalysis(null);
+    setColumnMapping(null);
+    setPendingImport(null);
+    
+    if (fileInputRef.current) {
+      fileInputRef.current.value = '';
     }
   };
 
@@ -105,29 +163,67 @@ export default function ImportForm() {
   };
 
   // Handle import
-  const handleImport = async () => {
-    if (!selectedFile) {
+  const handleImport = async ({ mapping, saveProfile, profileName }) => {
+    if (!selectedFile || !mappingAnalysis) {
       toast.error('Please select a file first');
       return;
     }
 
-    const result = await importMainInventory(selectedFile, (progress, total) => {
-      console.log(`Import progress: ${progress}/${total}`);
+    let profileId = mappingAnalysis.profileId;
+    if (saveProfile) {
+      const profile = saveMappingProfile(profileName, mappingAnalysis, mapping);
+      profileId = profile.id;
+    }
+
+    setImportProgress({ stage: IMPORT_STAGES.PROCESSING, loaded: 0, total: 0 });
+    const result = await prepareMainInventoryImport(selectedFile, handleProgress, {
+      columnMapping: mapping,
+      signature: mappingAnalysis.signature,
+      sheetNames: mappingAnalysis.selectedSheets,
+      profileId
     });
+    setImportProgress(null);
 
-    setImportResult(result);
+    if (result.cancelled) {
+      toast('Import cancelled');
+      return;
+    }
 
-    if (result.success) {
-      toast.success(`Successfully imported ${result.statistics.processedRows} items`);
-      setSelectedFile(null);
-      setPreviewData(null);
-      
-      if (fileInputRef.current) {
-        fileInputRef.current.value = '';
-      }
-    } else {
+    if (!result.success) {
+      setImportResult(result);
       toast.error(result.error || 'Import failed');
+      return;
+    }
+
+    // Review changes against the loaded inventory before replacing it
+    if (stats.hasMainInventory) {
+      setPendingImport(result);
+      return;
+    }
+
+    finishImport(result);
+  };
+
+  // Save the processed import
+  const finishImport = (pending) => {
+    const result = commitMainInventoryImport(pending);
+    if (!result.success) {
+      toast.error(result.error);
+      return;
     }
+
+    setPendingImport(null);
+    setImportResult(result);
+    toast.success(`Successfully imported ${result.statistics.processedRows} items`);
+    resetSelection();
+  };
+
+  // Drop the processed import after review
+  const handleDiscardImport = () => {
+    discardPendingImport(pendingImport);
+    setPendingImport(null);
+    toast('Import cancelled - inventory unchanged');
+    resetSelection();
   };
 
   // Handle clear data
@@ -265,27 +361,24 @@ export default function ImportForm() {
                   </div>
                 </div>
 
-                <button
-                  onClick={handleImport}
-                  disabled={isLoading}
-                  className="bg-[#86EFAC] text-[#00001C] hover:opacity-90 px-4 py-2 rounded-lg flex items-center space-x-2 transition-opacity"
-                >
-                  {isLoading ? (
-                    <>
-                      <Loader2 className="animate-spin h-4 w-4" />
-                      <span>Importing...</span>
-                    </>
-                  ) : (
-                    <>
-                      <Upload className="h-4 w-4" />
-                      <span>Import Data</span>
-                    </>
-                  )}
-                </button>
+                {!isAnalyzing && (
+                  <button
+                    onClick={resetSelection}
+                    disabled={isLoading}
+                    className="text-[#9FA3AC] hover:text-[#FAFCFB] text-sm transition-colors"
+                  >
+                    Remove
+                  </button>
+                )}
               </div>
             </div>
           )}
 
+          {/* Parse / Import Progress */}
+          {importProgress && (
+            <ImportProgress progress={importProgress} onCancel={handleCancel} />
+          )}
+
           {/* Error Display */}
           {error && (
             <div className="mt-4 p-4 bg-red-500/10 border border-red-500/20 rounded-lg">
@@ -312,13 +405,78 @@ export default function ImportForm() {
                 {importResult.statistics.errors > 0 && (
                   <div>❌ {importResult.statistics.errors} errors encountered</div>
                 )}
+                {importResult.statistics.qualityFlagged > 0 && (
+                  <div>⚠ {importResult.statistics.qualityFlagged} items flagged by data-quality rules</div>
+                )}
+                {importResult.statistics.qualityBlocked > 0 && (
+                  <div>⛔ {importResult.statistics.qualityBlocked} rows blocked by data-quality rules</div>
+                )}
+                <div>
+                  ℹ Header row {importResult.statistics.headerRow}
+                  {importResult.statistics.headerDetected ? ' (auto-detected)' : ' (default)'}
+                </div>
+                {importResult.statistics.sheets?.some(sheet => sheet.name) && (
+                  <div>
+                    📑 Sheets: {importResult.statistics.sheets
+                      .map(sheet => `${sheet.name} (${sheet.processedRows})`)
+                      .join(', ')}
+                  </div>
+                )}
+                {importResult.statistics.metadata?.facility && (
+                  <div>🏢 Facility: {importResult.statistics.metadata.facility}</div>
+                )}
+                {importResult.statistics.metadata?.exportDate && (
+                  <div>📅 Exported: {importResult.statistics.metadata.exportDate}</div>
+                )}
+                {importResult.statistics.metadata?.reportName && (
+                  <div>📄 Report: {importResult.statistics.metadata.reportName}</div>
+                )}
               </div>
             </div>
           )}
         </div>
 
+        {/* Rejected rows and duplicates from the last import */}
+        {importResult && importResult.success && (
+          <ImportResultsPanel result={importResult} fileName={importResult.file?.name} />
+        )}
+
+        {/* Sheet Picker */}
+        {mappingAnalysis && selectedFile && !pendingImport && mappingAnalysis.sheets.length > 1 && (
+          <SheetPicker
+            key={selectedFile.name + selectedFile.lastModified + mappingAnalysis.selectedSheets.join('|')}
+            sheets={mappingAnalysis.sheets}
+            selectedSheets={mappingAnalysis.selectedSheets}
+            isLoading={isLoading || isAnalyzing}
+            onConfirm={(sheetNames) => runAnalysis(selectedFile, sheetNames)}
+          />
+        )}
+
+        {/* Column Mapping Step */}
+        {mappingAnalysis && selectedFile && !pendingImport && (
+          <ColumnMappingStep
+            key={selectedFile.name + selectedFile.lastModified + mappingAnalysis.selectedSheets.join('|')}
+            analysis={mappingAnalysis}
+            defaultProfileName={selectedFile.name.replace(/\.[^.]+$/, '')}
+            isLoading={isLoading}
+            onMappingChange={setColumnMapping}
+            onConfirm={handleImport}
+            onCancel={resetSelection}
+          />
+        )}
+
+        {/* Import Diff Review */}
+        {pendingImport && (
+          <ImportDiffReview
+            pendingImport={pendingImport}
+            isLoading={isLoading}
+            onAccept={() => finishImport(pendingImport)}
+            onCancel={handleDiscardImport}
+          />
+        )}
+
         {/* Data Preview */}
-        {previewData && previewData.length > 0 && (
+        {previewData && previewData.length > 0 && !pendingImport && (
           <div className="bg-[#181B22] border border-[#39414E] rounded-xl p-6">
             <h2 className="text-lg font-semibold text-[#FAFCFB] mb-4">Data Preview</h2>
             
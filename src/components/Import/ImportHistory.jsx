@@ -0,0 +1,241 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useInventory } from '../../contexts/InventoryContext.jsx';
+import { useAuth } from '../../contexts/AuthContext.jsx';
+import { DATA_SOURCES, USER_ROLES } from '../../constants.js';
+import {
+  History,
+  ArrowLeft,
+  RotateCcw,
+  Trash2,
+  CheckCircle,
+  AlertCircle,
+  ChevronDown,
+  ChevronRight
+} from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const SOURCE_FILTERS = [
+  { value: 'all', label: 'All Imports' },
+  { value: DATA_SOURCES.MAIN_INVENTORY, label: 'Main Inventory' },
+  { value: DATA_SOURCES.SWEED_REPORT, label: 'Sweed' }
+];
+
+const SOURCE_LABELS = {
+  [DATA_SOURCES.MAIN_INVENTORY]: 'Main Inventory',
+  [DATA_SOURCES.SWEED_REPORT]: 'Sweed'
+};
+
+export default function ImportHistory() {
+  const { getImportHistory, restoreImportSnapshot, deleteImportSnapshot } = useInventory();
+  const { hasAnyRole } = useAuth();
+
+  const [sourceFilter, setSourceFilter] = useState('all');
+  const [expandedId, setExpandedId] = useState(null);
+  const [, setRefreshKey] = useState(0);
+
+  const history = getImportHistory(sourceFilter === 'all' ? null : sourceFilter);
+  const canDelete = hasAnyRole([USER_ROLES.ADMIN, USER_ROLES.MANAGER]);
+
+  // Restore a snapshot as the active dataset
+  const handleRestore = (snapshot) => {
+    const label = SOURCE_LABELS[snapshot.dataSource];
+    if (!window.confirm(`Replace the current ${label} data with version ${snapshot.version} (${snapshot.itemCount} items)?`)) {
+      return;
+    }
+
+    const result = restoreImportSnapshot(snapshot.id);
+    if (result.success) {
+      toast.success(`${label} restored to version ${snapshot.version}`);
+      setRefreshKey(key => key + 1);
+    } else {
+      toast.error(result.error || 'Restore failed');
+    }
+  };
+
+  // Delete a stored snapshot
+  const handleDelete = (snapshot) => {
+    if (!window.confirm(`Delete version ${snapshot.version} (${snapshot.fileName}) from the import history?`)) {
+      return;
+    }
+
+    deleteImportSnapshot(snapshot.id);
+    toast.success('Snapshot deleted');
+    setRefreshKey(key => key + 1);
+  };
+
+  return (
+    <div className="min-h-screen bg-[#15161B] p-6">
+      <div className="max-w-6xl mx-auto space-y-8">
+        {/* Header */}
+        <div className="flex items-center justify-between">
+          <div>
+            <h1 className="text-2xl font-bold text-[#FAFCFB]">Import History</h1>
+          </div>
+
+          <Link
+            to="/dashboard"
+            className="bg-[#181B22] text-[#FAFCFB] border border-[#39414E] hover:bg-[#39414E] px-4 py-2 rounded-lg flex items-center space-x-2 transition-colors"
+          >
+            <ArrowLeft className="h-4 w-4" />
+            <span>Dashboard</span>
+          </Link>
+        </div>
+
+        {/* Snapshot List */}
+        <div className="bg-[#181B22] border border-[#39414E] rounded-xl p-6">
+          <div className="flex items-center justify-between mb-4">
+            <div className="flex items-center space-x-3">
+              <History className="h-5 w-5 text-[#86EFAC]" />
+              <h2 className="text-lg font-semibold text-[#FAFCFB]">Snapshots</h2>
+            </div>
+
+            <select
+              value={sourceFilter}
+              onChange={(e) => setSourceFilter(e.target.value)}
+              className="bg-[#15161B] border border-[#39414E] text-[#FAFCFB] rounded-lg px-3 py-1.5 text-sm focus:border-[#86EFAC] focus:outline-none"
+            >
+              {SOURCE_FILTERS.map(filter => (
+                <option key={filter.value} value={filter.value}>{filter.label}</option>
+              ))}
+            </select>
+          </div>
+
+          {history.length === 0 ? (
+            <div className="p-8 text-center text-[#9FA3AC]">No imports recorded yet</div>
+          ) : (
+            <div className="space-y-2">
+              {history.map(snapshot => {
+                const isExpanded = expandedId === snapshot.id;
+
+                return (
+                  <div
+                    key={snapshot.id}
+                    className={`border rounded-lg ${
+                      snapshot.active ? 'border-[#86EFAC]/40 bg-[#86EFAC]/5' : 'border-[#39414E]'
+                    }`}
+                  >
+                    <div className="flex items-center justify-between p-4">
+                      <button
+                        onClick={() => setExpandedId(isExpanded ? null : snapshot.id)}
+                        className="flex items-start space-x-3 text-left flex-1 min-w-0"
+                      >
+                        {isExpanded ? (
+                          <ChevronDown className="h-4 w-4 mt-1 text-[#9FA3AC] flex-shrink-0" />
+                        ) : (
+                          <ChevronRight className="h-4 w-4 mt-1 text-[#9FA3AC] flex-shrink-0" />
+                        )}
+                        <div className="min-w-0">
+                          <div className="flex items-center space-x-2">
+                            <span className="font-medium text-[#FAFCFB]">
+                              {SOURCE_LABELS[snapshot.dataSource]} v{snapshot.version}
+                            </span>
+                            {snapshot.active && (
+                              <span className="px-2 py-0.5 rounded border text-xs font-medium bg-green-500/10 text-green-400 border-green-500/20">
+                                Active
+                              </span>
+                            )}
+                            {!snapshot.dataAvailable && (
+                              <span className="px-2 py-0.5 rounded border text-xs font-medium bg-red-500/10 text-red-400 border-red-500/20">
+                                Data pruned
+                              </span>
+                            )}
+                          </div>
+                          <div className="text-sm text-[#9FA3AC] truncate">
+                            {snapshot.fileName} • {new Date(snapshot.importedAt).toLocaleString()} • {snapshot.importedBy}
+                          </div>
+                        </div>
+                      </button>
+
+                      <div className="flex items-center space-x-4">
+                        <div className="text-sm text-right text-[#9FA3AC]">
+                          <div className="text-[#FAFCFB]">{snapshot.itemCount.toLocaleString()} items</div>
+                          <div>
+                            {snapshot.statistics.duplicates} duplicates • {snapshot.statistics.errors} errors
+                          </div>
+                        </div>
+
+                        <button
+                          onClick={() => handleRestore(snapshot)}
+                          disabled={snapshot.active || !snapshot.dataAvailable}
+                          className="bg-[#86EFAC] text-[#00001C] hover:opacity-90 disabled:opacity-30 px-3 py-1.5 rounded-lg flex items-center space-x-1 text-sm transition-opacity"
+                        >
+                          <RotateCcw className="h-4 w-4" />
+                          <span>Restore</span>
+                        </button>
+
+                        {canDelete && (
+                          <button
+                            onClick={() => handleDelete(snapshot)}
+                            disabled={snapshot.active}
+                            className="text-[#9FA3AC] hover:text-red-400 disabled:opacity-30 transition-colors"
+                            title="Delete snapshot"
+                          >
+                            <Trash2 className="h-4 w-4" />
+                          </button>
+                        )}
+                      </div>
+                    </div>
+
+                    {/* Details */}
+                    {isExpanded && (
+                      <div className="px-4 pb-4 pl-11 space-y-3 text-sm">
+                        <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+                          <div>
+                            <div className="text-[#9FA3AC]">Total Rows</div>
+                            <div className="text-[#FAFCFB]">{snapshot.statistics.totalRows}</div>
+                          </div>
+                          <div>
+                            <div className="text-[#9FA3AC]">Imported</div>
+                            <div className="text-[#FAFCFB]">{snapshot.statistics.processedRows}</div>
+                          </div>
+                          <div>
+                            <div className="text-[#9FA3AC]">Facility</div>
+                            <div className="text-[#FAFCFB]">{snapshot.statistics.metadata?.facility || '—'}</div>
+                          </div>
+                          <div>
+                            <div className="text-[#9FA3AC]">Sheets</div>
+                            <div className="text-[#FAFCFB]">
+                              {snapshot.statistics.sheets?.some(sheet => sheet.name)
+                                ? snapshot.statistics.sheets.map(sheet => sheet.name).join(', ')
+                                : '—'}
+                            </div>
+                          </div>
+                        </div>
+
+                        {snapshot.errors.length > 0 ? (
+                          <div>
+                            <div className="flex items-center space-x-2 text-red-400 mb-1">
+                              <AlertCircle className="h-4 w-4" />
+                              <span>
+                                Row errors{snapshot.statistics.errors > snapshot.errors.length
+                                  ? ` (first ${snapshot.errors.length} of ${snapshot.statistics.errors})`
+                                  : ''}
+                              </span>
+                            </div>
+                            <div className="max-h-48 overflow-y-auto space-y-1 text-[#9FA3AC]">
+                              {snapshot.errors.map((error, index) => (
+                                <div key={index}>
+                                  {error.sheetName ? `${error.sheetName} ` : ''}Row {error.row}: {error.error}
+                                </div>
+                              ))}
+                            </div>
+                          </div>
+                        ) : (
+                          <div className="flex items-center space-x-2 text-green-400">
+                            <CheckCircle className="h-4 w-4" />
+                            <span>No row errors</span>
+                          </div>
+                        )}
+                      </div>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
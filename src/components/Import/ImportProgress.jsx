@@ -0,0 +1,47 @@
+import React from 'react';
+import { IMPORT_STAGES } from '../../constants.js';
+import { Loader2, X } from 'lucide-react';
+
+const STAGE_LABELS = {
+  [IMPORT_STAGES.READING]: 'Reading file',
+  [IMPORT_STAGES.PARSING]: 'Parsing rows',
+  [IMPORT_STAGES.PROCESSING]: 'Processing items',
+  [IMPORT_STAGES.SAVING]: 'Saving inventory'
+};
+
+export default function ImportProgress({ progress, onCancel }) {
+  const { stage, loaded = 0, total = 0 } = progress || {};
+  const percent = total > 0 ? Math.min(100, Math.round((loaded / total) * 100)) : 0;
+  const showCounts = stage === IMPORT_STAGES.PROCESSING && total > 0;
+
+  return (
+    <div className="mt-4 p-4 bg-[#15161B] border border-[#39414E] rounded-lg">
+      <div className="flex items-center justify-between mb-2">
+        <div className="flex items-center space-x-2 text-sm text-[#FAFCFB]">
+          <Loader2 className="animate-spin h-4 w-4 text-[#86EFAC]" />
+          <span>{STAGE_LABELS[stage] || 'Starting'}...</span>
+          <span className="text-[#9FA3AC]">
+            {showCounts ? `${loaded.toLocaleString()} / ${total.toLocaleString()}` : `${percent}%`}
+          </span>
+        </div>
+
+        {onCancel && stage !== IMPORT_STAGES.SAVING && (
+          <button
+            onClick={onCancel}
+            className="text-[#9FA3AC] hover:text-[#FAFCFB] text-sm flex items-center space-x-1 transition-colors"
+          >
+            <X className="h-4 w-4" />
+            <span>Cancel</span>
+          </button>
+        )}
+      </div>
+
+      <div className="w-full h-2 bg-[#39414E] rounded-full overflow-hidden">
+        <div
+          className="h-full bg-[#86EFAC] transition-all duration-200"
+          style={{ width: `${percent}%` }}
+        />
+      </div>
+    </div>
+  );
+}
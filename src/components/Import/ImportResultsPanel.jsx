@@ -0,0 +1,158 @@
+import React, { useState, useMemo } from 'react';
+import { DataProcessor } from '../../utils/dataProcessor.js';
+import { FileWarning, Download } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+// Rows rendered before "Show all" - exports always include every row
+const INITIAL_ROW_LIMIT = 200;
+
+const EXPORT_COLUMNS = [
+  { key: 'type', header: 'Type' },
+  { key: 'sheetName', header: 'Sheet' },
+  { key: 'row', header: 'Row' },
+  { key: 'firstRow', header: 'First Occurrence Row' },
+  { key: 'sku', header: 'SKU' },
+  { key: 'barcode', header: 'Barcode' },
+  { key: 'productName', header: 'Product Name' },
+  { key: 'reason', header: 'Reason' }
+];
+
+const FILTERS = [
+  { id: 'all', label: 'All' },
+  { id: 'Error', label: 'Errors' },
+  { id: 'Duplicate', label: 'Duplicates' }
+];
+
+export default function ImportResultsPanel({ result, fileName = 'import' }) {
+  const [filter, setFilter] = useState('all');
+  const [showAll, setShowAll] = useState(false);
+
+  const issues = useMemo(() => DataProcessor.buildImportIssueRows(result), [result]);
+  const filtered = filter === 'all' ? issues : issues.filter(issue => issue.type === filter);
+  const visible = showAll ? filtered : filtered.slice(0, INITIAL_ROW_LIMIT);
+  const hasSheets = issues.some(issue => issue.sheetName);
+
+  const counts = {
+    all: issues.length,
+    Error: issues.filter(issue => issue.type === 'Error').length,
+    Duplicate: issues.filter(issue => issue.type === 'Duplicate').length
+  };
+
+  // Download the filtered issue list
+  const handleExport = (format) => {
+    const baseName = `${fileName.replace(/\.[^.]+$/, '')}_import_issues_${new Date().toISOString().split('T')[0]}`;
+
+    const blob = format === 'xlsx'
+      ? new Blob(
+        [DataProcessor.exportToXLSX(filtered, EXPORT_COLUMNS, 'Import Issues')],
+        { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }
+      )
+      : new Blob([DataProcessor.exportToCSV(filtered, EXPORT_COLUMNS)], { type: 'text/csv;charset=utf-8' });
+
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${baseName}.${format}`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+
+    toast.success(`Exported ${filtered.length} rows`);
+  };
+
+  if (issues.length === 0) return null;
+
+  return (
+    <div className="bg-[#181B22] border border-[#39414E] rounded-xl p-6">
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4 mb-4">
+        <div className="flex items-center space-x-3">
+          <FileWarning className="h-5 w-5 text-yellow-400" />
+          <div>
+            <h2 className="text-lg font-semibold text-[#FAFCFB]">Import Issues</h2>
+            <p className="text-sm text-[#9FA3AC]">
+              {counts.Error} rejected rows • {counts.Duplicate} duplicates
+            </p>
+          </div>
+        </div>
+
+        <div className="flex items-center space-x-2">
+          {FILTERS.map(option => (
+            <button
+              key={option.id}
+              onClick={() => setFilter(option.id)}
+              className={`px-3 py-1.5 rounded-lg text-sm transition-colors ${
+                filter === option.id
+                  ? 'bg-[#86EFAC] text-[#00001C]'
+                  : 'text-[#9FA3AC] hover:text-[#FAFCFB] hover:bg-[#39414E]'
+              }`}
+            >
+              {option.label} ({counts[option.id]})
+            </button>
+          ))}
+
+          <button
+            onClick={() => handleExport('csv')}
+            disabled={filtered.length === 0}
+            className="bg-[#181B22] text-[#FAFCFB] border border-[#39414E] hover:bg-[#39414E] disabled:opacity-50 px-3 py-1.5 rounded-lg flex items-center space-x-1 text-sm transition-colors"
+          >
+            <Download className="h-4 w-4" />
+            <span>CSV</span>
+          </button>
+          <button
+            onClick={() => handleExport('xlsx')}
+            disabled={filtered.length === 0}
+            className="bg-[#181B22] text-[#FAFCFB] border border-[#39414E] hover:bg-[#39414E] disabled:opacity-50 px-3 py-1.5 rounded-lg flex items-center space-x-1 text-sm transition-colors"
+          >
+            <Download className="h-4 w-4" />
+            <span>XLSX</span>
+          </button>
+        </div>
+      </div>
+
+      <div className="overflow-x-auto max-h-96 overflow-y-auto">
+        <table className="min-w-full">
+          <thead>
+            <tr className="border-b border-[#39414E]">
+              <th className="px-4 py-2 text-left text-sm font-medium text-[#9FA3AC]">Type</th>
+              {hasSheets && <th className="px-4 py-2 text-left text-sm font-medium text-[#9FA3AC]">Sheet</th>}
+              <th className="px-4 py-2 text-left text-sm font-medium text-[#9FA3AC]">Row</th>
+              <th className="px-4 py-2 text-left text-sm font-medium text-[#9FA3AC]">First Row</th>
+              <th className="px-4 py-2 text-left text-sm font-medium text-[#9FA3AC]">SKU</th>
+              <th className="px-4 py-2 text-left text-sm font-medium text-[#9FA3AC]">Barcode</th>
+              <th className="px-4 py-2 text-left text-sm font-medium text-[#9FA3AC]">Product</th>
+              <th className="px-4 py-2 text-left text-sm font-medium text-[#9FA3AC]">Reason</th>
+            </tr>
+          </thead>
+          <tbody>
+            {visible.map((issue, index) => (
+              <tr key={`${issue.type}_${issue.sheetName}_${issue.row}_${index}`} className="border-b border-[#39414E]">
+                <td className="px-4 py-2 text-sm">
+                  <span className={issue.type === 'Error' ? 'text-red-400' : 'text-yellow-400'}>{issue.type}</span>
+                </td>
+                {hasSheets && <td className="px-4 py-2 text-sm text-[#9FA3AC]">{issue.sheetName || '—'}</td>}
+                <td className="px-4 py-2 text-sm text-[#FAFCFB]">{issue.row}</td>
+                <td className="px-4 py-2 text-sm text-[#9FA3AC]">{issue.firstRow || '—'}</td>
+                <td className="px-4 py-2 text-sm text-[#FAFCFB] font-mono">{issue.sku || '—'}</td>
+                <td className="px-4 py-2 text-sm text-[#FAFCFB] font-mono">{issue.barcode || '—'}</td>
+                <td className="px-4 py-2 text-sm text-[#FAFCFB]">{issue.productName || '—'}</td>
+                <td className="px-4 py-2 text-sm text-[#9FA3AC]">{issue.reason}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {filtered.length > visible.length && (
+        <div className="mt-3 text-center">
+          <button
+            onClick={() => setShowAll(true)}
+            className="text-sm text-[#86EFAC] hover:opacity-80 transition-opacity"
+          >
+            Show all {filtered.length.toLocaleString()} rows
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,111 @@
+import React, { useState } from 'react';
+import { Layers, CheckCircle, AlertCircle } from 'lucide-react';
+
+export default function SheetPicker({
+  sheets,
+  selectedSheets,
+  isLoading = false,
+  onConfirm
+}) {
+  const [selected, setSelected] = useState(() => new Set(selectedSheets));
+
+  const allSelected = selected.size === sheets.length;
+  const isUnchanged = selected.size === selectedSheets.length &&
+    selectedSheets.every(name => selected.has(name));
+
+  // Toggle one sheet
+  const toggleSheet = (name) => {
+    setSelected(prev => {
+      const next = new Set(prev);
+      if (next.has(name)) {
+        next.delete(name);
+      } else {
+        next.add(name);
+      }
+      return next;
+    });
+  };
+
+  // Toggle every sheet
+  const toggleAll = () => {
+    setSelected(allSelected ? new Set() : new Set(sheets.map(sheet => sheet.name)));
+  };
+
+  // Keep workbook order when confirming
+  const handleConfirm = () => {
+    onConfirm(sheets.filter(sheet => selected.has(sheet.name)).map(sheet => sheet.name));
+  };
+
+  return (
+    <div className="bg-[#181B22] border border-[#39414E] rounded-xl p-6">
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center space-x-3">
+          <Layers className="h-5 w-5 text-[#86EFAC]" />
+          <div>
+            <h2 className="text-lg font-semibold text-[#FAFCFB]">Workbook Sheets</h2>
+            <p className="text-sm text-[#9FA3AC]">
+              {sheets.length} sheets found • {selected.size} selected
+            </p>
+          </div>
+        </div>
+
+        <button
+          onClick={toggleAll}
+          className="text-sm text-[#9FA3AC] hover:text-[#FAFCFB] transition-colors"
+        >
+          {allSelected ? 'Clear all' : 'Select all'}
+        </button>
+      </div>
+
+      <div className="space-y-2 mb-4">
+        {sheets.map(sheet => (
+          <label
+            key={sheet.name}
+            className={`flex items-start space-x-3 p-3 rounded-lg border cursor-pointer transition-colors ${
+              selected.has(sheet.name)
+                ? 'border-[#86EFAC]/40 bg-[#86EFAC]/5'
+                : 'border-[#39414E] hover:border-[#9FA3AC]'
+            }`}
+          >
+            <input
+              type="checkbox"
+              checked={selected.has(sheet.name)}
+              onChange={() => toggleSheet(sheet.name)}
+              className="mt-1 rounded border-[#39414E]"
+            />
+            <div className="flex-1 min-w-0">
+              <div className="flex items-center justify-between">
+                <span className="font-medium text-[#FAFCFB]">{sheet.name}</span>
+                <span className="text-sm text-[#9FA3AC]">
+                  {sheet.dataRows.toLocaleString()} data rows • {sheet.columnCount} columns
+                </span>
+              </div>
+              <div className="flex items-center space-x-2 mt-1 text-sm">
+                {sheet.headerDetected ? (
+                  <CheckCircle className="h-4 w-4 text-green-400 flex-shrink-0" />
+                ) : (
+                  <AlertCircle className="h-4 w-4 text-yellow-400 flex-shrink-0" />
+                )}
+                <span className="text-[#9FA3AC] truncate">
+                  {sheet.headerPreview.length > 0
+                    ? `Row ${sheet.headerRow}: ${sheet.headerPreview.slice(0, 6).join(' • ')}${sheet.headerPreview.length > 6 ? ' …' : ''}`
+                    : 'Empty sheet'}
+                </span>
+              </div>
+            </div>
+          </label>
+        ))}
+      </div>
+
+      <div className="flex justify-end pt-4 border-t border-[#39414E]">
+        <button
+          onClick={handleConfirm}
+          disabled={isLoading || selected.size === 0 || isUnchanged}
+          className="bg-[#86EFAC] text-[#00001C] hover:opacity-90 disabled:opacity-50 px-4 py-2 rounded-lg transition-opacity"
+        >
+          Use Selected Sheets
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -1,14 +1,19 @@
-import React, { useState, useRef } from 'react';
+import React, { useState, useRef, useMemo } from 'react';
 import { Link } from 'react-router-dom';
 import { useInventory } from '../../contexts/InventoryContext.jsx';
 import { ValidationHelper } from '../../utils/validation.js';
+import { DataProcessor } from '../../utils/dataProcessor.js';
+import { DATA_SOURCES, IMPORT_STAGES } from '../../constants.js';
+import ColumnMappingStep from './ColumnMappingStep.jsx';
+import ImportProgress from './ImportProgress.jsx';
+import SheetPicker from './SheetPicker.jsx';
+import ImportResultsPanel from './ImportResultsPanel.jsx';
 import { 
   Upload, 
   File, 
   CheckCircle, 
   AlertCircle, 
   ArrowLeft,
-  Loader2,
   Trash2
 } from 'lucide-react';
 import toast from 'react-hot-toast';
@@ -21,19 +26,25 @@ export default function SweedImportForm() {
     isLoading,
     error,
     clearError,
-    getInventoryStats
+    getInventoryStats,
+    analyzeImportFile,
+    cancelImport,
+    saveMappingProfile
   } = useInventory();
 
   const [selectedFile, setSelectedFile] = useState(null);
   const [dragActive, setDragActive] = useState(false);
   const [importResult, setImportResult] = useState(null);
-  const [previewData, setPreviewData] = useState(null);
+  const [mappingAnalysis, setMappingAnalysis] = useState(null);
+  const [columnMapping, setColumnMapping] = useState(null);
+  const [isAnalyzing, setIsAnalyzing] = useState(false);
+  const [importProgress, setImportProgress] = useState(null);
   const fileInputRef = useRef(null);
 
   const stats = getInventoryStats();
 
   // Handle file selection
-  const handleFileSelect = (file) => {
+  const handleFileSelect = async (file) => {
     const validation = ValidationHelper.validateFile(file);
     
     if (!validation.isValid) {
@@ -43,33 +54,74 @@ export default function SweedImportForm() {
 
     setSelectedFile(file);
     setImportResult(null);
+    setMappingAnalysis(null);
     clearError();
     
-    // Generate preview data
-    generatePreview(file);
+    await runAnalysis(file);
   };
 
-  // Generate preview data
-  const generatePreview = async (file) => {
-    try {
-      const text = await file.text();
-      const lines = text.split('\n').slice(2, 22); // Skip headers, show first 20 data rows
-      const preview = lines.map((line, index) => {
-        const columns = line.split(',');
-        return {
-          row: index + 3,
-          product: columns[0] || '',
-          brand: columns[1] || '',
-          sku: columns[4] || '',
-          barcode: columns[5] || '',
-          quantity: columns[7] || '',
-          shipTo: columns[8] || ''
-        };
-      }).filter(row => row.sku || row.barcode); // Only show rows with data
-      
-      setPreviewData(preview);
-    } catch (error) {
-      console.error('Preview generation error:', error);
+  // Parse the file in the import worker and build the column-mapping step
+  const runAnalysis = async (file, sheetNames = null) => {
+    setIsAnalyzing(true);
+    setImportProgress({ stage: IMPORT_STAGES.READING, loaded: 0, total: 0 });
+    const result = await analyzeImportFile(file, DATA_SOURCES.SWEED_REPORT, handleProgress, { sheetNames });
+    setIsAnalyzing(false);
+    setImportProgress(null);
+
+    if (result.cancelled) {
+      resetSelection();
+      return;
+    }
+
+    if (!result.success) {
+      toast.error(result.error || 'Could not read file');
+      return;
+    }
+
+    setMappingAnalysis(result.analysis);
+    setColumnMapping(result.analysis.mapping);
+
+    if (result.profile) {
+      toast.success(`Applied saved mapping profile "${result.profile.name}"`);
+    }
+  };
+
+  // Build preview rows from the parsed file using the current mapping
+  const previewData = useMemo(() => {
+    if (!mappingAnalysis || !columnMapping) return null;
+
+    return mappingAnalysis.previewRows
+      .map((row, index) => ({
+        row: mappingAnalysis.dataStartRow + index,
+        product: DataProcessor.cleanString(row[columnMapping.PRODUCT_NAME]),
+        brand: DataProcessor.cleanString(row[columnMapping.BRAND]),
+        sku: DataProcessor.cleanString(row[columnMapping.SKU]),
+        barcode: DataProcessor.cleanString(row[columnMapping.BARCODE]),
+        quantity: DataProcessor.cleanString(row[columnMapping.QUANTITY]),
+        shipTo: DataProcessor.cleanString(row[columnMapping.SHIP_TO_LOCATION])
+      }))
+      .filter(row => row.sku || row.barcode); // Only show rows with data
+  }, [mappingAnalysis, columnMapping]);
+
+  // Track worker progress for the progress bar
+  const handleProgress = (loaded, total, stage) => {
+    setImportProgress({ stage, loaded, total });
+  };
+
+  // Cancel the running parse or import
+  const handleCancel = () => {
+    cancelImport();
+    setImportProgress(null);
+  };
+
+  // Reset the selected file and mapping step
+  const resetSelection = () => {
+    setSelectedFile(null);
+    setMappingAnalysis(null);
+    setColumnMapping(null);
+    
+    if (fileInputRef.current) {
+      fileInputRef.current.value = '';
     }
   };
 
@@ -105,26 +157,37 @@ export default function SweedImportForm() {
   };
 
   // Handle import
-  const handleImport = async () => {
-    if (!selectedFile) {
+  const handleImport = async ({ mapping, saveProfile, profileName }) => {
+    if (!selectedFile || !mappingAnalysis) {
       toast.error('Please select a file first');
       return;
     }
 
-    const result = await importSweedData(selectedFile, (progress, total) => {
-      console.log(`Import progress: ${progress}/${total}`);
+    let profileId = mappingAnalysis.profileId;
+    if (saveProfile) {
+      const profile = saveMappingProfile(profileName, mappingAnalysis, mapping);
+      profileId = profile.id;
+    }
+
+    setImportProgress({ stage: IMPORT_STAGES.PROCESSING, loaded: 0, total: 0 });
+    const result = await importSweedData(selectedFile, handleProgress, {
+      columnMapping: mapping,
+      signature: mappingAnalysis.signature,
+      sheetNames: mappingAnalysis.selectedSheets,
+      profileId
     });
+    setImportProgress(null);
+
+    if (result.cancelled) {
+      toast('Import cancelled');
+      return;
+    }
 
     setImportResult(result);
 
     if (result.success) {
       toast.success(`Successfully imported ${result.statistics.processedRows} Sweed items`);
-      setSelectedFile(null);
-      setPreviewData(null);
-      
-      if (fileInputRef.current) {
-        fileInputRef.current.value = '';
-      }
+      resetSelection();
     } else {
       toast.error(result.error || 'Import failed');
     }
@@ -265,27 +328,24 @@ export default function SweedImportForm() {
                   </div>
                 </div>
 
-                <button
-                  onClick={handleImport}
-                  disabled={isLoading}
-                  className="bg-[#86EFAC] text-[#00001C] hover:opacity-90 px-4 py-2 rounded-lg flex items-center space-x-2 transition-opacity"
-                >
-                  {isLoading ? (
-                    <>
-                      <Loader2 className="animate-spin h-4 w-4" />
-                      <span>Importing...</span>
-                    </>
-                  ) : (
-                    <>
-                      <Upload className="h-4 w-4" />
-                      <span>Import Sweed Data</span>
-                    </>
-                  )}
-                </button>
+                {!isAnalyzing && (
+                  <button
+                    onClick={resetSelection}
+                    disabled={isLoading}
+                    className="text-[#9FA3AC] hover:text-[#FAFCFB] text-sm transition-colors"
+                  >
+                    Remove
+                  </button>
+                )}
               </div>
             </div>
           )}
 
+          {/* Parse / Import Progress */}
+          {importProgress && (
+            <ImportProgress progress={importProgress} onCancel={handleCancel} />
+          )}
+
           {/* Error Display */}
           {error && (
             <div className="mt-4 p-4 bg-red-500/10 border border-red-500/20 rounded-lg">
@@ -312,11 +372,66 @@ export default function SweedImportForm() {
                 {importResult.statistics.errors > 0 && (
                   <div>❌ {importResult.statistics.errors} errors encountered</div>
                 )}
+                {importResult.statistics.qualityFlagged > 0 && (
+                  <div>⚠ {importResult.statistics.qualityFlagged} items flagged by data-quality rules</div>
+                )}
+                {importResult.statistics.qualityBlocked > 0 && (
+                  <div>⛔ {importResult.statistics.qualityBlocked} rows blocked by data-quality rules</div>
+                )}
+                <div>
+                  ℹ Header row {importResult.statistics.headerRow}
+                  {importResult.statistics.headerDetected ? ' (auto-detected)' : ' (default)'}
+                </div>
+                {importResult.statistics.sheets?.some(sheet => sheet.name) && (
+                  <div>
+                    📑 Sheets: {importResult.statistics.sheets
+                      .map(sheet => `${sheet.name} (${sheet.processedRows})`)
+                      .join(', ')}
+                  </div>
+                )}
+                {importResult.statistics.metadata?.facility && (
+                  <div>🏢 Facility: {importResult.statistics.metadata.facility}</div>
+                )}
+                {importResult.statistics.metadata?.exportDate && (
+                  <div>📅 Exported: {importResult.statistics.metadata.exportDate}</div>
+                )}
+                {importResult.statistics.metadata?.reportName && (
+                  <div>📄 Report: {importResult.statistics.metadata.reportName}</div>
+                )}
               </div>
             </div>
           )}
         </div>
 
+        {/* Rejected rows and duplicates from the last import */}
+        {importResult && importResult.success && (
+          <ImportResultsPanel result={importResult} fileName={importResult.file?.name} />
+        )}
+
+        {/* Sheet Picker */}
+        {mappingAnalysis && selectedFile && mappingAnalysis.sheets.length > 1 && (
+          <SheetPicker
+            key={selectedFile.name + selectedFile.lastModified + mappingAnalysis.selectedSheets.join('|')}
+            sheets={mappingAnalysis.sheets}
+            selectedSheets={mappingAnalysis.selectedSheets}
+            isLoading={isLoading || isAnalyzing}
+            onConfirm={(sheetNames) => runAnalysis(selectedFile, sheetNames)}
+          />
+        )}
+
+        {/* Column Mapping Step */}
+        {mappingAnalysis && selectedFile && (
+          <ColumnMappingStep
+            key={selectedFile.name + selectedFile.lastModified + mappingAnalysis.selectedSheets.join('|')}
+            analysis={mappingAnalysis}
+            defaultProfileName={selectedFile.name.replace(/\.[^.]+$/, '')}
+            isLoading={isLoading}
+            onMappingChange={setColumnMapping}
+            onConfirm={handleImport}
+            onCancel={resetSelection}
+          />
+        )}
+
         {/* Data Preview */}
         {previewData && previewData.length > 0 && (
           <div className="bg-[#181B22] border border-[#39414E] rounded-xl p-6">
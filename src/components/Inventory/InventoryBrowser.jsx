@@ -0,0 +1,440 @@
+import React, { useState, useMemo, useRef } from 'react';
+import { Link } from 'react-router-dom';
+import { useInventory } from '../../contexts/InventoryContext.jsx';
+import { useSession } from '../../contexts/SessionContext.jsx';
+import QualityFlags from '../Common/QualityFlags.jsx';
+import { ArrowLeft, Search, Filter, ArrowUp, ArrowDown, ArrowUpDown, ListPlus, Boxes } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+// Virtualized table sizing - rows have a fixed height so the visible window can be computed
+const ROW_HEIGHT = 48;
+const VIEWPORT_HEIGHT = 600;
+const OVERSCAN = 10;
+
+// Facet values shown before "Show all"
+const FACET_PREVIEW = 8;
+const NO_VALUE = '(None)';
+
+const SOURCE_LABELS = {
+  MainInventory: 'Main Inventory',
+  SweedReport: 'Sweed Report'
+};
+
+// Sweed rows carry the ship-to location instead of a warehouse location
+const itemLocation = item => item.location || item.shipToLocation;
+
+const FACETS = [
+  { id: 'source', label: 'Source', value: item => SOURCE_LABELS[item.source] },
+  { id: 'brand', label: 'Brand', value: item => item.brand },
+  { id: 'category', label: 'Category', value: item => item.category },
+  { id: 'location', label: 'Location', value: item => itemLocation(item) },
+  { id: 'distributor', label: 'Distributor', value: item => item.distributor }
+];
+
+const COLUMNS = [
+  { id: 'sku', label: 'SKU', width: '14%' },
+  { id: 'productName', label: 'Product', width: '26%' },
+  { id: 'brand', label: 'Brand', width: '14%' },
+  { id: 'category', label: 'Category', width: '12%' },
+  { id: 'location', label: 'Location', width: '12%' },
+  { id: 'quantity', label: 'Qty', width: '8%', numeric: true },
+  { id: 'source', label: 'Source', width: '10%' }
+];
+
+const sortValue = (columnId, item) => {
+  if (columnId === 'source') return SOURCE_LABELS[item.source];
+  if (columnId === 'location') return itemLocation(item);
+  return item[columnId];
+};
+
+const facetValue = (facet, item) => facet.value(item) || NO_VALUE;
+
+// Scan-list key for a row - rows sharing barcode and SKU are one scan-list entry
+const selectionKey = item => `${item.source}|${item.barcode}_${item.sku}`;
+
+export default function InventoryBrowser() {
+  const { mainInventory, sweedData, searchProducts } = useInventory();
+  const { scannedItems, scannedSweedItems, addScannedItems, scanBlockedReason } = useSession();
+
+  const [searchTerm, setSearchTerm] = useState('');
+  const [facetFilters, setFacetFilters] = useState({});
+  const [expandedFacets, setExpandedFacets] = useState({});
+  const [sort, setSort] = useState({ column: 'productName', direction: 'asc' });
+  const [selected, setSelected] = useState(() => new Set());
+  const [scrollTop, setScrollTop] = useState(0);
+  const scrollRef = useRef(null);
+
+  // Search both sources through the inventory index, or list everything
+  const searchResults = useMemo(() => {
+    if (searchTerm.trim()) return searchProducts(searchTerm);
+
+    return [
+      ...mainInventory.map(item => ({ ...item, source: 'MainInventory', displaySource: '[MAIN]' })),
+      ...sweedData.map(item => ({ ...item, source: 'SweedReport', displaySource: '[SWEED]' }))
+    ];
+  }, [searchTerm, searchProducts, mainInventory, sweedData]);
+
+  // Rows passing every active facet except the one named
+  const applyFacets = (items, exceptFacetId = null) => {
+    const active = FACETS.filter(facet => facet.id !== exceptFacetId && facetFilters[facet.id]?.length > 0);
+    if (active.length === 0) return items;
+
+    return items.filter(item => active.every(facet => facetFilters[facet.id].includes(facetValue(facet, item))));
+  };
+
+  const filteredRows = useMemo(() => applyFacets(searchResults), [searchResults, facetFilters]);
+
+  // Facet counts ignore the facet's own selection so other values stay pickable
+  const facetCounts = useMemo(() => {
+    const counts = {};
+
+    FACETS.forEach(facet => {
+      const valueCounts = new Map();
+      applyFacets(searchResults, facet.id).forEach(item => {
+        const value = facetValue(facet, item);
+        valueCounts.set(value, (valueCounts.get(value) || 0) + 1);
+      });
+
+      counts[facet.id] = Array.from(valueCounts.entries()).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+    });
+
+    return counts;
+  }, [searchResults, facetFilters]);
+
+  const sortedRows = useMemo(() => {
+    const column = COLUMNS.find(entry => entry.id === sort.column);
+    const direction = sort.direction === 'asc' ? 1 : -1;
+
+    return [...filteredRows].sort((a, b) => {
+      if (column.numeric) return ((a[column.id] || 0) - (b[column.id] || 0)) * direction;
+
+      const left = String(sortValue(column.id, a) || '');
+      const right = String(sortValue(column.id, b) || '');
+      return left.localeCompare(right, undefined, { numeric: true, sensitivity: 'base' }) * direction;
+    });
+  }, [filteredRows, sort]);
+
+  const inScanList = useMemo(() => new Set([
+    ...scannedItems.map(key => `MainInventory|${key}`),
+    ...scannedSweedItems.map(key => `SweedReport|${key}`)
+  ]), [scannedItems, scannedSweedItems]);
+
+  // Visible window of the virtualized table
+  const firstRow = Math.max(0, Math.floor(scrollTop / ROW_HEIGHT) - OVERSCAN);
+  const lastRow = Math.min(sortedRows.length, Math.ceil((scrollTop + VIEWPORT_HEIGHT) / ROW_HEIGHT) + OVERSCAN);
+  const visibleRows = sortedRows.slice(firstRow, lastRow);
+
+  const filteredKeys = useMemo(() => new Set(sortedRows.map(selectionKey)), [sortedRows]);
+  const allFilteredSelected = filteredKeys.size > 0 && Array.from(filteredKeys).every(key => selected.has(key));
+  const activeFacetCount = Object.values(facetFilters).reduce((sum, values) => sum + values.length, 0);
+
+  // Back to the first row - the DOM offset has to move with the window or the old offset shows a blank spacer
+  const resetScroll = () => {
+    if (scrollRef.current) scrollRef.current.scrollTop = 0;
+    setScrollTop(0);
+  };
+
+  // Toggle one facet value
+  const handleFacetToggle = (facetId, value) => {
+    setFacetFilters(prev => {
+      const values = prev[facetId] || [];
+      return {
+        ...prev,
+        [facetId]: values.includes(value) ? values.filter(entry => entry !== value) : [...values, value]
+      };
+    });
+    resetScroll();
+  };
+
+  // Sort by a column, flipping direction on a repeat click
+  const handleSort = (columnId) => {
+    setSort(prev => ({
+      column: columnId,
+      direction: prev.column === columnId && prev.direction === 'asc' ? 'desc' : 'asc'
+    }));
+  };
+
+  const handleRowToggle = (item) => {
+    setSelected(prev => {
+      const next = new Set(prev);
+      const key = selectionKey(item);
+      if (next.has(key)) {
+        next.delete(key);
+      } else {
+        next.add(key);
+      }
+      return next;
+    });
+  };
+
+  // Select or clear every row matching the current search and filters
+  const handleSelectAll = () => {
+    setSelected(prev => {
+      const next = new Set(prev);
+      filteredKeys.forEach(key => (allFilteredSelected ? next.delete(key) : next.add(key)));
+      return next;
+    });
+  };
+
+  // Add the selected rows to the scanning session without scanning them
+  const handleAddToSession = () => {
+    if (scanBlockedReason) {
+      toast.error(scanBlockedReason);
+      return;
+    }
+
+    const items = Array.from(selected).map(key => {
+      const [source, scanKey] = key.split('|');
+      const separator = scanKey.indexOf('_');
+      return { source, barcode: scanKey.slice(0, separator), sku: scanKey.slice(separator + 1) };
+    });
+
+    const added = addScannedItems(items, 'Items added from inventory browser');
+    setSelected(new Set());
+
+    if (added === 0) {
+      toast('All selected items are already in the scan list');
+      return;
+    }
+
+    toast.success(`Added ${added} item${added !== 1 ? 's' : ''} to the scan list`);
+  };
+
+  const SortIcon = ({ columnId }) => {
+    if (sort.column !== columnId) return <ArrowUpDown className="h-3 w-3 opacity-50" />;
+    return sort.direction === 'asc' ? <ArrowUp className="h-3 w-3" /> : <ArrowDown className="h-3 w-3" />;
+  };
+
+  const totalItems = mainInventory.length + sweedData.length;
+
+  return (
+    <div className="min-h-screen bg-[#15161B] p-6">
+      <div className="max-w-6xl mx-auto space-y-8">
+        {/* Header */}
+        <div className="flex items-center justify-between">
+          <div>
+            <h1 className="text-2xl font-bold text-[#FAFCFB]">Inventory Browser</h1>
+          </div>
+
+          <Link
+            to="/dashboard"
+            className="bg-[#181B22] text-[#FAFCFB] border border-[#39414E] hover:bg-[#39414E] px-4 py-2 rounded-lg flex items-center space-x-2 transition-colors"
+          >
+            <ArrowLeft className="h-4 w-4" />
+            <span>Dashboard</span>
+          </Link>
+        </div>
+
+        {totalItems === 0 ? (
+          <div className="bg-[#181B22] border border-[#39414E] rounded-xl p-12 text-center text-[#9FA3AC]">
+            <Boxes className="h-12 w-12 mx-auto mb-4 text-[#39414E]" />
+            <h3 className="text-lg font-medium mb-2 text-[#FAFCFB]">No inventory loaded</h3>
+            <p>Import Main Inventory or a Sweed report to browse products</p>
+          </div>
+        ) : (
+          <div className="grid grid-cols-1 lg:grid-cols-4 gap-6">
+            {/* Facets */}
+            <div className="bg-[#181B22] border border-[#39414E] rounded-xl p-4 space-y-5 lg:max-h-[760px] lg:overflow-y-auto">
+              <div className="flex items-center justify-between">
+                <div className="flex items-center space-x-2">
+                  <Filter className="h-4 w-4 text-[#86EFAC]" />
+                  <h2 className="font-semibold text-[#FAFCFB]">Filters</h2>
+                </div>
+                {activeFacetCount > 0 && (
+                  <button
+                    onClick={() => {
+                      setFacetFilters({});
+                      resetScroll();
+                    }}
+                    className="text-xs text-[#86EFAC] hover:opacity-80 transition-opacity"
+                  >
+                    Clear ({activeFacetCount})
+                  </button>
+                )}
+              </div>
+
+              {FACETS.map(facet => {
+                const values = facetCounts[facet.id] || [];
+                const selectedValues = facetFilters[facet.id] || [];
+                const expanded = expandedFacets[facet.id];
+                const shown = expanded ? values : values.slice(0, FACET_PREVIEW);
+
+                if (values.length === 0) return null;
+
+                return (
+                  <div key={facet.id}>
+                    <h3 className="text-sm font-medium text-[#9FA3AC] mb-2">{facet.label}</h3>
+                    <div className="space-y-1">
+                      {shown.map(([value, count]) => (
+                        <label key={value} className="flex items-center justify-between text-sm cursor-pointer group">
+                          <span className="flex items-center space-x-2 min-w-0">
+                            <input
+                              type="checkbox"
+                              checked={selectedValues.includes(value)}
+                              onChange={() => handleFacetToggle(facet.id, value)}
+                              className="accent-[#86EFAC]"
+                            />
+                            <span className="truncate text-[#FAFCFB] group-hover:text-[#86EFAC]">{value}</span>
+                          </span>
+                          <span className="text-xs text-[#9FA3AC] ml-2">{count.toLocaleString()}</span>
+                        </label>
+                      ))}
+                    </div>
+                    {values.length > FACET_PREVIEW && (
+                      <button
+                        onClick={() => setExpandedFacets(prev => ({ ...prev, [facet.id]: !expanded }))}
+                        className="mt-1 text-xs text-[#86EFAC] hover:opacity-80 transition-opacity"
+                      >
+                        {expanded ? 'Show fewer' : `Show all ${values.length}`}
+                      </button>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+
+            {/* Results */}
+            <div className="lg:col-span-3 bg-[#181B22] border border-[#39414E] rounded-xl p-4 space-y-4">
+              <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-3">
+                <div className="relative flex-1">
+                  <Search className="h-4 w-4 text-[#9FA3AC] absolute left-3 top-1/2 -translate-y-1/2" />
+                  <input
+                    type="text"
+                    value={searchTerm}
+                    onChange={(e) => {
+                      setSearchTerm(e.target.value);
+                      resetScroll();
+                    }}
+                    placeholder="Search name, brand, strain, SKU, barcode, BioTrack..."
+                    className="w-full bg-[#15161B] border border-[#39414E] text-[#FAFCFB] rounded-lg pl-9 pr-3 py-2 text-sm focus:border-[#86EFAC] focus:outline-none"
+                    autoFocus
+                  />
+                </div>
+
+                <button
+                  onClick={handleAddToSession}
+                  disabled={selected.size === 0}
+                  className="bg-[#86EFAC] text-[#00001C] hover:opacity-90 disabled:opacity-50 px-4 py-2 rounded-lg flex items-center space-x-2 transition-opacity"
+                >
+                  <ListPlus className="h-4 w-4" />
+                  <span>Add {selected.size.toLocaleString()} to Scan List</span>
+                </button>
+              </div>
+
+              <div className="flex items-center justify-between text-sm text-[#9FA3AC]">
+                <span>
+                  {sortedRows.length.toLocaleString()} of {totalItems.toLocaleString()} items
+                  {selected.size > 0 && ` • ${selected.size.toLocaleString()} selected`}
+                </span>
+                <Link to="/scanning" className="text-[#86EFAC] hover:opacity-80 transition-opacity">
+                  Go to Scanning
+                </Link>
+              </div>
+
+              {/* Virtualized Table */}
+              <table className="min-w-full table-fixed">
+                <colgroup>
+                  <col style={{ width: '4%' }} />
+                  {COLUMNS.map(column => <col key={column.id} style={{ width: column.width }} />)}
+                </colgroup>
+                <thead>
+                  <tr className="border-b border-[#39414E]">
+                    <th className="px-2 py-2 text-left">
+                      <input
+                        type="checkbox"
+                        checked={allFilteredSelected}
+                        onChange={handleSelectAll}
+                        disabled={sortedRows.length === 0}
+                        className="accent-[#86EFAC]"
+                        title="Select all matching rows"
+                      />
+                    </th>
+                    {COLUMNS.map(column => (
+                      <th key={column.id} className="px-2 py-2 text-left text-sm font-medium text-[#9FA3AC]">
+                        <button
+                          onClick={() => handleSort(column.id)}
+                          className="flex items-center space-x-1 hover:text-[#FAFCFB] transition-colors"
+                        >
+                          <span>{column.label}</span>
+                          <SortIcon columnId={column.id} />
+                        </button>
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+              </table>
+
+              {sortedRows.length === 0 ? (
+                <div className="p-6 text-center text-sm text-[#9FA3AC]">No items match the search and filters</div>
+              ) : (
+                <div
+                  ref={scrollRef}
+                  className="overflow-y-auto"
+                  style={{ height: Math.min(VIEWPORT_HEIGHT, sortedRows.length * ROW_HEIGHT) }}
+                  onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+                >
+                  <table className="min-w-full table-fixed">
+                    <colgroup>
+                      <col style={{ width: '4%' }} />
+                      {COLUMNS.map(column => <col key={column.id} style={{ width: column.width }} />)}
+                    </colgroup>
+                    <tbody>
+                      {firstRow > 0 && <tr style={{ height: firstRow * ROW_HEIGHT }} />}
+                      {visibleRows.map((item, offset) => {
+                        const key = selectionKey(item);
+                        const isSelected = selected.has(key);
+
+                        return (
+                          <tr
+                            key={`${key}_${firstRow + offset}`}
+                            onClick={() => handleRowToggle(item)}
+                            style={{ height: ROW_HEIGHT }}
+                            className={`border-b border-[#39414E] cursor-pointer transition-colors ${
+                              isSelected ? 'bg-[#86EFAC]/5' : 'hover:bg-[#39414E]/50'
+                            }`}
+                          >
+                            <td className="px-2">
+                              <input
+                                type="checkbox"
+                                checked={isSelected}
+                                onChange={() => handleRowToggle(item)}
+                                onClick={(e) => e.stopPropagation()}
+                                className="accent-[#86EFAC]"
+                              />
+                            </td>
+                            <td className="px-2 text-sm text-[#FAFCFB] font-mono truncate" title={item.barcode}>{item.sku}</td>
+                            <td className="px-2 text-sm">
+                              <div className="flex items-center space-x-2 min-w-0">
+                                <span className="truncate text-[#FAFCFB]" title={item.productName}>{item.productName || '—'}</span>
+                                {inScanList.has(key) && (
+                                  <span className="shrink-0 px-1.5 py-0.5 rounded border text-xs bg-green-500/10 text-green-400 border-green-500/20">
+                                    Scanned
+                                  </span>
+                                )}
+                                {item.qualityFlags && item.qualityFlags.length > 0 && (
+                                  <span className="shrink-0" title={item.qualityFlags.map(flag => flag.message).join('\n')}>
+                                    <QualityFlags flags={item.qualityFlags.slice(0, 1)} compact />
+                                  </span>
+                                )}
+                              </div>
+                            </td>
+                            <td className="px-2 text-sm text-[#9FA3AC] truncate">{item.brand || '—'}</td>
+                            <td className="px-2 text-sm text-[#9FA3AC] truncate">{item.category || '—'}</td>
+                            <td className="px-2 text-sm text-[#9FA3AC] truncate">{itemLocation(item) || '—'}</td>
+                            <td className="px-2 text-sm text-[#FAFCFB]">{item.quantity}</td>
+                            <td className="px-2 text-sm text-[#9FA3AC] truncate">{item.displaySource}</td>
+                          </tr>
+                        );
+                      })}
+                      {lastRow < sortedRows.length && <tr style={{ height: (sortedRows.length - lastRow) * ROW_HEIGHT }} />}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,38 @@
+import React, { useEffect, useRef } from 'react';
+import { LabelTemplateEngine } from '../../utils/labelTemplateEngine.js';
+
+// One label drawn by the template engine - the same drawing the PDF embeds
+export default function LabelCanvas({ template, values, scale = 1, debug = false }) {
+  const canvasRef = useRef(null);
+  const { width, height } = template.label;
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return undefined;
+
+    let cancelled = false;
+    const pixelRatio = (window.devicePixelRatio || 1) * scale;
+
+    canvas.width = Math.round(width * pixelRatio);
+    canvas.height = Math.round(height * pixelRatio);
+
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+
+    LabelTemplateEngine.renderToCanvas(ctx, template, values, { debug }).catch(error => {
+      if (!cancelled) console.error('❌ Label preview drawing failed:', error);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [template, values, scale, debug, width, height]);
+
+  return (
+    <canvas
+      ref={canvasRef}
+      style={{ width: width * scale, height: height * scale }}
+      className="block bg-white shadow"
+    />
+  );
+}
@@ -5,6 +5,11 @@ import { useSession } from '../../contexts/SessionContext.jsx';
 import { useAuth } from '../../contexts/AuthContext.jsx';
 import { ValidationHelper } from '../../utils/validation.js';
 import { PDFGenerator } from '../../utils/pdfGenerator.js';
+import { LabelTemplateEngine } from '../../utils/labelTemplateEngine.js';
+import { LabelStocks } from '../../utils/labelStocks.js';
+import { LABEL_TEMPLATES, LABEL_STOCKS, PDF_RENDERING, PDF_RENDER_MODE_LABELS } from '../../constants.js';
+import LabelPreview from './LabelPreview.jsx';
+import ZPLPreview from './ZPLPreview.jsx';
 import { 
   ArrowLeft, 
   Settings,
@@ -16,19 +21,28 @@ import {
   Hash,
   Package,
   Calendar,
-  Eye
+  Eye,
+  FileCode
 } from 'lucide-react';
 import toast from 'react-hot-toast';
 
+// Stock picker sections
+const STOCK_GROUPS = [
+  { label: 'Current', matches: stock => !stock.legacy && !stock.custom },
+  { label: 'Legacy', matches: stock => stock.legacy },
+  { label: 'Custom', matches: stock => stock.custom }
+];
+
 export default function LabelGenerationForm() {
-  const { mainInventory, sweedData } = useInventory();
+  const { mainInventory, sweedData, getLabelStocks } = useInventory();
   const { 
     getLabelGenerationItems, 
     setEnhancedDataForSKU, 
     getEnhancedDataForSKU,
     clearEnhancedDataForSKU,
     clearAllEnhancedData,
-    getSessionStats
+    getSessionStats,
+    scanBlockedReason
   } = useSession();
   const { user } = useAuth();
 
@@ -44,9 +58,19 @@ export default function LabelGenerationForm() {
   });
   const [validationErrors, setValidationErrors] = useState({});
   const [hasUnsavedChanges, setHasUnsavedChanges] = useState(false);
+  const [stockId, setStockId] = useState(LABEL_STOCKS.DEFAULT_ID);
+  const [templateId, setTemplateId] = useState(LABEL_TEMPLATES.DEFAULT_ID);
+  const [renderMode, setRenderMode] = useState(PDF_RENDERING.DEFAULT_MODE);
+  const [showPreview, setShowPreview] = useState(false);
+  const [zplBatch, setZplBatch] = useState(null);
 
   const sessionStats = getSessionStats();
 
+  const labelStocks = getLabelStocks();
+  const stock = LabelStocks.getStock(stockId, labelStocks.filter(option => option.custom));
+  const stockTemplates = LabelTemplateEngine.getTemplatesForStock(stock);
+  const hasTemplate = stockTemplates.some(template => template.id === templateId);
+
   // FIXED: Field name mapping for consistency
   const FIELD_MAPPING = {
     labelQuantity: 'labelQuantity',
@@ -60,7 +84,7 @@ export default function LabelGenerationForm() {
   useEffect(() => {
     const items = getLabelGenerationItems(mainInventory, sweedData);
     setLabelItems(items);
-  }, [mainInventory, sweedData, getLabelGenerationItems, sessionStats.totalItemsScanned]);
+  }, [mainInventory, sweedData, getLabelGenerationItems, sessionStats.totalItemsScanned, sessionStats.totalUnitsPicked]);
 
   // Handle item selection
   const handleItemSelect = (item) => {
@@ -106,6 +130,10 @@ export default function LabelGenerationForm() {
   // FIXED: Save individual field with consistent naming
   const saveField = (field, value) => {
     if (!selectedItem) return;
+    if (scanBlockedReason) {
+      toast.error(scanBlockedReason);
+      return;
+    }
 
     let validation = { isValid: true, error: '' };
 
@@ -152,6 +180,10 @@ export default function LabelGenerationForm() {
   // NEW: Save all fields at once
   const saveAllFields = () => {
     if (!selectedItem) return;
+    if (scanBlockedReason) {
+      toast.error(scanBlockedReason);
+      return;
+    }
 
     const fields = Object.keys(enhancedData);
     let hasErrors = false;
@@ -225,6 +257,19 @@ export default function LabelGenerationForm() {
     return names[field] || field;
   };
 
+  // Saved label data for an item, read with the consistent field names
+  const buildLabelData = (item) => ({
+    ...item,
+    enhancedData: {
+      labelQuantity: getEnhancedDataForSKU(item.sku, FIELD_MAPPING.labelQuantity) || '1',
+      caseQuantity: getEnhancedDataForSKU(item.sku, FIELD_MAPPING.caseQuantity) || '',
+      boxCount: getEnhancedDataForSKU(item.sku, FIELD_MAPPING.boxCount) || '',
+      harvestDate: getEnhancedDataForSKU(item.sku, FIELD_MAPPING.harvestDate) || '',
+      packagedDate: getEnhancedDataForSKU(item.sku, FIELD_MAPPING.packagedDate) || ''
+    },
+    user: user?.username || 'Unknown'
+  });
+
   // FIXED: Generate PDF with consistent field names
   const handleGeneratePDF = async () => {
     if (!selectedItem) {
@@ -249,25 +294,12 @@ export default function LabelGenerationForm() {
     setIsGenerating(true);
 
     try {
-      // FIXED: Use consistent field names for retrieval
-      const savedData = {
-        labelQuantity: getEnhancedDataForSKU(selectedItem.sku, FIELD_MAPPING.labelQuantity) || '1',
-        caseQuantity: getEnhancedDataForSKU(selectedItem.sku, FIELD_MAPPING.caseQuantity) || '',
-        boxCount: getEnhancedDataForSKU(selectedItem.sku, FIELD_MAPPING.boxCount) || '',
-        harvestDate: getEnhancedDataForSKU(selectedItem.sku, FIELD_MAPPING.harvestDate) || '',
-        packagedDate: getEnhancedDataForSKU(selectedItem.sku, FIELD_MAPPING.packagedDate) || ''
-      };
-
-      const labelData = {
-        ...selectedItem,
-        enhancedData: savedData,
-        user: user?.username || 'Unknown'
-      };
+      const labelData = buildLabelData(selectedItem);
 
       console.log('🏷️ Generating PDF with data:', labelData); // Debug log
 
       // Validate before generation
-      const pdfValidation = PDFGenerator.validateGenerationData([labelData]);
+      const pdfValidation = PDFGenerator.validateGenerationData([labelData], stock, templateId);
       if (!pdfValidation.isValid) {
         throw new Error(pdfValidation.errors.join(', '));
       }
@@ -277,7 +309,7 @@ export default function LabelGenerationForm() {
       }
 
       // Generate PDF
-      const pdfBlob = await PDFGenerator.generateLabels([labelData]);
+      const pdfBlob = await PDFGenerator.generateLabels([labelData], { currentUser: labelData.user, stock, templateId, renderMode });
       
       // Create download link
       const url = URL.createObjectURL(pdfBlob);
@@ -311,23 +343,12 @@ export default function LabelGenerationForm() {
     setIsGenerating(true);
 
     try {
-      // FIXED: Use consistent field names for all items
-      const labelDataArray = configuredItems.map(item => ({
-        ...item,
-        enhancedData: {
-          labelQuantity: getEnhancedDataForSKU(item.sku, FIELD_MAPPING.labelQuantity) || '1',
-          caseQuantity: getEnhancedDataForSKU(item.sku, FIELD_MAPPING.caseQuantity) || '',
-          boxCount: getEnhancedDataForSKU(item.sku, FIELD_MAPPING.boxCount) || '',
-          harvestDate: getEnhancedDataForSKU(item.sku, FIELD_MAPPING.harvestDate) || '',
-          packagedDate: getEnhancedDataForSKU(item.sku, FIELD_MAPPING.packagedDate) || ''
-        },
-        user: user?.username || 'Unknown'
-      }));
+      const labelDataArray = configuredItems.map(buildLabelData);
 
       console.log('🏷️ Generating all labels with data:', labelDataArray); // Debug log
 
       // Validate before generation
-      const pdfValidation = PDFGenerator.validateGenerationData(labelDataArray);
+      const pdfValidation = PDFGenerator.validateGenerationData(labelDataArray, stock, templateId);
       if (!pdfValidation.isValid) {
         throw new Error(pdfValidation.errors.join(', '));
       }
@@ -337,7 +358,7 @@ export default function LabelGenerationForm() {
       }
 
       // Generate PDF
-      const pdfBlob = await PDFGenerator.generateLabels(labelDataArray);
+      const pdfBlob = await PDFGenerator.generateLabels(labelDataArray, { currentUser: user?.username || 'Unknown', stock, templateId, renderMode });
       
       // Create download link
       const url = URL.createObjectURL(pdfBlob);
@@ -360,8 +381,44 @@ export default function LabelGenerationForm() {
   };
 
   // Clear enhanced data for selected item
+  // Open the ZPL preview for the selected item
+  const handleOpenZPL = () => {
+    if (!selectedItem) {
+      toast.error('Please select an item first');
+      return;
+    }
+
+    if (hasUnsavedChanges) {
+      saveAllFields();
+    }
+
+    setZplBatch({
+      labelDataArray: [buildLabelData(selectedItem)],
+      fileName: `labels_${selectedItem.sku}_${new Date().toISOString().slice(0, 10)}`
+    });
+  };
+
+  // Open the ZPL preview for every configured item
+  const handleOpenAllZPL = () => {
+    const configuredItems = labelItems.filter(item => item.hasEnhancedData);
+
+    if (configuredItems.length === 0) {
+      toast.error('No items have been configured for labeling');
+      return;
+    }
+
+    setZplBatch({
+      labelDataArray: configuredItems.map(buildLabelData),
+      fileName: `all_labels_${new Date().toISOString().slice(0, 10)}`
+    });
+  };
+
   const handleClearItemData = () => {
     if (!selectedItem) return;
+    if (scanBlockedReason) {
+      toast.error(scanBlockedReason);
+      return;
+    }
 
     if (window.confirm(`Clear all enhanced data for ${selectedItem.sku}?`)) {
       // Clear from storage
@@ -391,6 +448,11 @@ export default function LabelGenerationForm() {
 
   // Clear all enhanced data
   const handleClearAllData = () => {
+    if (scanBlockedReason) {
+      toast.error(scanBlockedReason);
+      return;
+    }
+
     if (window.confirm('Clear ALL enhanced data for ALL scanned items? This cannot be undone.')) {
       clearAllEnhancedData();
       
@@ -416,6 +478,17 @@ export default function LabelGenerationForm() {
   };
 
   // Refresh items list
+  // Switch label stock - keep the template if it fits, otherwise take the first one that does
+  const handleStockChange = (nextStockId) => {
+    const nextStock = LabelStocks.getStock(nextStockId, labelStocks.filter(option => option.custom));
+    setStockId(nextStock.id);
+
+    const fits = LabelTemplateEngine.getTemplatesForStock(nextStock);
+    if (fits.length > 0 && !fits.some(template => template.id === templateId)) {
+      setTemplateId(fits[0].id);
+    }
+  };
+
   const handleRefresh = () => {
     const updatedItems = getLabelGenerationItems(mainInventory, sweedData);
     setLabelItems(updatedItems);
@@ -474,7 +547,7 @@ export default function LabelGenerationForm() {
             {configuredItemsCount > 0 && (
               <button
                 onClick={handleGenerateAllLabels}
-                disabled={isGenerating}
+                disabled={isGenerating || !hasTemplate}
                 className="bg-[#86EFAC] text-[#00001C] hover:opacity-90 disabled:opacity-50 px-4 py-2 rounded-lg flex items-center space-x-2 transition-opacity"
               >
                 {isGenerating ? (
@@ -491,6 +564,17 @@ export default function LabelGenerationForm() {
               </button>
             )}
 
+            {configuredItemsCount > 0 && (
+              <button
+                onClick={handleOpenAllZPL}
+                disabled={!hasTemplate}
+                className="bg-[#181B22] text-[#FAFCFB] border border-[#39414E] hover:bg-[#39414E] disabled:opacity-50 px-4 py-2 rounded-lg flex items-center space-x-2 transition-colors"
+              >
+                <FileCode className="h-4 w-4" />
+                <span>ZPL All ({configuredItemsCount})</span>
+              </button>
+            )}
+
             <Link
               to="/dashboard"
               className="bg-[#181B22] text-[#FAFCFB] border border-[#39414E] hover:bg-[#39414E] px-4 py-2 rounded-lg flex items-center space-x-2 transition-colors"
@@ -546,6 +630,7 @@ export default function LabelGenerationForm() {
                             <div className="text-sm text-[#9FA3AC] truncate max-w-xs">
                               {item.productName}
                             </div>
+                            <div className="text-xs text-[#9FA3AC]">Picked: {item.pickedQuantity || 1}</div>
                           </div>
                         </div>
 
@@ -747,9 +832,84 @@ export default function LabelGenerationForm() {
 
                   {/* Action Buttons */}
                   <div className="space-y-2 pt-4 border-t border-[#39414E]">
+                    <label className="block text-sm font-medium text-[#FAFCFB]">Label Stock:</label>
+                    <select
+                      value={stock.id}
+                      onChange={(e) => handleStockChange(e.target.value)}
+                      className="w-full bg-[#15161B] border border-[#39414E] text-[#FAFCFB] rounded-lg px-3 py-2 focus:border-[#86EFAC] focus:outline-none transition-colors"
+                    >
+                      {STOCK_GROUPS.map(group => {
+                        const options = labelStocks.filter(group.matches);
+                        return options.length > 0 && (
+                          <optgroup key={group.label} label={group.label}>
+                            {options.map(option => (
+                              <option key={option.id} value={option.id}>
+                                {option.name} - {LabelStocks.formatSize(option.label)}
+                              </option>
+                            ))}
+                          </optgroup>
+                        );
+                      })}
+                    </select>
+                    <div className="text-xs text-[#9FA3AC]">
+                      {LabelStocks.getLabelsPerSheet(stock)} per {LabelStocks.formatSize(stock.page)} sheet
+                      {stock.rotation === 90 && ' • turn the sheet to read'}
+                      {stock.legacy && ` • legacy, replaced by ${stock.replacedBy}`}
+                    </div>
+
+                    <label className="block text-sm font-medium text-[#FAFCFB] pt-2">Label Template:</label>
+                    {stockTemplates.length > 0 ? (
+                      <select
+                        value={templateId}
+                        onChange={(e) => setTemplateId(e.target.value)}
+                        className="w-full bg-[#15161B] border border-[#39414E] text-[#FAFCFB] rounded-lg px-3 py-2 focus:border-[#86EFAC] focus:outline-none transition-colors"
+                      >
+                        {stockTemplates.map(template => (
+                          <option key={template.id} value={template.id}>
+                            {template.name}
+                          </option>
+                        ))}
+                      </select>
+                    ) : (
+                      <div className="text-sm text-yellow-400">
+                        No label template is drawn for {LabelStocks.formatSize(stock.label)} labels
+                      </div>
+                    )}
+
+                    <label className="block text-sm font-medium text-[#FAFCFB] pt-2">PDF Rendering:</label>
+                    <select
+                      value={renderMode}
+                      onChange={(e) => setRenderMode(e.target.value)}
+                      className="w-full bg-[#15161B] border border-[#39414E] text-[#FAFCFB] rounded-lg px-3 py-2 focus:border-[#86EFAC] focus:outline-none transition-colors"
+                    >
+                      {Object.values(PDF_RENDERING.MODES).map(mode => (
+                        <option key={mode} value={mode}>
+                          {PDF_RENDER_MODE_LABELS[mode]}
+                        </option>
+                      ))}
+                    </select>
+
+                    <button
+                      onClick={() => setShowPreview(true)}
+                      disabled={!hasTemplate}
+                      className="w-full bg-[#181B22] text-[#FAFCFB] border border-[#39414E] hover:bg-[#39414E] disabled:opacity-50 py-2 rounded-lg flex items-center justify-center space-x-2 transition-colors"
+                    >
+                      <Eye className="h-4 w-4" />
+                      <span>Preview Labels</span>
+                    </button>
+
+                    <button
+                      onClick={handleOpenZPL}
+                      disabled={!hasTemplate}
+                      className="w-full bg-[#181B22] text-[#FAFCFB] border border-[#39414E] hover:bg-[#39414E] disabled:opacity-50 py-2 rounded-lg flex items-center justify-center space-x-2 transition-colors"
+                    >
+                      <FileCode className="h-4 w-4" />
+                      <span>Zebra ZPL</span>
+                    </button>
+
                     <button
                       onClick={handleGeneratePDF}
-                      disabled={isGenerating}
+                      disabled={isGenerating || !hasTemplate}
                       className="w-full bg-[#86EFAC] text-[#00001C] hover:opacity-90 disabled:opacity-50 py-2 rounded-lg flex items-center justify-center space-x-2 transition-opacity"
                     >
                       {isGenerating ? (
@@ -789,6 +949,29 @@ export default function LabelGenerationForm() {
           </div>
         </div>
       </div>
+
+      {showPreview && selectedItem && (
+        <LabelPreview
+          item={selectedItem}
+          enhancedData={enhancedData}
+          user={user}
+          stock={stock}
+          templateId={templateId}
+          onTemplateChange={setTemplateId}
+          renderMode={renderMode}
+          onClose={() => setShowPreview(false)}
+        />
+      )}
+
+      {zplBatch && (
+        <ZPLPreview
+          labelDataArray={zplBatch.labelDataArray}
+          templateId={templateId}
+          currentUser={user?.username || 'Unknown'}
+          fileName={zplBatch.fileName}
+          onClose={() => setZplBatch(null)}
+        />
+      )}
     </div>
   );
 }
\ No newline at end of file
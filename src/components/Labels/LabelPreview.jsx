@@ -1,6 +1,10 @@
-import React, { useState } from 'react';
-import UlineS5627Label from './UlineS5627Label.jsx';
+import React, { useState, useMemo } from 'react';
+import LabelCanvas from './LabelCanvas.jsx';
+import LabelSheetDiagram from './LabelSheetDiagram.jsx';
 import { PDFGenerator } from '../../utils/pdfGenerator.js';
+import { LabelTemplateEngine } from '../../utils/labelTemplateEngine.js';
+import { LabelStocks } from '../../utils/labelStocks.js';
+import { PDF_RENDERING, PDF_RENDER_MODE_LABELS } from '../../constants.js';
 import { 
   X, 
   Download, 
@@ -10,32 +14,73 @@ import {
   AlertCircle,
   CheckCircle,
   Maximize2,
-  Minimize2
+  Minimize2,
+  Columns
 } from 'lucide-react';
 import toast from 'react-hot-toast';
 
-export default function LabelPreview({ item, enhancedData, user, onClose }) {
+export default function LabelPreview({ item, enhancedData, user, stock = LabelStocks.getStock(), templateId, onTemplateChange, renderMode = PDF_RENDERING.DEFAULT_MODE, onClose }) {
   const [isGenerating, setIsGenerating] = useState(false);
+  const [isComparing, setIsComparing] = useState(false);
   const [showAllLabels, setShowAllLabels] = useState(false);
   const [isExpanded, setIsExpanded] = useState(false);
 
+  const templates = LabelTemplateEngine.getTemplatesForStock(stock);
+  const template = LabelTemplateEngine.getTemplate(templateId);
+  const username = user?.username || 'Unknown';
+
+  // Same formatting the PDF applies, so the preview matches the printed label
+  const formattedData = useMemo(
+    () => PDFGenerator.formatLabelDataForS12212(item, enhancedData || {}, username),
+    [item, enhancedData, username]
+  );
+
   // Calculate how many labels to generate
-  const labelQuantity = parseInt(enhancedData?.labelQuantity || '1');
-  const totalBoxes = parseInt(enhancedData?.boxCount || '1');
+  const labelQuantity = formattedData.labelQuantity;
+  const totalBoxes = formattedData.boxCount;
+  const labelSize = `${LabelStocks.formatSize(stock.label)} (${stock.label.width}pt × ${stock.label.height}pt)`;
+  const labelsPerSheet = LabelStocks.getLabelsPerSheet(stock);
+  const sheetCount = LabelStocks.getSheetCount(stock, labelQuantity);
+
+  const buildLabelData = () => ({
+    ...item,
+    enhancedData,
+    user: username,
+    timestamp: new Date().toISOString()
+  });
+
+  // Raster and vector rendering of this label side by side, opened in a new tab
+  const handleCompareRendering = async () => {
+    setIsComparing(true);
+
+    try {
+      const pdfBlob = await PDFGenerator.generateComparisonPDF([buildLabelData()], { currentUser: username, stock, templateId: template.id });
+      const url = URL.createObjectURL(pdfBlob);
+
+      // Popup blockers can refuse a tab opened after the PDF is built - download it instead
+      if (!window.open(url, '_blank')) {
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `label_rendering_${item.sku}.pdf`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+      }
+      setTimeout(() => URL.revokeObjectURL(url), 60000);
+    } catch (error) {
+      console.error('Comparison PDF error:', error);
+      toast.error('Failed to compare rendering: ' + error.message);
+    } finally {
+      setIsComparing(false);
+    }
+  };
 
   // Generate PDF
   const handleGeneratePDF = async () => {
     setIsGenerating(true);
     
     try {
-      const labelData = {
-        ...item,
-        enhancedData,
-        user: user?.username || 'Unknown',
-        timestamp: new Date().toISOString()
-      };
-
-      const pdfBlob = await PDFGenerator.generateLabels([labelData]);
+      const pdfBlob = await PDFGenerator.generateLabels([buildLabelData()], { currentUser: username, stock, templateId: template.id, renderMode });
       
       // Create download link
       const url = URL.createObjectURL(pdfBlob);
@@ -69,21 +114,18 @@ export default function LabelPreview({ item, enhancedData, user, onClose }) {
     
     for (let i = 0; i < displayCount; i++) {
       // Calculate box number for this label
-      const currentBox = Math.floor(i / Math.max(1, Math.floor(labelQuantity / totalBoxes))) + 1;
+      const currentBox = PDFGenerator.getBoxNumber(i, formattedData);
       
       labels.push(
         <div key={i} className="border-2 border-[#39414E] rounded-lg overflow-hidden bg-[#181B22]">
           <div className="bg-[#15161B] px-2 py-1 text-xs font-medium text-[#9FA3AC]">
             Label {i + 1} of {labelQuantity}
           </div>
-          <div className="p-2">
-            <UlineS5627Label 
-              item={item}
-              enhancedData={enhancedData}
-              user={user}
-              boxNumber={currentBox}
-              totalBoxes={totalBoxes}
-              preview={true}
+          <div className="p-4 flex justify-center">
+            <LabelCanvas
+              template={template}
+              values={PDFGenerator.buildTemplateValues(formattedData, currentBox, totalBoxes, username)}
+              scale={0.75}
             />
           </div>
         </div>
@@ -116,7 +158,7 @@ export default function LabelPreview({ item, enhancedData, user, onClose }) {
           <div>
             <h2 className="text-xl font-bold text-[#FAFCFB]">Label Preview</h2>
             <p className="text-[#9FA3AC] mt-1">
-              Uline S-5627 Format (4" × 1.5") - {labelQuantity} label{labelQuantity > 1 ? 's' : ''} for {item.sku}
+              {template.name} • {stock.name} ({labelSize}) - {labelQuantity} label{labelQuantity > 1 ? 's' : ''} for {item.sku}
             </p>
           </div>
 
@@ -170,6 +212,28 @@ export default function LabelPreview({ item, enhancedData, user, onClose }) {
               <div className="text-[#FAFCFB]">{item.productName}</div>
             </div>
 
+            {/* Imported inventory attributes */}
+            {(item.thcPercent != null || item.cbdPercent != null || item.expirationDate) && (
+              <div className="mt-3 grid grid-cols-2 md:grid-cols-4 gap-4 text-xs">
+                <div>
+                  <span className="text-[#9FA3AC]">THC:</span>
+                  <div className="font-medium text-[#FAFCFB]">{item.thcPercent != null ? `${item.thcPercent}%` : 'N/A'}</div>
+                </div>
+                <div>
+                  <span className="text-[#9FA3AC]">CBD:</span>
+                  <div className="font-medium text-[#FAFCFB]">{item.cbdPercent != null ? `${item.cbdPercent}%` : 'N/A'}</div>
+                </div>
+                <div>
+                  <span className="text-[#9FA3AC]">Expires:</span>
+                  <div className="font-medium text-[#FAFCFB]">{item.expirationDate || 'N/A'}</div>
+                </div>
+                <div>
+                  <span className="text-[#9FA3AC]">Shipment:</span>
+                  <div className="font-medium text-[#FAFCFB] font-mono">{item.shipmentId || 'N/A'}</div>
+                </div>
+              </div>
+            )}
+
             {/* Enhanced Data Summary */}
             <div className="mt-4 grid grid-cols-2 md:grid-cols-4 gap-4 text-xs">
               <div>
@@ -181,7 +245,7 @@ export default function LabelPreview({ item, enhancedData, user, onClose }) {
               <div>
                 <span className="text-[#9FA3AC]">Packaged:</span>
                 <div className="font-medium text-[#FAFCFB]">
-                  {enhancedData?.packagedDate || 'Not set'}
+                  {enhancedData?.packagedDate || (item.manufacturingDate ? `${item.manufacturingDate} (mfg)` : 'Not set')}
                 </div>
               </div>
               <div>
@@ -204,9 +268,21 @@ export default function LabelPreview({ item, enhancedData, user, onClose }) {
             <div className="flex items-center space-x-4">
               <div className="flex items-center space-x-2 text-sm text-[#9FA3AC]">
                 <CheckCircle className="h-4 w-4 text-green-500" />
-                <span>Ready for printing on Uline S-5627 sheets</span>
+                <span>Ready for printing on {stock.name} sheets</span>
               </div>
 
+              {onTemplateChange && (
+                <select
+                  value={template.id}
+                  onChange={(e) => onTemplateChange(e.target.value)}
+                  className="bg-[#15161B] border border-[#39414E] text-[#FAFCFB] rounded-lg px-3 py-1.5 text-sm focus:border-[#86EFAC] focus:outline-none"
+                >
+                  {templates.map(option => (
+                    <option key={option.id} value={option.id}>{option.name}</option>
+                  ))}
+                </select>
+              )}
+
               {labelQuantity > 4 && (
                 <button
                   onClick={() => setShowAllLabels(!showAllLabels)}
@@ -227,8 +303,17 @@ export default function LabelPreview({ item, enhancedData, user, onClose }) {
 
           {/* Labels Preview */}
           <div className={`p-6 bg-[#15161B] ${isExpanded ? 'flex-1' : ''} overflow-auto`}>
-            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-              {renderLabels()}
+            <div className="flex flex-col lg:flex-row gap-6">
+              <div className="flex-1 grid grid-cols-1 md:grid-cols-2 gap-6">
+                {renderLabels()}
+              </div>
+
+              {/* Sheet layout */}
+              <div className="flex flex-col items-center space-y-2 text-xs text-[#9FA3AC]">
+                <LabelSheetDiagram stock={stock} width={140} filled={Math.min(labelQuantity, labelsPerSheet)} />
+                <span>{labelsPerSheet} per sheet • {sheetCount} sheet{sheetCount !== 1 ? 's' : ''}</span>
+                {stock.rotation === 90 && <span>Turn the sheet {stock.rotation}° to read</span>}
+              </div>
             </div>
 
             {labelQuantity > 4 && !showAllLabels && (
@@ -247,7 +332,7 @@ export default function LabelPreview({ item, enhancedData, user, onClose }) {
           <div className="p-6 border-t border-[#39414E] bg-[#181B22]">
             <div className="flex items-center justify-between">
               <div className="text-sm text-[#9FA3AC]">
-                Labels will be properly positioned for Uline S-5627 label sheets
+                {template.description}
               </div>
 
               <div className="flex items-center space-x-3">
@@ -258,6 +343,16 @@ export default function LabelPreview({ item, enhancedData, user, onClose }) {
                   Close Preview
                 </button>
 
+                <button
+                  onClick={handleCompareRendering}
+                  disabled={isComparing}
+                  className="btn btn-secondary flex items-center space-x-2"
+                  title="Open this label rendered as a canvas image and as vector PDF, side by side"
+                >
+                  <Columns className="h-4 w-4" />
+                  <span>{isComparing ? 'Rendering...' : 'Compare Rendering'}</span>
+                </button>
+
                 <button
                   onClick={handlePrint}
                   className="btn btn-secondary flex items-center space-x-2"
@@ -289,7 +384,7 @@ export default function LabelPreview({ item, enhancedData, user, onClose }) {
             {/* Technical Info */}
             <div className="mt-4 text-xs text-[#9FA3AC] border-t border-[#39414E] pt-4">
               <div className="flex items-center justify-between">
-                <span>Label Dimensions: 4" × 1.5" (288pt × 108pt) • Format: Uline S-5627</span>
+                <span>Label Dimensions: {labelSize} • Format: {stock.name} • Template: {template.id} v{template.version} • {PDF_RENDER_MODE_LABELS[renderMode]}</span>
                 <span>Generated: {new Date().toLocaleString()}</span>
               </div>
             </div>
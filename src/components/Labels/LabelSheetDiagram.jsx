@@ -0,0 +1,45 @@
+import React from 'react';
+import { LabelStocks } from '../../utils/labelStocks.js';
+
+// Scaled outline of one sheet of a label stock - printable area dashed, labels numbered in print order
+export default function LabelSheetDiagram({ stock, width = 160, filled = null }) {
+  const scale = width / stock.page.width;
+  const printable = LabelStocks.getPrintableArea(stock);
+  const positions = LabelStocks.getSheetLayout(stock);
+  const filledCount = filled == null ? positions.length : filled;
+
+  return (
+    <div
+      className="relative bg-white rounded-sm shadow"
+      style={{ width, height: stock.page.height * scale }}
+      title={`${stock.name} - ${LabelStocks.formatSize(stock.page)} sheet`}
+    >
+      <div
+        className="absolute border border-dashed border-gray-300"
+        style={{
+          left: printable.x * scale,
+          top: printable.y * scale,
+          width: printable.width * scale,
+          height: printable.height * scale
+        }}
+      ></div>
+
+      {positions.map((position, index) => (
+        <div
+          key={index}
+          className={`absolute border flex items-center justify-center text-[10px] ${
+            index < filledCount ? 'bg-green-100 border-green-600 text-green-800' : 'border-gray-400 text-gray-400'
+          }`}
+          style={{
+            left: position.x * scale,
+            top: position.y * scale,
+            width: position.width * scale,
+            height: position.height * scale
+          }}
+        >
+          {index + 1}
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -1,4 +1,5 @@
 import React, { useState } from 'react';
+import { LabelStocks } from '../../utils/labelStocks.js';
 
 /**
  * Uline S-5492 Label Component (NEW ROTATED CONTENT LAYOUT)
@@ -13,52 +14,15 @@ class UlineS5492Label extends React.Component {
    * @returns {Object} - Position coordinates in points
    */
   static calculateUlineS5492PositionSideways(labelIndex) {
-    // Legal size sheet dimensions (8.5" × 14")
-    const pageWidth = 612;   // 8.5" in points  
-    const pageHeight = 1008; // 14" in points
-    
-    // HP E877 printer margins: 0.167" on all sides
-    const printerMargin = 12; // 0.167" = 12pt
-    const printableWidth = pageWidth - (printerMargin * 2);   // 588pt
-    const printableHeight = pageHeight - (printerMargin * 2); // 984pt
-    
-    // S-5492 labels: 4" × 6" = When positioned sideways: 4" tall × 6" wide
-    // In PDF coordinates (before rotation): height=4", width=6"
-    const labelWidth = 288;  // 4" in points (will be height when rotated)
-    const labelHeight = 432; // 6" in points (will be width when rotated)
-    
-    // Grid layout: 2 columns × 2 rows of sideways labels
-    const cols = 2;
-    const rows = 2;
-    const row = Math.floor(labelIndex / cols);
-    const col = labelIndex % cols;
-    
-    // Calculate spacing
-    const totalLabelsWidth = cols * labelWidth;   // 576pt
-    const totalLabelsHeight = rows * labelHeight; // 864pt
-    
-    // Center on page
-    const startX = printerMargin + (printableWidth - totalLabelsWidth) / 2;
-    const startY = printerMargin + (printableHeight - totalLabelsHeight) / 2;
-    
-    // Individual label position
-    const xPos = startX + (col * labelWidth);
-    const yPos = startY + (row * labelHeight);
+    // Sheet geometry, printer margins and centering come from the label stock registry
+    const position = LabelStocks.getLabelPosition(LabelStocks.getStock('S-5492'), labelIndex);
     
     return {
-      x: Math.floor(xPos),
-      y: Math.floor(yPos),
-      width: labelWidth,   // 288pt (4" - will be height when rotated)
-      height: labelHeight, // 432pt (6" - will be width when rotated)
+      ...position,
       
       // Information for when paper is rotated
-      rotatedWidth: labelHeight,  // 432pt (6" wide when rotated)
-      rotatedHeight: labelWidth,  // 288pt (4" tall when rotated)
-      
-      // Grid information
-      row: row,
-      col: col,
-      labelIndex: labelIndex,
+      rotatedWidth: position.height,  // 432pt (6" wide when rotated)
+      rotatedHeight: position.width,  // 288pt (4" tall when rotated)
       
       // Layout info
       isSideways: true,
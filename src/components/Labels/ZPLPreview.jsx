@@ -0,0 +1,233 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { ZPLGenerator } from '../../utils/zplGenerator.js';
+import { ZPLRenderer } from '../../utils/zplRenderer.js';
+import { LabelTemplateEngine } from '../../utils/labelTemplateEngine.js';
+import { ZPL_CONFIG } from '../../constants.js';
+import {
+  X,
+  Download,
+  Copy,
+  ChevronLeft,
+  ChevronRight,
+  AlertCircle,
+  FileCode
+} from 'lucide-react';
+import toast from 'react-hot-toast';
+
+// Longest side of the rendered label preview, in CSS pixels
+const PREVIEW_SIZE = 420;
+
+export default function ZPLPreview({ labelDataArray, templateId, currentUser, fileName, onClose }) {
+  const [dpi, setDpi] = useState(ZPL_CONFIG.DEFAULT_DPI);
+  const [labelIndex, setLabelIndex] = useState(0);
+  const canvasRef = useRef(null);
+
+  const template = LabelTemplateEngine.getTemplate(templateId);
+
+  const [output, setOutput] = useState({ zpl: '', labels: [], error: null, isGenerating: true });
+
+  // Generate once per batch/DPI - every preview page reads from the same output
+  useEffect(() => {
+    let cancelled = false;
+    setOutput(previous => ({ ...previous, isGenerating: true }));
+
+    ZPLGenerator.generateLabels(labelDataArray, { templateId: template.id, currentUser, dpi })
+      .then(zplText => {
+        if (!cancelled) setOutput({ zpl: zplText, labels: ZPLRenderer.splitLabels(zplText), error: null, isGenerating: false });
+      })
+      .catch(generationError => {
+        console.error('ZPL generation error:', generationError);
+        if (!cancelled) setOutput({ zpl: '', labels: [], error: generationError.message, isGenerating: false });
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [labelDataArray, template.id, currentUser, dpi]);
+
+  const { zpl, labels, error, isGenerating } = output;
+  const currentLabel = labels[Math.min(labelIndex, labels.length - 1)] || '';
+
+  useEffect(() => {
+    setLabelIndex(0);
+  }, [labels.length]);
+
+  // Draw the current label the way the printer would read it
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !currentLabel) return;
+
+    let cancelled = false;
+    const parsed = ZPLRenderer.parse(currentLabel);
+    const scale = PREVIEW_SIZE / Math.max(parsed.width, parsed.height, 1);
+
+    // Draw off-screen so a slow barcode from a previous label never lands on this one
+    const offscreen = document.createElement('canvas');
+    offscreen.width = Math.round(parsed.width * scale);
+    offscreen.height = Math.round(parsed.height * scale);
+    const offscreenCtx = offscreen.getContext('2d');
+    offscreenCtx.scale(scale, scale);
+
+    ZPLRenderer.renderToCanvas(offscreenCtx, parsed)
+      .then(() => {
+        if (cancelled) return;
+        canvas.width = offscreen.width;
+        canvas.height = offscreen.height;
+        canvas.getContext('2d').drawImage(offscreen, 0, 0);
+      })
+      .catch(renderError => console.error('ZPL preview error:', renderError));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [currentLabel]);
+
+  const handleDownload = () => {
+    const blob = new Blob([zpl], { type: 'text/plain' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${fileName}.zpl`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+
+    toast.success(`Downloaded ${labels.length} ZPL label${labels.length !== 1 ? 's' : ''}`);
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(zpl);
+      toast.success('ZPL copied to clipboard');
+    } catch (copyError) {
+      console.error('Clipboard error:', copyError);
+      toast.error('Could not copy ZPL - use Download instead');
+    }
+  };
+
+  return (
+    <div
+      className="modal-backdrop fixed inset-0 flex items-center justify-center p-4"
+      style={{
+        backgroundColor: 'rgba(21, 22, 27, 0.8)',
+        zIndex: 50
+      }}
+      onClick={onClose}
+    >
+      <div
+        className="modal-content bg-[#181B22] border border-[#39414E] rounded-lg shadow-xl w-full max-w-6xl max-h-[90vh] flex flex-col"
+        style={{ zIndex: 51 }}
+        onClick={(e) => e.stopPropagation()}
+      >
+        {/* Header */}
+        <div className="flex items-center justify-between p-6 border-b border-[#39414E]">
+          <div>
+            <h2 className="text-xl font-bold text-[#FAFCFB] flex items-center space-x-2">
+              <FileCode className="h-5 w-5 text-[#86EFAC]" />
+              <span>Zebra ZPL</span>
+            </h2>
+            <p className="text-[#9FA3AC] mt-1">
+              {template.name} • {isGenerating ? 'Generating…' : `${labels.length} label${labels.length !== 1 ? 's' : ''}`} at {dpi} dpi
+            </p>
+          </div>
+
+          <button
+            onClick={onClose}
+            className="p-2 text-[#9FA3AC] hover:text-[#FAFCFB] transition-colors rounded"
+          >
+            <X className="h-5 w-5" />
+          </button>
+        </div>
+
+        {/* Controls */}
+        <div className="p-4 border-b border-[#39414E] flex items-center justify-between">
+          <div className="flex items-center space-x-2 text-sm text-[#9FA3AC]">
+            <span>Printer resolution</span>
+            <select
+              value={dpi}
+              onChange={(e) => setDpi(Number(e.target.value))}
+              className="bg-[#15161B] border border-[#39414E] text-[#FAFCFB] rounded-lg px-3 py-1.5 text-sm focus:border-[#86EFAC] focus:outline-none"
+            >
+              {ZPL_CONFIG.DPI_OPTIONS.map(option => (
+                <option key={option} value={option}>{option} dpi</option>
+              ))}
+            </select>
+          </div>
+
+          {labels.length > 1 && (
+            <div className="flex items-center space-x-2 text-sm text-[#9FA3AC]">
+              <button
+                onClick={() => setLabelIndex(index => Math.max(0, index - 1))}
+                disabled={labelIndex === 0}
+                className="p-1.5 rounded border border-[#39414E] hover:bg-[#39414E] disabled:opacity-50 transition-colors"
+                title="Previous label"
+              >
+                <ChevronLeft className="h-4 w-4" />
+              </button>
+              <span>Label {labelIndex + 1} of {labels.length}</span>
+              <button
+                onClick={() => setLabelIndex(index => Math.min(labels.length - 1, index + 1))}
+                disabled={labelIndex >= labels.length - 1}
+                className="p-1.5 rounded border border-[#39414E] hover:bg-[#39414E] disabled:opacity-50 transition-colors"
+                title="Next label"
+              >
+                <ChevronRight className="h-4 w-4" />
+              </button>
+            </div>
+          )}
+        </div>
+
+        {/* Preview and source */}
+        <div className="p-6 bg-[#15161B] flex-1 overflow-auto">
+          {error ? (
+            <div className="flex items-center space-x-2 text-red-400">
+              <AlertCircle className="h-4 w-4" />
+              <span>Could not generate ZPL: {error}</span>
+            </div>
+          ) : (
+            <div className="flex flex-col lg:flex-row gap-6">
+              <div className="flex flex-col items-center space-y-2">
+                <canvas ref={canvasRef} className="shadow border border-[#39414E]" />
+                <span className="text-xs text-[#9FA3AC]">
+                  Approximate render - the printer uses its own font 0 metrics
+                </span>
+              </div>
+
+              <pre className="flex-1 min-w-0 max-h-[60vh] overflow-auto bg-[#181B22] border border-[#39414E] rounded-lg p-4 text-xs font-mono text-[#FAFCFB] whitespace-pre">
+                {currentLabel}
+              </pre>
+            </div>
+          )}
+        </div>
+
+        {/* Action Buttons */}
+        <div className="p-6 border-t border-[#39414E] flex items-center justify-between">
+          <div className="text-sm text-[#9FA3AC]">
+            Send the .zpl file to the printer as raw text (e.g. over port 9100 or Zebra Setup Utilities)
+          </div>
+
+          <div className="flex items-center space-x-3">
+            <button
+              onClick={handleCopy}
+              disabled={!zpl || isGenerating}
+              className="bg-[#181B22] text-[#FAFCFB] border border-[#39414E] hover:bg-[#39414E] disabled:opacity-50 px-4 py-2 rounded-lg flex items-center space-x-2 transition-colors"
+            >
+              <Copy className="h-4 w-4" />
+              <span>Copy ZPL</span>
+            </button>
+
+            <button
+              onClick={handleDownload}
+              disabled={!zpl || isGenerating}
+              className="bg-[#86EFAC] text-[#00001C] hover:opacity-90 disabled:opacity-50 px-4 py-2 rounded-lg flex items-center space-x-2 transition-opacity"
+            >
+              <Download className="h-4 w-4" />
+              <span>Download .zpl</span>
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -2,6 +2,7 @@ import React, { useEffect } from 'react';
 import { Outlet, useLocation } from 'react-router-dom';
 import { Toaster, toast } from 'react-hot-toast';
 import Header from '../Common/Header.jsx';
+import ScanFlash from '../Common/ScanFlash.jsx';
 import { useAuth } from '../../contexts/AuthContext.jsx';
 import { useInventory } from '../../contexts/InventoryContext.jsx';
 import { useSession } from '../../contexts/SessionContext.jsx';
@@ -223,6 +224,8 @@ export default function Layout() {
         sessionStats={sessionStats}
       />
 
+      <ScanFlash />
+
       {/* Main Content */}
       <main className="min-h-screen">
         <div className="animate-fade-in">
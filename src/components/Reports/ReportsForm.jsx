@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import { Link } from 'react-router-dom';
 import { useInventory } from '../../contexts/InventoryContext.jsx';
 import { useSession } from '../../contexts/SessionContext.jsx';
@@ -14,18 +14,20 @@ import {
   Printer,
   BarChart3,
   Clock,
-  Package
+  Package,
+  MapPin
 } from 'lucide-react';
 import toast from 'react-hot-toast';
 
 export default function ReportsForm() {
-  const { mainInventory, sweedData, getInventoryStats } = useInventory();
+  const { mainInventory, sweedData, inventoryIndex, getInventoryStats } = useInventory();
   const { 
     getScannedItemsDetails,
     generatePickTicketData,
     clearAllSessionData,
     getSessionStats,
-    exportSessionData
+    exportSessionData,
+    locationFinds
   } = useSession();
   const { user, getSessionDuration } = useAuth();
 
@@ -33,14 +35,19 @@ export default function ReportsForm() {
   const [pickTicketData, setPickTicketData] = useState([]);
   const [sessionData, setSessionData] = useState(null);
   const [activeTab, setActiveTab] = useState('summary');
+  const [showAllLocations, setShowAllLocations] = useState(false);
 
   const inventoryStats = getInventoryStats();
   const sessionStats = getSessionStats();
+  const locationReport = useMemo(() => (
+    DataProcessor.buildLocationReport(locationFinds, inventoryIndex.main, inventoryIndex.sweed)
+  ), [locationFinds, inventoryIndex]);
+  const locationRows = showAllLocations ? locationReport.rows : locationReport.mismatches;
 
   // Load data on mount and when session changes
   useEffect(() => {
     refreshData();
-  }, [sessionStats.totalItemsScanned]);
+  }, [sessionStats.totalItemsScanned, sessionStats.totalUnitsPicked]);
 
   // Refresh all data
   const refreshData = () => {
@@ -99,9 +106,16 @@ export default function ReportsForm() {
       { key: 'brand', header: 'Brand' },
       { key: 'size', header: 'Size' },
       { key: 'quantity', header: 'Quantity' },
+      { key: 'pickedQuantity', header: 'Picked Qty' },
       { key: 'location', header: 'Location' },
       { key: 'shipTo', header: 'Ship To' },
       { key: 'orderNumber', header: 'Order #' },
+      { key: 'thcPercent', header: 'THC %' },
+      { key: 'cbdPercent', header: 'CBD %' },
+      { key: 'expirationDate', header: 'Expiration Date' },
+      { key: 'shipmentId', header: 'Shipment ID' },
+      { key: 'lotNumber', header: 'Scanned Lot' },
+      { key: 'lotExpirationDate', header: 'Lot Expiration' },
       { key: 'notes', header: 'Notes' }
     ];
 
@@ -118,6 +132,40 @@ export default function ReportsForm() {
     toast.success('Pick tickets exported');
   };
 
+  // Export where scanned products were found as CSV
+  const handleExportLocationReport = () => {
+    if (locationRows.length === 0) {
+      toast.error('No location scans to export');
+      return;
+    }
+
+    const columns = [
+      { key: 'displaySource', header: 'Source' },
+      { key: 'sku', header: 'SKU' },
+      { key: 'barcode', header: 'Barcode' },
+      { key: 'productName', header: 'Product Name' },
+      { key: 'brand', header: 'Brand' },
+      { key: 'systemLocation', header: 'System Location' },
+      { key: 'foundLocation', header: 'Found In' },
+      { key: 'quantity', header: 'Quantity Found' },
+      { key: 'mismatchLabel', header: 'Mismatch' },
+      { key: 'lastScannedAt', header: 'Last Scanned' }
+    ];
+
+    const rows = locationRows.map(row => ({ ...row, mismatchLabel: row.mismatch ? 'Yes' : 'No' }));
+    const csvContent = DataProcessor.exportToCSV(rows, columns);
+    const dataUri = 'data:text/csv;charset=utf-8,' + encodeURIComponent(csvContent);
+    
+    const exportFileDefaultName = `${showAllLocations ? 'location_scans' : 'unexpected_locations'}_${new Date().toISOString().split('T')[0]}.csv`;
+    
+    const linkElement = document.createElement('a');
+    linkElement.setAttribute('href', dataUri);
+    linkElement.setAttribute('download', exportFileDefaultName);
+    linkElement.click();
+    
+    toast.success('Location report exported');
+  };
+
   // Print pick tickets
   const handlePrintPickTickets = () => {
     if (pickTicketData.length === 0) {
@@ -167,6 +215,7 @@ export default function ReportsForm() {
         <div class="header-info">
           <p><strong>Generated by:</strong> ${user?.username || 'Unknown'} (${user?.role || 'Unknown Role'})</p>
           <p><strong>Items to Pick:</strong> ${pickTicketData.length}</p>
+          <p><strong>Units Picked:</strong> ${sessionStats.totalUnitsPicked}</p>
           <p><strong>Session Duration:</strong> ${getSessionDuration()}</p>
         </div>
         
@@ -181,6 +230,7 @@ export default function ReportsForm() {
               <th>Brand</th>
               <th>Size</th>
               <th>Quantity</th>
+              <th>Picked Qty</th>
               <th>Location</th>
               <th>Ship To</th>
               <th>Order #</th>
@@ -199,6 +249,7 @@ export default function ReportsForm() {
                 <td>${item.brand}</td>
                 <td>${item.size || ''}</td>
                 <td>${item.quantity}</td>
+                <td class="pick-number">${item.pickedQuantity}</td>
                 <td>${item.location || ''}</td>
                 <td>${item.shipTo || ''}</td>
                 <td class="barcode">${item.orderNumber || ''}</td>
@@ -226,7 +277,8 @@ export default function ReportsForm() {
   const tabs = [
     { id: 'summary', label: 'Session Summary', icon: BarChart3 },
     { id: 'scanned', label: 'Scanned Items', icon: Package },
-    { id: 'picktickets', label: 'Pick Tickets', icon: FileText }
+    { id: 'picktickets', label: 'Pick Tickets', icon: FileText },
+    { id: 'locations', label: 'Locations', icon: MapPin }
   ];
 
   if (sessionStats.totalItemsScanned === 0) {
@@ -431,6 +483,10 @@ export default function ReportsForm() {
                       <span>Total Scanned:</span>
                       <span className="font-bold">{sessionStats.totalItemsScanned} items</span>
                     </div>
+                    <div className="flex justify-between">
+                      <span>Total Units Picked:</span>
+                      <span className="font-bold">{sessionStats.totalUnitsPicked} units</span>
+                    </div>
                   </div>
                 </div>
               </div>
@@ -508,7 +564,10 @@ export default function ReportsForm() {
                       <th>Barcode</th>
                       <th>BioTrack</th>
                       <th>Quantity</th>
+                      <th>Picked</th>
                       <th>Location/Ship To</th>
+                      <th>THC %</th>
+                      <th>Expires</th>
                     </tr>
                   </thead>
                   <tbody>
@@ -525,7 +584,86 @@ export default function ReportsForm() {
                         <td className="font-mono">{item.barcode}</td>
                         <td className="font-mono">{item.bioTrackCode}</td>
                         <td>{item.quantity}</td>
+                        <td className="font-bold">{item.pickedQuantity}</td>
                         <td>{item.location || item.shipToLocation || 'N/A'}</td>
+                        <td>{item.thcPercent ?? ''}</td>
+                        <td>{item.expirationDate || ''}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        )}
+
+        {activeTab === 'locations' && (
+          <div className="card">
+            <div className="flex items-center justify-between mb-4">
+              <div>
+                <h3 className="text-lg font-semibold text-gray-900">
+                  {showAllLocations ? 'All Location Scans' : 'Products Found in Unexpected Locations'} ({locationRows.length})
+                </h3>
+                <p className="text-sm text-gray-600">
+                  {locationReport.rows.length} finds across {locationReport.locations} locations • {locationReport.mismatches.length} differ from the Homestead export
+                </p>
+              </div>
+
+              <div className="flex items-center space-x-2">
+                <button
+                  onClick={() => setShowAllLocations(!showAllLocations)}
+                  className="btn btn-secondary btn-sm"
+                >
+                  {showAllLocations ? 'Show Mismatches Only' : 'Show All Finds'}
+                </button>
+
+                <button
+                  onClick={handleExportLocationReport}
+                  disabled={locationRows.length === 0}
+                  className="btn btn-secondary btn-sm flex items-center space-x-2"
+                >
+                  <Download className="h-4 w-4" />
+                  <span>Export CSV</span>
+                </button>
+              </div>
+            </div>
+
+            {locationRows.length === 0 ? (
+              <div className="text-center py-8 text-gray-500">
+                {locationReport.rows.length === 0
+                  ? 'No products scanned in location mode yet'
+                  : 'Every product was found in its system location'}
+              </div>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="data-table">
+                  <thead>
+                    <tr>
+                      <th>Source</th>
+                      <th>SKU</th>
+                      <th>Product Name</th>
+                      <th>Brand</th>
+                      <th>System Location</th>
+                      <th>Found In</th>
+                      <th>Qty Found</th>
+                      <th>Last Scanned</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {locationRows.map(row => (
+                      <tr key={`${row.source}_${row.barcode}_${row.sku}_${row.foundLocation}`} className={row.mismatch ? 'bg-yellow-50' : ''}>
+                        <td>
+                          <span className={`badge ${row.displaySource === '[SWEED]' ? 'badge-yellow' : 'badge-blue'}`}>
+                            {row.displaySource}
+                          </span>
+                        </td>
+                        <td className="font-mono">{row.sku}</td>
+                        <td>{row.productName}</td>
+                        <td>{row.brand}</td>
+                        <td className="font-mono">{row.systemLocation || 'N/A'}</td>
+                        <td className="font-mono font-bold">{row.foundLocation}</td>
+                        <td className="text-center">{row.quantity}</td>
+                        <td>{new Date(row.lastScannedAt).toLocaleString()}</td>
                       </tr>
                     ))}
                   </tbody>
@@ -580,6 +718,7 @@ export default function ReportsForm() {
                       <th>Brand</th>
                       <th>Size</th>
                       <th>Quantity</th>
+                      <th>Picked Qty</th>
                       <th>Location</th>
                       <th>Ship To</th>
                       <th>Order #</th>
@@ -601,6 +740,7 @@ export default function ReportsForm() {
                         <td>{item.brand}</td>
                         <td>{item.size || 'N/A'}</td>
                         <td>{item.quantity}</td>
+                        <td className="text-center font-bold">{item.pickedQuantity}</td>
                         <td>{item.location || 'N/A'}</td>
                         <td>{item.shipTo || 'N/A'}</td>
                         <td className="font-mono">{item.orderNumber || 'N/A'}</td>
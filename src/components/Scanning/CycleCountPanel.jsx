@@ -0,0 +1,218 @@
+import React, { useState, useMemo } from 'react';
+import { useInventory } from '../../contexts/InventoryContext.jsx';
+import { useSession } from '../../contexts/SessionContext.jsx';
+import { DataProcessor } from '../../utils/dataProcessor.js';
+import { SCAN_SESSION_STATUS, VARIANCE_STATUS, VARIANCE_STATUS_LABELS } from '../../constants.js';
+import { ClipboardCheck, Download, CheckCircle } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+// Rows rendered before "Show all" - exports always include every row
+const INITIAL_ROW_LIMIT = 200;
+
+const VARIANCE_STYLES = {
+  [VARIANCE_STATUS.SHORT]: 'bg-yellow-500/10 text-yellow-400 border-yellow-500/20',
+  [VARIANCE_STATUS.OVER]: 'bg-blue-500/10 text-blue-400 border-blue-500/20',
+  [VARIANCE_STATUS.MISSING]: 'bg-red-500/10 text-red-400 border-red-500/20',
+  [VARIANCE_STATUS.UNEXPECTED]: 'bg-purple-500/10 text-purple-400 border-purple-500/20',
+  [VARIANCE_STATUS.MATCHED]: 'bg-green-500/10 text-green-400 border-green-500/20'
+};
+
+const EXPORT_COLUMNS = [
+  { key: 'statusLabel', header: 'Status' },
+  { key: 'displaySource', header: 'Source' },
+  { key: 'sku', header: 'SKU' },
+  { key: 'barcode', header: 'Barcode' },
+  { key: 'productName', header: 'Product Name' },
+  { key: 'brand', header: 'Brand' },
+  { key: 'location', header: 'System Location' },
+  { key: 'expectedQuantity', header: 'Expected Qty' },
+  { key: 'countedQuantity', header: 'Counted Qty' },
+  { key: 'variance', header: 'Variance' }
+];
+
+const formatVariance = (variance) => (variance > 0 ? `+${variance}` : String(variance));
+
+// Live variance report for a cycle count session, with export and completion
+export default function CycleCountPanel() {
+  const { mainInventory, sweedData } = useInventory();
+  const { currentSession, getCycleCountReport, completeCycleCount } = useSession();
+
+  const [filter, setFilter] = useState('variances');
+  const [showAll, setShowAll] = useState(false);
+
+  const report = useMemo(() => getCycleCountReport(mainInventory, sweedData), [getCycleCountReport, mainInventory, sweedData]);
+
+  const filters = [
+    { id: 'variances', label: 'Variances', count: report.rows.length - report.counts[VARIANCE_STATUS.MATCHED] },
+    ...Object.values(VARIANCE_STATUS).map(status => ({ id: status, label: VARIANCE_STATUS_LABELS[status], count: report.counts[status] })),
+    { id: 'all', label: 'All', count: report.rows.length }
+  ];
+
+  const filtered = report.rows.filter(row => {
+    if (filter === 'all') return true;
+    if (filter === 'variances') return row.status !== VARIANCE_STATUS.MATCHED;
+    return row.status === filter;
+  });
+  const visible = showAll ? filtered : filtered.slice(0, INITIAL_ROW_LIMIT);
+  const isCompleted = currentSession.status === SCAN_SESSION_STATUS.CLOSED || currentSession.status === SCAN_SESSION_STATUS.ARCHIVED;
+
+  // Download the filtered variance rows
+  const handleExport = (format) => {
+    const zoneName = (currentSession.zone || 'all_locations').replace(/[^a-z0-9]+/gi, '_');
+    const baseName = `cycle_count_${zoneName}_${new Date().toISOString().split('T')[0]}`;
+    const rows = filtered.map(row => ({
+      ...row,
+      statusLabel: VARIANCE_STATUS_LABELS[row.status],
+      expectedQuantity: String(row.expectedQuantity),
+      countedQuantity: String(row.countedQuantity),
+      variance: formatVariance(row.variance)
+    }));
+
+    const blob = format === 'xlsx'
+      ? new Blob(
+        [DataProcessor.exportToXLSX(rows, EXPORT_COLUMNS, 'Cycle Count')],
+        { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }
+      )
+      : new Blob([DataProcessor.exportToCSV(rows, EXPORT_COLUMNS)], { type: 'text/csv;charset=utf-8' });
+
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${baseName}.${format}`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+
+    toast.success(`Exported ${rows.length} rows`);
+  };
+
+  // Close the count session with its variance totals after confirmation
+  const handleComplete = () => {
+    const detail = [VARIANCE_STATUS.SHORT, VARIANCE_STATUS.OVER, VARIANCE_STATUS.MISSING, VARIANCE_STATUS.UNEXPECTED]
+      .map(status => `${report.counts[status]} ${VARIANCE_STATUS_LABELS[status].toLowerCase()}`)
+      .join(', ');
+
+    if (!window.confirm(`Complete the count of ${currentSession.zone || 'all locations'}?\n\nCounted ${report.totalCounted} of ${report.totalExpected} units: ${detail}.`)) return;
+
+    completeCycleCount(report);
+    toast.success('Cycle count completed');
+  };
+
+  return (
+    <div className="bg-[#181B22] border border-[#39414E] rounded-xl p-6 space-y-6">
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+        <div className="flex items-center space-x-3">
+          <ClipboardCheck className="h-5 w-5 text-[#86EFAC]" />
+          <div>
+            <h2 className="text-lg font-semibold text-[#FAFCFB]">
+              Cycle Count • {currentSession.zone || 'All Locations'}
+            </h2>
+            <p className="text-sm text-[#9FA3AC]">
+              Counted {report.totalCounted} of {report.totalExpected} units ({formatVariance(report.netVariance)}) •
+              {' '}{report.countedExpectedSkus} of {report.expectedSkus} SKUs counted
+              {isCompleted && currentSession.closedAt && ` • Completed ${new Date(currentSession.closedAt).toLocaleString()}`}
+            </p>
+          </div>
+        </div>
+
+        <div className="flex items-center space-x-2">
+          <button
+            onClick={() => handleExport('csv')}
+            disabled={filtered.length === 0}
+            className="bg-[#181B22] text-[#FAFCFB] border border-[#39414E] hover:bg-[#39414E] disabled:opacity-50 px-4 py-2 rounded-lg flex items-center space-x-2 transition-colors"
+          >
+            <Download className="h-4 w-4" />
+            <span>CSV</span>
+          </button>
+          <button
+            onClick={() => handleExport('xlsx')}
+            disabled={filtered.length === 0}
+            className="bg-[#181B22] text-[#FAFCFB] border border-[#39414E] hover:bg-[#39414E] disabled:opacity-50 px-4 py-2 rounded-lg flex items-center space-x-2 transition-colors"
+          >
+            <Download className="h-4 w-4" />
+            <span>XLSX</span>
+          </button>
+          {!isCompleted && (
+            <button
+              onClick={handleComplete}
+              className="bg-[#86EFAC] text-[#00001C] hover:opacity-90 px-4 py-2 rounded-lg flex items-center space-x-2 transition-opacity"
+            >
+              <CheckCircle className="h-4 w-4" />
+              <span>Complete Count</span>
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2">
+        {filters.map(option => (
+          <button
+            key={option.id}
+            onClick={() => setFilter(option.id)}
+            className={`px-3 py-1.5 rounded-lg text-sm transition-colors ${
+              filter === option.id
+                ? 'bg-[#86EFAC] text-[#00001C]'
+                : 'text-[#9FA3AC] hover:text-[#FAFCFB] hover:bg-[#39414E]'
+            }`}
+          >
+            {option.label} ({option.count})
+          </button>
+        ))}
+      </div>
+
+      {filtered.length === 0 ? (
+        <div className="p-6 text-center text-sm text-[#9FA3AC]">
+          {report.rows.length === 0 ? 'Nothing expected or counted in this zone yet' : 'No rows in this view'}
+        </div>
+      ) : (
+        <div className="overflow-x-auto max-h-96 overflow-y-auto">
+          <table className="min-w-full">
+            <thead>
+              <tr className="border-b border-[#39414E]">
+                <th className="px-4 py-2 text-left text-sm font-medium text-[#9FA3AC]">SKU</th>
+                <th className="px-4 py-2 text-left text-sm font-medium text-[#9FA3AC]">Product</th>
+                <th className="px-4 py-2 text-left text-sm font-medium text-[#9FA3AC]">Location</th>
+                <th className="px-4 py-2 text-left text-sm font-medium text-[#9FA3AC]">Expected</th>
+                <th className="px-4 py-2 text-left text-sm font-medium text-[#9FA3AC]">Counted</th>
+                <th className="px-4 py-2 text-left text-sm font-medium text-[#9FA3AC]">Variance</th>
+                <th className="px-4 py-2 text-left text-sm font-medium text-[#9FA3AC]">Status</th>
+              </tr>
+            </thead>
+            <tbody>
+              {visible.map(row => (
+                <tr key={`${row.source}_${row.key}`} className="border-b border-[#39414E]">
+                  <td className="px-4 py-2 text-sm text-[#FAFCFB] font-mono">{row.sku}</td>
+                  <td className="px-4 py-2 text-sm">
+                    <div className="text-[#FAFCFB]">{row.productName || '—'}</div>
+                    <div className="text-xs text-[#9FA3AC]">{row.brand} {row.displaySource}</div>
+                  </td>
+                  <td className="px-4 py-2 text-sm text-[#9FA3AC]">{row.location || '—'}</td>
+                  <td className="px-4 py-2 text-sm text-[#FAFCFB]">{row.expectedQuantity}</td>
+                  <td className="px-4 py-2 text-sm font-medium text-[#86EFAC]">{row.countedQuantity}</td>
+                  <td className={`px-4 py-2 text-sm font-medium ${row.variance === 0 ? 'text-[#9FA3AC]' : 'text-[#FAFCFB]'}`}>
+                    {formatVariance(row.variance)}
+                  </td>
+                  <td className="px-4 py-2 text-sm">
+                    <span className={`px-2 py-0.5 rounded border text-xs font-medium ${VARIANCE_STYLES[row.status]}`}>
+                      {VARIANCE_STATUS_LABELS[row.status]}
+                    </span>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {!showAll && filtered.length > INITIAL_ROW_LIMIT && (
+        <button
+          onClick={() => setShowAll(true)}
+          className="text-sm text-[#86EFAC] hover:opacity-80 transition-opacity"
+        >
+          Show all {filtered.length} rows
+        </button>
+      )}
+    </div>
+  );
+}
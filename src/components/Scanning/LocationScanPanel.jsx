@@ -0,0 +1,121 @@
+import React, { useMemo } from 'react';
+import { Link } from 'react-router-dom';
+import { useInventory } from '../../contexts/InventoryContext.jsx';
+import { useSession } from '../../contexts/SessionContext.jsx';
+import { DataProcessor } from '../../utils/dataProcessor.js';
+import { MapPin, XCircle, AlertTriangle } from 'lucide-react';
+
+// Mismatches listed here before pointing to the full report
+const MISMATCH_PREVIEW = 10;
+
+// Current bin and unexpected-location finds for location scanning
+export default function LocationScanPanel({ locationLookup, onLocationChange }) {
+  const { inventoryIndex } = useInventory();
+  const { currentLocation, locationFinds, setCurrentLocation } = useSession();
+
+  const report = useMemo(() => (
+    DataProcessor.buildLocationReport(locationFinds, inventoryIndex.main, inventoryIndex.sweed)
+  ), [locationFinds, inventoryIndex]);
+
+  const knownLocations = useMemo(() => (
+    Array.from(locationLookup.values()).sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+  ), [locationLookup]);
+
+  const foundHere = currentLocation
+    ? report.rows.filter(row => DataProcessor.normalizeLocation(row.foundLocation) === DataProcessor.normalizeLocation(currentLocation))
+    : [];
+
+  const handleSelect = (location) => {
+    setCurrentLocation(location || null);
+    if (onLocationChange) onLocationChange();
+  };
+
+  return (
+    <div className="bg-[#181B22] border border-[#39414E] rounded-xl p-6 space-y-6">
+      <div className="flex items-center space-x-3">
+        <MapPin className="h-5 w-5 text-[#86EFAC]" />
+        <h2 className="text-lg font-semibold text-[#FAFCFB]">Location Scan</h2>
+      </div>
+
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-3">
+        <div>
+          <div className="text-sm text-[#9FA3AC]">Current bin</div>
+          {currentLocation ? (
+            <div className="text-2xl font-bold font-mono text-[#86EFAC]">{currentLocation}</div>
+          ) : (
+            <div className="text-sm text-yellow-400">Scan a location barcode to set the bin</div>
+          )}
+          {currentLocation && (
+            <div className="text-xs text-[#9FA3AC]">
+              {foundHere.length} product{foundHere.length !== 1 ? 's' : ''} found here
+              {!locationLookup.has(DataProcessor.normalizeLocation(currentLocation)) && ' • not a location in the Main Inventory export'}
+            </div>
+          )}
+        </div>
+
+        <div className="flex items-center space-x-2">
+          {knownLocations.length > 0 && (
+            <select
+              value={(currentLocation && locationLookup.get(DataProcessor.normalizeLocation(currentLocation))) || ''}
+              onChange={(e) => handleSelect(e.target.value)}
+              className="bg-[#15161B] border border-[#39414E] text-[#FAFCFB] rounded-lg px-3 py-2 text-sm focus:border-[#86EFAC] focus:outline-none"
+            >
+              <option value="">Choose a location ({knownLocations.length})...</option>
+              {knownLocations.map(location => (
+                <option key={location} value={location}>{location}</option>
+              ))}
+            </select>
+          )}
+          {currentLocation && (
+            <button
+              onClick={() => handleSelect(null)}
+              className="bg-[#181B22] text-[#FAFCFB] border border-[#39414E] hover:bg-[#39414E] px-4 py-2 rounded-lg flex items-center space-x-2 transition-colors"
+            >
+              <XCircle className="h-4 w-4" />
+              <span>Clear Bin</span>
+            </button>
+          )}
+        </div>
+      </div>
+
+      {/* Unexpected Locations */}
+      {report.mismatches.length > 0 && (
+        <div>
+          <div className="flex items-center justify-between mb-2">
+            <h3 className="text-sm font-medium text-yellow-400 flex items-center space-x-2">
+              <AlertTriangle className="h-4 w-4" />
+              <span>{report.mismatches.length} product{report.mismatches.length !== 1 ? 's' : ''} found outside their system location</span>
+            </h3>
+            <Link to="/reports" className="text-xs text-[#86EFAC] hover:opacity-80 transition-opacity">
+              Full location report
+            </Link>
+          </div>
+          <div className="overflow-x-auto">
+            <table className="min-w-full">
+              <thead>
+                <tr className="border-b border-[#39414E]">
+                  <th className="px-4 py-2 text-left text-sm font-medium text-[#9FA3AC]">SKU</th>
+                  <th className="px-4 py-2 text-left text-sm font-medium text-[#9FA3AC]">Product</th>
+                  <th className="px-4 py-2 text-left text-sm font-medium text-[#9FA3AC]">System Location</th>
+                  <th className="px-4 py-2 text-left text-sm font-medium text-[#9FA3AC]">Found In</th>
+                  <th className="px-4 py-2 text-left text-sm font-medium text-[#9FA3AC]">Qty</th>
+                </tr>
+              </thead>
+              <tbody>
+                {report.mismatches.slice(0, MISMATCH_PREVIEW).map(row => (
+                  <tr key={`${row.source}_${row.barcode}_${row.sku}_${row.foundLocation}`} className="border-b border-[#39414E]">
+                    <td className="px-4 py-2 text-sm text-[#FAFCFB] font-mono">{row.sku}</td>
+                    <td className="px-4 py-2 text-sm text-[#FAFCFB]">{row.productName || '—'}</td>
+                    <td className="px-4 py-2 text-sm text-[#9FA3AC] font-mono">{row.systemLocation}</td>
+                    <td className="px-4 py-2 text-sm text-yellow-400 font-mono">{row.foundLocation}</td>
+                    <td className="px-4 py-2 text-sm text-[#FAFCFB]">{row.quantity}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,240 @@
+import React, { useState, useMemo } from 'react';
+import { useInventory } from '../../contexts/InventoryContext.jsx';
+import { useSession } from '../../contexts/SessionContext.jsx';
+import { DataProcessor } from '../../utils/dataProcessor.js';
+import { ORDER_STATUS, ORDER_STATUS_LABELS } from '../../constants.js';
+import { ClipboardList, Play, Minus, Plus, CheckCircle, XCircle } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const ORDER_STATUS_STYLES = {
+  [ORDER_STATUS.COMPLETE]: 'bg-green-500/10 text-green-400 border-green-500/20',
+  [ORDER_STATUS.SHORT_PICKED]: 'bg-yellow-500/10 text-yellow-400 border-yellow-500/20',
+  [ORDER_STATUS.OVER_PICKED]: 'bg-red-500/10 text-red-400 border-red-500/20'
+};
+
+const LINE_STATUS = {
+  pending: { label: 'Pending', className: 'bg-[#39414E] text-[#9FA3AC] border-[#39414E]' },
+  partial: { label: 'Partial', className: 'bg-blue-500/10 text-blue-400 border-blue-500/20' },
+  complete: { label: 'Complete', className: 'bg-green-500/10 text-green-400 border-green-500/20' },
+  over: { label: 'Over', className: 'bg-red-500/10 text-red-400 border-red-500/20' }
+};
+
+// Sweed order picker and line-by-line progress for order fulfillment scanning
+export default function OrderFulfillmentPanel({ onOrderChange }) {
+  const { sweedData } = useInventory();
+  const { activeOrder, closedOrders, startOrder, adjustOrderPick, closeOrder, cancelOrder, scanBlockedReason } = useSession();
+
+  const [selectedOrderNumber, setSelectedOrderNumber] = useState('');
+
+  const orders = useMemo(() => DataProcessor.getSweedOrders(sweedData), [sweedData]);
+  const summary = useMemo(() => (
+    activeOrder ? DataProcessor.summarizeOrderPicks(activeOrder.lines, activeOrder.picks) : null
+  ), [activeOrder]);
+
+  // Begin picking the selected order
+  const handleStart = () => {
+    const order = orders.find(entry => entry.orderNumber === selectedOrderNumber);
+    if (!order) {
+      toast.error('Select an order to fulfill');
+      return;
+    }
+
+    if (!startOrder(order)) {
+      toast.error(scanBlockedReason);
+      return;
+    }
+    setSelectedOrderNumber('');
+    toast.success(`Fulfilling order ${order.orderNumber}`);
+    if (onOrderChange) onOrderChange();
+  };
+
+  // Close the order with its computed status after confirmation
+  const handleClose = () => {
+    const label = ORDER_STATUS_LABELS[summary.status];
+    const detail = summary.status === ORDER_STATUS.COMPLETE
+      ? 'All lines are picked to the requested quantity.'
+      : `${summary.shortLines.length} short line(s), ${summary.overLines.length} over-picked line(s).`;
+
+    if (!window.confirm(`Close order ${activeOrder.orderNumber} as ${label}?\n\n${detail}`)) return;
+
+    const closed = closeOrder();
+    if (!closed) {
+      toast.error(scanBlockedReason || 'No order to close');
+      return;
+    }
+    if (closed.status === ORDER_STATUS.COMPLETE) {
+      toast.success(`Order ${closed.orderNumber} closed: ${label}`);
+    } else {
+      toast.error(`Order ${closed.orderNumber} closed: ${label}`);
+    }
+    if (onOrderChange) onOrderChange();
+  };
+
+  // Abandon the order without recording it
+  const handleCancel = () => {
+    if (!window.confirm(`Cancel order ${activeOrder.orderNumber}? Picked counts for this order will be discarded.`)) return;
+
+    if (!cancelOrder()) {
+      toast.error(scanBlockedReason);
+      return;
+    }
+    toast.success('Order fulfillment cancelled');
+    if (onOrderChange) onOrderChange();
+  };
+
+  return (
+    <div className="bg-[#181B22] border border-[#39414E] rounded-xl p-6 space-y-6">
+      <div className="flex items-center space-x-3">
+        <ClipboardList className="h-5 w-5 text-[#86EFAC]" />
+        <h2 className="text-lg font-semibold text-[#FAFCFB]">Order Fulfillment</h2>
+      </div>
+
+      {!activeOrder ? (
+        orders.length === 0 ? (
+          <div className="p-4 bg-yellow-500/10 border border-yellow-500/20 rounded-lg text-sm text-yellow-400">
+            No Sweed orders loaded. Import a Sweed report with order numbers to fulfill orders.
+          </div>
+        ) : (
+          <div className="flex flex-col md:flex-row md:items-center gap-3">
+            <select
+              value={selectedOrderNumber}
+              onChange={(e) => setSelectedOrderNumber(e.target.value)}
+              className="flex-1 bg-[#15161B] border border-[#39414E] text-[#FAFCFB] rounded-lg px-3 py-2 text-sm focus:border-[#86EFAC] focus:outline-none"
+            >
+              <option value="">Select an order ({orders.length} available)...</option>
+              {orders.map(order => (
+                <option key={order.orderNumber} value={order.orderNumber}>
+                  {order.orderNumber}{order.shipToLocation ? ` — ${order.shipToLocation}` : ''} ({order.lines.length} lines, {order.totalRequested} units)
+                </option>
+              ))}
+            </select>
+            <button
+              onClick={handleStart}
+              disabled={!selectedOrderNumber || Boolean(scanBlockedReason)}
+              className="bg-[#86EFAC] text-[#00001C] hover:opacity-90 disabled:opacity-50 px-4 py-2 rounded-lg flex items-center space-x-2 transition-opacity"
+            >
+              <Play className="h-4 w-4" />
+              <span>Start Order</span>
+            </button>
+          </div>
+        )
+      ) : (
+        <div className="space-y-4">
+          <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-3">
+            <div>
+              <div className="text-[#FAFCFB] font-medium">
+                Order <span className="font-mono">{activeOrder.orderNumber}</span>
+                {activeOrder.shipToLocation && <span className="text-[#9FA3AC]"> • Ship To: {activeOrder.shipToLocation}</span>}
+              </div>
+              <div className="text-sm text-[#9FA3AC]">
+                Picked {summary.totalPicked} of {summary.totalRequested} units
+                {summary.shortLines.length > 0 && ` • ${summary.shortLines.length} short`}
+                {summary.overLines.length > 0 && ` • ${summary.overLines.length} over`}
+              </div>
+            </div>
+
+            <div className="flex items-center space-x-2">
+              <button
+                onClick={handleCancel}
+                disabled={Boolean(scanBlockedReason)}
+                className="bg-[#181B22] text-[#FAFCFB] border border-[#39414E] hover:bg-[#39414E] disabled:opacity-50 px-4 py-2 rounded-lg flex items-center space-x-2 transition-colors"
+              >
+                <XCircle className="h-4 w-4" />
+                <span>Cancel Order</span>
+              </button>
+              <button
+                onClick={handleClose}
+                disabled={Boolean(scanBlockedReason)}
+                className="bg-[#86EFAC] text-[#00001C] hover:opacity-90 disabled:opacity-50 px-4 py-2 rounded-lg flex items-center space-x-2 transition-opacity"
+              >
+                <CheckCircle className="h-4 w-4" />
+                <span>Close as {ORDER_STATUS_LABELS[summary.status]}</span>
+              </button>
+            </div>
+          </div>
+
+          <div className="overflow-x-auto max-h-96 overflow-y-auto">
+            <table className="min-w-full">
+              <thead>
+                <tr className="border-b border-[#39414E]">
+                  <th className="px-4 py-2 text-left text-sm font-medium text-[#9FA3AC]">SKU</th>
+                  <th className="px-4 py-2 text-left text-sm font-medium text-[#9FA3AC]">Product</th>
+                  <th className="px-4 py-2 text-left text-sm font-medium text-[#9FA3AC]">Barcode</th>
+                  <th className="px-4 py-2 text-left text-sm font-medium text-[#9FA3AC]">Requested</th>
+                  <th className="px-4 py-2 text-left text-sm font-medium text-[#9FA3AC]">Picked</th>
+                  <th className="px-4 py-2 text-left text-sm font-medium text-[#9FA3AC]">Status</th>
+                </tr>
+              </thead>
+              <tbody>
+                {summary.lines.map(line => (
+                  <tr key={line.key} className="border-b border-[#39414E]">
+                    <td className="px-4 py-2 text-sm text-[#FAFCFB] font-mono">{line.sku}</td>
+                    <td className="px-4 py-2 text-sm">
+                      <div className="text-[#FAFCFB]">{line.productName || '—'}</div>
+                      <div className="text-xs text-[#9FA3AC]">{line.brand}</div>
+                    </td>
+                    <td className="px-4 py-2 text-sm text-[#9FA3AC] font-mono">{line.barcode}</td>
+                    <td className="px-4 py-2 text-sm text-[#FAFCFB]">{line.requestedQuantity}</td>
+                    <td className="px-4 py-2 text-sm">
+                      <div className="flex items-center space-x-2">
+                        <button
+                          onClick={() => adjustOrderPick(line.key, -1)}
+                          disabled={line.pickedQuantity === 0 || Boolean(scanBlockedReason)}
+                          className="p-1 rounded text-[#9FA3AC] hover:text-[#FAFCFB] hover:bg-[#39414E] disabled:opacity-50 transition-colors"
+                          title="Decrease picked quantity"
+                        >
+                          <Minus className="h-3 w-3" />
+                        </button>
+                        <span className="min-w-[2rem] text-center font-medium text-[#86EFAC]">{line.pickedQuantity}</span>
+                        <button
+                          onClick={() => adjustOrderPick(line.key, 1)}
+                          disabled={Boolean(scanBlockedReason)}
+                          className="p-1 rounded text-[#9FA3AC] hover:text-[#FAFCFB] hover:bg-[#39414E] disabled:opacity-50 transition-colors"
+                          title="Increase picked quantity"
+                        >
+                          <Plus className="h-3 w-3" />
+                        </button>
+                      </div>
+                    </td>
+                    <td className="px-4 py-2 text-sm">
+                      <span className={`px-2 py-0.5 rounded border text-xs font-medium ${LINE_STATUS[line.lineStatus].className}`}>
+                        {LINE_STATUS[line.lineStatus].label}
+                        {line.variance !== 0 && line.pickedQuantity > 0 && ` (${line.variance > 0 ? '+' : ''}${line.variance})`}
+                      </span>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      {/* Recently Closed Orders */}
+      {closedOrders.length > 0 && (
+        <div>
+          <h3 className="text-sm font-medium text-[#9FA3AC] mb-2">Recently Closed Orders</h3>
+          <div className="space-y-2">
+            {closedOrders.slice(0, 5).map(order => (
+              <div
+                key={`${order.orderNumber}_${order.closedAt}`}
+                className="flex items-center justify-between p-3 border border-[#39414E] rounded-lg text-sm"
+              >
+                <div>
+                  <span className="font-mono text-[#FAFCFB]">{order.orderNumber}</span>
+                  {order.shipToLocation && <span className="text-[#9FA3AC]"> • {order.shipToLocation}</span>}
+                  <div className="text-xs text-[#9FA3AC]">
+                    Picked {order.totalPicked} of {order.totalRequested} • {new Date(order.closedAt).toLocaleString()} by {order.closedBy}
+                  </div>
+                </div>
+                <span className={`px-2 py-0.5 rounded border text-xs font-medium ${ORDER_STATUS_STYLES[order.status]}`}>
+                  {ORDER_STATUS_LABELS[order.status]}
+                </span>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
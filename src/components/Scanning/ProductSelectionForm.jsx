@@ -1,16 +1,28 @@
 import React, { useState } from 'react';
 import { useSession } from '../../contexts/SessionContext.jsx';
+import QualityFlags from '../Common/QualityFlags.jsx';
+import { BARCODE_MATCH_REASONS } from '../../constants.js';
 import { AlertTriangle, CheckCircle, X } from 'lucide-react';
 import toast from 'react-hot-toast';
 
+// Badge colour by match strength - barcode matches green, barcode repairs blue, other fields yellow
+const matchBadgeClass = (rank) => {
+  if (rank <= BARCODE_MATCH_REASONS.NORMALIZED.rank) return 'bg-green-500/10 text-green-400 border-green-500/20';
+  if (rank < BARCODE_MATCH_REASONS.SKU.rank) return 'bg-blue-500/10 text-blue-400 border-blue-500/20';
+  return 'bg-yellow-500/10 text-yellow-400 border-yellow-500/20';
+};
+
 export default function ProductSelectionForm({ 
   products, 
   barcode, 
+  quantity = 1,
+  scanData = null,
   onProductSelected, 
   onCancel 
 }) {
-  const { addScannedItem } = useSession();
-  const [selectedProduct, setSelectedProduct] = useState(null);
+  const { addScannedItem, scanBlockedReason } = useSession();
+  // A lone inexact match is preselected - the user only has to confirm it
+  const [selectedProduct, setSelectedProduct] = useState(products && products.length === 1 ? products[0] : null);
 
   // Early return if no products or missing props
   if (!products || !Array.isArray(products) || products.length === 0) {
@@ -19,6 +31,8 @@ export default function ProductSelectionForm({
     return null;
   }
 
+  const hasInexactMatches = products.some(product => product.matchReason && product.matchReason !== BARCODE_MATCH_REASONS.EXACT.id);
+
   // Handle product selection
   const handleProductClick = (product) => {
     setSelectedProduct(product);
@@ -32,17 +46,19 @@ export default function ProductSelectionForm({
     }
 
     try {
-      // Add the selected product to scanned items
-      const wasAdded = addScannedItem(
+      // Add the selected product to scanned items (or add to its picked quantity)
+      const pickedQuantity = addScannedItem(
         selectedProduct.barcode, 
         selectedProduct.sku, 
-        selectedProduct.source
+        selectedProduct.source,
+        quantity,
+        scanData
       );
 
-      if (wasAdded) {
-        onProductSelected(selectedProduct);
+      if (pickedQuantity > 0) {
+        onProductSelected(selectedProduct, pickedQuantity);
       } else {
-        toast.warn('This product has already been scanned');
+        toast.error(scanBlockedReason || 'Unknown product source');
         onCancel();
       }
     } catch (error) {
@@ -89,10 +105,11 @@ export default function ProductSelectionForm({
               <AlertTriangle className="h-6 w-6 text-yellow-400" />
               <div>
                 <h2 className="text-lg font-semibold text-[#FAFCFB]">
-                  Multiple Products Found
+                  {products.length > 1 ? 'Multiple Products Found' : 'Confirm Product Match'}
                 </h2>
                 <p className="text-sm text-[#9FA3AC]">
                   Scanned Barcode: <span className="font-mono text-[#FAFCFB]">{barcode}</span>
+                  {quantity > 1 && <span className="ml-2 text-blue-400">×{quantity}</span>}
                 </p>
               </div>
             </div>
@@ -110,7 +127,11 @@ export default function ProductSelectionForm({
         {/* Instructions */}
         <div className="px-6 py-4 bg-blue-500/10 border-b border-blue-500/20">
           <p className="text-sm text-blue-400">
-            Multiple SKUs use this barcode. Please select the correct product you are scanning:
+            {products.length === 1
+              ? 'This code does not match the product exactly - check how it matched and confirm it is the product you are scanning:'
+              : hasInexactMatches
+              ? 'No single product matches this code exactly. Matches are listed best first with how each one matched - please select the product you are scanning:'
+              : 'Multiple SKUs use this barcode. Please select the correct product you are scanning:'}
           </p>
         </div>
 
@@ -129,6 +150,13 @@ export default function ProductSelectionForm({
               >
                 <div className="flex items-center justify-between">
                   <div className="flex-1">
+                    {product.matchLabel && (
+                      <div className="mb-3">
+                        <span className={`px-2 py-0.5 rounded border text-xs font-medium ${matchBadgeClass(product.matchRank)}`}>
+                          {product.matchLabel}
+                        </span>
+                      </div>
+                    )}
                     <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
                       {/* Basic Info */}
                       <div>
@@ -203,6 +231,12 @@ export default function ProductSelectionForm({
                         </div>
                       </div>
                     </div>
+
+                    {product.qualityFlags && product.qualityFlags.length > 0 && (
+                      <div className="mt-3">
+                        <QualityFlags flags={product.qualityFlags} />
+                      </div>
+                    )}
                   </div>
 
                   {/* Selection Indicator */}
@@ -236,7 +270,7 @@ export default function ProductSelectionForm({
         {/* Footer */}
         <div className="px-6 py-4 bg-[#15161B] border-t border-[#39414E] flex items-center justify-between">
           <div className="text-sm text-[#9FA3AC]">
-            Found {products.length} product{products.length !== 1 ? 's' : ''} with barcode{' '}
+            Found {products.length} product{products.length !== 1 ? 's' : ''} for{' '}
             <span className="font-mono text-[#FAFCFB]">{barcode}</span>
           </div>
           
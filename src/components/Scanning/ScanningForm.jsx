@@ -1,25 +1,54 @@
-import React, { useState, useRef, useEffect } from 'react';
+import React, { useState, useRef, useEffect, useMemo } from 'react';
 import { Link } from 'react-router-dom';
 import { useInventory } from '../../contexts/InventoryContext.jsx';
 import { useSession } from '../../contexts/SessionContext.jsx';
 import { ValidationHelper } from '../../utils/validation.js';
+import { GS1Parser } from '../../utils/gs1Parser.js';
+import { DataProcessor } from '../../utils/dataProcessor.js';
 import ProductSelectionForm from './ProductSelectionForm.jsx';
+import OrderFulfillmentPanel from './OrderFulfillmentPanel.jsx';
+import LocationScanPanel from './LocationScanPanel.jsx';
+import CycleCountPanel from './CycleCountPanel.jsx';
+import QualityFlags from '../Common/QualityFlags.jsx';
+import { DATA_SOURCES, SCAN_QUANTITY, BARCODE_MATCH_REASONS, SCAN_SESSION_TYPES, SCAN_OUTCOMES } from '../../constants.js';
 import { 
   Scan, 
   ArrowLeft, 
   Search,
   Trash2,
   Tag,
-  AlertCircle
+  AlertCircle,
+  Minus,
+  Plus,
+  Undo2,
+  ClipboardList,
+  MapPin
 } from 'lucide-react';
 import toast from 'react-hot-toast';
 
+const SCAN_MODES = [
+  { id: 'free', label: 'Free Scan', icon: Scan },
+  { id: 'order', label: 'Order Fulfillment', icon: ClipboardList },
+  { id: 'location', label: 'Location Scan', icon: MapPin }
+];
+
 export default function ScanningForm() {
   const { mainInventory, sweedData, getInventoryStats } = useInventory();
   const { 
     processBarcodeScan, 
     getScannedItemsDetails, 
     clearScannedItems, 
+    adjustPickedQuantity,
+    undoLastScan,
+    activeOrder,
+    processOrderScan,
+    scanBlockedReason,
+    currentSession,
+    resumeScanSession,
+    currentLocation,
+    setCurrentLocation,
+    checkScanLocation,
+    signalScanOutcome,
     getSessionStats 
   } = useSession();
 
@@ -29,10 +58,22 @@ export default function ScanningForm() {
   const [showProductSelection, setShowProductSelection] = useState(false);
   const [productDetails, setProductDetails] = useState('');
   const [scannedItemsList, setScannedItemsList] = useState([]);
+  const [pendingQuantity, setPendingQuantity] = useState(null); // Set by a bare "12*" entry
+  const [selectionScan, setSelectionScan] = useState({ barcode: '', quantity: 1, scanData: null });
+  const [scanMode, setScanMode] = useState(activeOrder ? 'order' : (currentLocation ? 'location' : 'free'));
 
   const barcodeInputRef = useRef(null);
   const inventoryStats = getInventoryStats();
   const sessionStats = getSessionStats();
+  const locationLookup = useMemo(() => DataProcessor.getLocationLookup(mainInventory), [mainInventory]);
+
+  // Cycle counts tally what is on the shelf, so there is no order to fulfil
+  const isCycleCount = currentSession?.type === SCAN_SESSION_TYPES.CYCLE_COUNT;
+  const scanModes = isCycleCount ? SCAN_MODES.filter(option => option.id !== 'order') : SCAN_MODES;
+
+  useEffect(() => {
+    if (isCycleCount && scanMode === 'order') setScanMode('free');
+  }, [isCycleCount, scanMode]);
 
   // Load scanned items details on mount and when session changes
   useEffect(() => {
@@ -43,7 +84,7 @@ export default function ScanningForm() {
       console.error('Error loading scanned items:', error);
       setScannedItemsList([]);
     }
-  }, [mainInventory, sweedData, getScannedItemsDetails, sessionStats.totalItemsScanned]);
+  }, [mainInventory, sweedData, getScannedItemsDetails, sessionStats.totalItemsScanned, sessionStats.totalUnitsPicked]);
 
   // Focus barcode input on mount
   useEffect(() => {
@@ -52,6 +93,20 @@ export default function ScanningForm() {
     }
   }, []);
 
+  // An order still in progress (e.g. after a reload) resumes in fulfillment mode
+  useEffect(() => {
+    if (activeOrder) {
+      setScanMode('order');
+    }
+  }, [activeOrder?.orderNumber]);
+
+  // A bin still set (e.g. after a reload) resumes in location mode
+  useEffect(() => {
+    if (currentLocation && !activeOrder) {
+      setScanMode('location');
+    }
+  }, [currentLocation]);
+
   // Auto-close product selection on escape key
   useEffect(() => {
     const handleEscape = (e) => {
@@ -69,19 +124,77 @@ export default function ScanningForm() {
     setBarcode(e.target.value);
   };
 
+  // Split a "12*barcode" entry into its quantity and barcode parts
+  const parseScanInput = (input) => {
+    const match = input.match(SCAN_QUANTITY.MODIFIER_PATTERN);
+    if (!match) return { quantity: null, barcode: input };
+
+    return { quantity: parseInt(match[1], 10), barcode: match[2].trim() };
+  };
+
   // Handle barcode scan/search
   const handleScan = async () => {
-    const cleanBarcode = barcode.trim();
+    const input = barcode.trim();
     
-    if (!cleanBarcode) {
+    if (!input) {
       toast.error('Please enter a barcode');
       return;
     }
 
+    const parsed = parseScanInput(input);
+
+    if (parsed.quantity !== null && (parsed.quantity < 1 || parsed.quantity > SCAN_QUANTITY.MAX)) {
+      toast.error(`Quantity must be between 1 and ${SCAN_QUANTITY.MAX}`);
+      return;
+    }
+
+    // A bare "12*" sets the quantity for the next scan
+    if (parsed.quantity !== null && !parsed.barcode) {
+      setPendingQuantity(parsed.quantity);
+      setBarcode('');
+      if (barcodeInputRef.current) {
+        barcodeInputRef.current.focus();
+      }
+      return;
+    }
+
+    const cleanBarcode = parsed.barcode;
+    const quantity = parsed.quantity || pendingQuantity || 1;
+
+    // In location mode a location label sets the current bin instead of scanning a product
+    if (scanMode === 'location') {
+      const location = DataProcessor.parseLocationScan(cleanBarcode, locationLookup);
+      if (location) {
+        handleLocationScan(location);
+        return;
+      }
+      if (!currentLocation) {
+        toast.error('Scan a location barcode before scanning products');
+        return;
+      }
+    }
+
+    // GS1-128 / DataMatrix element strings are matched by GTIN and carry lot/expiry
+    const gs1 = GS1Parser.isGS1(cleanBarcode) ? GS1Parser.parse(cleanBarcode) : null;
+    if (gs1 && gs1.error) {
+      setProductDetails(buildErrorMessage(cleanBarcode, `GS1 barcode could not be read - ${gs1.error}`));
+      signalScanOutcome(SCAN_OUTCOMES.NOT_FOUND);
+      toast.error(gs1.error);
+      return;
+    }
+
     // Validate barcode format
-    const validation = ValidationHelper.validateBarcode(cleanBarcode);
-    if (!validation.isValid) {
-      toast.error(validation.error);
+    if (!gs1) {
+      const validation = ValidationHelper.validateBarcode(cleanBarcode);
+      if (!validation.isValid) {
+        signalScanOutcome(SCAN_OUTCOMES.NOT_FOUND);
+        toast.error(validation.error);
+        return;
+      }
+    }
+
+    if (scanMode === 'order') {
+      handleOrderScan(cleanBarcode, quantity, gs1);
       return;
     }
 
@@ -89,19 +202,27 @@ export default function ScanningForm() {
     
     try {
       // Process the barcode scan
-      const result = processBarcodeScan(cleanBarcode, mainInventory, sweedData);
+      const result = processBarcodeScan(cleanBarcode, mainInventory, sweedData, quantity, gs1);
       
       if (result.success) {
-        if (result.requiresSelection && result.matches && result.matches.length > 1) {
-          // Multiple matches - show selection dialog
+        if (result.requiresSelection && result.matches && result.matches.length > 0) {
+          // Multiple or inexact matches - show selection dialog
+          setSelectionScan({ barcode: cleanBarcode, quantity, scanData: gs1 });
           setSelectedProducts(result.matches);
           setShowProductSelection(true);
           setProductDetails(buildMultipleMatchesMessage(result.matches, cleanBarcode));
+          signalScanOutcome(SCAN_OUTCOMES.MULTIPLE_MATCH);
+          setPendingQuantity(null);
         } else if (result.processed) {
           // Single match processed successfully
           const processedItem = result.processed;
-          setProductDetails(buildSuccessMessage(processedItem, cleanBarcode));
-          toast.success(`Scanned: ${processedItem.sku}`);
+          setProductDetails(buildSuccessMessage(processedItem, cleanBarcode, quantity, result.pickedQuantity, gs1, result.location));
+          signalScanOutcome(result.pickedQuantity > quantity ? SCAN_OUTCOMES.DUPLICATE : SCAN_OUTCOMES.SUCCESS);
+          toast.success(`Scanned: ${processedItem.sku} (+${quantity}, picked ${result.pickedQuantity})`);
+          if (result.location && result.location.mismatch) {
+            toast.error(`Location mismatch: ${processedItem.sku} belongs in ${result.location.expected}`);
+          }
+          setPendingQuantity(null);
           
           // Clear barcode input
           setBarcode('');
@@ -110,20 +231,9 @@ export default function ScanningForm() {
           }
         }
       } else {
-        // Handle errors
-        if (result.alreadyScanned) {
-          const item = result.matches && result.matches[0];
-          if (item) {
-            setProductDetails(buildAlreadyScannedMessage(item, cleanBarcode));
-            toast.warn(`Already scanned: ${item.sku}`);
-          } else {
-            setProductDetails('Product already scanned');
-            toast.warn('Product already scanned');
-          }
-        } else {
-          setProductDetails(buildNotFoundMessage(cleanBarcode));
-          toast.error(result.error || 'Barcode not found');
-        }
+        setProductDetails(buildNotFoundMessage(gs1 ? `${cleanBarcode} (GTIN ${gs1.gtin})` : cleanBarcode));
+        signalScanOutcome(SCAN_OUTCOMES.NOT_FOUND);
+        toast.error(result.error || 'Barcode not found');
       }
     } catch (error) {
       console.error('Scanning error:', error);
@@ -134,6 +244,86 @@ export default function ScanningForm() {
     }
   };
 
+  // Verify a scan against the active Sweed order
+  const handleOrderScan = (cleanBarcode, quantity, gs1) => {
+    if (!activeOrder) {
+      toast.error('Select an order to fulfill before scanning');
+      return;
+    }
+
+    const result = processOrderScan(cleanBarcode, quantity, gs1);
+    setPendingQuantity(null);
+
+    if (!result.success) {
+      setProductDetails(buildOrderRejectedMessage(cleanBarcode, result.error));
+      signalScanOutcome(SCAN_OUTCOMES.ORDER_MISMATCH);
+      toast.error(result.error);
+      return;
+    }
+
+    setProductDetails(buildOrderPickMessage(result, cleanBarcode, quantity, gs1));
+    signalScanOutcome(result.overPicked ? SCAN_OUTCOMES.ORDER_MISMATCH : SCAN_OUTCOMES.SUCCESS);
+    if (result.overPicked) {
+      toast.error(`Over-pick: ${result.line.sku} picked ${result.pickedQuantity} of ${result.requestedQuantity}`);
+    } else {
+      toast.success(`Picked: ${result.line.sku} (${result.pickedQuantity} of ${result.requestedQuantity})`);
+    }
+
+    setBarcode('');
+    focusBarcodeInput();
+  };
+
+  // Set the current bin from a scanned location label
+  const handleLocationScan = (location) => {
+    setCurrentLocation(location);
+    setPendingQuantity(null);
+    setProductDetails(buildLocationMessage(location));
+    toast.success(`Location: ${location}`);
+    setBarcode('');
+    focusBarcodeInput();
+  };
+
+  // Leaving location mode clears the bin so later scans are not recorded against it
+  const handleScanModeChange = (mode) => {
+    if (mode !== 'location' && currentLocation) {
+      setCurrentLocation(null);
+    }
+    setScanMode(mode);
+    focusBarcodeInput();
+  };
+
+  const focusBarcodeInput = () => {
+    if (barcodeInputRef.current) {
+      barcodeInputRef.current.focus();
+    }
+  };
+
+  // Change the picked quantity of a scanned row
+  const handleAdjustQuantity = (item, delta) => {
+    const pickedQuantity = adjustPickedQuantity(item.barcode, item.sku, item.dataSource, delta);
+    if (pickedQuantity === null) {
+      toast.error(scanBlockedReason);
+    } else if (pickedQuantity === 0) {
+      toast.success(`Removed ${item.sku} from the scan list`);
+    }
+  };
+
+  // Reverse the most recent scan
+  const handleUndo = () => {
+    if (scanBlockedReason) {
+      toast.error(scanBlockedReason);
+      return;
+    }
+
+    const undone = undoLastScan();
+    if (undone) {
+      toast.success(`Undid scan: ${undone.sku} (-${undone.quantity})`);
+    }
+    if (barcodeInputRef.current) {
+      barcodeInputRef.current.focus();
+    }
+  };
+
   // Handle Enter key press
   const handleKeyPress = (e) => {
     if (e.key === 'Enter') {
@@ -143,7 +333,7 @@ export default function ScanningForm() {
   };
 
   // Handle product selection from dialog
-  const handleProductSelected = (selectedProduct) => {
+  const handleProductSelected = (selectedProduct, pickedQuantity) => {
     console.log('Product selected:', selectedProduct);
     setShowProductSelection(false);
     setSelectedProducts([]);
@@ -155,8 +345,13 @@ export default function ScanningForm() {
     }
     
     // Update product details
-    setProductDetails(buildSuccessMessage(selectedProduct, barcode));
-    toast.success(`Scanned: ${selectedProduct.sku}`);
+    const locationCheck = checkScanLocation(selectedProduct);
+    setProductDetails(buildSuccessMessage(selectedProduct, selectionScan.barcode, selectionScan.quantity, pickedQuantity, selectionScan.scanData, locationCheck));
+    signalScanOutcome(pickedQuantity > selectionScan.quantity ? SCAN_OUTCOMES.DUPLICATE : SCAN_OUTCOMES.SUCCESS);
+    toast.success(`Scanned: ${selectedProduct.sku} (+${selectionScan.quantity}, picked ${pickedQuantity})`);
+    if (locationCheck && locationCheck.mismatch) {
+      toast.error(`Location mismatch: ${selectedProduct.sku} belongs in ${locationCheck.expected}`);
+    }
   };
 
   // Handle product selection cancelled
@@ -173,6 +368,11 @@ export default function ScanningForm() {
 
   // Clear all scanned items
   const handleClearAll = () => {
+    if (scanBlockedReason) {
+      toast.error(scanBlockedReason);
+      return;
+    }
+
     if (window.confirm('Clear all scanned items? This cannot be undone.')) {
       try {
         clearScannedItems();
@@ -187,10 +387,11 @@ export default function ScanningForm() {
   };
 
   // Build success message
-  const buildSuccessMessage = (item, scannedBarcode) => {
+  const buildSuccessMessage = (item, scannedBarcode, quantity, pickedQuantity, gs1 = null, locationCheck = null) => {
     return `========== PRODUCT SCANNED SUCCESSFULLY ==========
 
-SCANNED BARCODE: ${scannedBarcode}
+SCANNED BARCODE: ${scannedBarcode}${item.matchReason && item.matchReason !== BARCODE_MATCH_REASONS.EXACT.id ? `
+MATCH: ${item.matchLabel}` : ''}
 
 === PRODUCT DETAILS ===
 SKU: ${item.sku || 'N/A'}
@@ -202,40 +403,139 @@ Barcode: ${item.barcode || 'N/A'}
 BioTrack/External: ${item.bioTrackCode || 'N/A'}
 Quantity: ${item.quantity || 'N/A'}
 
-STATUS: SUCCESSFULLY ADDED TO SCAN LIST
+PICKED THIS SCAN: ${quantity}
+TOTAL PICKED: ${pickedQuantity}
+${buildGS1Section(gs1)}${buildLocationSection(locationCheck)}${buildInventorySection(item)}${buildQualitySection(item)}
+STATUS: ${pickedQuantity > quantity ? 'PICKED QUANTITY UPDATED' : 'SUCCESSFULLY ADDED TO SCAN LIST'}
 ==============================================`;
   };
 
-  // Build multiple matches message
-  const buildMultipleMatchesMessage = (matches, scannedBarcode) => {
-    return `========== MULTIPLE PRODUCTS FOUND ==========
+  // Build the GS1 section of a scan message (empty for plain barcodes)
+  const buildGS1Section = (gs1) => {
+    if (!gs1) return '';
+
+    return `
+=== GS1 DATA ===
+GTIN (01): ${gs1.gtin}
+Lot (10): ${gs1.lot || 'N/A'}
+Expires (17): ${gs1.expirationDate ? new Date(`${gs1.expirationDate}T00:00:00`).toLocaleDateString() : 'N/A'}
+Serial (21): ${gs1.serialNumber || 'N/A'}
+`;
+  };
+
+  // Build the location section of a scan message (empty without a current bin)
+  const buildLocationSection = (locationCheck) => {
+    if (!locationCheck) return '';
+
+    return `
+=== LOCATION ===
+Found In: ${locationCheck.found}
+System Location: ${locationCheck.expected || 'N/A'}${locationCheck.mismatch ? `
+*** MISMATCH - PRODUCT IS NOT IN ITS SYSTEM LOCATION ***` : ''}
+`;
+  };
+
+  // Build message for a scanned location label
+  const buildLocationMessage = (location) => {
+    const known = locationLookup.has(DataProcessor.normalizeLocation(location));
 
+    return `========== LOCATION SET ==========
+
+CURRENT BIN: ${location}
+${known ? '' : `
+This location is not in the Main Inventory export.
+`}
+Products scanned next are recorded as found here.
+Scan another location label to move on.
+==================================`;
+  };
+
+  // Build the Main Inventory detail section of a scan message
+  const buildInventorySection = (item) => {
+    if (item.dataSource !== DATA_SOURCES.MAIN_INVENTORY) return '';
+
+    const show = (value, suffix = '') => (value === null || value === undefined || value === '' ? 'N/A' : `${value}${suffix}`);
+    const showDate = (value) => (value ? new Date(`${value}T00:00:00`).toLocaleDateString() : 'N/A');
+
+    return `
+=== INVENTORY DETAILS ===
+Category: ${show(item.category)}${item.subcategory ? ` / ${item.subcategory}` : ''}
+Product Type: ${show(item.productType)}
+THC: ${show(item.thcPercent, '%')}   CBD: ${show(item.cbdPercent, '%')}
+Price: ${show(item.price)}   Cost: ${show(item.wholesaleCost)}
+Location: ${show(item.location)}${item.locationStockType ? ` (${item.locationStockType})` : ''}
+Reserved: ${show(item.reservedQty)}${item.reservedTransactionType ? ` (${item.reservedTransactionType})` : ''}
+Shipment ID: ${show(item.shipmentId)}
+Internal No: ${show(item.internalNo)}
+Received: ${showDate(item.receptionDate)}
+Manufactured: ${showDate(item.manufacturingDate)}${item.manufacturingAge !== null && item.manufacturingAge !== undefined ? ` (${item.manufacturingAge} days)` : ''}
+Expires: ${showDate(item.expirationDate)}
+Age: ${show(item.ageDays, ' days')}
+Distributor: ${show(item.distributor)}
+Manufacturer: ${show(item.manufacturer)}
+`;
+  };
+
+  // Build the data-quality section of a scan message (empty when the item is clean)
+  const buildQualitySection = (item) => {
+    if (!item.qualityFlags || item.qualityFlags.length === 0) return '';
+
+    return `
+=== QUALITY WARNINGS ===
+${item.qualityFlags.map(flag => `⚠ ${flag.label}: ${flag.message}`).join('\n')}
+`;
+  };
+
+  // Build order pick message (over-picks are recorded but reported as errors)
+  const buildOrderPickMessage = (result, scannedBarcode, quantity, gs1 = null) => {
+    const { line, pickedQuantity, requestedQuantity, overPicked } = result;
+
+    return `========== ${overPicked ? 'OVER-PICK - EXCEEDS REQUESTED QTY' : 'ORDER LINE PICKED'} ==========
+
+ORDER: ${activeOrder.orderNumber}
 SCANNED BARCODE: ${scannedBarcode}
-FOUND ${matches.length} MATCHING PRODUCTS
 
-This barcode is used by multiple SKUs.
-Please select the correct product from the dialog.
+SKU: ${line.sku || 'N/A'}
+Product Name: ${line.productName || 'N/A'}
+Brand: ${line.brand || 'N/A'}
+Size: ${line.size || 'N/A'}
+
+PICKED THIS SCAN: ${quantity}
+PICKED FOR LINE: ${pickedQuantity} of ${requestedQuantity}
+${buildGS1Section(gs1)}${overPicked
+    ? `\n⚠ ${pickedQuantity - requestedQuantity} unit(s) over the requested quantity.\nPut the extra units back or use − on the order line.`
+    : `REMAINING: ${requestedQuantity - pickedQuantity}`}
+==============================================`;
+  };
 
-Products found:
-${matches.map(item => `• ${item.sku} - ${item.productName}`).join('\n')}
+  // Build message for a barcode that is not on the active order
+  const buildOrderRejectedMessage = (scannedBarcode, errorMsg) => {
+    return `========== NOT ON ORDER ==========
 
-=========================================`;
+ORDER: ${activeOrder ? activeOrder.orderNumber : 'N/A'}
+Scanned Barcode: ${scannedBarcode}
+
+${errorMsg}
+
+The scan was not recorded. Check that the product
+matches a line on this order.
+==================================`;
   };
 
-  // Build already scanned message
-  const buildAlreadyScannedMessage = (item, scannedBarcode) => {
-    return `========== ALREADY SCANNED ==========
+  // Build multiple matches message
+  const buildMultipleMatchesMessage = (matches, scannedBarcode) => {
+    return `========== ${matches.length > 1 ? 'MULTIPLE PRODUCTS FOUND' : 'CONFIRM PRODUCT MATCH'} ==========
 
-Product Information:
-  SKU: ${item.sku || 'N/A'}
-  Product: ${item.productName || 'N/A'}
-  BioTrack: ${item.bioTrackCode || 'N/A'}
+SCANNED BARCODE: ${scannedBarcode}
+FOUND ${matches.length} MATCHING PRODUCT${matches.length !== 1 ? 'S' : ''}
+
+${matches.length > 1 ? 'No single best match for this code.' : 'The only match is not an exact barcode match.'}
+Please ${matches.length > 1 ? 'select' : 'confirm'} the correct product in the dialog.
 
-This exact product has already been scanned.
-No further action needed.
+Products found (best match first):
+${matches.map(item => `• ${item.sku} - ${item.productName}${item.matchLabel ? ` [${item.matchLabel}]` : ''}`).join('\n')}
 
-Continue scanning other items.
-=====================================`;
+=========================================`;
   };
 
   // Build not found message
@@ -269,8 +569,8 @@ Please try scanning again or contact support.
 ====================================`;
   };
 
-  // Check if scanning is ready
-  const canScan = inventoryStats.totalItems > 0;
+  // Check if scanning is ready - needs inventory and an active scanning session
+  const canScan = inventoryStats.totalItems > 0 && !scanBlockedReason;
 
   return (
     <div className="min-h-screen bg-[#15161B] p-6">
@@ -297,13 +597,56 @@ Please try scanning again or contact support.
           <div>Debug: scannedItemsList length = {scannedItemsList.length}</div>
         </div>
 
+        {/* Scan Mode */}
+        <div className="flex items-center space-x-2">
+          {scanModes.map(option => {
+            const Icon = option.icon;
+            return (
+              <button
+                key={option.id}
+                onClick={() => handleScanModeChange(option.id)}
+                className={`px-3 py-1.5 rounded-lg text-sm flex items-center space-x-2 transition-colors ${
+                  scanMode === option.id
+                    ? 'bg-[#86EFAC] text-[#00001C]'
+                    : 'text-[#9FA3AC] hover:text-[#FAFCFB] hover:bg-[#39414E]'
+                }`}
+              >
+                <Icon className="h-4 w-4" />
+                <span>{option.label}</span>
+              </button>
+            );
+          })}
+        </div>
+
+        {isCycleCount && <CycleCountPanel />}
+        {scanMode === 'order' && <OrderFulfillmentPanel onOrderChange={focusBarcodeInput} />}
+        {scanMode === 'location' && <LocationScanPanel locationLookup={locationLookup} onLocationChange={focusBarcodeInput} />}
+
         {/* Scanning Interface */}
         <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
           {/* Scanning Input */}
           <div className="bg-[#181B22] border border-[#39414E] rounded-xl p-6">
             <h2 className="text-lg font-semibold text-[#FAFCFB] mb-4">Barcode Scanner</h2>
             
-            {!canScan && (
+            {inventoryStats.totalItems > 0 && scanBlockedReason && (
+              <div className="mb-4 p-4 bg-yellow-500/10 border border-yellow-500/20 rounded-lg flex items-center justify-between">
+                <div className="flex items-center space-x-2">
+                  <AlertCircle className="h-5 w-5 text-yellow-400" />
+                  <span className="text-yellow-400">{scanBlockedReason}</span>
+                </div>
+                <button
+                  onClick={() => {
+                    resumeScanSession();
+                    focusBarcodeInput();
+                  }}
+                  className="bg-[#86EFAC] text-[#00001C] hover:opacity-90 px-3 py-1.5 rounded-lg text-sm transition-opacity"
+                >
+                  Resume
+                </button>
+              </div>
+            )}
+
+            {inventoryStats.totalItems === 0 && (
               <div className="mb-4 p-4 bg-yellow-500/10 border border-yellow-500/20 rounded-lg">
                 <div className="flex items-center space-x-2">
                   <AlertCircle className="h-5 w-5 text-yellow-400" />
@@ -316,9 +659,20 @@ Please try scanning again or contact support.
 
             <div className="space-y-4">
               <div>
-                <label htmlFor="barcode" className="block text-sm font-medium text-[#FAFCFB] mb-2">
-                  Scan or Enter Barcode:
-                </label>
+                <div className="flex items-center justify-between mb-2">
+                  <label htmlFor="barcode" className="block text-sm font-medium text-[#FAFCFB]">
+                    Scan or Enter Barcode:
+                  </label>
+                  {pendingQuantity && (
+                    <button
+                      onClick={() => setPendingQuantity(null)}
+                      className="px-2 py-0.5 rounded border text-xs font-medium bg-blue-500/10 text-blue-400 border-blue-500/20 hover:bg-blue-500/20 transition-colors"
+                      title="Clear quantity"
+                    >
+                      Next scan: ×{pendingQuantity}
+                    </button>
+                  )}
+                </div>
                 <div className="flex space-x-2">
                   <input
                     ref={barcodeInputRef}
@@ -341,6 +695,14 @@ Please try scanning again or contact support.
                     <span>{scanning ? 'Scanning...' : 'Scan'}</span>
                   </button>
                 </div>
+                <p className="mt-2 text-xs text-[#9FA3AC]">
+                  {scanMode === 'order' && (activeOrder
+                    ? `Scans are checked against order ${activeOrder.orderNumber}. `
+                    : 'Start an order above to verify scans against it. ')}
+                  {isCycleCount && 'Counting: scan every unit on the shelf, or type a quantity first. Counts are compared with the imported quantities. '}
+                  {scanMode === 'location' && 'Scan a bin label (LOC:A-01) or location name to set the current bin; products scanned after it are recorded there. '}
+                  Type <span className="font-mono text-[#FAFCFB]">12*</span> before scanning to pick 12 units. Scanning an item again adds to its picked count. GS1 case barcodes are matched by GTIN and record their lot and expiry.
+                </p>
               </div>
             </div>
           </div>
@@ -364,9 +726,26 @@ Available Items:
         {/* Scanned Items List */}
         <div className="bg-[#181B22] border border-[#39414E] rounded-xl p-6">
           <div className="flex items-center justify-between mb-4">
-            <h2 className="text-lg font-semibold text-[#FAFCFB]">Scanned Items List</h2>
+            <div>
+              <h2 className="text-lg font-semibold text-[#FAFCFB]">Scanned Items List</h2>
+              {sessionStats.totalItemsScanned > 0 && (
+                <p className="text-sm text-[#9FA3AC]">
+                  {sessionStats.totalItemsScanned} items • {sessionStats.totalUnitsPicked} units picked
+                </p>
+              )}
+            </div>
             
             <div className="flex items-center space-x-2">
+              {sessionStats.canUndo && (
+                <button
+                  onClick={handleUndo}
+                  disabled={Boolean(scanBlockedReason)}
+                  className="bg-[#181B22] text-[#FAFCFB] border border-[#39414E] hover:bg-[#39414E] disabled:opacity-50 px-4 py-2 rounded-lg flex items-center space-x-2 transition-colors"
+                >
+                  <Undo2 className="h-4 w-4" />
+                  <span>Undo Last Scan</span>
+                </button>
+              )}
               {sessionStats.totalItemsScanned > 0 && (
                 <>
                   <Link
@@ -379,7 +758,8 @@ Available Items:
                   
                   <button
                     onClick={handleClearAll}
-                    className="bg-red-500 text-white hover:bg-red-600 px-4 py-2 rounded-lg flex items-center space-x-2 transition-colors"
+                    disabled={Boolean(scanBlockedReason)}
+                    className="bg-red-500 text-white hover:bg-red-600 disabled:opacity-50 px-4 py-2 rounded-lg flex items-center space-x-2 transition-colors"
                   >
                     <Trash2 className="h-4 w-4" />
                     <span>Clear All</span>
@@ -406,6 +786,7 @@ Available Items:
                     <th className="px-4 py-3 text-left text-sm font-medium text-[#9FA3AC]">Barcode</th>
                     <th className="px-4 py-3 text-left text-sm font-medium text-[#9FA3AC]">BioTrack</th>
                     <th className="px-4 py-3 text-left text-sm font-medium text-[#9FA3AC]">Quantity</th>
+                    <th className="px-4 py-3 text-left text-sm font-medium text-[#9FA3AC]">Picked</th>
                     <th className="px-4 py-3 text-left text-sm font-medium text-[#9FA3AC]">Location</th>
                   </tr>
                 </thead>
@@ -413,11 +794,50 @@ Available Items:
                   {scannedItemsList.map((item, index) => (
                     <tr key={index} className="border-b border-[#39414E]">
                       <td className="px-4 py-3 text-sm text-[#FAFCFB] font-mono">{item.sku || 'N/A'}</td>
-                      <td className="px-4 py-3 text-sm text-[#FAFCFB]">{item.productName || 'N/A'}</td>
+                      <td className="px-4 py-3 text-sm text-[#FAFCFB]">
+                        <div>{item.productName || 'N/A'}</div>
+                        {item.qualityFlags && item.qualityFlags.length > 0 && (
+                          <div className="mt-1">
+                            <QualityFlags flags={item.qualityFlags} compact />
+                          </div>
+                        )}
+                      </td>
                       <td className="px-4 py-3 text-sm text-[#FAFCFB]">{item.brand || 'N/A'}</td>
-                      <td className="px-4 py-3 text-sm text-[#FAFCFB] font-mono">{item.barcode || 'N/A'}</td>
+                      <td className="px-4 py-3 text-sm text-[#FAFCFB] font-mono">
+                        <div>{item.barcode || 'N/A'}</div>
+                        {item.scannedLots && item.scannedLots.length > 0 && (
+                          <div className="mt-1 text-xs text-[#9FA3AC]">
+                            {item.scannedLots.map(lot => (
+                              <div key={`${lot.lot}_${lot.expirationDate}`}>
+                                Lot {lot.lot || '—'}{lot.expirationDate ? ` • Exp ${lot.expirationDate}` : ''} ×{lot.quantity}
+                              </div>
+                            ))}
+                          </div>
+                        )}
+                      </td>
                       <td className="px-4 py-3 text-sm text-[#FAFCFB] font-mono">{item.bioTrackCode || 'N/A'}</td>
                       <td className="px-4 py-3 text-sm text-[#FAFCFB]">{item.quantity || 'N/A'}</td>
+                      <td className="px-4 py-3 text-sm">
+                        <div className="flex items-center space-x-2">
+                          <button
+                            onClick={() => handleAdjustQuantity(item, -1)}
+                            disabled={Boolean(scanBlockedReason)}
+                            className="p-1 rounded text-[#9FA3AC] hover:text-[#FAFCFB] hover:bg-[#39414E] disabled:opacity-50 transition-colors"
+                            title={item.pickedQuantity > 1 ? 'Decrease picked quantity' : 'Remove from scan list'}
+                          >
+                            <Minus className="h-3 w-3" />
+                          </button>
+                          <span className="min-w-[2rem] text-center font-medium text-[#86EFAC]">{item.pickedQuantity}</span>
+                          <button
+                            onClick={() => handleAdjustQuantity(item, 1)}
+                            disabled={Boolean(scanBlockedReason)}
+                            className="p-1 rounded text-[#9FA3AC] hover:text-[#FAFCFB] hover:bg-[#39414E] disabled:opacity-50 transition-colors"
+                            title="Increase picked quantity"
+                          >
+                            <Plus className="h-3 w-3" />
+                          </button>
+                        </div>
+                      </td>
                       <td className="px-4 py-3 text-sm text-[#FAFCFB]">{item.location || item.shipToLocation || 'N/A'}</td>
                     </tr>
                   ))}
@@ -431,7 +851,9 @@ Available Items:
         {showProductSelection && selectedProducts && selectedProducts.length > 0 && (
           <ProductSelectionForm
             products={selectedProducts}
-            barcode={barcode}
+            barcode={selectionScan.barcode}
+            quantity={selectionScan.quantity}
+            scanData={selectionScan.scanData}
             onProductSelected={handleProductSelected}
             onCancel={handleProductSelectionCancelled}
           />
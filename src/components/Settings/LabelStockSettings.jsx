@@ -0,0 +1,336 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useInventory } from '../../contexts/InventoryContext.jsx';
+import { LabelStocks } from '../../utils/labelStocks.js';
+import { LabelTemplateEngine } from '../../utils/labelTemplateEngine.js';
+import LabelSheetDiagram from '../Labels/LabelSheetDiagram.jsx';
+import { LABEL_STOCKS } from '../../constants.js';
+import { LayoutGrid, ArrowLeft, Plus, Trash2, AlertCircle } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+// Form lengths are in inches; stocks are stored in points
+const POINTS_PER_INCH = 72;
+
+const toInches = (points) => String(Number((points / POINTS_PER_INCH).toFixed(3)));
+const toPoints = (inches) => Math.round(parseFloat(inches) * POINTS_PER_INCH * 100) / 100;
+
+// Form fields for a new stock, copied from an existing stock's geometry
+const draftFromStock = (stock) => ({
+  id: '',
+  name: '',
+  description: '',
+  pageWidth: toInches(stock.page.width),
+  pageHeight: toInches(stock.page.height),
+  labelWidth: toInches(stock.label.width),
+  labelHeight: toInches(stock.label.height),
+  columns: String(stock.columns),
+  rows: String(stock.rows),
+  gutterX: toInches(stock.gutter.x),
+  gutterY: toInches(stock.gutter.y),
+  marginTop: toInches(stock.margins.top),
+  marginRight: toInches(stock.margins.right),
+  marginBottom: toInches(stock.margins.bottom),
+  marginLeft: toInches(stock.margins.left),
+  rotation: String(stock.rotation)
+});
+
+const stockFromDraft = (draft) => ({
+  id: draft.id.trim(),
+  name: draft.name.trim(),
+  description: draft.description.trim(),
+  page: { width: toPoints(draft.pageWidth), height: toPoints(draft.pageHeight) },
+  label: { width: toPoints(draft.labelWidth), height: toPoints(draft.labelHeight) },
+  columns: Number(draft.columns),
+  rows: Number(draft.rows),
+  gutter: { x: toPoints(draft.gutterX), y: toPoints(draft.gutterY) },
+  margins: {
+    top: toPoints(draft.marginTop),
+    right: toPoints(draft.marginRight),
+    bottom: toPoints(draft.marginBottom),
+    left: toPoints(draft.marginLeft)
+  },
+  rotation: Number(draft.rotation)
+});
+
+const FIELD_GROUPS = [
+  { label: 'Page (in)', fields: [['pageWidth', 'Width'], ['pageHeight', 'Height']] },
+  { label: 'Label (in)', fields: [['labelWidth', 'Width'], ['labelHeight', 'Height']] },
+  { label: 'Grid', fields: [['columns', 'Columns'], ['rows', 'Rows']] },
+  { label: 'Gutters (in)', fields: [['gutterX', 'Across'], ['gutterY', 'Down']] },
+  {
+    label: 'Printer Margins (in)',
+    fields: [['marginTop', 'Top'], ['marginRight', 'Right'], ['marginBottom', 'Bottom'], ['marginLeft', 'Left']]
+  }
+];
+
+export default function LabelStockSettings() {
+  const { getLabelStocks, saveLabelStock, deleteLabelStock } = useInventory();
+
+  const [stocks, setStocks] = useState(() => getLabelStocks());
+  const [draft, setDraft] = useState(() => draftFromStock(LabelStocks.getStock()));
+  const [errors, setErrors] = useState([]);
+
+  const draftStock = stockFromDraft(draft);
+  const draftCheck = LabelStocks.validateStock(draftStock, stocks);
+  // Sheet geometry alone, so the layout previews before an id and name are typed
+  const geometryCheck = LabelStocks.validateStock({ ...draftStock, id: 'draft', name: 'draft' });
+  const draftTemplates = geometryCheck.isValid ? LabelTemplateEngine.getTemplatesForStock(draftStock) : [];
+  const visibleErrors = errors.length > 0 ? errors : (draft.id || draft.name ? draftCheck : geometryCheck).errors;
+
+  const handleChange = (field, value) => {
+    setDraft(prev => ({ ...prev, [field]: value }));
+    setErrors([]);
+  };
+
+  // Copy geometry from an existing stock as a starting point
+  const handleStartFrom = (stockId) => {
+    const source = stocks.find(stock => stock.id === stockId);
+    if (source) {
+      setDraft(prev => ({ ...draftFromStock(source), id: prev.id, name: prev.name, description: prev.description }));
+      setErrors([]);
+    }
+  };
+
+  const handleAdd = () => {
+    const result = saveLabelStock(draftStock);
+    if (!result.success) {
+      setErrors(result.errors);
+      toast.error('Label stock not saved');
+      return;
+    }
+
+    toast.success(`${draftStock.name} added`);
+    setStocks(getLabelStocks());
+    setDraft(prev => ({ ...prev, id: '', name: '', description: '' }));
+  };
+
+  const handleDelete = (stock) => {
+    if (!window.confirm(`Delete label stock "${stock.name}"?`)) return;
+
+    if (deleteLabelStock(stock.id)) {
+      toast.success(`${stock.name} deleted`);
+      setStocks(getLabelStocks());
+    } else {
+      toast.error('Failed to delete label stock');
+    }
+  };
+
+  const inputClass = 'w-full bg-[#15161B] border border-[#39414E] text-[#FAFCFB] rounded-lg px-3 py-2 focus:border-[#86EFAC] focus:outline-none transition-colors';
+
+  return (
+    <div className="min-h-screen bg-[#15161B] p-6">
+      <div className="max-w-6xl mx-auto space-y-8">
+        {/* Header */}
+        <div className="flex items-center justify-between">
+          <div>
+            <h1 className="text-2xl font-bold text-[#FAFCFB]">Label Stocks</h1>
+          </div>
+
+          <Link
+            to="/labels"
+            className="bg-[#181B22] text-[#FAFCFB] border border-[#39414E] hover:bg-[#39414E] px-4 py-2 rounded-lg flex items-center space-x-2 transition-colors"
+          >
+            <ArrowLeft className="h-4 w-4" />
+            <span>Labels</span>
+          </Link>
+        </div>
+
+        {/* Stock List */}
+        <div className="bg-[#181B22] border border-[#39414E] rounded-xl p-6">
+          <div className="flex items-center space-x-3 mb-2">
+            <LayoutGrid className="h-5 w-5 text-[#86EFAC]" />
+            <h2 className="text-lg font-semibold text-[#FAFCFB]">Sheets</h2>
+          </div>
+          <p className="text-sm text-[#9FA3AC] mb-6">
+            Every stock here can be picked on the Labels screen. A stock prints with any label template drawn for its label size.
+          </p>
+
+          <div className="space-y-3">
+            {stocks.map(stock => {
+              const templates = LabelTemplateEngine.getTemplatesForStock(stock);
+              return (
+                <div
+                  key={stock.id}
+                  className="flex flex-col md:flex-row md:items-center gap-4 p-4 border border-[#39414E] rounded-lg"
+                >
+                  <LabelSheetDiagram stock={stock} width={48} />
+
+                  <div className="flex-1">
+                    <div className="flex items-center space-x-2">
+                      <span className="font-medium text-[#FAFCFB]">{stock.name}</span>
+                      {stock.legacy && (
+                        <span className="px-2 py-0.5 rounded border text-xs font-medium bg-yellow-500/10 text-yellow-400 border-yellow-500/20">
+                          Legacy
+                        </span>
+                      )}
+                      {stock.custom && (
+                        <span className="px-2 py-0.5 rounded border text-xs font-medium bg-blue-500/10 text-blue-400 border-blue-500/20">
+                          Custom
+                        </span>
+                      )}
+                    </div>
+                    {stock.description && <div className="text-sm text-[#9FA3AC]">{stock.description}</div>}
+                    <div className="text-xs text-[#9FA3AC] mt-1">
+                      {stock.columns} × {stock.rows} of {LabelStocks.formatSize(stock.label)} on {LabelStocks.formatSize(stock.page)}
+                      {stock.rotation === 90 && ' • sideways'}
+                      {' • '}
+                      {templates.length > 0
+                        ? `Templates: ${templates.map(template => template.name).join(', ')}`
+                        : <span className="text-yellow-400">No template fits this label size</span>}
+                    </div>
+                  </div>
+
+                  {stock.custom && (
+                    <button
+                      onClick={() => handleDelete(stock)}
+                      className="p-2 text-[#9FA3AC] hover:text-red-400 transition-colors rounded"
+                      title="Delete stock"
+                    >
+                      <Trash2 className="h-4 w-4" />
+                    </button>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        </div>
+
+        {/* New Stock */}
+        <div className="bg-[#181B22] border border-[#39414E] rounded-xl p-6">
+          <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-3 mb-6">
+            <h2 className="text-lg font-semibold text-[#FAFCFB]">Add Custom Stock</h2>
+            <label className="flex items-center space-x-2 text-sm text-[#9FA3AC]">
+              <span>Start from</span>
+              <select
+                value=""
+                onChange={(e) => handleStartFrom(e.target.value)}
+                className="bg-[#15161B] border border-[#39414E] text-[#FAFCFB] rounded-lg px-3 py-1.5 text-sm focus:border-[#86EFAC] focus:outline-none"
+              >
+                <option value="">Choose a stock…</option>
+                {stocks.map(stock => (
+                  <option key={stock.id} value={stock.id}>{stock.name}</option>
+                ))}
+              </select>
+            </label>
+          </div>
+
+          <div className="flex flex-col lg:flex-row gap-8">
+            <div className="flex-1 space-y-4">
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <label className="block text-sm text-[#9FA3AC]">
+                  <span>Stock ID</span>
+                  <input
+                    type="text"
+                    value={draft.id}
+                    onChange={(e) => handleChange('id', e.target.value)}
+                    placeholder="e.g. S-5126"
+                    className={`${inputClass} mt-1`}
+                  />
+                </label>
+                <label className="block text-sm text-[#9FA3AC]">
+                  <span>Name</span>
+                  <input
+                    type="text"
+                    value={draft.name}
+                    onChange={(e) => handleChange('name', e.target.value)}
+                    placeholder="e.g. Uline S-5126"
+                    className={`${inputClass} mt-1`}
+                  />
+                </label>
+              </div>
+
+              <label className="block text-sm text-[#9FA3AC]">
+                <span>Description</span>
+                <input
+                  type="text"
+                  value={draft.description}
+                  onChange={(e) => handleChange('description', e.target.value)}
+                  placeholder="Optional"
+                  className={`${inputClass} mt-1`}
+                />
+              </label>
+
+              {FIELD_GROUPS.map(group => (
+                <div key={group.label}>
+                  <div className="text-sm font-medium text-[#FAFCFB] mb-1">{group.label}</div>
+                  <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+                    {group.fields.map(([field, label]) => (
+                      <label key={field} className="block text-xs text-[#9FA3AC]">
+                        <span>{label}</span>
+                        <input
+                          type="number"
+                          min="0"
+                          step={field === 'columns' || field === 'rows' ? '1' : '0.01'}
+                          value={draft[field]}
+                          onChange={(e) => handleChange(field, e.target.value)}
+                          className={`${inputClass} mt-1`}
+                        />
+                      </label>
+                    ))}
+                  </div>
+                </div>
+              ))}
+
+              <label className="block text-sm text-[#9FA3AC]">
+                <span>Sheet Rotation</span>
+                <select
+                  value={draft.rotation}
+                  onChange={(e) => handleChange('rotation', e.target.value)}
+                  className={`${inputClass} mt-1`}
+                >
+                  {LABEL_STOCKS.ROTATIONS.map(rotation => (
+                    <option key={rotation} value={rotation}>
+                      {rotation === 0 ? 'Read as printed' : `Turn the sheet ${rotation}° to read`}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            </div>
+
+            {/* Draft preview */}
+            <div className="flex flex-col items-center space-y-3 text-sm text-[#9FA3AC]">
+              {geometryCheck.isValid ? (
+                <>
+                  <LabelSheetDiagram stock={draftStock} width={180} />
+                  <span>{LabelStocks.getLabelsPerSheet(draftStock)} labels per sheet</span>
+                  <span className={draftTemplates.length > 0 ? '' : 'text-yellow-400'}>
+                    {draftTemplates.length > 0
+                      ? `Fits: ${draftTemplates.map(template => template.name).join(', ')}`
+                      : 'No template fits this label size yet'}
+                  </span>
+                </>
+              ) : (
+                <div className="w-44 p-4 border border-dashed border-[#39414E] rounded-lg text-center">
+                  Fill in the sheet to see its layout
+                </div>
+              )}
+            </div>
+          </div>
+
+          {visibleErrors.length > 0 && (
+            <div className="mt-6 p-4 bg-red-500/10 border border-red-500/20 rounded-lg space-y-1">
+              {visibleErrors.map(error => (
+                <div key={error} className="flex items-center space-x-2 text-sm text-red-400">
+                  <AlertCircle className="h-4 w-4 flex-shrink-0" />
+                  <span>{error}</span>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {/* Actions */}
+          <div className="flex justify-end pt-6 mt-6 border-t border-[#39414E]">
+            <button
+              onClick={handleAdd}
+              disabled={!draftCheck.isValid}
+              className="bg-[#86EFAC] text-[#00001C] hover:opacity-90 disabled:opacity-50 px-4 py-2 rounded-lg flex items-center space-x-2 transition-opacity"
+            >
+              <Plus className="h-4 w-4" />
+              <span>Add Stock</span>
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,138 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useInventory } from '../../contexts/InventoryContext.jsx';
+import { QualityRules } from '../../utils/qualityRules.js';
+import { QUALITY_SEVERITY } from '../../constants.js';
+import { ShieldCheck, ArrowLeft, Save, RotateCcw } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const SEVERITY_OPTIONS = [
+  {
+    value: QUALITY_SEVERITY.BLOCK,
+    label: 'Block',
+    activeClass: 'bg-red-500/10 text-red-400 border-red-500/20'
+  },
+  {
+    value: QUALITY_SEVERITY.WARN,
+    label: 'Warn',
+    activeClass: 'bg-yellow-500/10 text-yellow-400 border-yellow-500/20'
+  },
+  {
+    value: QUALITY_SEVERITY.IGNORE,
+    label: 'Ignore',
+    activeClass: 'bg-[#39414E] text-[#FAFCFB] border-[#39414E]'
+  }
+];
+
+export default function QualityRulesSettings() {
+  const { getQualityRules, updateQualityRules } = useInventory();
+
+  const [severities, setSeverities] = useState(() => getQualityRules());
+  const [isDirty, setIsDirty] = useState(false);
+
+  const rules = QualityRules.getRules();
+
+  // Change the severity of one rule
+  const handleSeverityChange = (ruleId, severity) => {
+    setSeverities(prev => ({ ...prev, [ruleId]: severity }));
+    setIsDirty(true);
+  };
+
+  // Put every rule back to its built-in severity
+  const handleResetDefaults = () => {
+    setSeverities(QualityRules.resolveSeverities());
+    setIsDirty(true);
+  };
+
+  // Save severities for future imports
+  const handleSave = () => {
+    if (updateQualityRules(severities)) {
+      toast.success('Data-quality rules saved - they apply to the next import');
+      setIsDirty(false);
+    } else {
+      toast.error('Failed to save data-quality rules');
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-[#15161B] p-6">
+      <div className="max-w-6xl mx-auto space-y-8">
+        {/* Header */}
+        <div className="flex items-center justify-between">
+          <div>
+            <h1 className="text-2xl font-bold text-[#FAFCFB]">Data-Quality Rules</h1>
+          </div>
+
+          <Link
+            to="/dashboard"
+            className="bg-[#181B22] text-[#FAFCFB] border border-[#39414E] hover:bg-[#39414E] px-4 py-2 rounded-lg flex items-center space-x-2 transition-colors"
+          >
+            <ArrowLeft className="h-4 w-4" />
+            <span>Dashboard</span>
+          </Link>
+        </div>
+
+        {/* Rule List */}
+        <div className="bg-[#181B22] border border-[#39414E] rounded-xl p-6">
+          <div className="flex items-center space-x-3 mb-2">
+            <ShieldCheck className="h-5 w-5 text-[#86EFAC]" />
+            <h2 className="text-lg font-semibold text-[#FAFCFB]">Import Rules</h2>
+          </div>
+          <p className="text-sm text-[#9FA3AC] mb-6">
+            Block rejects the row as an import error. Warn imports the row and flags the item in search results and on the scanning screen.
+            Changes apply to the next import - re-import a file to re-check existing data.
+          </p>
+
+          <div className="space-y-3">
+            {rules.map(rule => (
+              <div
+                key={rule.id}
+                className="flex flex-col md:flex-row md:items-center md:justify-between gap-3 p-4 border border-[#39414E] rounded-lg"
+              >
+                <div>
+                  <div className="font-medium text-[#FAFCFB]">{rule.label}</div>
+                  <div className="text-sm text-[#9FA3AC]">{rule.description}</div>
+                </div>
+
+                <div className="flex items-center space-x-2">
+                  {SEVERITY_OPTIONS.map(option => (
+                    <button
+                      key={option.value}
+                      onClick={() => handleSeverityChange(rule.id, option.value)}
+                      className={`px-3 py-1.5 rounded-lg border text-sm font-medium transition-colors ${
+                        severities[rule.id] === option.value
+                          ? option.activeClass
+                          : 'border-transparent text-[#9FA3AC] hover:text-[#FAFCFB] hover:bg-[#39414E]'
+                      }`}
+                    >
+                      {option.label}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            ))}
+          </div>
+
+          {/* Actions */}
+          <div className="flex justify-end space-x-3 pt-6 mt-6 border-t border-[#39414E]">
+            <button
+              onClick={handleResetDefaults}
+              className="bg-[#181B22] text-[#FAFCFB] border border-[#39414E] hover:bg-[#39414E] px-4 py-2 rounded-lg flex items-center space-x-2 transition-colors"
+            >
+              <RotateCcw className="h-4 w-4" />
+              <span>Reset Defaults</span>
+            </button>
+            <button
+              onClick={handleSave}
+              disabled={!isDirty}
+              className="bg-[#86EFAC] text-[#00001C] hover:opacity-90 disabled:opacity-50 px-4 py-2 rounded-lg flex items-center space-x-2 transition-opacity"
+            >
+              <Save className="h-4 w-4" />
+              <span>Save Rules</span>
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,192 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../../contexts/AuthContext.jsx';
+import { useSession } from '../../contexts/SessionContext.jsx';
+import { ScanFeedback } from '../../utils/scanFeedback.js';
+import { Volume2, Zap, ArrowLeft, Save, RotateCcw, Play } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+function ToggleButton({ active, onClick, children }) {
+  return (
+    <button
+      onClick={onClick}
+      className={`px-3 py-1.5 rounded-lg border text-sm font-medium flex items-center space-x-1 transition-colors ${
+        active
+          ? 'bg-green-500/10 text-green-400 border-green-500/20'
+          : 'border-transparent text-[#9FA3AC] hover:text-[#FAFCFB] hover:bg-[#39414E]'
+      }`}
+    >
+      {children}
+    </button>
+  );
+}
+
+export default function ScanFeedbackSettings() {
+  const { user } = useAuth();
+  const { scanFeedback, updateScanFeedback, signalScanOutcome } = useSession();
+
+  const [profile, setProfile] = useState(scanFeedback);
+  const [isDirty, setIsDirty] = useState(false);
+
+  // The saved profile loads after sign-in is restored - pick it up unless already editing
+  useEffect(() => {
+    if (!isDirty) setProfile(scanFeedback);
+  }, [scanFeedback, isDirty]);
+
+  const outcomes = ScanFeedback.getOutcomes();
+
+  const changeProfile = (changes) => {
+    setProfile(prev => ({ ...prev, ...changes }));
+    setIsDirty(true);
+  };
+
+  // Flip sound or flash for one outcome
+  const toggleOutcome = (outcomeId, channel) => {
+    const current = profile.outcomes[outcomeId];
+    changeProfile({
+      outcomes: { ...profile.outcomes, [outcomeId]: { ...current, [channel]: !current[channel] } }
+    });
+  };
+
+  // Preview an outcome with the unsaved settings
+  const handleTest = (outcomeId) => {
+    signalScanOutcome(outcomeId, profile);
+  };
+
+  const handleResetDefaults = () => {
+    setProfile(ScanFeedback.resolveProfile());
+    setIsDirty(true);
+  };
+
+  const handleSave = () => {
+    if (updateScanFeedback(profile)) {
+      toast.success('Scan feedback saved');
+      setIsDirty(false);
+    } else {
+      toast.error('Failed to save scan feedback');
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-[#15161B] p-6">
+      <div className="max-w-6xl mx-auto space-y-8">
+        {/* Header */}
+        <div className="flex items-center justify-between">
+          <div>
+            <h1 className="text-2xl font-bold text-[#FAFCFB]">Scan Feedback</h1>
+            <p className="text-[#9FA3AC]">Tones and screen flashes for {user?.username}</p>
+          </div>
+
+          <Link
+            to="/scanning"
+            className="bg-[#181B22] text-[#FAFCFB] border border-[#39414E] hover:bg-[#39414E] px-4 py-2 rounded-lg flex items-center space-x-2 transition-colors"
+          >
+            <ArrowLeft className="h-4 w-4" />
+            <span>Scanning</span>
+          </Link>
+        </div>
+
+        {/* Global Settings */}
+        <div className="bg-[#181B22] border border-[#39414E] rounded-xl p-6">
+          <div className="flex items-center space-x-3 mb-2">
+            <Volume2 className="h-5 w-5 text-[#86EFAC]" />
+            <h2 className="text-lg font-semibold text-[#FAFCFB]">Feedback</h2>
+          </div>
+          <p className="text-sm text-[#9FA3AC] mb-6">
+            Each scan outcome plays its own tone and flashes the whole screen, so you can keep your eyes on the shelf.
+            Tones need the browser tab to have been clicked or typed in at least once.
+          </p>
+
+          <div className="flex flex-col md:flex-row md:items-center gap-6">
+            <div className="flex items-center space-x-2">
+              <ToggleButton active={profile.sound} onClick={() => changeProfile({ sound: !profile.sound })}>
+                <Volume2 className="h-4 w-4" />
+                <span>Sound {profile.sound ? 'On' : 'Off'}</span>
+              </ToggleButton>
+              <ToggleButton active={profile.flash} onClick={() => changeProfile({ flash: !profile.flash })}>
+                <Zap className="h-4 w-4" />
+                <span>Flash {profile.flash ? 'On' : 'Off'}</span>
+              </ToggleButton>
+            </div>
+
+            <label className="flex items-center space-x-3 text-sm text-[#9FA3AC]">
+              <span>Volume</span>
+              <input
+                type="range"
+                min="0"
+                max="100"
+                step="5"
+                value={Math.round(profile.volume * 100)}
+                onChange={(e) => changeProfile({ volume: Number(e.target.value) / 100 })}
+                disabled={!profile.sound}
+                className="w-48 accent-[#86EFAC] disabled:opacity-50"
+              />
+              <span className="w-10 text-[#FAFCFB]">{Math.round(profile.volume * 100)}%</span>
+            </label>
+          </div>
+        </div>
+
+        {/* Outcome List */}
+        <div className="bg-[#181B22] border border-[#39414E] rounded-xl p-6">
+          <h2 className="text-lg font-semibold text-[#FAFCFB] mb-6">Scan Outcomes</h2>
+
+          <div className="space-y-3">
+            {outcomes.map(outcome => {
+              const canTest = ScanFeedback.wantsSound(profile, outcome.id) || ScanFeedback.wantsFlash(profile, outcome.id);
+              return (
+                <div
+                  key={outcome.id}
+                  className="flex flex-col md:flex-row md:items-center md:justify-between gap-3 p-4 border border-[#39414E] rounded-lg"
+                >
+                  <div className="flex items-center space-x-3">
+                    <span className="w-4 h-4 rounded-full border border-[#39414E]" style={{ backgroundColor: outcome.flashColor }}></span>
+                    <div>
+                      <div className="font-medium text-[#FAFCFB]">{outcome.label}</div>
+                      <div className="text-sm text-[#9FA3AC]">{outcome.description}</div>
+                    </div>
+                  </div>
+
+                  <div className="flex items-center space-x-2">
+                    <ToggleButton active={profile.outcomes[outcome.id].sound} onClick={() => toggleOutcome(outcome.id, 'sound')}>
+                      <span>Sound</span>
+                    </ToggleButton>
+                    <ToggleButton active={profile.outcomes[outcome.id].flash} onClick={() => toggleOutcome(outcome.id, 'flash')}>
+                      <span>Flash</span>
+                    </ToggleButton>
+                    <button
+                      onClick={() => handleTest(outcome.id)}
+                      disabled={!canTest}
+                      className="bg-[#181B22] text-[#FAFCFB] border border-[#39414E] hover:bg-[#39414E] disabled:opacity-50 px-3 py-1.5 rounded-lg text-sm flex items-center space-x-1 transition-colors"
+                    >
+                      <Play className="h-3 w-3" />
+                      <span>Test</span>
+                    </button>
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+
+          {/* Actions */}
+          <div className="flex justify-end space-x-3 pt-6 mt-6 border-t border-[#39414E]">
+            <button
+              onClick={handleResetDefaults}
+              className="bg-[#181B22] text-[#FAFCFB] border border-[#39414E] hover:bg-[#39414E] px-4 py-2 rounded-lg flex items-center space-x-2 transition-colors"
+            >
+              <RotateCcw className="h-4 w-4" />
+              <span>Reset Defaults</span>
+            </button>
+            <button
+              onClick={handleSave}
+              disabled={!isDirty}
+              className="bg-[#86EFAC] text-[#00001C] hover:opacity-90 disabled:opacity-50 px-4 py-2 rounded-lg flex items-center space-x-2 transition-opacity"
+            >
+              <Save className="h-4 w-4" />
+              <span>Save Feedback</span>
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -23,7 +23,27 @@ export const EVENT_TYPES = {
   ENHANCED_DATA_SAVED: 'enhanced_data_saved',
   SESSION_CLEARED: 'session_cleared',
   ERROR_OCCURRED: 'error_occurred',
-  LABEL_MIGRATION: 'label_migration'
+  LABEL_MIGRATION: 'label_migration',
+  MAPPING_PROFILE_SAVED: 'mapping_profile_saved',
+  IMPORT_DISCARDED: 'import_discarded',
+  IMPORT_RESTORED: 'import_restored',
+  QUALITY_RULES_UPDATED: 'quality_rules_updated',
+  SCAN_LIST_ADDED: 'scan_list_added',
+  SCAN_QUANTITY_ADJUSTED: 'scan_quantity_adjusted',
+  ORDER_STARTED: 'order_started',
+  ORDER_SCAN_REJECTED: 'order_scan_rejected',
+  ORDER_CLOSED: 'order_closed',
+  SCAN_SESSION_CREATED: 'scan_session_created',
+  SCAN_SESSION_PAUSED: 'scan_session_paused',
+  SCAN_SESSION_RESUMED: 'scan_session_resumed',
+  SCAN_SESSION_CLOSED: 'scan_session_closed',
+  SCAN_SESSION_ARCHIVED: 'scan_session_archived',
+  LOCATION_SET: 'location_set',
+  LOCATION_MISMATCH: 'location_mismatch',
+  CYCLE_COUNT_COMPLETED: 'cycle_count_completed',
+  SCAN_FEEDBACK_UPDATED: 'scan_feedback_updated',
+  LABEL_STOCK_SAVED: 'label_stock_saved',
+  LABEL_STOCK_DELETED: 'label_stock_deleted'
 };
 
 // Main Inventory (Homestead) CSV column mapping (0-based indices)
@@ -75,22 +95,116 @@ export const SWEED_COLUMNS = {
   REQUEST_DATE: 11
 };
 
+// Confidence levels reported by the import column-mapping step
+export const MAPPING_CONFIDENCE = {
+  HIGH: 'high',       // Header text matches a known name exactly
+  MEDIUM: 'medium',   // Header text starts/ends with a known name
+  LOW: 'low',         // Partial header match or default column position
+  NONE: 'none',       // No usable column found
+  MANUAL: 'manual',   // Chosen by the user in the mapping step
+  PROFILE: 'profile'  // Restored from a saved mapping profile
+};
+
 // File structure configuration
+// HEADER_ROW / DATA_START_ROW are fallbacks - the header row is detected by
+// scoring the first HEADER_SEARCH_ROWS rows against the known column headers
 export const FILE_STRUCTURE = {
   MAIN_INVENTORY: {
     HEADER_ROW: 2,
     DATA_START_ROW: 3,
-    MIN_ROWS: 4,
+    HEADER_SEARCH_ROWS: 30,
+    MIN_HEADER_MATCHES: 5,
     EXPECTED_COLUMNS: 29
   },
   SWEED_REPORT: {
     HEADER_ROW: 10,
     DATA_START_ROW: 11,
-    MIN_ROWS: 12,
+    HEADER_SEARCH_ROWS: 30,
+    MIN_HEADER_MATCHES: 4,
     EXPECTED_COLUMNS: 12
   }
 };
 
+// Import pipeline stages reported by the import worker
+export const IMPORT_STAGES = {
+  READING: 'reading',       // Loading file bytes
+  PARSING: 'parsing',       // Papa Parse / XLSX turning bytes into rows
+  PROCESSING: 'processing', // Mapping rows to items and finding duplicates
+  SAVING: 'saving'          // Storing the result on the main thread
+};
+
+// Import worker tuning
+export const IMPORT_WORKER = {
+  CHUNK_SIZE: 2000,        // Processed items per result message
+  PROGRESS_INTERVAL: 1000, // Rows between progress messages
+  PREVIEW_ROWS: 20         // Data rows sent back for the mapping preview
+};
+
+// Import history snapshots (stored alongside the active datasets)
+export const IMPORT_HISTORY = {
+  MAX_SNAPSHOTS_PER_SOURCE: 10, // Oldest inactive snapshots are pruned first
+  MAX_STORED_ERRORS: 50         // Row errors kept with each snapshot
+};
+
+// Data-quality rule severities
+export const QUALITY_SEVERITY = {
+  BLOCK: 'block',   // Reject the row as an import error
+  WARN: 'warn',     // Import the row with a quality flag
+  IGNORE: 'ignore'  // Rule is not checked
+};
+
+// Built-in data-quality rules applied while processing imported rows
+export const QUALITY_RULES = {
+  NEGATIVE_QUANTITY: {
+    id: 'negative_quantity',
+    label: 'Negative quantity',
+    description: 'Quantity on hand is below zero',
+    defaultSeverity: QUALITY_SEVERITY.BLOCK
+  },
+  THC_OVER_100: {
+    id: 'thc_over_100',
+    label: 'THC over 100%',
+    description: 'THC percentage is greater than 100',
+    defaultSeverity: QUALITY_SEVERITY.WARN
+  },
+  EXPIRED: {
+    id: 'expired',
+    label: 'Expired product',
+    description: 'Expiration date is in the past',
+    defaultSeverity: QUALITY_SEVERITY.WARN
+  },
+  COST_ABOVE_PRICE: {
+    id: 'cost_above_price',
+    label: 'Cost above price',
+    description: 'Wholesale cost is higher than the retail price',
+    defaultSeverity: QUALITY_SEVERITY.WARN
+  },
+  MALFORMED_BIOTRACK: {
+    id: 'malformed_biotrack',
+    label: 'Malformed BioTrack code',
+    description: 'BioTrack code is not a 16-digit number',
+    defaultSeverity: QUALITY_SEVERITY.WARN
+  }
+};
+
+// Days-to-expiration buckets for the dashboard (first bucket whose maxDays fits wins)
+export const EXPIRATION_BUCKETS = [
+  { id: 'expired', label: 'Expired', maxDays: -1, color: 'red' },
+  { id: 'under_30', label: '< 30 days', maxDays: 29, color: 'orange' },
+  { id: 'under_90', label: '< 90 days', maxDays: 89, color: 'yellow' },
+  { id: 'under_180', label: '< 180 days', maxDays: 179, color: 'blue' },
+  { id: 'later', label: '180+ days', maxDays: Infinity, color: 'green' }
+];
+
+// Product-age buckets, by days since manufacturing (or reception)
+export const AGE_BUCKETS = [
+  { id: 'under_30', label: '< 30 days', maxDays: 29, color: 'green' },
+  { id: 'under_90', label: '30-89 days', maxDays: 89, color: 'blue' },
+  { id: 'under_180', label: '90-179 days', maxDays: 179, color: 'yellow' },
+  { id: 'under_365', label: '180-364 days', maxDays: 364, color: 'orange' },
+  { id: 'over_365', label: '365+ days', maxDays: Infinity, color: 'red' }
+];
+
 // Barcode configuration for Code 39 format - Enhanced for S-5492
 export const BARCODE_CONFIG = {
   FORMAT: 'CODE39',
@@ -105,31 +219,134 @@ export const BARCODE_CONFIG = {
   LINE_COLOR: '#000000'
 };
 
-// Label specifications for Uline S-5492 (4" × 6" HORIZONTAL)
-export const LABEL_SPECS = {
-  // S-5492 specifications (HORIZONTAL orientation)
-  WIDTH_INCHES: 6,        // 6" wide (horizontal)
-  HEIGHT_INCHES: 4,       // 4" tall (horizontal)
-  LABELS_PER_SHEET: 4,    // 4 labels per legal sheet
-  COLUMNS: 2,             // 2 columns
-  ROWS: 2,                // 2 rows
-  SHEET_FORMAT: 'Uline S-5492',
-  SHEET_SIZE: 'Legal',    // 8.5" × 14" legal size sheets
-  ORIENTATION: 'Horizontal',
-  
-  // Migration history
-  MIGRATED_FROM: 'Uline S-21846',
-  MIGRATION_DATE: '2025-07-31',
-  MIGRATION_REASON: 'Management decision for 4×6 horizontal format with brand separation',
-  
-  // Layout features for S-5492
-  ENHANCED_FEATURES: [
-    'Brand separation (Curaleaf, Grassroots, etc.)',
-    'Massive product name (up to 48pt font)',
-    'Bottom-focused layout design',
-    'Larger harvest/packaged dates',
-    'Enlarged case quantity and box info',
-    'Horizontal 4×6 orientation for better visibility'
+// Symbologies a label barcode can use - linear codes are read by our handheld
+// scanners, QR and DataMatrix carry longer package IDs and structured payloads
+export const BARCODE_SYMBOLOGIES = {
+  CODE39: 'CODE39',
+  CODE128: 'CODE128',
+  QR: 'QR',
+  DATAMATRIX: 'DATAMATRIX'
+};
+
+export const BARCODE_SYMBOLOGY_LABELS = {
+  CODE39: 'Code 39',
+  CODE128: 'Code 128',
+  QR: 'QR Code',
+  DATAMATRIX: 'DataMatrix'
+};
+
+// Most data each symbology takes - characters for linear codes, UTF-8 bytes for 2D codes
+export const BARCODE_LIMITS = {
+  CODE39: 43,
+  CODE128: 80,
+  QR: 2331,           // Version 40 at error correction level M
+  DATAMATRIX: 1556    // 144 × 144 symbol
+};
+
+// Structured QR payload - PREFIX|SKU:…|LOT:…|PKG:…|PKD:YYYY-MM-DD, empty fields left out
+export const QR_PAYLOAD = {
+  PREFIX: 'CIMS1',
+  SEPARATOR: '|',
+  ERROR_CORRECTION: 'M',
+  FIELDS: [
+    { key: 'sku', code: 'SKU' },
+    { key: 'lot', code: 'LOT' },
+    { key: 'packageId', code: 'PKG' },
+    { key: 'packagedDate', code: 'PKD' }
+  ]
+};
+
+// Declarative label layouts - JSON templates live in src/templates/labels
+export const LABEL_TEMPLATES = {
+  DEFAULT_ID: 's12212-balanced'
+};
+
+// How label templates are drawn into the PDF - vector draws text and barcode
+// bars with PDF primitives, raster embeds a canvas image of each label
+export const PDF_RENDERING = {
+  MODES: {
+    VECTOR: 'vector',
+    RASTER: 'raster'
+  },
+  DEFAULT_MODE: 'vector',
+  RASTER_SCALE: 2,          // Canvas pixels per point for raster labels
+  TEXT_ASCENT: 0.8          // Em-box top to baseline, as a fraction of the font size
+};
+
+export const PDF_RENDER_MODE_LABELS = {
+  vector: 'Vector (selectable text)',
+  raster: 'Raster (canvas image)'
+};
+
+// ZPL II output for Zebra thermal printers
+export const ZPL_CONFIG = {
+  DEFAULT_DPI: 203,
+  DPI_OPTIONS: [203, 300],  // 8 and 12 dots/mm print heads
+  FONT: '0',                // Scalable CG Triumvirate Bold Condensed
+  CHAR_WIDTH_RATIO: 0.6,    // Conservative font 0 character width, as a fraction of height
+  CODE39_RATIO: 3,          // Wide-to-narrow bar ratio
+  MAX_MODULE_WIDTH: 10      // ^BY limit in dots
+};
+
+// Label stock registry - sheet geometry in points (72pt = 1"), read by the
+// PDF generator, the preview and page-count math. Administrators add custom
+// stocks on top of these.
+export const LABEL_STOCKS = {
+  DEFAULT_ID: 'S-12212',
+  ROTATIONS: [0, 90],
+  BUILT_IN: [
+    {
+      id: 'S-12212',
+      name: 'Uline S-12212',
+      description: '4" × 6" labels, 4 per legal sheet',
+      page: { width: 612, height: 1008 },     // 8.5" × 14" legal
+      label: { width: 288, height: 432 },     // 4" × 6"
+      columns: 2,
+      rows: 2,
+      gutter: { x: 0, y: 0 },
+      margins: { top: 0, right: 0, bottom: 0, left: 0 },
+      rotation: 0
+    },
+    {
+      id: 'S-5492',
+      name: 'Uline S-5492',
+      description: '4" × 6" labels placed sideways, 4 per legal sheet - turn the sheet to read',
+      page: { width: 612, height: 1008 },     // 8.5" × 14" legal
+      label: { width: 288, height: 432 },     // 4" × 6", read as 6" × 4"
+      columns: 2,
+      rows: 2,
+      gutter: { x: 0, y: 0 },
+      margins: { top: 12, right: 12, bottom: 12, left: 12 }, // HP E877 0.167" unprintable edge
+      rotation: 90
+    },
+    {
+      id: 'S-21846',
+      name: 'Uline S-21846',
+      description: '7.75" × 4.75" labels, 2 per letter sheet',
+      page: { width: 612, height: 792 },      // 8.5" × 11" letter
+      label: { width: 558, height: 342 },     // 7.75" × 4.75"
+      columns: 1,
+      rows: 2,
+      gutter: { x: 0, y: 0 },
+      margins: { top: 0, right: 0, bottom: 0, left: 0 },
+      rotation: 0,
+      legacy: true,
+      replacedBy: 'S-5492'
+    },
+    {
+      id: 'S-5627',
+      name: 'Uline S-5627',
+      description: '4" × 1.5" labels, 12 per letter sheet',
+      page: { width: 612, height: 792 },      // 8.5" × 11" letter
+      label: { width: 288, height: 108 },     // 4" × 1.5"
+      columns: 2,
+      rows: 6,
+      gutter: { x: 14, y: 0 },
+      margins: { top: 0, right: 0, bottom: 0, left: 0 },
+      rotation: 0,
+      legacy: true,
+      replacedBy: 'S-21846'
+    }
   ]
 };
 
@@ -145,24 +362,6 @@ export const CANNABIS_BRANDS = [
   'Glass House', 'Connected', 'Alien Labs', 'Jungle Boys'
 ];
 
-// Legacy specifications for reference
-export const LEGACY_SPECS = {
-  S5627: {
-    WIDTH_INCHES: 4,
-    HEIGHT_INCHES: 1.5,
-    LABELS_PER_SHEET: 12,
-    STATUS: 'DEPRECATED',
-    REPLACED_BY: 'S-21846'
-  },
-  S21846: {
-    WIDTH_INCHES: 7.75,
-    HEIGHT_INCHES: 4.75,
-    LABELS_PER_SHEET: 2,
-    STATUS: 'DEPRECATED',
-    REPLACED_BY: 'S-5492'
-  }
-};
-
 // Legal size sheet configuration (for S-5492)
 export const LEGAL_SHEET_CONFIG = {
   WIDTH_INCHES: 8.5,
@@ -200,7 +399,181 @@ export const STORAGE_KEYS = {
   SCANNED_ITEMS: 'cannabis_scanned_items',
   ENHANCED_DATA: 'cannabis_enhanced_data',
   SESSION_DATA: 'cannabis_session_data',
-  LABEL_FORMAT_PREFERENCE: 'cannabis_label_format'
+  LABEL_FORMAT_PREFERENCE: 'cannabis_label_format',
+  LABEL_STOCKS: 'cannabis_label_stocks',
+  MAPPING_PROFILES: 'cannabis_mapping_profiles',
+  IMPORT_HISTORY: 'cannabis_import_history',
+  IMPORT_SNAPSHOT_PREFIX: 'cannabis_import_snapshot_',
+  QUALITY_RULES: 'cannabis_quality_rules',
+  PICKED_QUANTITIES: 'cannabis_picked_quantities',
+  ACTIVE_ORDER: 'cannabis_active_order',
+  CLOSED_ORDERS: 'cannabis_closed_orders',
+  SCANNED_LOTS: 'cannabis_scanned_lots',
+  SCAN_SESSIONS: 'cannabis_scan_sessions',
+  CURRENT_SCAN_SESSION: 'cannabis_current_scan_session',
+  SCAN_SESSION_PREFIX: 'cannabis_scan_session_',
+  LOCATION_SCANS: 'cannabis_location_scans',
+  SCAN_FEEDBACK: 'cannabis_scan_feedback'
+};
+
+// Quantity-aware scanning - "12*" before a scan records 12 units
+export const SCAN_QUANTITY = {
+  MODIFIER_PATTERN: /^(\d+)\*(.*)$/, // "<qty>*" optionally followed by the barcode
+  MAX: 9999,                         // Largest quantity accepted per scan
+  UNDO_HISTORY: 50                   // Scans kept for "Undo last scan"
+};
+
+// Scan outcomes that get their own tone and screen flash
+export const SCAN_OUTCOMES = {
+  SUCCESS: 'success',
+  DUPLICATE: 'duplicate',
+  NOT_FOUND: 'not_found',
+  MULTIPLE_MATCH: 'multiple_match',
+  ORDER_MISMATCH: 'order_mismatch'
+};
+
+// Audible and visual scan feedback - tones are [frequency Hz, duration ms] steps
+export const SCAN_FEEDBACK = {
+  DEFAULT_VOLUME: 0.6,
+  TONE_GAP: 40,        // ms of silence between steps
+  FLASH_DURATION: 450, // ms the full-screen flash stays up
+  OUTCOMES: {
+    [SCAN_OUTCOMES.SUCCESS]: {
+      label: 'Success',
+      description: 'One product matched and was added to the scan list',
+      waveform: 'sine',
+      tones: [[1046, 120]],
+      flashColor: 'rgba(34, 197, 94, 0.45)'
+    },
+    [SCAN_OUTCOMES.DUPLICATE]: {
+      label: 'Duplicate',
+      description: 'Product was already on the scan list - its picked count went up',
+      waveform: 'sine',
+      tones: [[880, 90], [880, 90]],
+      flashColor: 'rgba(59, 130, 246, 0.45)'
+    },
+    [SCAN_OUTCOMES.NOT_FOUND]: {
+      label: 'Not Found',
+      description: 'Barcode was unreadable or matched nothing in either inventory',
+      waveform: 'square',
+      tones: [[220, 400]],
+      flashColor: 'rgba(239, 68, 68, 0.5)'
+    },
+    [SCAN_OUTCOMES.MULTIPLE_MATCH]: {
+      label: 'Multiple Matches',
+      description: 'Barcode matched several products - choose one on screen',
+      waveform: 'triangle',
+      tones: [[660, 100], [990, 100], [660, 100]],
+      flashColor: 'rgba(234, 179, 8, 0.45)'
+    },
+    [SCAN_OUTCOMES.ORDER_MISMATCH]: {
+      label: 'Order Mismatch',
+      description: 'Scan is not on the active order, or over-picks a line',
+      waveform: 'sawtooth',
+      tones: [[440, 150], [330, 150], [220, 250]],
+      flashColor: 'rgba(249, 115, 22, 0.5)'
+    }
+  }
+};
+
+// Sweed order fulfillment - how an order was closed
+export const ORDER_STATUS = {
+  COMPLETE: 'complete',
+  SHORT_PICKED: 'short_picked',
+  OVER_PICKED: 'over_picked'
+};
+
+export const ORDER_STATUS_LABELS = {
+  [ORDER_STATUS.COMPLETE]: 'Complete',
+  [ORDER_STATUS.SHORT_PICKED]: 'Short-Picked',
+  [ORDER_STATUS.OVER_PICKED]: 'Over-Picked'
+};
+
+// Closed orders kept for the recent-orders list
+export const CLOSED_ORDER_HISTORY = 25;
+
+// Named scanning sessions - only an active session accepts scans
+export const SCAN_SESSION_STATUS = {
+  ACTIVE: 'active',
+  PAUSED: 'paused',
+  CLOSED: 'closed',
+  ARCHIVED: 'archived'
+};
+
+export const SCAN_SESSION_STATUS_LABELS = {
+  [SCAN_SESSION_STATUS.ACTIVE]: 'Active',
+  [SCAN_SESSION_STATUS.PAUSED]: 'Paused',
+  [SCAN_SESSION_STATUS.CLOSED]: 'Closed',
+  [SCAN_SESSION_STATUS.ARCHIVED]: 'Archived'
+};
+
+// Scanning session types - a cycle count tallies every unit in a zone against on-hand quantities
+export const SCAN_SESSION_TYPES = {
+  PICK: 'pick',
+  CYCLE_COUNT: 'cycle_count'
+};
+
+export const SCAN_SESSION_TYPE_LABELS = {
+  [SCAN_SESSION_TYPES.PICK]: 'Pick',
+  [SCAN_SESSION_TYPES.CYCLE_COUNT]: 'Cycle Count'
+};
+
+// Cycle count variance - how a SKU's counted units compare with the imported quantity
+export const VARIANCE_STATUS = {
+  SHORT: 'short',
+  OVER: 'over',
+  MISSING: 'missing',       // Expected in the zone, none counted
+  UNEXPECTED: 'unexpected', // Counted, but not expected in the zone
+  MATCHED: 'matched'
+};
+
+export const VARIANCE_STATUS_LABELS = {
+  [VARIANCE_STATUS.SHORT]: 'Short',
+  [VARIANCE_STATUS.OVER]: 'Over',
+  [VARIANCE_STATUS.MISSING]: 'Missing SKU',
+  [VARIANCE_STATUS.UNEXPECTED]: 'Unexpected SKU',
+  [VARIANCE_STATUS.MATCHED]: 'Matched'
+};
+
+// Location (bin/shelf) scanning - a "LOC:A-01" or "BIN A-01" label, or any scan
+// equal to a Main Inventory location, sets the bin later product scans are found in
+export const LOCATION_SCAN = {
+  PREFIX_PATTERN: /^(?:LOC|BIN)[:\s-]\s*(.+)$/i,
+  SEPARATOR_PATTERN: /[\s_\-./]+/g // Ignored when comparing locations ("A-01" = "A 01" = "a01")
+};
+
+// GS1-128 / GS1 DataMatrix element strings read at the scan input
+export const GS1 = {
+  GROUP_SEPARATOR: '\u001D', // FNC1 as sent by keyboard-wedge scanners
+  // Symbology identifiers some scanners prefix: ]C1 GS1-128, ]d2 GS1 DataMatrix, ]Q3 GS1 QR
+  SYMBOLOGY_PREFIX: /^\](C1|d2|Q3|e0)/,
+  // Application identifiers - fixed-length AIs give length, variable-length give maxLength
+  APPLICATION_IDENTIFIERS: {
+    '00': { name: 'SSCC', length: 18 },
+    '01': { name: 'GTIN', length: 14, field: 'gtin' },
+    '02': { name: 'Contained GTIN', length: 14 },
+    '10': { name: 'Batch/Lot', maxLength: 20, field: 'lot' },
+    '11': { name: 'Production Date', length: 6 },
+    '13': { name: 'Packaging Date', length: 6 },
+    '15': { name: 'Best Before', length: 6 },
+    '17': { name: 'Expiration Date', length: 6, field: 'expirationDate' },
+    '20': { name: 'Variant', length: 2 },
+    '21': { name: 'Serial Number', maxLength: 20, field: 'serialNumber' },
+    '30': { name: 'Count', maxLength: 8 },
+    '37': { name: 'Count of Trade Items', maxLength: 8 }
+  }
+};
+
+// Why a product matched a scanned code - lower rank is a stronger match
+export const BARCODE_MATCH_REASONS = {
+  EXACT: { id: 'exact', label: 'Exact barcode match', rank: 0 },
+  NORMALIZED: { id: 'normalized', label: 'Matched ignoring case and spaces', rank: 1 },
+  GTIN_VARIANT: { id: 'gtin_variant', label: 'Matched as UPC/EAN variant', rank: 2 },
+  LEADING_ZEROS: { id: 'leading_zeros', label: 'Matched after stripping leading zeros', rank: 3 },
+  UPC_E: { id: 'upc_e', label: 'Matched after UPC-E expansion', rank: 4 },
+  CHECK_DIGIT: { id: 'check_digit', label: 'Matched after adding check digit', rank: 5 },
+  SKU: { id: 'sku', label: 'Matched via SKU', rank: 6 },
+  BIOTRACK: { id: 'biotrack', label: 'Matched via BioTrack code', rank: 7 }
 };
 
 // Validation limits - Updated for S-5492
@@ -336,11 +709,41 @@ export default {
   EVENT_TYPES,
   MAIN_INVENTORY_COLUMNS,
   SWEED_COLUMNS,
+  MAPPING_CONFIDENCE,
   FILE_STRUCTURE,
+  IMPORT_STAGES,
+  IMPORT_WORKER,
+  IMPORT_HISTORY,
+  QUALITY_SEVERITY,
+  QUALITY_RULES,
+  EXPIRATION_BUCKETS,
+  AGE_BUCKETS,
+  SCAN_QUANTITY,
+  SCAN_OUTCOMES,
+  SCAN_FEEDBACK,
+  ORDER_STATUS,
+  ORDER_STATUS_LABELS,
+  CLOSED_ORDER_HISTORY,
+  SCAN_SESSION_STATUS,
+  SCAN_SESSION_STATUS_LABELS,
+  SCAN_SESSION_TYPES,
+  SCAN_SESSION_TYPE_LABELS,
+  VARIANCE_STATUS,
+  VARIANCE_STATUS_LABELS,
+  LOCATION_SCAN,
+  GS1,
+  BARCODE_MATCH_REASONS,
   BARCODE_CONFIG,
-  LABEL_SPECS,
+  BARCODE_SYMBOLOGIES,
+  BARCODE_SYMBOLOGY_LABELS,
+  BARCODE_LIMITS,
+  QR_PAYLOAD,
+  LABEL_TEMPLATES,
+  LABEL_STOCKS,
+  PDF_RENDERING,
+  PDF_RENDER_MODE_LABELS,
+  ZPL_CONFIG,
   CANNABIS_BRANDS,
-  LEGACY_SPECS,
   LEGAL_SHEET_CONFIG,
   USER_ROLES,
   DEFAULT_USERS,
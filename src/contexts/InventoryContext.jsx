@@ -1,10 +1,46 @@
-import React, { createContext, useContext, useReducer, useCallback } from 'react';
+import React, { createContext, useContext, useReducer, useCallback, useRef, useMemo } from 'react';
 import { DataProcessor } from '../utils/dataProcessor.js';
-import { EVENT_TYPES } from '../constants.js';
+import { ImportWorkerClient } from '../utils/importWorkerClient.js';
+import { QualityRules } from '../utils/qualityRules.js';
+import { LabelStocks } from '../utils/labelStocks.js';
+import { InventoryIndex } from '../utils/inventoryIndex.js';
+import { BarcodeMatcher } from '../utils/barcodeMatcher.js';
+import { EVENT_TYPES, DATA_SOURCES, IMPORT_STAGES, IMPORT_HISTORY } from '../constants.js';
 import storage from '../utils/storage.js';
 
 const InventoryContext = createContext();
 
+// Import saves that do not fit even after old snapshots are dropped
+const STORAGE_FULL_MESSAGE = 'Not enough browser storage to save this data - the previous data was kept';
+
+// Build the import-history entry stored with each dataset snapshot
+function buildSnapshotEntry(dataSource, file, processedData) {
+  const { statistics } = processedData;
+
+  return {
+    dataSource,
+    fileName: file.name,
+    fileSize: file.size,
+    statistics: {
+      totalRows: statistics.totalRows,
+      processedRows: statistics.processedRows,
+      duplicates: statistics.duplicates,
+      errors: statistics.errors,
+      sheets: statistics.sheets,
+      metadata: statistics.metadata
+    },
+    errors: processedData.errors
+      .slice(0, IMPORT_HISTORY.MAX_STORED_ERRORS)
+      .map(({ row, error, sheetName }) => ({ row, error, sheetName: sheetName || null }))
+  };
+}
+
+// Describe imported workbook sheets for the session log
+function formatSheetList(sheets) {
+  const named = (sheets || []).filter(sheet => sheet.name);
+  return named.length > 0 ? `, Sheets: ${named.map(sheet => sheet.name).join(', ')}` : '';
+}
+
 // Inventory action types
 const INVENTORY_ACTIONS = {
   SET_MAIN_INVENTORY: 'SET_MAIN_INVENTORY',
@@ -115,65 +151,211 @@ export function InventoryProvider({ children }) {
     }
   }, []);
 
-  // Import main inventory from Excel or CSV file
-  const importMainInventory = useCallback(async (file, onProgress = null) => {
+  // Lookup indexes are rebuilt whenever a dataset is loaded, imported, restored or cleared -
+  // through the shared cache, so DataProcessor calls given the same arrays reuse them
+  const mainIndex = useMemo(() => InventoryIndex.from(state.mainInventory), [state.mainInventory]);
+  const sweedIndex = useMemo(() => InventoryIndex.from(state.sweedData), [state.sweedData]);
+  const inventoryIndex = useMemo(() => ({ main: mainIndex, sweed: sweedIndex }), [mainIndex, sweedIndex]);
+
+  // Parsing and row processing run in a worker so large exports don't
+  // freeze the UI; the worker keeps the parsed rows between the mapping
+  // step and the confirmed import
+  const importWorkerRef = useRef(null);
+
+  const getImportWorker = useCallback(() => {
+    if (!importWorkerRef.current) {
+      importWorkerRef.current = new ImportWorkerClient();
+    }
+    return importWorkerRef.current;
+  }, []);
+
+  React.useEffect(() => {
+    return () => {
+      if (importWorkerRef.current) importWorkerRef.current.terminate();
+    };
+  }, []);
+
+  // Cancel the running parse or import
+  const cancelImport = useCallback(() => {
+    return importWorkerRef.current ? importWorkerRef.current.cancel() : false;
+  }, []);
+
+  // Parse an import file and build the column-mapping step, reusing a saved
+  // profile when the header signature has been seen before.
+  // options.sheetNames limits the analysis to the sheets picked by the user
+  const analyzeImportFile = useCallback(async (file, dataSource, onProgress = null, options = {}) => {
+    try {
+      let analysis = await getImportWorker().analyze(file, dataSource, onProgress, options.sheetNames);
+
+      const profile = storage.findMappingProfile(dataSource, analysis.signature);
+      if (profile) {
+        analysis = DataProcessor.applyMappingProfile(analysis, profile);
+      }
+
+      return {
+        success: true,
+        analysis,
+        profile
+      };
+    } catch (error) {
+      return {
+        success: false,
+        cancelled: !!error.cancelled,
+        error: error.message || 'Failed to read file'
+      };
+    }
+  }, [getImportWorker]);
+
+  // Save a confirmed column mapping as a named profile
+  const saveMappingProfile = useCallback((name, analysis, mapping) => {
+    const profile = storage.saveMappingProfile({
+      name: name.trim(),
+      dataSource: analysis.dataSource,
+      signature: analysis.signature,
+      headers: analysis.headers.map(header => header.label),
+      mapping
+    });
+
+    storage.addSessionEvent(
+      EVENT_TYPES.MAPPING_PROFILE_SAVED,
+      `Column mapping profile saved: ${profile.name}`,
+      `Source: ${profile.dataSource}, Columns: ${profile.headers.length}`
+    );
+
+    return profile;
+  }, []);
+
+  // List saved mapping profiles
+  const getMappingProfiles = useCallback((dataSource = null) => {
+    const profiles = storage.getMappingProfiles();
+    return dataSource ? profiles.filter(profile => profile.dataSource === dataSource) : profiles;
+  }, []);
+
+  // Delete a saved mapping profile
+  const deleteMappingProfile = useCallback((profileId) => {
+    return storage.deleteMappingProfile(profileId);
+  }, []);
+
+  // Current severity for every data-quality rule
+  const getQualityRules = useCallback(() => {
+    return QualityRules.resolveSeverities(storage.getQualityRules());
+  }, []);
+
+  // Save rule severities - applies to the next import
+  const updateQualityRules = useCallback((severities) => {
+    const resolved = QualityRules.resolveSeverities(severities);
+    const saved = storage.setQualityRules(resolved);
+
+    if (saved) {
+      storage.addSessionEvent(
+        EVENT_TYPES.QUALITY_RULES_UPDATED,
+        'Data-quality rules updated',
+        Object.entries(resolved).map(([ruleId, severity]) => `${ruleId}: ${severity}`).join(', ')
+      );
+    }
+
+    return saved;
+  }, []);
+
+  // Built-in and custom label stocks
+  const getLabelStocks = useCallback(() => {
+    return LabelStocks.getStocks(storage.getCustomLabelStocks());
+  }, []);
+
+  // Add a custom label stock - returns { success, errors }
+  const saveLabelStock = useCallback((stock) => {
+    const validation = LabelStocks.validateStock(stock, LabelStocks.getStocks(storage.getCustomLabelStocks()));
+    if (!validation.isValid) {
+      return { success: false, errors: validation.errors };
+    }
+
+    const saved = { ...stock, id: stock.id.trim(), name: stock.name.trim(), createdAt: new Date().toISOString() };
+    if (!storage.setCustomLabelStocks([...storage.getCustomLabelStocks(), saved])) {
+      return { success: false, errors: ['Failed to save label stock'] };
+    }
+
+    storage.addSessionEvent(
+      EVENT_TYPES.LABEL_STOCK_SAVED,
+      `Label stock added: ${saved.name}`,
+      `${saved.id}: ${saved.columns}×${saved.rows} of ${LabelStocks.formatSize(saved.label)} on ${LabelStocks.formatSize(saved.page)}`
+    );
+
+    return { success: true, errors: [] };
+  }, []);
+
+  // Remove a custom label stock - built-in stocks cannot be deleted
+  const deleteLabelStock = useCallback((stockId) => {
+    const stocks = storage.getCustomLabelStocks();
+    const stock = stocks.find(existing => existing.id === stockId);
+    if (!stock) return false;
+
+    const deleted = storage.setCustomLabelStocks(stocks.filter(existing => existing.id !== stockId));
+    if (deleted) {
+      storage.addSessionEvent(EVENT_TYPES.LABEL_STOCK_DELETED, `Label stock deleted: ${stock.name}`, stock.id);
+    }
+
+    return deleted;
+  }, []);
+
+  // Process a main inventory file and diff it against the loaded inventory
+  // without saving, so the changes can be reviewed first
+  // options.columnMapping / signature / sheetNames come from the mapping step
+  const prepareMainInventoryImport = useCallback(async (file, onProgress = null, options = {}) => {
     dispatch({ type: INVENTORY_ACTIONS.SET_LOADING, payload: true });
     dispatch({ type: INVENTORY_ACTIONS.CLEAR_ERROR });
 
     try {
-      // Parse file (Excel or CSV) - FIXED: Now uses parseFile instead of parseCSV
-      const fileData = await DataProcessor.parseFile(file, onProgress);
-      
-      if (fileData.errors.length > 0) {
-        console.warn('File parsing warnings:', fileData.errors);
-      }
+      // Parse, validate and process in the import worker
+      const processedData = await getImportWorker().process(
+        file,
+        DATA_SOURCES.MAIN_INVENTORY,
+        {
+          columnMapping: options.columnMapping,
+          signature: options.signature,
+          sheetNames: options.sheetNames,
+          qualityRules: storage.getQualityRules()
+        },
+        onProgress
+      );
 
-      // Validate structure
-      const validation = DataProcessor.validateMainInventoryStructure(fileData.data);
-      if (!validation.isValid) {
-        throw new Error(`Invalid file structure: ${validation.errors.join(', ')}`);
+      if (processedData.warnings.length > 0) {
+        console.warn('File structure warnings:', processedData.warnings);
       }
 
-      // Process the data
-      const processedData = DataProcessor.processMainInventoryData(fileData.data);
+      if (options.profileId) {
+        storage.markMappingProfileUsed(options.profileId);
+      }
       
       if (processedData.errors.length > 0) {
         console.warn('Data processing errors:', processedData.errors);
       }
 
-      // Save to storage
-      storage.setInventoryData(processedData.data);
-
-      // Log import
-      storage.addSessionEvent(
-        EVENT_TYPES.MAIN_INVENTORY_IMPORT,
-        `Items: ${processedData.statistics.processedRows}, Duplicates: ${processedData.statistics.duplicates}`,
-        `File: ${file.name}, Size: ${file.size} bytes`
-      );
+      const diff = DataProcessor.diffInventory(state.mainInventory, processedData.data);
 
-      // Update state
-      dispatch({
-        type: INVENTORY_ACTIONS.SET_MAIN_INVENTORY,
-        payload: { 
-          data: processedData.data, 
-          timestamp: new Date().toISOString() 
-        }
-      });
+      dispatch({ type: INVENTORY_ACTIONS.SET_LOADING, payload: false });
 
       return {
         success: true,
+        pending: true,
+        file: { name: file.name, size: file.size },
         data: processedData.data,
         statistics: processedData.statistics,
         duplicates: processedData.duplicates,
-        errors: processedData.errors
+        errors: processedData.errors,
+        diff
       };
 
     } catch (error) {
       const errorMessage = error.message || 'Failed to import main inventory';
+
+      if (error.cancelled) {
+        dispatch({ type: INVENTORY_ACTIONS.SET_LOADING, payload: false });
+        return { success: false, cancelled: true, error: errorMessage };
+      }
       
       // Log error
       storage.addSessionEvent(
-        EVENT_TYPES.ERROR,
+        EVENT_TYPES.ERROR_OCCURRED,
         `Main inventory import failed: ${errorMessage}`,
         `File: ${file?.name || 'Unknown'}`
       );
@@ -188,42 +370,117 @@ export function InventoryProvider({ children }) {
         error: errorMessage
       };
     }
+  }, [getImportWorker, state.mainInventory]);
+
+  // Save a reviewed main inventory import, replacing the loaded inventory
+  const commitMainInventoryImport = useCallback((pendingImport) => {
+    const { file, data, statistics, diff } = pendingImport;
+
+    // Save to storage and keep a snapshot for rollback - nothing changes when the data does not fit
+    if (!storage.saveLiveDataset(DATA_SOURCES.MAIN_INVENTORY, data)) {
+      const errorMessage = STORAGE_FULL_MESSAGE;
+      storage.addSessionEvent(
+        EVENT_TYPES.ERROR_OCCURRED,
+        `Main inventory import failed: ${errorMessage}`,
+        `File: ${file.name}, Items: ${data.length}`
+      );
+      dispatch({ type: INVENTORY_ACTIONS.SET_ERROR, payload: errorMessage });
+      return { success: false, error: errorMessage };
+    }
+    storage.saveImportSnapshot(buildSnapshotEntry(DATA_SOURCES.MAIN_INVENTORY, file, pendingImport), data);
+
+    // Log import
+    storage.addSessionEvent(
+      EVENT_TYPES.INVENTORY_IMPORT,
+      `Items: ${statistics.processedRows}, Duplicates: ${statistics.duplicates}, ` +
+        `Added: ${diff.summary.added}, Removed: ${diff.summary.removed}, Changed: ${
+          diff.summary.quantityChanges + diff.summary.priceChanges + diff.summary.locationChanges
+        }`,
+      `File: ${file.name}, Size: ${file.size} bytes${formatSheetList(statistics.sheets)}`
+    );
+
+    // Update state
+    dispatch({
+      type: INVENTORY_ACTIONS.SET_MAIN_INVENTORY,
+      payload: { 
+        data, 
+        timestamp: new Date().toISOString() 
+      }
+    });
+
+    return {
+      success: true,
+      file,
+      data,
+      statistics,
+      duplicates: pendingImport.duplicates,
+      errors: pendingImport.errors,
+      diff
+    };
+  }, []);
+
+  // Drop a reviewed import without touching the loaded inventory
+  const discardPendingImport = useCallback((pendingImport) => {
+    storage.addSessionEvent(
+      EVENT_TYPES.IMPORT_DISCARDED,
+      `Import discarded after review: ${pendingImport.statistics.processedRows} items`,
+      `File: ${pendingImport.file.name}`
+    );
   }, []);
 
+  // Import main inventory from Excel or CSV file without a review step
+  const importMainInventory = useCallback(async (file, onProgress = null, options = {}) => {
+    const result = await prepareMainInventoryImport(file, onProgress, options);
+    if (!result.success) return result;
+
+    if (onProgress) onProgress(0, 1, IMPORT_STAGES.SAVING);
+    return commitMainInventoryImport(result);
+  }, [prepareMainInventoryImport, commitMainInventoryImport]);
+
   // Import Sweed data from Excel or CSV file
-  const importSweedData = useCallback(async (file, onProgress = null) => {
+  // options.columnMapping / signature / sheetNames come from the mapping step
+  const importSweedData = useCallback(async (file, onProgress = null, options = {}) => {
     dispatch({ type: INVENTORY_ACTIONS.SET_LOADING, payload: true });
     dispatch({ type: INVENTORY_ACTIONS.CLEAR_ERROR });
 
     try {
-      // Parse file (Excel or CSV) - FIXED: Now uses parseFile instead of parseCSV
-      const fileData = await DataProcessor.parseFile(file, onProgress);
-      
-      if (fileData.errors.length > 0) {
-        console.warn('File parsing warnings:', fileData.errors);
-      }
+      // Parse, validate and process in the import worker
+      const processedData = await getImportWorker().process(
+        file,
+        DATA_SOURCES.SWEED_REPORT,
+        {
+          columnMapping: options.columnMapping,
+          signature: options.signature,
+          sheetNames: options.sheetNames,
+          qualityRules: storage.getQualityRules()
+        },
+        onProgress
+      );
 
-      // Validate structure
-      const validation = DataProcessor.validateSweedStructure(fileData.data);
-      if (!validation.isValid) {
-        throw new Error(`Invalid file structure: ${validation.errors.join(', ')}`);
+      if (processedData.warnings.length > 0) {
+        console.warn('File structure warnings:', processedData.warnings);
       }
 
-      // Process the data
-      const processedData = DataProcessor.processSweedData(fileData.data);
+      if (options.profileId) {
+        storage.markMappingProfileUsed(options.profileId);
+      }
       
       if (processedData.errors.length > 0) {
         console.warn('Data processing errors:', processedData.errors);
       }
 
-      // Save to storage
-      storage.setSweedData(processedData.data);
+      // Save to storage and keep a snapshot for rollback
+      if (onProgress) onProgress(0, 1, IMPORT_STAGES.SAVING);
+      if (!storage.saveLiveDataset(DATA_SOURCES.SWEED_REPORT, processedData.data)) {
+        throw new Error(STORAGE_FULL_MESSAGE);
+      }
+      storage.saveImportSnapshot(buildSnapshotEntry(DATA_SOURCES.SWEED_REPORT, file, processedData), processedData.data);
 
       // Log import
       storage.addSessionEvent(
         EVENT_TYPES.SWEED_IMPORT,
         `Items: ${processedData.statistics.processedRows}, Duplicates: ${processedData.statistics.duplicates}`,
-        `File: ${file.name}, Size: ${file.size} bytes`
+        `File: ${file.name}, Size: ${file.size} bytes${formatSheetList(processedData.statistics.sheets)}`
       );
 
       // Update state
@@ -237,6 +494,7 @@ export function InventoryProvider({ children }) {
 
       return {
         success: true,
+        file: { name: file.name, size: file.size },
         data: processedData.data,
         statistics: processedData.statistics,
         duplicates: processedData.duplicates,
@@ -245,10 +503,15 @@ export function InventoryProvider({ children }) {
 
     } catch (error) {
       const errorMessage = error.message || 'Failed to import Sweed data';
+
+      if (error.cancelled) {
+        dispatch({ type: INVENTORY_ACTIONS.SET_LOADING, payload: false });
+        return { success: false, cancelled: true, error: errorMessage };
+      }
       
       // Log error
       storage.addSessionEvent(
-        EVENT_TYPES.ERROR,
+        EVENT_TYPES.ERROR_OCCURRED,
         `Sweed import failed: ${errorMessage}`,
         `File: ${file?.name || 'Unknown'}`
       );
@@ -263,11 +526,60 @@ export function InventoryProvider({ children }) {
         error: errorMessage
       };
     }
+  }, [getImportWorker]);
+
+  // List stored import snapshots, newest first
+  const getImportHistory = useCallback((dataSource = null) => {
+    const history = storage.getImportHistory();
+    return (dataSource ? history.filter(entry => entry.dataSource === dataSource) : history)
+      .slice()
+      .sort((a, b) => new Date(b.importedAt) - new Date(a.importedAt));
+  }, []);
+
+  // Make an earlier snapshot the active dataset again
+  const restoreImportSnapshot = useCallback((snapshotId) => {
+    const snapshot = storage.getImportHistory().find(entry => entry.id === snapshotId);
+    if (!snapshot) {
+      return { success: false, error: 'Snapshot not found' };
+    }
+
+    const data = snapshot.dataAvailable ? storage.getImportSnapshotData(snapshotId) : null;
+    if (!data) {
+      return { success: false, error: 'Snapshot data is no longer stored' };
+    }
+
+    const isSweed = snapshot.dataSource === DATA_SOURCES.SWEED_REPORT;
+    if (!storage.saveLiveDataset(snapshot.dataSource, data)) {
+      return { success: false, error: STORAGE_FULL_MESSAGE };
+    }
+    storage.setActiveImportSnapshot(snapshotId);
+
+    storage.addSessionEvent(
+      EVENT_TYPES.IMPORT_RESTORED,
+      `${isSweed ? 'Sweed' : 'Main inventory'} restored to version ${snapshot.version}: ${data.length} items`,
+      `File: ${snapshot.fileName}, Imported: ${snapshot.importedAt} by ${snapshot.importedBy}`
+    );
+
+    dispatch({
+      type: isSweed ? INVENTORY_ACTIONS.SET_SWEED_DATA : INVENTORY_ACTIONS.SET_MAIN_INVENTORY,
+      payload: {
+        data,
+        timestamp: new Date().toISOString()
+      }
+    });
+
+    return { success: true, snapshot, itemCount: data.length };
+  }, []);
+
+  // Delete a stored snapshot
+  const deleteImportSnapshot = useCallback((snapshotId) => {
+    return storage.deleteImportSnapshot(snapshotId);
   }, []);
 
   // Clear main inventory
   const clearMainInventory = useCallback(() => {
     storage.clearInventoryData();
+    storage.deactivateImportSnapshots(DATA_SOURCES.MAIN_INVENTORY);
     dispatch({ type: INVENTORY_ACTIONS.CLEAR_MAIN_INVENTORY });
     
     storage.addSessionEvent(
@@ -280,6 +592,7 @@ export function InventoryProvider({ children }) {
   // Clear Sweed data
   const clearSweedData = useCallback(() => {
     storage.clearSweedData();
+    storage.deactivateImportSnapshots(DATA_SOURCES.SWEED_REPORT);
     dispatch({ type: INVENTORY_ACTIONS.CLEAR_SWEED_DATA });
     
     storage.addSessionEvent(
@@ -293,6 +606,8 @@ export function InventoryProvider({ children }) {
   const clearAllData = useCallback(() => {
     storage.clearInventoryData();
     storage.clearSweedData();
+    storage.deactivateImportSnapshots(DATA_SOURCES.MAIN_INVENTORY);
+    storage.deactivateImportSnapshots(DATA_SOURCES.SWEED_REPORT);
     
     dispatch({ type: INVENTORY_ACTIONS.CLEAR_MAIN_INVENTORY });
     dispatch({ type: INVENTORY_ACTIONS.CLEAR_SWEED_DATA });
@@ -304,14 +619,18 @@ export function InventoryProvider({ children }) {
     );
   }, []);
 
-  // Find products by barcode
+  // Find products by exact barcode (or any of several candidate barcodes)
   const findProductsByBarcode = useCallback((barcode) => {
-    return DataProcessor.findProductsByBarcode(
-      barcode,
-      state.mainInventory,
-      state.sweedData
-    );
-  }, [state.mainInventory, state.sweedData]);
+    return [
+      ...mainIndex.findByBarcode(barcode).map(item => ({ ...item, source: 'MainInventory', displaySource: '[MAIN]' })),
+      ...sweedIndex.findByBarcode(barcode).map(item => ({ ...item, source: 'SweedReport', displaySource: '[SWEED]' }))
+    ];
+  }, [mainIndex, sweedIndex]);
+
+  // Ranked tolerant matches for a scanned code - see BarcodeMatcher
+  const matchBarcode = useCallback((barcode) => {
+    return BarcodeMatcher.findMatches(barcode, mainIndex, sweedIndex);
+  }, [mainIndex, sweedIndex]);
 
   // Get inventory statistics
   const getInventoryStats = useCallback(() => {
@@ -331,26 +650,15 @@ export function InventoryProvider({ children }) {
     dispatch({ type: INVENTORY_ACTIONS.CLEAR_ERROR });
   }, []);
 
-  // Search products
+  // Search products - word prefixes of the name, brand, strain or a code field, or the whole term anywhere in one
   const searchProducts = useCallback((searchTerm, source = 'both') => {
     const term = searchTerm.toLowerCase().trim();
     if (!term) return [];
 
-    const searchInData = (data) => {
-      return data.filter(item => 
-        item.productName?.toLowerCase().includes(term) ||
-        item.brand?.toLowerCase().includes(term) ||
-        item.strain?.toLowerCase().includes(term) ||
-        item.sku?.toLowerCase().includes(term) ||
-        item.barcode?.toLowerCase().includes(term) ||
-        item.bioTrackCode?.toLowerCase().includes(term)
-      );
-    };
-
     let results = [];
     
     if (source === 'main' || source === 'both') {
-      const mainResults = searchInData(state.mainInventory).map(item => ({
+      const mainResults = mainIndex.search(term).map(item => ({
         ...item,
         source: 'MainInventory',
         displaySource: '[MAIN]'
@@ -359,7 +667,7 @@ export function InventoryProvider({ children }) {
     }
     
     if (source === 'sweed' || source === 'both') {
-      const sweedResults = searchInData(state.sweedData).map(item => ({
+      const sweedResults = sweedIndex.search(term).map(item => ({
         ...item,
         source: 'SweedReport',
         displaySource: '[SWEED]'
@@ -368,36 +676,62 @@ export function InventoryProvider({ children }) {
     }
 
     return results;
-  }, [state.mainInventory, state.sweedData]);
+  }, [mainIndex, sweedIndex]);
 
   // Get product by SKU and source
   const getProductBySKU = useCallback((sku, source) => {
-    if (source === 'MainInventory') {
-      return state.mainInventory.find(item => item.sku === sku);
-    } else if (source === 'SweedReport') {
-      return state.sweedData.find(item => item.sku === sku);
-    }
-    return null;
-  }, [state.mainInventory, state.sweedData]);
+    const index = source === 'MainInventory' ? mainIndex : source === 'SweedReport' ? sweedIndex : null;
+    if (!index) return null;
+
+    // Exact SKU first, then a case-insensitive match
+    const matches = index.findBySku(sku);
+    return matches.find(item => item.sku === sku) || matches[0];
+  }, [mainIndex, sweedIndex]);
 
   // Context value
   const value = {
     // State
     mainInventory: state.mainInventory,
     sweedData: state.sweedData,
+    inventoryIndex,
     isLoading: state.isLoading,
     error: state.error,
     
     // Actions
+    analyzeImportFile,
     importMainInventory,
+    prepareMainInventoryImport,
+    commitMainInventoryImport,
+    discardPendingImport,
     importSweedData,
+    cancelImport,
     clearMainInventory,
     clearSweedData,
     clearAllData,
     clearError,
     
+    // Import history
+    getImportHistory,
+    restoreImportSnapshot,
+    deleteImportSnapshot,
+    
+    // Column mapping profiles
+    saveMappingProfile,
+    getMappingProfiles,
+    deleteMappingProfile,
+    
+    // Data-quality rules
+    getQualityRules,
+    updateQualityRules,
+    
+    // Label stocks
+    getLabelStocks,
+    saveLabelStock,
+    deleteLabelStock,
+    
     // Helpers
     findProductsByBarcode,
+    matchBarcode,
     getInventoryStats,
     searchProducts,
     getProductBySKU
@@ -1,6 +1,19 @@
 import React, { createContext, useContext, useReducer, useCallback } from 'react';
 import { DataProcessor } from '../utils/dataProcessor.js';
-import { EVENT_TYPES } from '../constants.js';
+import { BarcodeMatcher } from '../utils/barcodeMatcher.js';
+import { ScanFeedback } from '../utils/scanFeedback.js';
+import { useAuth } from './AuthContext.jsx';
+import { useInventory } from './InventoryContext.jsx';
+import {
+  EVENT_TYPES,
+  SCAN_QUANTITY,
+  BARCODE_MATCH_REASONS,
+  ORDER_STATUS_LABELS,
+  SCAN_SESSION_STATUS,
+  SCAN_SESSION_STATUS_LABELS,
+  SCAN_SESSION_TYPES,
+  VARIANCE_STATUS
+} from '../constants.js';
 import storage from '../utils/storage.js';
 
 const SessionContext = createContext();
@@ -17,17 +30,68 @@ const SESSION_ACTIONS = {
   CLEAR_ALL_SESSION_DATA: 'CLEAR_ALL_SESSION_DATA',
   SET_ENHANCED_DATA: 'SET_ENHANCED_DATA',
   UPDATE_ENHANCED_DATA: 'UPDATE_ENHANCED_DATA',
-  SET_SESSION_EVENTS: 'SET_SESSION_EVENTS'
+  SET_SESSION_EVENTS: 'SET_SESSION_EVENTS',
+  SET_PICKED_QUANTITIES: 'SET_PICKED_QUANTITIES',
+  PUSH_UNDO: 'PUSH_UNDO',
+  POP_UNDO: 'POP_UNDO',
+  SET_SCANNED_LOTS: 'SET_SCANNED_LOTS',
+  SET_LOCATION_SCANS: 'SET_LOCATION_SCANS',
+  SET_ACTIVE_ORDER: 'SET_ACTIVE_ORDER',
+  SET_CLOSED_ORDERS: 'SET_CLOSED_ORDERS',
+  LOAD_WORKSPACE: 'LOAD_WORKSPACE',
+  SET_SCAN_SESSIONS: 'SET_SCAN_SESSIONS',
+  SET_SCAN_FEEDBACK: 'SET_SCAN_FEEDBACK',
+  SET_SCAN_FLASH: 'SET_SCAN_FLASH'
 };
 
 // Initial session state
 const initialState = {
   scannedItems: [],
   scannedSweedItems: [], 
+  pickedQuantities: { MainInventory: {}, SweedReport: {} },
+  scannedLots: { MainInventory: {}, SweedReport: {} }, // Lot/expiry from GS1 scans
+  locationScans: { currentLocation: null, found: { MainInventory: {}, SweedReport: {} } }, // Bin each entry was found in
+  undoStack: [], // Recent scans, newest last - kept in memory only
+  activeOrder: null, // Sweed order being fulfilled: { orderNumber, shipToLocation, lines, picks, startedAt }
+  closedOrders: [],
   enhancedData: {},
-  sessionEvents: []
+  sessionEvents: [],
+  scanSessions: [], // Named scanning sessions: { id, name, type, zone, status, createdAt, createdBy, updatedAt, itemCount }
+  currentSessionId: null,
+  scanFeedback: ScanFeedback.resolveProfile(), // Signed-in user's tone and flash preferences
+  scanFlash: null // Full-screen flash being shown: { id, outcome }
 };
 
+// The current scanning session's data as held in the working storage keys
+function readWorkspace() {
+  return {
+    scannedItems: storage.getScannedItems(),
+    scannedSweedItems: storage.getScannedSweedItems(),
+    pickedQuantities: storage.getPickedQuantities(),
+    scannedLots: storage.getScannedLots(),
+    locationScans: storage.getLocationScans(),
+    activeOrder: storage.getActiveOrder(),
+    closedOrders: storage.getClosedOrders(),
+    enhancedData: storage.getEnhancedData(),
+    sessionEvents: storage.getSessionData()
+  };
+}
+
+// Entries ({ quantity, ... }, oldest first) trimmed to at most maxQuantity units in total -
+// units come off the newest entries first. Returns the original array when nothing is over.
+function capNewestFirst(entries, maxQuantity) {
+  let excess = entries.reduce((sum, entry) => sum + entry.quantity, 0) - maxQuantity;
+  if (excess <= 0) return entries;
+
+  const kept = [];
+  for (let i = entries.length - 1; i >= 0; i--) {
+    const removed = Math.min(excess, entries[i].quantity);
+    excess -= removed;
+    if (entries[i].quantity - removed > 0) kept.unshift({ ...entries[i], quantity: entries[i].quantity - removed });
+  }
+  return kept;
+}
+
 // Session reducer
 function sessionReducer(state, action) {
   switch (action.type) {
@@ -77,12 +141,19 @@ function sessionReducer(state, action) {
       return {
         ...state,
         scannedItems: [],
-        scannedSweedItems: []
+        scannedSweedItems: [],
+        pickedQuantities: { MainInventory: {}, SweedReport: {} },
+        scannedLots: { MainInventory: {}, SweedReport: {} },
+        locationScans: { currentLocation: state.locationScans.currentLocation, found: { MainInventory: {}, SweedReport: {} } },
+        undoStack: []
       };
       
     case SESSION_ACTIONS.CLEAR_ALL_SESSION_DATA:
       return {
-        ...initialState
+        ...initialState,
+        scanSessions: state.scanSessions,
+        currentSessionId: state.currentSessionId,
+        scanFeedback: state.scanFeedback
       };
       
     case SESSION_ACTIONS.SET_ENHANCED_DATA:
@@ -106,6 +177,74 @@ function sessionReducer(state, action) {
         sessionEvents: action.payload
       };
       
+    case SESSION_ACTIONS.SET_PICKED_QUANTITIES:
+      return {
+        ...state,
+        pickedQuantities: action.payload
+      };
+      
+    case SESSION_ACTIONS.PUSH_UNDO:
+      return {
+        ...state,
+        undoStack: [...state.undoStack, action.payload].slice(-SCAN_QUANTITY.UNDO_HISTORY)
+      };
+      
+    case SESSION_ACTIONS.POP_UNDO:
+      return {
+        ...state,
+        undoStack: state.undoStack.slice(0, -1)
+      };
+      
+    case SESSION_ACTIONS.SET_SCANNED_LOTS:
+      return {
+        ...state,
+        scannedLots: action.payload
+      };
+      
+    case SESSION_ACTIONS.SET_LOCATION_SCANS:
+      return {
+        ...state,
+        locationScans: action.payload
+      };
+      
+    case SESSION_ACTIONS.SET_ACTIVE_ORDER:
+      return {
+        ...state,
+        activeOrder: action.payload
+      };
+      
+    case SESSION_ACTIONS.SET_CLOSED_ORDERS:
+      return {
+        ...state,
+        closedOrders: action.payload
+      };
+      
+    case SESSION_ACTIONS.LOAD_WORKSPACE:
+      return {
+        ...state,
+        ...action.payload,
+        undoStack: []
+      };
+      
+    case SESSION_ACTIONS.SET_SCAN_SESSIONS:
+      return {
+        ...state,
+        scanSessions: action.payload.sessions,
+        currentSessionId: action.payload.currentSessionId
+      };
+      
+    case SESSION_ACTIONS.SET_SCAN_FEEDBACK:
+      return {
+        ...state,
+        scanFeedback: action.payload
+      };
+      
+    case SESSION_ACTIONS.SET_SCAN_FLASH:
+      return {
+        ...state,
+        scanFlash: action.payload
+      };
+      
     default:
       return state;
   }
@@ -114,57 +253,353 @@ function sessionReducer(state, action) {
 // SessionProvider component
 export function SessionProvider({ children }) {
   const [state, dispatch] = useReducer(sessionReducer, initialState);
+  const { inventoryIndex } = useInventory();
+  const { user } = useAuth();
+  const username = user ? user.username : null;
+
+  // Lookups use the inventory's prebuilt indexes when given the loaded datasets
+  const resolveIndexes = useCallback((inventoryData, sweedData) => ({
+    main: inventoryData === inventoryIndex.main.items ? inventoryIndex.main : inventoryData,
+    sweed: sweedData === inventoryIndex.sweed.items ? inventoryIndex.sweed : sweedData
+  }), [inventoryIndex]);
+
+  // Only an active scanning session accepts scans - paused, closed and archived ones are read-only
+  const currentSession = state.scanSessions.find(session => session.id === state.currentSessionId) || null;
+  const scanBlockedReason = currentSession && currentSession.status !== SCAN_SESSION_STATUS.ACTIVE
+    ? `Session "${currentSession.name}" is ${SCAN_SESSION_STATUS_LABELS[currentSession.status].toLowerCase()} - resume it to scan`
+    : null;
+
+  // Refresh the session registry from storage
+  const syncScanSessions = useCallback(() => {
+    dispatch({
+      type: SESSION_ACTIONS.SET_SCAN_SESSIONS,
+      payload: { sessions: storage.getScanSessions(), currentSessionId: storage.getCurrentScanSessionId() }
+    });
+  }, []);
 
   // Load session data from storage on mount
   React.useEffect(() => {
-    const scannedItems = storage.getScannedItems();
-    const scannedSweedItems = storage.getScannedSweedItems();
-    const enhancedData = storage.getEnhancedData();
-    const sessionEvents = storage.getSessionData();
-    
-    dispatch({ type: SESSION_ACTIONS.SET_SCANNED_ITEMS, payload: scannedItems });
-    dispatch({ type: SESSION_ACTIONS.SET_SCANNED_SWEED_ITEMS, payload: scannedSweedItems });
-    dispatch({ type: SESSION_ACTIONS.SET_ENHANCED_DATA, payload: enhancedData });
-    dispatch({ type: SESSION_ACTIONS.SET_SESSION_EVENTS, payload: sessionEvents });
+    storage.ensureScanSessions();
+    syncScanSessions();
+    dispatch({ type: SESSION_ACTIONS.LOAD_WORKSPACE, payload: readWorkspace() });
+  }, [syncScanSessions]);
+
+  // Feedback preferences follow whoever is signed in
+  React.useEffect(() => {
+    dispatch({
+      type: SESSION_ACTIONS.SET_SCAN_FEEDBACK,
+      payload: ScanFeedback.resolveProfile(username ? storage.getScanFeedbackProfile(username) : null)
+    });
+  }, [username]);
+
+  // Play the tone and flash the screen for a scan outcome, as the user's profile allows
+  // profileOverride lets the settings page preview unsaved changes
+  const signalScanOutcome = useCallback((outcome, profileOverride = null) => {
+    const profile = profileOverride || state.scanFeedback;
+
+    if (ScanFeedback.wantsSound(profile, outcome)) {
+      ScanFeedback.playTone(outcome, profile.volume);
+    }
+    if (ScanFeedback.wantsFlash(profile, outcome)) {
+      dispatch({ type: SESSION_ACTIONS.SET_SCAN_FLASH, payload: { id: Date.now(), outcome } });
+    }
+  }, [state.scanFeedback]);
+
+  const clearScanFlash = useCallback(() => {
+    dispatch({ type: SESSION_ACTIONS.SET_SCAN_FLASH, payload: null });
   }, []);
 
-  // Add scanned item
-  const addScannedItem = useCallback((barcode, sku, source) => {
+  // Save the signed-in user's feedback preferences
+  const updateScanFeedback = useCallback((profile) => {
+    if (!username) return false;
+
+    const resolved = ScanFeedback.resolveProfile(profile);
+    const saved = storage.setScanFeedbackProfile(username, resolved);
+
+    if (saved) {
+      dispatch({ type: SESSION_ACTIONS.SET_SCAN_FEEDBACK, payload: resolved });
+      storage.addSessionEvent(
+        EVENT_TYPES.SCAN_FEEDBACK_UPDATED,
+        `Scan feedback updated for ${username}`,
+        `Sound: ${resolved.sound ? `on (${Math.round(resolved.volume * 100)}%)` : 'off'}, flash: ${resolved.flash ? 'on' : 'off'}`
+      );
+    }
+
+    return saved;
+  }, [username]);
+
+  // Write one entry's picked quantity - 0 removes the entry from the map
+  const savePickedQuantity = useCallback((source, key, quantity) => {
+    const quantities = storage.getPickedQuantities();
+    const forSource = { ...(quantities[source] || {}) };
+
+    if (quantity > 0) {
+      forSource[key] = quantity;
+    } else {
+      delete forSource[key];
+    }
+
+    const updated = { ...quantities, [source]: forSource };
+    storage.setPickedQuantities(updated);
+    dispatch({ type: SESSION_ACTIONS.SET_PICKED_QUANTITIES, payload: updated });
+  }, []);
+
+  // Add (or with a negative quantity, take back) units of a GS1 lot on a scanned entry
+  // scanData: { gtin, lot, expirationDate, serialNumber } - null, or no lot/expiry/serial, is a no-op
+  const saveScanLot = useCallback((source, key, scanData, quantity) => {
+    if (!scanData || !(scanData.lot || scanData.expirationDate || scanData.serialNumber)) return;
+
+    const allLots = storage.getScannedLots();
+    const forSource = { ...(allLots[source] || {}) };
+    const lots = [...(forSource[key] || [])];
+    const index = lots.findIndex(entry => entry.lot === (scanData.lot || null) && entry.expirationDate === (scanData.expirationDate || null));
+    const existing = index > -1 ? lots[index] : null;
+    const serialNumbers = existing ? [...existing.serialNumbers] : [];
+
+    if (scanData.serialNumber) {
+      const serialIndex = serialNumbers.indexOf(scanData.serialNumber);
+      if (quantity > 0 && serialIndex === -1) serialNumbers.push(scanData.serialNumber);
+      if (quantity < 0 && serialIndex > -1) serialNumbers.splice(serialIndex, 1);
+    }
+
+    const updatedLot = {
+      gtin: scanData.gtin || (existing && existing.gtin) || null,
+      lot: scanData.lot || null,
+      expirationDate: scanData.expirationDate || null,
+      serialNumbers,
+      quantity: (existing ? existing.quantity : 0) + quantity
+    };
+
+    // Keep the most recently scanned lot last
+    if (index > -1) lots.splice(index, 1);
+    if (updatedLot.quantity > 0) lots.push(updatedLot);
+
+    if (lots.length > 0) {
+      forSource[key] = lots;
+    } else {
+      delete forSource[key];
+    }
+
+    const updated = { ...allLots, [source]: forSource };
+    storage.setScannedLots(updated);
+    dispatch({ type: SESSION_ACTIONS.SET_SCANNED_LOTS, payload: updated });
+  }, []);
+
+  // Drop every lot recorded for a scanned entry
+  const clearScanLots = useCallback((source, key) => {
+    const allLots = storage.getScannedLots();
+    if (!allLots[source] || !allLots[source][key]) return;
+
+    const forSource = { ...allLots[source] };
+    delete forSource[key];
+    const updated = { ...allLots, [source]: forSource };
+    storage.setScannedLots(updated);
+    dispatch({ type: SESSION_ACTIONS.SET_SCANNED_LOTS, payload: updated });
+  }, []);
+
+  // Trim a scanned entry's lots so they hold no more units than were picked -
+  // units come off the most recently scanned lot first, with their serial numbers
+  const capScanLots = useCallback((source, key, maxQuantity) => {
+    const allLots = storage.getScannedLots();
+    const current = (allLots[source] && allLots[source][key]) || [];
+    const capped = capNewestFirst(current, maxQuantity);
+    if (capped === current) return;
+
+    const lots = capped.map(lot => ({ ...lot, serialNumbers: (lot.serialNumbers || []).slice(0, lot.quantity) }));
+
+    const forSource = { ...allLots[source] };
+    if (lots.length > 0) {
+      forSource[key] = lots;
+    } else {
+      delete forSource[key];
+    }
+    const updated = { ...allLots, [source]: forSource };
+    storage.setScannedLots(updated);
+    dispatch({ type: SESSION_ACTIONS.SET_SCANNED_LOTS, payload: updated });
+  }, []);
+
+  // Add (or with a negative quantity, take back) units of a scanned entry found in a bin
+  const saveLocationFind = useCallback((source, key, location, quantity) => {
+    if (!location) return;
+
+    const locationScans = storage.getLocationScans();
+    const forSource = { ...(locationScans.found[source] || {}) };
+    const finds = [...(forSource[key] || [])];
+    const index = finds.findIndex(find => DataProcessor.normalizeLocation(find.location) === DataProcessor.normalizeLocation(location));
+    const existingQuantity = index > -1 ? finds[index].quantity : 0;
+
+    if (index > -1) finds.splice(index, 1);
+    if (existingQuantity + quantity > 0) {
+      finds.push({ location, quantity: existingQuantity + quantity, lastScannedAt: new Date().toISOString() });
+    }
+
+    if (finds.length > 0) {
+      forSource[key] = finds;
+    } else {
+      delete forSource[key];
+    }
+
+    const updated = { ...locationScans, found: { ...locationScans.found, [source]: forSource } };
+    storage.setLocationScans(updated);
+    dispatch({ type: SESSION_ACTIONS.SET_LOCATION_SCANS, payload: updated });
+  }, []);
+
+  // Trim a scanned entry's bin finds so they hold no more units than were picked -
+  // units come off the most recently scanned bin first
+  const capLocationFinds = useCallback((source, key, maxQuantity) => {
+    const locationScans = storage.getLocationScans();
+    const current = (locationScans.found[source] && locationScans.found[source][key]) || [];
+    const finds = capNewestFirst(current, maxQuantity);
+    if (finds === current) return;
+
+    const forSource = { ...locationScans.found[source] };
+    if (finds.length > 0) {
+      forSource[key] = finds;
+    } else {
+      delete forSource[key];
+    }
+    const updated = { ...locationScans, found: { ...locationScans.found, [source]: forSource } };
+    storage.setLocationScans(updated);
+    dispatch({ type: SESSION_ACTIONS.SET_LOCATION_SCANS, payload: updated });
+  }, []);
+
+  // Drop every bin recorded for a scanned entry
+  const clearLocationFinds = useCallback((source, key) => {
+    const locationScans = storage.getLocationScans();
+    if (!locationScans.found[source] || !locationScans.found[source][key]) return;
+
+    const forSource = { ...locationScans.found[source] };
+    delete forSource[key];
+    const updated = { ...locationScans, found: { ...locationScans.found, [source]: forSource } };
+    storage.setLocationScans(updated);
+    dispatch({ type: SESSION_ACTIONS.SET_LOCATION_SCANS, payload: updated });
+  }, []);
+
+  // Set the bin later product scans are recorded against (null leaves location scanning)
+  const setCurrentLocation = useCallback((location) => {
+    const locationScans = storage.getLocationScans();
+    const currentLocation = location || null;
+    if (locationScans.currentLocation === currentLocation) return;
+
+    const updated = { ...locationScans, currentLocation };
+    storage.setLocationScans(updated);
+    dispatch({ type: SESSION_ACTIONS.SET_LOCATION_SCANS, payload: updated });
+
+    if (currentLocation) {
+      storage.addSessionEvent(EVENT_TYPES.LOCATION_SET, `Scanning location set: ${currentLocation}`, '');
+    }
+  }, []);
+
+  // Compare a scanned item with the current bin, logging a mismatch
+  // Returns { found, expected, mismatch }, or null when no bin is set
+  const checkScanLocation = useCallback((item) => {
+    const check = DataProcessor.checkItemLocation(item, storage.getLocationScans().currentLocation);
+    if (check && check.mismatch) {
+      storage.addSessionEvent(
+        EVENT_TYPES.LOCATION_MISMATCH,
+        `Location mismatch: SKU ${item.sku}`,
+        `Found in ${check.found}, system location ${check.expected}`
+      );
+    }
+    return check;
+  }, []);
+
+  // Get the picked quantity for a scanned entry (0 when not scanned)
+  const getPickedQuantity = useCallback((barcode, sku, source) => {
+    const key = `${barcode}_${sku}`;
+    const scanned = source === 'SweedReport' ? state.scannedSweedItems : state.scannedItems;
+    if (!scanned.includes(key)) return 0;
+
+    return (state.pickedQuantities[source] && state.pickedQuantities[source][key]) || 1;
+  }, [state.scannedItems, state.scannedSweedItems, state.pickedQuantities]);
+
+  // Record a scan - adds the entry on first scan, otherwise increments its picked quantity
+  // scanData carries the lot/expiry read from a GS1 barcode (optional)
+  // options.recordScan false adds the units without an undo entry or a find in the current bin
+  // (units carried over from a closed order were not scanned here)
+  // Returns the entry's new picked quantity, or 0 for an unknown source or a read-only session
+  const addScannedItem = useCallback((barcode, sku, source, quantity = 1, scanData = null, options = {}) => {
+    const { recordScan = true } = options;
+    if (scanBlockedReason) return 0;
+
     const key = `${barcode}_${sku}`;
+    const units = Math.max(1, Math.min(SCAN_QUANTITY.MAX, parseInt(quantity, 10) || 1));
+    const quantities = storage.getPickedQuantities();
+    let isNew;
     
     if (source === 'MainInventory') {
-      if (!storage.isItemScanned(barcode, sku)) {
+      isNew = !storage.isItemScanned(barcode, sku);
+      if (isNew) {
         storage.addScannedItem(barcode, sku);
         dispatch({ type: SESSION_ACTIONS.ADD_SCANNED_ITEM, payload: key });
-        
-        storage.addSessionEvent(
-          EVENT_TYPES.ITEM_SCANNED,
-          `Main inventory item scanned: SKU ${sku}`,
-          `Barcode: ${barcode}`
-        );
-        
-        return true;
       }
     } else if (source === 'SweedReport') {
-      if (!storage.isSweedItemScanned(barcode, sku)) {
+      isNew = !storage.isSweedItemScanned(barcode, sku);
+      if (isNew) {
         storage.addScannedSweedItem(barcode, sku);
         dispatch({ type: SESSION_ACTIONS.ADD_SCANNED_SWEED_ITEM, payload: key });
-        
-        storage.addSessionEvent(
-          EVENT_TYPES.ITEM_SCANNED,
-          `Sweed item scanned: SKU ${sku}`,
-          `Barcode: ${barcode}`
-        );
-        
-        return true;
       }
+    } else {
+      return 0;
+    }
+
+    const previous = isNew ? 0 : ((quantities[source] && quantities[source][key]) || 1);
+    const pickedQuantity = previous + units;
+    const location = recordScan ? storage.getLocationScans().currentLocation : null;
+    savePickedQuantity(source, key, pickedQuantity);
+    saveScanLot(source, key, scanData, units);
+    if (recordScan) {
+      saveLocationFind(source, key, location, units);
+      dispatch({ type: SESSION_ACTIONS.PUSH_UNDO, payload: { barcode, sku, source, quantity: units, scanData, location } });
     }
     
-    return false; // Already scanned
-  }, []);
+    storage.addSessionEvent(
+      EVENT_TYPES.ITEM_SCANNED,
+      `${source === 'MainInventory' ? 'Main inventory' : 'Sweed'} item scanned: SKU ${sku}`,
+      `Barcode: ${barcode}, Qty: +${units} (picked ${pickedQuantity})${scanData && scanData.lot ? `, Lot: ${scanData.lot}` : ''}${location ? `, Location: ${location}` : ''}`
+    );
+    
+    return pickedQuantity;
+  }, [savePickedQuantity, saveScanLot, saveLocationFind, scanBlockedReason]);
+
+  // Add a batch of items to the scan list (e.g. a pull list from the dashboard)
+  // items: [{ barcode, sku, source }] - returns the number newly added
+  const addScannedItems = useCallback((items, description = 'Items added to scan list') => {
+    if (scanBlockedReason) return 0;
+
+    const mainKeys = storage.getScannedItems();
+    const sweedKeys = storage.getScannedSweedItems();
+    let added = 0;
+
+    items.forEach(item => {
+      const key = `${item.barcode}_${item.sku}`;
+      const target = item.source === 'SweedReport' ? sweedKeys : mainKeys;
+      if (!target.includes(key)) {
+        target.push(key);
+        added++;
+      }
+    });
 
-  // Remove scanned item  
+    if (added === 0) return 0;
+
+    storage.setScannedItems(mainKeys);
+    storage.setScannedSweedItems(sweedKeys);
+    dispatch({ type: SESSION_ACTIONS.SET_SCANNED_ITEMS, payload: [...mainKeys] });
+    dispatch({ type: SESSION_ACTIONS.SET_SCANNED_SWEED_ITEMS, payload: [...sweedKeys] });
+
+    storage.addSessionEvent(
+      EVENT_TYPES.SCAN_LIST_ADDED,
+      description,
+      `${added} of ${items.length} items added`
+    );
+
+    return added;
+  }, [scanBlockedReason]);
+
+  // Remove scanned item - returns false for a read-only session
   const removeScannedItem = useCallback((barcode, sku, source) => {
+    if (scanBlockedReason) return false;
+
     const key = `${barcode}_${sku}`;
     
     if (source === 'MainInventory') {
@@ -174,13 +609,58 @@ export function SessionProvider({ children }) {
       storage.removeScannedSweedItem(barcode, sku);
       dispatch({ type: SESSION_ACTIONS.REMOVE_SCANNED_SWEED_ITEM, payload: key });
     }
+    savePickedQuantity(source, key, 0);
+    clearScanLots(source, key);
+    clearLocationFinds(source, key);
     
     storage.addSessionEvent(
       EVENT_TYPES.SESSION_CLEARED,
       `Item removed from scan list: SKU ${sku}`,
       `Source: ${source}`
     );
-  }, []);
+    return true;
+  }, [savePickedQuantity, clearScanLots, clearLocationFinds, scanBlockedReason]);
+
+  // Change a scanned entry's picked quantity by delta - reaching 0 removes the entry
+  // Returns the new picked quantity, or null for a read-only session
+  const adjustPickedQuantity = useCallback((barcode, sku, source, delta) => {
+    if (scanBlockedReason) return null;
+
+    const key = `${barcode}_${sku}`;
+    const quantities = storage.getPickedQuantities();
+    const current = (quantities[source] && quantities[source][key]) || 1;
+    const pickedQuantity = Math.max(0, Math.min(SCAN_QUANTITY.MAX, current + delta));
+
+    if (pickedQuantity === 0) {
+      removeScannedItem(barcode, sku, source);
+      return 0;
+    }
+
+    savePickedQuantity(source, key, pickedQuantity);
+    capScanLots(source, key, pickedQuantity);
+    capLocationFinds(source, key, pickedQuantity);
+    storage.addSessionEvent(
+      EVENT_TYPES.SCAN_QUANTITY_ADJUSTED,
+      `Picked quantity changed: SKU ${sku}`,
+      `${current} → ${pickedQuantity}`
+    );
+
+    return pickedQuantity;
+  }, [removeScannedItem, savePickedQuantity, capScanLots, capLocationFinds, scanBlockedReason]);
+
+  // Reverse the most recent scan
+  // Returns the undone scan ({ barcode, sku, source, quantity, scanData }) or null
+  const undoLastScan = useCallback(() => {
+    const lastScan = state.undoStack[state.undoStack.length - 1];
+    if (!lastScan || scanBlockedReason) return null;
+
+    dispatch({ type: SESSION_ACTIONS.POP_UNDO });
+    saveScanLot(lastScan.source, `${lastScan.barcode}_${lastScan.sku}`, lastScan.scanData, -lastScan.quantity);
+    saveLocationFind(lastScan.source, `${lastScan.barcode}_${lastScan.sku}`, lastScan.location, -lastScan.quantity);
+    adjustPickedQuantity(lastScan.barcode, lastScan.sku, lastScan.source, -lastScan.quantity);
+
+    return lastScan;
+  }, [state.undoStack, adjustPickedQuantity, saveScanLot, saveLocationFind, scanBlockedReason]);
 
   // Check if item is scanned
   const isItemScanned = useCallback((barcode, sku, source) => {
@@ -192,10 +672,15 @@ export function SessionProvider({ children }) {
     return false;
   }, []);
 
-  // Clear all scanned items
+  // Clear all scanned items - returns false for a read-only session
   const clearScannedItems = useCallback(() => {
+    if (scanBlockedReason) return false;
+
     storage.clearScannedItems();
     storage.clearScannedSweedItems();
+    storage.clearPickedQuantities();
+    storage.clearScannedLots();
+    storage.setLocationScans({ ...storage.getLocationScans(), found: { MainInventory: {}, SweedReport: {} } });
     
     dispatch({ type: SESSION_ACTIONS.CLEAR_SCANNED_ITEMS });
     
@@ -204,20 +689,209 @@ export function SessionProvider({ children }) {
       'All scanned items cleared',
       ''
     );
+    return true;
+  }, [scanBlockedReason]);
+
+  // Save the order in progress (null ends it)
+  const saveActiveOrder = useCallback((order) => {
+    if (order) {
+      storage.setActiveOrder(order);
+    } else {
+      storage.clearActiveOrder();
+    }
+    dispatch({ type: SESSION_ACTIONS.SET_ACTIVE_ORDER, payload: order });
   }, []);
 
+  // Start fulfilling a Sweed order - order comes from DataProcessor.getSweedOrders
+  // Lines are copied so a later Sweed import does not change an order mid-pick
+  // Returns the active order, or null for a read-only session
+  const startOrder = useCallback((order) => {
+    if (scanBlockedReason) return null;
+
+    const activeOrder = {
+      orderNumber: order.orderNumber,
+      shipToLocation: order.shipToLocation,
+      lines: order.lines,
+      picks: {},
+      startedAt: new Date().toISOString()
+    };
+    saveActiveOrder(activeOrder);
+
+    storage.addSessionEvent(
+      EVENT_TYPES.ORDER_STARTED,
+      `Order fulfillment started: ${order.orderNumber}`,
+      `${order.lines.length} lines, ${order.totalRequested} units requested`
+    );
+
+    return activeOrder;
+  }, [saveActiveOrder, scanBlockedReason]);
+
+  // Verify a scan against the active order and record it on the matching line
+  // scanData is a parsed GS1 barcode - its GTIN forms are matched and its lot kept (optional)
+  // Returns { success, error } when the barcode is not on the order, otherwise
+  // { success, line, pickedQuantity, requestedQuantity, overPicked }
+  const processOrderScan = useCallback((barcode, quantity = 1, scanData = null) => {
+    if (scanBlockedReason) {
+      return { success: false, error: scanBlockedReason };
+    }
+
+    const order = storage.getActiveOrder();
+    if (!order) {
+      return { success: false, error: 'No order in progress' };
+    }
+
+    const line = DataProcessor.findOrderLine(order.lines, scanData ? scanData.matchCodes : barcode, order.picks);
+    if (!line) {
+      storage.addSessionEvent(
+        EVENT_TYPES.ORDER_SCAN_REJECTED,
+        `Barcode not on order ${order.orderNumber}: ${barcode}`,
+        `Qty: ${quantity}`
+      );
+
+      return { success: false, error: `Barcode ${barcode} is not on order ${order.orderNumber}` };
+    }
+
+    const units = Math.max(1, Math.min(SCAN_QUANTITY.MAX, parseInt(quantity, 10) || 1));
+    const pickedQuantity = (order.picks[line.key] || 0) + units;
+    const overPicked = pickedQuantity > line.requestedQuantity;
+    const lots = { ...(order.lots || {}) };
+    if (scanData && (scanData.lot || scanData.expirationDate || scanData.serialNumber)) {
+      lots[line.key] = [...(lots[line.key] || []), {
+        gtin: scanData.gtin,
+        lot: scanData.lot,
+        expirationDate: scanData.expirationDate,
+        serialNumber: scanData.serialNumber,
+        quantity: units
+      }];
+    }
+    saveActiveOrder({ ...order, picks: { ...order.picks, [line.key]: pickedQuantity }, lots });
+
+    storage.addSessionEvent(
+      overPicked ? EVENT_TYPES.ORDER_SCAN_REJECTED : EVENT_TYPES.ITEM_SCANNED,
+      `${overPicked ? 'Over-pick on' : 'Picked for'} order ${order.orderNumber}: SKU ${line.sku}`,
+      `Barcode: ${barcode}, Qty: +${units} (picked ${pickedQuantity} of ${line.requestedQuantity})`
+    );
+
+    return {
+      success: true,
+      line,
+      pickedQuantity,
+      requestedQuantity: line.requestedQuantity,
+      overPicked
+    };
+  }, [saveActiveOrder, scanBlockedReason]);
+
+  // Change a line's picked quantity on the active order
+  // Returns the new picked quantity, or null for a read-only session
+  const adjustOrderPick = useCallback((lineKey, delta) => {
+    if (scanBlockedReason) return null;
+
+    const order = storage.getActiveOrder();
+    if (!order) return 0;
+
+    const picks = { ...order.picks };
+    const lots = { ...(order.lots || {}) };
+    const pickedQuantity = Math.max(0, Math.min(SCAN_QUANTITY.MAX, (picks[lineKey] || 0) + delta));
+    if (pickedQuantity > 0) {
+      picks[lineKey] = pickedQuantity;
+    } else {
+      delete picks[lineKey];
+    }
+
+    // Lots read on this line never add up to more than is picked
+    const lineLots = capNewestFirst(lots[lineKey] || [], pickedQuantity);
+    if (lineLots.length > 0) {
+      lots[lineKey] = lineLots;
+    } else {
+      delete lots[lineKey];
+    }
+    saveActiveOrder({ ...order, picks, lots });
+
+    return pickedQuantity;
+  }, [saveActiveOrder, scanBlockedReason]);
+
+  // Close the active order. Picked lines are added to the scan list so labels
+  // and pick tickets include them. Returns the closed order record, or null when there
+  // is no order or the session is read-only.
+  const closeOrder = useCallback((notes = '') => {
+    const order = storage.getActiveOrder();
+    if (!order || scanBlockedReason) return null;
+
+    const summary = DataProcessor.summarizeOrderPicks(order.lines, order.picks);
+    const currentUser = storage.getCurrentUser();
+    const closedOrder = {
+      orderNumber: order.orderNumber,
+      shipToLocation: order.shipToLocation,
+      status: summary.status,
+      totalRequested: summary.totalRequested,
+      totalPicked: summary.totalPicked,
+      lines: summary.lines.map(line => ({
+        sku: line.sku,
+        barcode: line.barcode,
+        productName: line.productName,
+        requestedQuantity: line.requestedQuantity,
+        pickedQuantity: line.pickedQuantity
+      })),
+      notes,
+      startedAt: order.startedAt,
+      closedAt: new Date().toISOString(),
+      closedBy: currentUser ? currentUser.username : 'Unknown'
+    };
+
+    summary.lines
+      .filter(line => line.pickedQuantity > 0)
+      .forEach(line => {
+        addScannedItem(line.barcode, line.sku, 'SweedReport', line.pickedQuantity, null, { recordScan: false });
+        ((order.lots && order.lots[line.key]) || []).forEach(lot => saveScanLot('SweedReport', line.key, lot, lot.quantity));
+      });
+
+    storage.addClosedOrder(closedOrder);
+    dispatch({ type: SESSION_ACTIONS.SET_CLOSED_ORDERS, payload: storage.getClosedOrders() });
+    saveActiveOrder(null);
+
+    storage.addSessionEvent(
+      EVENT_TYPES.ORDER_CLOSED,
+      `Order ${order.orderNumber} closed: ${ORDER_STATUS_LABELS[summary.status]}`,
+      `Picked ${summary.totalPicked} of ${summary.totalRequested} units${notes ? ` - ${notes}` : ''}`
+    );
+
+    return closedOrder;
+  }, [addScannedItem, saveActiveOrder, saveScanLot, scanBlockedReason]);
+
+  // Abandon the active order without recording it - returns false for a read-only session
+  const cancelOrder = useCallback(() => {
+    if (scanBlockedReason) return false;
+
+    const order = storage.getActiveOrder();
+    if (!order) return true;
+
+    saveActiveOrder(null);
+    storage.addSessionEvent(
+      EVENT_TYPES.SESSION_CLEARED,
+      `Order fulfillment cancelled: ${order.orderNumber}`,
+      ''
+    );
+    return true;
+  }, [saveActiveOrder, scanBlockedReason]);
+
   // Get scanned items details
   const getScannedItemsDetails = useCallback((inventoryData, sweedData) => {
+    const indexes = resolveIndexes(inventoryData, sweedData);
+
     return DataProcessor.getScannedItemsDetails(
       state.scannedItems,
       state.scannedSweedItems,
-      inventoryData,
-      sweedData
+      indexes.main,
+      indexes.sweed,
+      state.pickedQuantities,
+      state.scannedLots
     );
-  }, [state.scannedItems, state.scannedSweedItems]);
+  }, [state.scannedItems, state.scannedSweedItems, state.pickedQuantities, state.scannedLots, resolveIndexes]);
 
-  // Enhanced data management
+  // Enhanced data management - label data is part of the session, so read-only sessions return false
   const setEnhancedDataForSKU = useCallback((sku, dataType, value) => {
+    if (scanBlockedReason) return false;
+
     storage.setEnhancedDataForSKU(sku, dataType, value);
     
     const updatedData = storage.getEnhancedData();
@@ -228,7 +902,8 @@ export function SessionProvider({ children }) {
       `Enhanced data saved for SKU ${sku}`,
       `${dataType}: ${value}`
     );
-  }, []);
+    return true;
+  }, [scanBlockedReason]);
 
   const getEnhancedDataForSKU = useCallback((sku, dataType) => {
     return storage.getEnhancedDataForSKU(sku, dataType);
@@ -239,6 +914,8 @@ export function SessionProvider({ children }) {
   }, []);
 
   const clearEnhancedDataForSKU = useCallback((sku) => {
+    if (scanBlockedReason) return false;
+
     storage.clearEnhancedDataForSKU(sku);
     
     const updatedData = storage.getEnhancedData();
@@ -249,9 +926,12 @@ export function SessionProvider({ children }) {
       `Enhanced data cleared for SKU ${sku}`,
       ''
     );
-  }, []);
+    return true;
+  }, [scanBlockedReason]);
 
   const clearAllEnhancedData = useCallback(() => {
+    if (scanBlockedReason) return false;
+
     storage.clearEnhancedData();
     dispatch({ type: SESSION_ACTIONS.SET_ENHANCED_DATA, payload: {} });
     
@@ -260,7 +940,8 @@ export function SessionProvider({ children }) {
       'All enhanced data cleared',
       ''
     );
-  }, []);
+    return true;
+  }, [scanBlockedReason]);
 
   // Clear entire session
   const clearAllSessionData = useCallback(() => {
@@ -270,12 +951,183 @@ export function SessionProvider({ children }) {
     // This event is already logged in storage.clearAllSessionData()
   }, []);
 
+  // Save the current scanning session's data aside before another session is loaded.
+  // An active session is paused. Returns false, leaving everything as it was, when storage is full.
+  const leaveCurrentSession = useCallback(() => {
+    const sessionId = storage.getCurrentScanSessionId();
+    const session = storage.getScanSessions().find(entry => entry.id === sessionId);
+    if (!session) return true;
+
+    const changes = { itemCount: storage.getScannedItems().length + storage.getScannedSweedItems().length };
+    const events = storage.getSessionData();
+
+    // The event log is saved with the workspace, so the PAUSED event goes in first
+    // and is taken back out when the save fails
+    if (session.status === SCAN_SESSION_STATUS.ACTIVE) {
+      changes.status = SCAN_SESSION_STATUS.PAUSED;
+      storage.addSessionEvent(
+        EVENT_TYPES.SCAN_SESSION_PAUSED,
+        `Scanning session paused: ${session.name}`,
+        'Switched to another session'
+      );
+    }
+
+    if (!storage.saveScanSessionWorkspace(sessionId)) {
+      storage.setSessionData(events);
+      return false;
+    }
+    storage.updateScanSession(sessionId, changes);
+    return true;
+  }, []);
+
+  // Start a new, empty scanning session and make it current - the previous one is paused
+  // options: { type, zone } - a cycle count session counts the units in one zone (location)
+  // Returns the new session, or null when the previous session could not be saved
+  const createScanSession = useCallback((name = '', options = {}) => {
+    const defaultName = options.type === SCAN_SESSION_TYPES.CYCLE_COUNT
+      ? `Cycle Count - ${options.zone || 'All Locations'}`
+      : `Session ${storage.getScanSessions().length + 1}`;
+    const sessionName = String(name).trim() || defaultName;
+    if (!leaveCurrentSession()) return null;
+
+    storage.clearScanSessionWorkspace();
+    const session = storage.addScanSession(sessionName, options);
+    storage.addSessionEvent(
+      EVENT_TYPES.SCAN_SESSION_CREATED,
+      `Scanning session created: ${sessionName}`,
+      session.type === SCAN_SESSION_TYPES.CYCLE_COUNT ? `Cycle count of ${session.zone || 'all locations'}` : ''
+    );
+
+    syncScanSessions();
+    dispatch({ type: SESSION_ACTIONS.LOAD_WORKSPACE, payload: readWorkspace() });
+    return session;
+  }, [leaveCurrentSession, syncScanSessions]);
+
+  // Make another session current. A paused session resumes; closed and archived ones open read-only.
+  // Returns false when the session does not exist or the current one could not be saved
+  const switchScanSession = useCallback((sessionId) => {
+    if (sessionId === storage.getCurrentScanSessionId()) return true;
+
+    const target = storage.getScanSessions().find(session => session.id === sessionId);
+    if (!target || !leaveCurrentSession()) return false;
+
+    storage.loadScanSessionWorkspace(sessionId);
+    storage.setCurrentScanSessionId(sessionId);
+    if (target.status === SCAN_SESSION_STATUS.PAUSED) {
+      storage.updateScanSession(sessionId, { status: SCAN_SESSION_STATUS.ACTIVE });
+      storage.addSessionEvent(EVENT_TYPES.SCAN_SESSION_RESUMED, `Scanning session resumed: ${target.name}`, '');
+    }
+
+    syncScanSessions();
+    dispatch({ type: SESSION_ACTIONS.LOAD_WORKSPACE, payload: readWorkspace() });
+    return true;
+  }, [leaveCurrentSession, syncScanSessions]);
+
+  // Set the current session's status, logging the change in its event log
+  const setCurrentSessionStatus = useCallback((status, eventType, verb, extraChanges = {}) => {
+    const sessionId = storage.getCurrentScanSessionId();
+    const session = storage.getScanSessions().find(entry => entry.id === sessionId);
+    if (!session || session.status === status) return false;
+
+    const changes = {
+      ...extraChanges,
+      status,
+      itemCount: storage.getScannedItems().length + storage.getScannedSweedItems().length
+    };
+    if (status === SCAN_SESSION_STATUS.CLOSED) {
+      changes.closedAt = new Date().toISOString();
+    }
+
+    storage.updateScanSession(sessionId, changes);
+    storage.addSessionEvent(eventType, `Scanning session ${verb}: ${session.name}`, `Was ${SCAN_SESSION_STATUS_LABELS[session.status]}`);
+    syncScanSessions();
+    dispatch({ type: SESSION_ACTIONS.SET_SESSION_EVENTS, payload: storage.getSessionData() });
+    return true;
+  }, [syncScanSessions]);
+
+  const pauseScanSession = useCallback(() => (
+    setCurrentSessionStatus(SCAN_SESSION_STATUS.PAUSED, EVENT_TYPES.SCAN_SESSION_PAUSED, 'paused')
+  ), [setCurrentSessionStatus]);
+
+  // Resuming a closed or archived session reopens it for scanning
+  const resumeScanSession = useCallback(() => (
+    setCurrentSessionStatus(SCAN_SESSION_STATUS.ACTIVE, EVENT_TYPES.SCAN_SESSION_RESUMED, 'resumed')
+  ), [setCurrentSessionStatus]);
+
+  const closeScanSession = useCallback(() => (
+    setCurrentSessionStatus(SCAN_SESSION_STATUS.CLOSED, EVENT_TYPES.SCAN_SESSION_CLOSED, 'closed')
+  ), [setCurrentSessionStatus]);
+
+  // Variance of the current cycle count session against the imported quantities
+  const getCycleCountReport = useCallback((inventoryData, sweedData) => {
+    const indexes = resolveIndexes(inventoryData, sweedData);
+
+    return DataProcessor.buildCycleCountReport(
+      {
+        scannedItems: state.scannedItems,
+        scannedSweedItems: state.scannedSweedItems,
+        pickedQuantities: state.pickedQuantities
+      },
+      indexes.main,
+      indexes.sweed,
+      currentSession ? currentSession.zone : null
+    );
+  }, [state.scannedItems, state.scannedSweedItems, state.pickedQuantities, currentSession, resolveIndexes]);
+
+  // Complete the current cycle count - the session is closed with its variance totals
+  const completeCycleCount = useCallback((report) => {
+    const varianceSummary = {
+      counts: report.counts,
+      totalExpected: report.totalExpected,
+      totalCounted: report.totalCounted,
+      netVariance: report.netVariance
+    };
+
+    const closed = setCurrentSessionStatus(
+      SCAN_SESSION_STATUS.CLOSED,
+      EVENT_TYPES.SCAN_SESSION_CLOSED,
+      'closed',
+      { varianceSummary }
+    );
+    if (closed) {
+      storage.addSessionEvent(
+        EVENT_TYPES.CYCLE_COUNT_COMPLETED,
+        `Cycle count completed: ${currentSession.name}`,
+        `Counted ${report.totalCounted} of ${report.totalExpected} units • ${report.counts[VARIANCE_STATUS.SHORT]} short, ${report.counts[VARIANCE_STATUS.OVER]} over, ${report.counts[VARIANCE_STATUS.MISSING]} missing, ${report.counts[VARIANCE_STATUS.UNEXPECTED]} unexpected`
+      );
+      dispatch({ type: SESSION_ACTIONS.SET_SESSION_EVENTS, payload: storage.getSessionData() });
+    }
+
+    return closed;
+  }, [setCurrentSessionStatus, currentSession]);
+
+  // Archive a closed session that is not current - it is hidden from the switcher's main list
+  const archiveScanSession = useCallback((sessionId) => {
+    const session = storage.getScanSessions().find(entry => entry.id === sessionId);
+    if (!session || session.status !== SCAN_SESSION_STATUS.CLOSED || sessionId === storage.getCurrentScanSessionId()) {
+      return false;
+    }
+
+    storage.updateScanSession(sessionId, { status: SCAN_SESSION_STATUS.ARCHIVED, archivedAt: new Date().toISOString() });
+    storage.addSessionEvent(EVENT_TYPES.SCAN_SESSION_ARCHIVED, `Scanning session archived: ${session.name}`, '');
+    syncScanSessions();
+    dispatch({ type: SESSION_ACTIONS.SET_SESSION_EVENTS, payload: storage.getSessionData() });
+    return true;
+  }, [syncScanSessions]);
+
   // Get session statistics
   const getSessionStats = useCallback(() => {
+    const unitsFor = (source, keys) => keys.reduce(
+      (sum, key) => sum + ((state.pickedQuantities[source] && state.pickedQuantities[source][key]) || 1),
+      0
+    );
+    
     return {
       mainItemsScanned: state.scannedItems.length,
       sweedItemsScanned: state.scannedSweedItems.length,
       totalItemsScanned: state.scannedItems.length + state.scannedSweedItems.length,
+      totalUnitsPicked: unitsFor('MainInventory', state.scannedItems) + unitsFor('SweedReport', state.scannedSweedItems),
+      canUndo: state.undoStack.length > 0,
       enhancedDataCount: Object.keys(state.enhancedData).length,
       sessionEventsCount: state.sessionEvents.length,
       hasScannedItems: state.scannedItems.length > 0 || state.scannedSweedItems.length > 0
@@ -293,52 +1145,60 @@ export function SessionProvider({ children }) {
     return DataProcessor.generatePickTicketData(scannedDetails);
   }, [getScannedItemsDetails]);
 
-  // Process barcode scan
-  const processBarcodeScan = useCallback((barcode, inventoryData, sweedData) => {
-    const matches = DataProcessor.findProductsByBarcode(barcode, inventoryData, sweedData);
+  // Process barcode scan - quantity is the number of units picked with this scan
+  // scanData is a parsed GS1 barcode: products are matched by its GTIN and its lot is stored (optional)
+  // Matches are ranked (exact barcode first, SKU/BioTrack last) and each carries its matchLabel
+  const processBarcodeScan = useCallback((barcode, inventoryData, sweedData, quantity = 1, scanData = null) => {
+    if (scanBlockedReason) {
+      return { success: false, error: scanBlockedReason, matches: [] };
+    }
+
+    const indexes = resolveIndexes(inventoryData, sweedData);
+    const matches = BarcodeMatcher.findMatches(
+      scanData ? scanData.gtin : barcode,
+      indexes.main,
+      indexes.sweed
+    );
     
     if (matches.length === 0) {
       storage.addSessionEvent(
         EVENT_TYPES.ERROR,
-        `Barcode not found: ${barcode}`,
+        `Barcode not found: ${scanData ? `GTIN ${scanData.gtin}` : barcode}`,
         `Available items: ${inventoryData.length + sweedData.length}`
       );
       
       return {
         success: false,
-        error: 'Barcode not found in any inventory',
+        error: scanData ? `GTIN ${scanData.gtin} not found in any inventory` : 'Barcode not found in any inventory',
         matches: []
       };
     }
     
-    if (matches.length === 1) {
-      // Single match - process directly
-      const match = matches[0];
-      const wasAdded = addScannedItem(match.barcode, match.sku, match.source);
-      
-      if (!wasAdded) {
-        return {
-          success: false,
-          error: 'Item already scanned',
-          matches: [match],
-          alreadyScanned: true
-        };
-      }
+    // A single exact match is processed directly, even if weaker candidates exist.
+    // A lone fuzzy match (leading zeros, check digit, SKU, BioTrack) is confirmed by the user.
+    const bestMatches = matches.filter(match => match.matchRank === matches[0].matchRank);
+    
+    if (bestMatches.length === 1 && bestMatches[0].matchReason === BARCODE_MATCH_REASONS.EXACT.id) {
+      const match = bestMatches[0];
+      const pickedQuantity = addScannedItem(match.barcode, match.sku, match.source, quantity, scanData);
       
       return {
         success: true,
-        matches: [match],
-        processed: match
+        matches,
+        processed: match,
+        pickedQuantity,
+        incremented: pickedQuantity > quantity,
+        location: checkScanLocation(match)
       };
     }
     
-    // Multiple matches - return for user selection
+    // Multiple or inexact matches - return for user selection
     return {
       success: true,
       matches,
       requiresSelection: true
     };
-  }, [addScannedItem]);
+  }, [addScannedItem, resolveIndexes, scanBlockedReason, checkScanLocation]);
 
   // Get items ready for label generation
   const getLabelGenerationItems = useCallback((inventoryData, sweedData) => {
@@ -364,14 +1224,43 @@ export function SessionProvider({ children }) {
     scannedSweedItems: state.scannedSweedItems,
     enhancedData: state.enhancedData,
     sessionEvents: state.sessionEvents,
+    activeOrder: state.activeOrder,
+    closedOrders: state.closedOrders,
+    currentLocation: state.locationScans.currentLocation,
+    locationFinds: state.locationScans.found,
+    scanSessions: state.scanSessions,
+    currentSession,
+    scanBlockedReason,
+    scanFeedback: state.scanFeedback,
+    scanFlash: state.scanFlash,
     
     // Scanning actions
     addScannedItem,
+    addScannedItems,
     removeScannedItem,
+    adjustPickedQuantity,
+    undoLastScan,
+    getPickedQuantity,
     isItemScanned,
     clearScannedItems,
     processBarcodeScan,
     
+    // Scan feedback actions
+    signalScanOutcome,
+    clearScanFlash,
+    updateScanFeedback,
+    
+    // Location scanning actions
+    setCurrentLocation,
+    checkScanLocation,
+    
+    // Order fulfillment actions
+    startOrder,
+    processOrderScan,
+    adjustOrderPick,
+    closeOrder,
+    cancelOrder,
+    
     // Enhanced data actions
     setEnhancedDataForSKU,
     getEnhancedDataForSKU,
@@ -379,6 +1268,16 @@ export function SessionProvider({ children }) {
     clearEnhancedDataForSKU,
     clearAllEnhancedData,
     
+    // Scanning session actions
+    createScanSession,
+    switchScanSession,
+    pauseScanSession,
+    resumeScanSession,
+    closeScanSession,
+    archiveScanSession,
+    getCycleCountReport,
+    completeCycleCount,
+    
     // Session management
     clearAllSessionData,
     getSessionStats,
@@ -1,12 +1,17 @@
 import { useState, useCallback, useRef } from 'react';
-import { LABEL_SPECS, EVENT_TYPES, STORAGE_KEYS } from '../constants.js';
+import { EVENT_TYPES, STORAGE_KEYS } from '../constants.js';
 import { StorageHelper } from '../utils/storage.js';
 import { ValidationHelper } from '../utils/validation.js';
 import { BarcodeGenerator } from '../utils/barcodeGenerator.js';
+import { LabelStocks } from '../utils/labelStocks.js';
+
+// Sheet geometry for the default stock in the label stock registry
+const LABEL_STOCK = LabelStocks.getStock();
+const LABELS_PER_SHEET = LabelStocks.getLabelsPerSheet(LABEL_STOCK);
 
 /**
  * Custom hook for label generation functionality
- * Handles label creation, preview, and PDF generation for Uline S-5627 sheets
+ * Handles label creation, preview, and PDF generation for the default label stock
  */
 export const useLabels = () => {
   const [isGenerating, setIsGenerating] = useState(false);
@@ -214,8 +219,8 @@ export const useLabels = () => {
         // Generation metadata
         generatedBy: user?.username || 'Unknown',
         generatedAt: new Date().toISOString(),
-        sheetFormat: LABEL_SPECS.SHEET_FORMAT,
-        labelDimensions: `${LABEL_SPECS.WIDTH_INCHES}" x ${LABEL_SPECS.HEIGHT_INCHES}"`,
+        sheetFormat: LABEL_STOCK.name,
+        labelDimensions: LabelStocks.formatSize(LABEL_STOCK.label),
 
         // Configuration warnings
         warnings: configValidation.warnings
@@ -275,13 +280,13 @@ export const useLabels = () => {
         config,
         labels: previewLabels,
         sheetInfo: {
-          format: LABEL_SPECS.SHEET_FORMAT,
-          dimensions: `${LABEL_SPECS.WIDTH_INCHES}" x ${LABEL_SPECS.HEIGHT_INCHES}"`,
-          labelsPerSheet: LABEL_SPECS.LABELS_PER_SHEET,
-          columns: LABEL_SPECS.COLUMNS,
-          rows: LABEL_SPECS.ROWS,
+          format: LABEL_STOCK.name,
+          dimensions: LabelStocks.formatSize(LABEL_STOCK.label),
+          labelsPerSheet: LABELS_PER_SHEET,
+          columns: LABEL_STOCK.columns,
+          rows: LABEL_STOCK.rows,
           totalLabels: labelQuantity,
-          sheetsRequired: Math.ceil(labelQuantity / LABEL_SPECS.LABELS_PER_SHEET)
+          sheetsRequired: LabelStocks.getSheetCount(LABEL_STOCK, labelQuantity)
         },
         generatedAt: new Date().toISOString(),
         generatedBy: user?.username || 'Unknown'
@@ -345,7 +350,7 @@ export const useLabels = () => {
       setGenerationProgress(40);
 
       const labelQuantity = labelResult.labelData.labelQuantity;
-      const sheetsRequired = Math.ceil(labelQuantity / LABEL_SPECS.LABELS_PER_SHEET);
+      const sheetsRequired = LabelStocks.getSheetCount(LABEL_STOCK, labelQuantity);
 
       // Create sheets data
       const sheets = [];
@@ -357,8 +362,8 @@ export const useLabels = () => {
           labels: []
         };
 
-        // Fill sheet with labels (up to 12 per sheet)
-        for (let labelPos = 0; labelPos < LABEL_SPECS.LABELS_PER_SHEET && labelIndex < labelQuantity; labelPos++) {
+        // Fill sheet with labels
+        for (let labelPos = 0; labelPos < LABELS_PER_SHEET && labelIndex < labelQuantity; labelPos++) {
           sheet.labels.push({
             ...labelResult.labelData,
             labelNumber: labelIndex + 1,
@@ -370,7 +375,7 @@ export const useLabels = () => {
         }
 
         // Fill remaining positions with empty labels if needed
-        while (sheet.labels.length < LABEL_SPECS.LABELS_PER_SHEET) {
+        while (sheet.labels.length < LABELS_PER_SHEET) {
           sheet.labels.push({
             empty: true,
             positionOnSheet: sheet.labels.length + 1
@@ -388,7 +393,7 @@ export const useLabels = () => {
         sheets,
         totalLabels: labelQuantity,
         sheetsRequired,
-        sheetFormat: LABEL_SPECS.SHEET_FORMAT,
+        sheetFormat: LABEL_STOCK.name,
         generatedAt: new Date().toISOString(),
         generatedBy: user?.username || 'Unknown'
       };
@@ -435,18 +440,18 @@ export const useLabels = () => {
    */
   const calculateSheetRequirements = useCallback((labelQuantity) => {
     const quantity = parseInt(labelQuantity) || 0;
-    const sheetsRequired = Math.ceil(quantity / LABEL_SPECS.LABELS_PER_SHEET);
-    const labelsOnLastSheet = quantity % LABEL_SPECS.LABELS_PER_SHEET || LABEL_SPECS.LABELS_PER_SHEET;
-    const emptyLabelsOnLastSheet = LABEL_SPECS.LABELS_PER_SHEET - labelsOnLastSheet;
+    const sheetsRequired = LabelStocks.getSheetCount(LABEL_STOCK, quantity);
+    const labelsOnLastSheet = quantity % LABELS_PER_SHEET || LABELS_PER_SHEET;
+    const emptyLabelsOnLastSheet = LABELS_PER_SHEET - labelsOnLastSheet;
 
     return {
       labelQuantity: quantity,
       sheetsRequired,
-      labelsPerSheet: LABEL_SPECS.LABELS_PER_SHEET,
+      labelsPerSheet: LABELS_PER_SHEET,
       labelsOnLastSheet,
       emptyLabelsOnLastSheet,
-      totalLabelPositions: sheetsRequired * LABEL_SPECS.LABELS_PER_SHEET,
-      efficiency: quantity / (sheetsRequired * LABEL_SPECS.LABELS_PER_SHEET)
+      totalLabelPositions: sheetsRequired * LABELS_PER_SHEET,
+      efficiency: quantity / (sheetsRequired * LABELS_PER_SHEET)
     };
   }, []);
 
@@ -560,7 +565,7 @@ export const useLabels = () => {
     exportLabelHistory,
 
     // Constants
-    labelSpecs: LABEL_SPECS,
+    labelSpecs: LABEL_STOCK,
 
     // Computed values
     hasPreview: previewData !== null,
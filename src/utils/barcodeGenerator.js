@@ -1,8 +1,16 @@
 import JsBarcode from 'jsbarcode';
-import { BARCODE_CONFIG } from '../constants.js';
+import { BARCODE_CONFIG, BARCODE_SYMBOLOGIES, BARCODE_SYMBOLOGY_LABELS, BARCODE_LIMITS, QR_PAYLOAD } from '../constants.js';
+
+// bwip-js symbol ids for the 2D symbologies
+const MATRIX_ENCODERS = {
+  QR: 'qrcode',
+  DATAMATRIX: 'datamatrix'
+};
 
 /**
- * Barcode generation utilities using Code 39 format
+ * Barcode generation utilities - Code 39 images for the legacy label path, plus
+ * symbology-aware validation and encoding (Code 39, Code 128, QR, DataMatrix)
+ * that the label renderers draw as bars and cells
  */
 
 export class BarcodeGenerator {
@@ -188,6 +196,238 @@ export class BarcodeGenerator {
     return result;
   }
 
+  /**
+   * Validate a value for a symbology
+   * @param {string} value - Value to validate
+   * @param {string} symbology - One of BARCODE_SYMBOLOGIES (Code 39 when omitted)
+   * @returns {Object} - { isValid, error, cleanValue }
+   */
+  static validate(value, symbology = BARCODE_CONFIG.FORMAT) {
+    switch (symbology) {
+      case BARCODE_SYMBOLOGIES.CODE39:
+        return this.validateCode39(value);
+      case BARCODE_SYMBOLOGIES.CODE128:
+        return this.validateCode128(value);
+      case BARCODE_SYMBOLOGIES.QR:
+      case BARCODE_SYMBOLOGIES.DATAMATRIX:
+        return this.validateMatrix(value, symbology);
+      default:
+        return { isValid: false, error: `Unknown barcode symbology "${symbology}"`, cleanValue: '' };
+    }
+  }
+
+  /**
+   * Validate if a value can be encoded as Code 128 - JsBarcode switches
+   * between subsets A, B and C (digit pairs) automatically
+   * @param {string} value - Value to validate
+   * @returns {Object} - Validation result
+   */
+  static validateCode128(value) {
+    const result = { isValid: false, error: '', cleanValue: '' };
+    const stringValue = value == null ? '' : String(value).trim();
+
+    if (!stringValue) {
+      result.error = 'Barcode value is required';
+      return result;
+    }
+
+    if (!/^[\x20-\x7E]+$/.test(stringValue)) {
+      result.error = 'Code 128 only supports printable ASCII characters';
+      return result;
+    }
+
+    if (stringValue.length > BARCODE_LIMITS.CODE128) {
+      result.error = `Barcode value too long (maximum ${BARCODE_LIMITS.CODE128} characters for Code 128)`;
+      return result;
+    }
+
+    result.isValid = true;
+    result.cleanValue = stringValue;
+    return result;
+  }
+
+  /**
+   * Validate if a value fits in a QR or DataMatrix symbol
+   * @param {string} value - Value to validate
+   * @param {string} symbology - QR or DATAMATRIX
+   * @returns {Object} - Validation result
+   */
+  static validateMatrix(value, symbology) {
+    const result = { isValid: false, error: '', cleanValue: '' };
+    const stringValue = value == null ? '' : String(value).trim();
+    const name = BARCODE_SYMBOLOGY_LABELS[symbology];
+
+    if (!stringValue) {
+      result.error = 'Barcode value is required';
+      return result;
+    }
+
+    const byteLength = new TextEncoder().encode(stringValue).length;
+    if (byteLength > BARCODE_LIMITS[symbology]) {
+      result.error = `Barcode value too long (maximum ${BARCODE_LIMITS[symbology]} bytes for ${name})`;
+      return result;
+    }
+
+    result.isValid = true;
+    result.cleanValue = stringValue;
+    return result;
+  }
+
+  /**
+   * Whether a symbology is two-dimensional (drawn as a square of cells)
+   * @param {string} symbology - One of BARCODE_SYMBOLOGIES
+   * @returns {boolean}
+   */
+  static isMatrix(symbology) {
+    return Boolean(MATRIX_ENCODERS[symbology]);
+  }
+
+  /**
+   * Clean a label field value for a symbology - Code 39 labels have always
+   * dropped punctuation (CUR-1986-2332 → CUR19862332), the others keep it
+   * @param {string} value - Raw value
+   * @param {string} symbology - One of BARCODE_SYMBOLOGIES
+   * @returns {string}
+   */
+  static normalizeForSymbology(value, symbology) {
+    const stringValue = value == null ? '' : String(value);
+    return symbology === BARCODE_SYMBOLOGIES.CODE39
+      ? stringValue.replace(/[^A-Za-z0-9]/g, '')
+      : stringValue.trim();
+  }
+
+  /**
+   * Encode a linear barcode into its module pattern
+   * @param {string} value - Value to encode
+   * @param {string} symbology - CODE39 or CODE128
+   * @returns {Object} - { isValid, error, symbology, value, bars } - bars is '1' (dark) / '0' per module
+   */
+  static encodeLinear(value, symbology) {
+    const validation = this.validate(this.normalizeForSymbology(value, symbology), symbology);
+    if (!validation.isValid) {
+      return { isValid: false, error: validation.error, symbology };
+    }
+
+    try {
+      // An object target makes JsBarcode hand back the encodings instead of drawing them
+      const target = {};
+      JsBarcode(target, validation.cleanValue, { format: symbology });
+      const bars = (target.encodings || []).map(encoding => encoding.data).join('');
+
+      return { isValid: Boolean(bars), error: bars ? '' : 'Barcode could not be encoded', symbology, value: validation.cleanValue, bars };
+    } catch (error) {
+      return { isValid: false, error: error.message || String(error), symbology };
+    }
+  }
+
+  /**
+   * Encode any supported barcode - the 2D encoder is loaded on first use
+   * @param {string} value - Value to encode
+   * @param {string} symbology - One of BARCODE_SYMBOLOGIES
+   * @returns {Promise<Object>} - encodeLinear's result, or for QR/DataMatrix
+   *   { isValid, error, symbology, value, columns, rows, cells } - cells is one '1'/'0' string per row, top first
+   */
+  static async encode(value, symbology = BARCODE_CONFIG.FORMAT) {
+    if (!this.isMatrix(symbology)) {
+      return this.encodeLinear(value, symbology);
+    }
+
+    const validation = this.validate(this.normalizeForSymbology(value, symbology), symbology);
+    if (!validation.isValid) {
+      return { isValid: false, error: validation.error, symbology };
+    }
+
+    try {
+      const bwipjs = (await import('bwip-js')).default;
+      const options = symbology === BARCODE_SYMBOLOGIES.QR ? { eclevel: QR_PAYLOAD.ERROR_CORRECTION } : {};
+      const [symbol] = bwipjs.raw(MATRIX_ENCODERS[symbology], validation.cleanValue, options);
+
+      const cells = [];
+      for (let row = 0; row < symbol.pixy; row++) {
+        cells.push(symbol.pixs.slice(row * symbol.pixx, (row + 1) * symbol.pixx).join(''));
+      }
+
+      return { isValid: true, error: '', symbology, value: validation.cleanValue, columns: symbol.pixx, rows: symbol.pixy, cells };
+    } catch (error) {
+      // bwip-js errors read like "bwipp.qrcodeNoValidSymbol#27236: Maximum length exceeded…"
+      return { isValid: false, error: String(error.message || error).replace(/^bwipp\.\w+#\d+:\s*/, ''), symbology };
+    }
+  }
+
+  /**
+   * Dark rectangles for an encoded barcode inside a slot - linear bars stretch
+   * across the slot, 2D symbols are the largest square that fits, centered
+   * @param {Object} encoding - Result of encode()
+   * @param {Object} slot - { x, y, width, height }
+   * @returns {Array} - [{ x, y, width, height }], neighbouring dark modules merged
+   */
+  static getModuleRects(encoding, slot) {
+    const rects = [];
+    const addRuns = (pattern, x, y, moduleWidth, height) => {
+      let runStart = -1;
+      for (let i = 0; i <= pattern.length; i++) {
+        if (pattern[i] === '1') {
+          if (runStart < 0) runStart = i;
+        } else if (runStart >= 0) {
+          rects.push({ x: x + runStart * moduleWidth, y, width: (i - runStart) * moduleWidth, height });
+          runStart = -1;
+        }
+      }
+    };
+
+    if (encoding.cells) {
+      const moduleSize = Math.min(slot.width / encoding.columns, slot.height / encoding.rows);
+      const left = slot.x + (slot.width - moduleSize * encoding.columns) / 2;
+      const top = slot.y + (slot.height - moduleSize * encoding.rows) / 2;
+      encoding.cells.forEach((row, index) => addRuns(row, left, top + index * moduleSize, moduleSize, moduleSize));
+    } else {
+      addRuns(encoding.bars, slot.x, slot.y, slot.width / encoding.bars.length, slot.height);
+    }
+
+    return rects;
+  }
+
+  /**
+   * Structured QR payload for a package - PREFIX|SKU:…|LOT:…|PKG:…|PKD:YYYY-MM-DD.
+   * Empty fields are left out; % and the separator are percent-encoded inside values.
+   * @param {Object} fields - { sku, lot, packageId, packagedDate } - dates as MM/DD/YY(YY) or YYYY-MM-DD
+   * @returns {string} - Payload, empty when every field is empty
+   */
+  static buildQRPayload(fields = {}) {
+    const parts = QR_PAYLOAD.FIELDS
+      .map(({ key, code }) => {
+        const raw = key === 'packagedDate' ? this.toISODate(fields[key]) : fields[key];
+        const value = raw == null ? '' : String(raw).trim();
+        return value ? `${code}:${value.replace(/%/g, '%25').replace(/\|/g, '%7C')}` : null;
+      })
+      .filter(Boolean);
+
+    return parts.length > 0 ? [QR_PAYLOAD.PREFIX, ...parts].join(QR_PAYLOAD.SEPARATOR) : '';
+  }
+
+  /**
+   * MM/DD/YY, MM/DD/YYYY or YYYY-MM-DD → YYYY-MM-DD (other strings unchanged)
+   */
+  static toISODate(value) {
+    if (!value) return '';
+    const text = String(value).trim();
+
+    const usDate = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})$/);
+    if (usDate) {
+      const [, month, day, year] = usDate;
+      const fullYear = year.length === 2 ? `20${year}` : year;
+      return `${fullYear}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+    }
+
+    const isoDate = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+    if (isoDate) {
+      const [, year, month, day] = isoDate;
+      return `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+    }
+
+    return text;
+  }
+
   /**
    * Format barcode value for display (with hyphens)
    * @param {string} value - Barcode value
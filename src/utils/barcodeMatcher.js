@@ -0,0 +1,222 @@
+import { BARCODE_MATCH_REASONS } from '../constants.js';
+
+// Lengths of complete GTINs (EAN-8, UPC-A, EAN-13, GTIN-14)
+const GTIN_LENGTHS = [8, 12, 13, 14];
+
+// Lengths of GTIN bodies that are missing their check digit
+const CHECKLESS_LENGTHS = [7, 11, 12, 13];
+
+/**
+ * Tolerant matching of scanned codes against inventory items
+ */
+export class BarcodeMatcher {
+  /**
+   * Find every product a scanned code could refer to, best match first
+   * @param {string} scanned - Scanned or typed code
+   * @param {Array|InventoryIndex} inventoryData - Main inventory data, or its index
+   * @param {Array|InventoryIndex} sweedData - Sweed data, or its index
+   * @returns {Array} - Products with source, displaySource, matchReason, matchLabel and matchRank
+   */
+  static findMatches(scanned, inventoryData, sweedData) {
+    const scan = this.prepare(scanned);
+    if (!scan.normalized) return [];
+
+    // Indexes narrow the candidates to items sharing a key form with the scan
+    const scanKeys = this.scanKeys(scan);
+    const candidatesFrom = data => (Array.isArray(data) ? data : data.findCodeCandidates(scanKeys));
+
+    const matches = [];
+    const collect = (data, source, displaySource) => {
+      candidatesFrom(data).forEach(item => {
+        const reason = this.matchReason(item, scan);
+        if (!reason) return;
+
+        matches.push({
+          ...item,
+          source,
+          displaySource,
+          matchReason: reason.id,
+          matchLabel: reason.label,
+          matchRank: reason.rank
+        });
+      });
+    };
+
+    collect(inventoryData, 'MainInventory', '[MAIN]');
+    collect(sweedData, 'SweedReport', '[SWEED]');
+
+    // Stable sort keeps Main Inventory ahead of Sweed within a rank
+    return matches.sort((a, b) => a.matchRank - b.matchRank);
+  }
+
+  /**
+   * Precompute the comparable forms of a scanned code
+   * @param {string} scanned - Scanned or typed code
+   * @returns {Object} - { raw, normalized, stripped, upcE, withCheckDigit }
+   */
+  static prepare(scanned) {
+    const raw = String(scanned || '').trim();
+    const normalized = this.normalize(raw);
+    const isNumeric = /^\d+$/.test(normalized);
+
+    return {
+      raw,
+      normalized,
+      isNumeric,
+      stripped: isNumeric ? this.stripLeadingZeros(normalized) : null,
+      upcE: isNumeric ? this.stripOrNull(this.expandUPCE(normalized)) : null,
+      withCheckDigit: isNumeric && CHECKLESS_LENGTHS.includes(normalized.length)
+        ? this.stripLeadingZeros(normalized + this.calculateCheckDigit(normalized))
+        : null
+    };
+  }
+
+  /**
+   * Lookup keys a prepared scan can match on - see itemKeys
+   * @param {Object} scan - Result of prepare()
+   * @returns {Array} - Key strings
+   */
+  static scanKeys(scan) {
+    return [scan.raw, scan.normalized, scan.stripped, scan.upcE, scan.withCheckDigit].filter(Boolean);
+  }
+
+  /**
+   * Keys an item is indexed under so every matchReason comparison is a key lookup:
+   * raw and normalized barcode, its zero-stripped, UPC-E expanded and check-digit
+   * completed forms, normalized SKU and BioTrack code
+   * @param {Object} item - Inventory item
+   * @returns {Array} - Key strings
+   */
+  static itemKeys(item) {
+    const keys = [];
+    const barcode = String(item.barcode || '').trim();
+
+    if (barcode) {
+      const normalized = this.normalize(barcode);
+      keys.push(barcode, normalized);
+
+      if (/^\d+$/.test(normalized)) {
+        keys.push(this.stripLeadingZeros(normalized));
+
+        const upcE = this.stripOrNull(this.expandUPCE(normalized));
+        if (upcE) keys.push(upcE);
+
+        if (CHECKLESS_LENGTHS.includes(normalized.length)) {
+          keys.push(this.stripLeadingZeros(normalized + this.calculateCheckDigit(normalized)));
+        }
+      }
+    }
+
+    if (item.sku) keys.push(this.normalize(item.sku));
+
+    const trackCode = item.bioTrackCode || item.externalTrackCode;
+    if (trackCode) keys.push(this.normalize(trackCode));
+
+    return keys;
+  }
+
+  /**
+   * Work out why an item matches a prepared scan
+   * @param {Object} item - Inventory item
+   * @param {Object} scan - Result of prepare()
+   * @returns {Object|null} - Entry from BARCODE_MATCH_REASONS, or null for no match
+   */
+  static matchReason(item, scan) {
+    const barcode = String(item.barcode || '').trim();
+
+    if (barcode && barcode === scan.raw) return BARCODE_MATCH_REASONS.EXACT;
+
+    const normalized = this.normalize(barcode);
+    if (normalized && normalized === scan.normalized) return BARCODE_MATCH_REASONS.NORMALIZED;
+
+    if (scan.isNumeric && /^\d+$/.test(normalized)) {
+      const stripped = this.stripLeadingZeros(normalized);
+
+      if (stripped === scan.stripped) {
+        return GTIN_LENGTHS.includes(normalized.length) && GTIN_LENGTHS.includes(scan.normalized.length)
+          ? BARCODE_MATCH_REASONS.GTIN_VARIANT
+          : BARCODE_MATCH_REASONS.LEADING_ZEROS;
+      }
+
+      if ((scan.upcE && scan.upcE === stripped) || this.stripOrNull(this.expandUPCE(normalized)) === scan.stripped) {
+        return BARCODE_MATCH_REASONS.UPC_E;
+      }
+
+      // Either side may be the one missing its check digit
+      const itemWithCheckDigit = CHECKLESS_LENGTHS.includes(normalized.length)
+        ? this.stripLeadingZeros(normalized + this.calculateCheckDigit(normalized))
+        : null;
+      if ((scan.withCheckDigit && scan.withCheckDigit === stripped) || (itemWithCheckDigit && itemWithCheckDigit === scan.stripped)) {
+        return BARCODE_MATCH_REASONS.CHECK_DIGIT;
+      }
+    }
+
+    if (item.sku && this.normalize(item.sku) === scan.normalized) return BARCODE_MATCH_REASONS.SKU;
+
+    const trackCode = item.bioTrackCode || item.externalTrackCode;
+    if (trackCode && this.normalize(trackCode) === scan.normalized) return BARCODE_MATCH_REASONS.BIOTRACK;
+
+    return null;
+  }
+
+  /**
+   * Expand a UPC-E code to its UPC-A form
+   * @param {string} code - 6 digits (number system 0), 7 digits (with number system) or 8 digits (with check digit)
+   * @returns {string|null} - 12-digit UPC-A, or null when the code is not valid UPC-E
+   */
+  static expandUPCE(code) {
+    if (!/^\d{6,8}$/.test(code)) return null;
+
+    const numberSystem = code.length === 6 ? '0' : code[0];
+    if (numberSystem !== '0' && numberSystem !== '1') return null;
+
+    const digits = code.length === 6 ? code : code.slice(1, 7);
+    const [d1, d2, d3, d4, d5, d6] = digits;
+    let body;
+
+    if (d6 <= '2') {
+      body = `${d1}${d2}${d6}0000${d3}${d4}${d5}`;
+    } else if (d6 === '3') {
+      body = `${d1}${d2}${d3}00000${d4}${d5}`;
+    } else if (d6 === '4') {
+      body = `${d1}${d2}${d3}${d4}00000${d5}`;
+    } else {
+      body = `${d1}${d2}${d3}${d4}${d5}0000${d6}`;
+    }
+
+    const upcA = `${numberSystem}${body}`;
+    const checkDigit = this.calculateCheckDigit(upcA);
+    if (code.length === 8 && code[7] !== checkDigit) return null;
+
+    return upcA + checkDigit;
+  }
+
+  /**
+   * Calculate the GS1 mod-10 check digit for a GTIN body
+   * @param {string} body - Digits without the check digit
+   * @returns {string} - Check digit
+   */
+  static calculateCheckDigit(body) {
+    const sum = body.split('').reverse().reduce((total, digit, index) => total + Number(digit) * (index % 2 === 0 ? 3 : 1), 0);
+    return String((10 - (sum % 10)) % 10);
+  }
+
+  /**
+   * Uppercase and remove whitespace and dashes
+   * @param {string} value - Code to normalize
+   * @returns {string} - Normalized code
+   */
+  static normalize(value) {
+    return String(value || '').toUpperCase().replace(/[\s-]/g, '');
+  }
+
+  static stripLeadingZeros(value) {
+    return value.replace(/^0+(?=\d)/, '');
+  }
+
+  static stripOrNull(value) {
+    return value ? this.stripLeadingZeros(value) : null;
+  }
+}
+
+export default BarcodeMatcher;
@@ -1,6 +1,59 @@
 import Papa from 'papaparse';
 import * as XLSX from 'xlsx';
-import { MAIN_INVENTORY_COLUMNS, SWEED_COLUMNS, DATA_SOURCES, FILE_STRUCTURE } from '../constants.js';
+import {
+  MAIN_INVENTORY_COLUMNS,
+  SWEED_COLUMNS,
+  DATA_SOURCES,
+  FILE_STRUCTURE,
+  MAPPING_CONFIDENCE,
+  IMPORT_STAGES,
+  IMPORT_WORKER,
+  EXPIRATION_BUCKETS,
+  AGE_BUCKETS,
+  ORDER_STATUS,
+  LOCATION_SCAN,
+  VARIANCE_STATUS
+} from '../constants.js';
+import { QualityRules } from './qualityRules.js';
+import { InventoryIndex } from './inventoryIndex.js';
+
+// Known header names for each target field (lowercase, single-spaced)
+const HEADER_VARIATIONS = {
+  FACILITY_NAME: ['facility name', 'facility'],
+  PRODUCT_NAME: ['product name', 'product', 'name', 'item name'],
+  CATEGORY: ['category', 'product category'],
+  SUBCATEGORY: ['subcategory', 'sub category', 'sub-category'],
+  BRAND: ['brand', 'brand name'],
+  PRODUCT_TYPE: ['product type', 'type'],
+  STRAIN: ['strain', 'strain prevalence', 'variety'],
+  SIZE: ['size', 'weight', 'volume', 'unit size'],
+  SKU: ['sku', 'item code', 'product code'],
+  BARCODE: ['barcode', 'upc', 'gtin'],
+  BIOTRACK_CODE: ['biotrack code', 'biotrack', 'tracking code', 'track code'],
+  QUANTITY: ['quantity', 'qty', 'amount', 'count', 'available'],
+  PRICE: ['price', 'retail price', 'unit price'],
+  WHOLESALE_COST: ['wholesale cost', 'wholesale', 'cost', 'unit cost'],
+  CBD_PERCENT: ['cbd %', 'cbd percent', 'cbd'],
+  THC_PERCENT: ['thc %', 'thc percent', 'thc'],
+  SHIPMENT_ID: ['shipment id', 'shipment'],
+  INTERNAL_NO: ['internal no', 'internal number', 'internal #'],
+  RECEPTION_DATE: ['reception date', 'received date', 'date received'],
+  LOCATION: ['location', 'warehouse', 'storage'],
+  LOCATION_STOCK_TYPE: ['location stock type', 'stock type'],
+  MANUFACTURING_DATE: ['manufacturing date', 'manufactured date', 'mfg date'],
+  MANUFACTURING_AGE: ['manufacturing age', 'mfg age'],
+  EXPIRATION_DATE: ['expiration date', 'expiry date', 'expiration', 'exp date'],
+  AGE_DAYS: ['age (days)', 'age days', 'age'],
+  RESERVED_QTY: ['reserved qty', 'reserved quantity', 'reserved'],
+  RESERVED_TRANSACTION_TYPE: ['reserved transaction type', 'transaction type'],
+  DISTRIBUTOR: ['distributor', 'supplier', 'vendor'],
+  MANUFACTURER: ['manufacturer', 'producer'],
+  EXTERNAL_TRACK_CODE: ['external track code', 'external tracking', 'external track', 'external'],
+  SHIP_TO_LOCATION: ['ship to location', 'ship to', 'destination'],
+  SHIP_TO_ADDRESS: ['ship to address', 'shipping address', 'address'],
+  ORDER_NUMBER: ['order number', 'order #', 'order no', 'order'],
+  REQUEST_DATE: ['request date', 'requested date', 'date', 'request']
+};
 
 /**
  * Data processing utilities for CSV/Excel imports and data manipulation
@@ -58,7 +111,7 @@ export class DataProcessor {
       
       reader.onload = (e) => {
         try {
-          if (onProgress) onProgress(50, 100);
+          if (onProgress) onProgress(50, 100, IMPORT_STAGES.PARSING);
           
           const data = new Uint8Array(e.target.result);
           console.log('📁 File data loaded, size:', data.length, 'bytes');
@@ -71,47 +124,57 @@ export class DataProcessor {
           
           console.log('📋 Workbook loaded, sheets:', workbook.SheetNames);
           
-          if (onProgress) onProgress(75, 100);
+          if (onProgress) onProgress(75, 100, IMPORT_STAGES.PARSING);
           
-          // Get first sheet
-          const sheetName = workbook.SheetNames[0];
-          const worksheet = workbook.Sheets[sheetName];
-          
-          console.log('📄 Processing sheet:', sheetName);
-          
-          // Convert to array format (similar to Papa Parse output)
-          const jsonData = XLSX.utils.sheet_to_json(worksheet, {
-            header: 1,  // Return array of arrays
-            raw: false, // Format values as strings
-            blankrows: false // Skip blank rows
-          });
-          
-          console.log('🔢 Raw Excel data rows:', jsonData.length);
-          
-          // Filter out completely empty rows
-          const filteredData = jsonData.filter(row => {
-            return row && row.some(cell => cell !== null && cell !== undefined && cell !== '');
+          // Convert every sheet - the inventory may not be on the first tab
+          const sheets = workbook.SheetNames.map((sheetName, index) => {
+            console.log('📄 Processing sheet:', sheetName);
+
+            // Convert to array format (similar to Papa Parse output)
+            const jsonData = XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], {
+              header: 1,  // Return array of arrays
+              raw: false, // Format values as strings
+              blankrows: false // Skip blank rows
+            });
+
+            // Filter out completely empty rows
+            const filteredData = jsonData.filter(row => {
+              return row && row.some(cell => cell !== null && cell !== undefined && cell !== '');
+            });
+
+            console.log(`✅ Sheet "${sheetName}" data rows:`, filteredData.length);
+
+            if (onProgress) {
+              onProgress(75 + Math.round(((index + 1) / workbook.SheetNames.length) * 25), 100, IMPORT_STAGES.PARSING);
+            }
+
+            return {
+              name: sheetName,
+              data: filteredData,
+              rowCount: filteredData.length,
+              columnCount: filteredData.reduce((max, row) => Math.max(max, row.length), 0)
+            };
           });
-          
-          console.log('✅ Filtered data rows:', filteredData.length);
-          
-          if (onProgress) onProgress(100, 100);
+
+          const firstSheet = sheets[0] || { data: [], rowCount: 0, columnCount: 0 };
           
           const result = {
-            data: filteredData,
+            data: firstSheet.data,
+            sheets,
             meta: {
               delimiter: '',
               linebreak: '',
               aborted: false,
               truncated: false,
-              cursor: filteredData.length
+              cursor: firstSheet.rowCount
             },
             errors: [],
-            rowCount: filteredData.length,
-            columnCount: filteredData.length > 0 ? Math.max(...filteredData.map(row => row.length)) : 0
+            rowCount: firstSheet.rowCount,
+            columnCount: firstSheet.columnCount
           };
           
           console.log('📊 Excel parsing complete:', {
+            sheets: sheets.length,
             rowCount: result.rowCount,
             columnCount: result.columnCount
           });
@@ -130,7 +193,9 @@ export class DataProcessor {
       };
       
       console.log('🚀 Starting FileReader.readAsArrayBuffer');
-      if (onProgress) onProgress(25, 100);
+      reader.onprogress = onProgress ? (e) => {
+        if (e.lengthComputable) onProgress(Math.round((e.loaded / e.total) * 25), 100, IMPORT_STAGES.READING);
+      } : null;
       reader.readAsArrayBuffer(file);
     });
   }
@@ -145,15 +210,25 @@ export class DataProcessor {
     console.log('📄 Starting CSV parsing for:', file.name);
     
     return new Promise((resolve, reject) => {
+      // Parse in chunks so progress can be reported against the file size
+      const rows = [];
+      const parseErrors = [];
+      let meta = {};
+
       Papa.parse(file, {
         header: false,
         skipEmptyLines: 'greedy',
         dynamicTyping: true,
         delimitersToGuess: [',', '\t', '|', ';'],
-        step: onProgress ? (results, parser) => {
-          onProgress(parser.streamer._input.length, file.size);
-        } : undefined,
-        complete: (results) => {
+        chunk: (results) => {
+          for (let i = 0; i < results.data.length; i++) rows.push(results.data[i]);
+          parseErrors.push(...results.errors);
+          meta = results.meta;
+          if (onProgress) onProgress(results.meta.cursor, file.size, IMPORT_STAGES.PARSING);
+        },
+        complete: () => {
+          const results = { data: rows, errors: parseErrors, meta };
+
           if (results.errors.length > 0) {
             console.warn('⚠️ CSV parsing warnings:', results.errors);
           }
@@ -167,12 +242,15 @@ export class DataProcessor {
           
           console.log('✅ Filtered CSV data rows:', filteredData.length);
           
+          const columnCount = filteredData.reduce((max, row) => Math.max(max, row.length), 0);
           const data = {
             data: filteredData,
+            // CSV files have a single unnamed sheet
+            sheets: [{ name: null, data: filteredData, rowCount: filteredData.length, columnCount }],
             meta: results.meta,
             errors: results.errors,
             rowCount: filteredData.length,
-            columnCount: filteredData.length > 0 ? Math.max(...filteredData.map(row => row.length)) : 0
+            columnCount
           };
           
           console.log('📊 CSV parsing complete:', {
@@ -222,49 +300,34 @@ export class DataProcessor {
     
     const errors = [];
     const warnings = [];
-    const config = FILE_STRUCTURE.MAIN_INVENTORY;
 
-    if (data.length < config.MIN_ROWS) {
-      const error = `File must have at least ${config.MIN_ROWS} rows (export info + headers + data), got ${data.length} rows`;
+    // Locate the header row instead of assuming a fixed preamble length
+    const layout = this.locateHeaderRow(data, DATA_SOURCES.MAIN_INVENTORY);
+    console.log('📋 Header row layout:', layout);
+
+    if (!layout.detected) {
+      warnings.push(`Could not locate expected headers - assuming header row ${layout.headerRowIndex + 1}. File structure may be different than expected.`);
+      console.warn('⚠️ Expected headers not found');
+    } else {
+      console.log(`✅ Found headers in row ${layout.headerRowIndex + 1}`);
+    }
+
+    if (layout.dataStartIndex >= data.length) {
+      const error = `File has no data rows below the header row (row ${layout.headerRowIndex + 1}), got ${data.length} rows`;
       console.error('❌ Validation failed:', error);
       errors.push(error);
-      return { isValid: false, errors, warnings };
+      return { isValid: false, errors, warnings, layout };
     }
 
-    // Check if we have the expected structure
-    const headerRow = data[config.HEADER_ROW];
-    console.log(`📋 Header row (index ${config.HEADER_ROW}):`, headerRow);
-    
+    const headerRow = data[layout.headerRowIndex];
     if (!headerRow || headerRow.length < 10) {
       warnings.push('Header row appears to be missing or incomplete');
       console.warn('⚠️ Header row incomplete');
     }
 
-    // Look for expected header patterns
-    const expectedHeaders = ['Facility Name', 'Product Name', 'Brand', 'SKU', 'Barcode'];
-    let headerFound = false;
-    
-    console.log('🔍 Looking for headers in first 5 rows...');
-    for (let i = 0; i < Math.min(5, data.length); i++) {
-      const row = data[i];
-      
-      if (row && expectedHeaders.some(header => 
-        row.some(cell => cell && String(cell).toLowerCase().includes(header.toLowerCase()))
-      )) {
-        console.log(`✅ Found headers in row ${i + 1}`);
-        headerFound = true;
-        break;
-      }
-    }
-
-    if (!headerFound) {
-      warnings.push('Could not locate expected headers. File structure may be different than expected.');
-      console.warn('⚠️ Expected headers not found');
-    }
-
     // Check data rows
-    const sampleDataRow = data[config.DATA_START_ROW];
-    console.log(`📊 Sample data row (index ${config.DATA_START_ROW}):`, sampleDataRow);
+    const sampleDataRow = data[layout.dataStartIndex];
+    console.log(`📊 Sample data row (index ${layout.dataStartIndex}):`, sampleDataRow);
     
     if (!sampleDataRow || sampleDataRow.length < 10) {
       warnings.push('Data rows appear to be missing or incomplete');
@@ -274,7 +337,8 @@ export class DataProcessor {
     const result = {
       isValid: errors.length === 0,
       errors,
-      warnings
+      warnings,
+      layout
     };
     
     console.log('✅ Validation result:', result);
@@ -284,30 +348,40 @@ export class DataProcessor {
   /**
    * Process Main Inventory (Homestead) data into structured format
    * @param {Array} rawData - Raw CSV/Excel data array
+   * @param {Object} options - Processing options
+   * @param {Object} options.columnMapping - Confirmed field → column index mapping (optional)
+   * @param {Function} options.onProgress - Progress callback (processed, total, stage) (optional)
+   * @param {string} options.sheetName - Workbook sheet the rows came from (optional)
+   * @param {Object} options.qualityRules - Rule id → severity overrides (optional)
    * @returns {Object} - Processed data with statistics
    */
-  static processMainInventoryData(rawData) {
+  static processMainInventoryData(rawData, options = {}) {
     console.log('🏭 Processing Main Inventory data, total rows:', rawData.length);
     
     const processedData = [];
     const duplicates = [];
     const errors = [];
-    const seenKeys = new Set();
-
-    // Use the configured structure
-    const config = FILE_STRUCTURE.MAIN_INVENTORY;
-    const headerRowIndex = config.HEADER_ROW;
-    const dataStartIndex = config.DATA_START_ROW;
-
-    console.log('⚙️ Using configuration:', {
+    const seenKeys = new Map(); // key → row of first occurrence - per sheet, since facility sheets share SKUs
+    const qualitySeverities = QualityRules.resolveSeverities(options.qualityRules);
+    let qualityFlagged = 0;
+    let qualityBlocked = 0;
+
+    // Locate the header row and read the export preamble above it
+    const layout = this.locateHeaderRow(rawData, DATA_SOURCES.MAIN_INVENTORY);
+    const headerRowIndex = layout.headerRowIndex;
+    const dataStartIndex = layout.dataStartIndex;
+    const metadata = this.parseExportMetadata(rawData.slice(0, headerRowIndex));
+
+    console.log('⚙️ Using detected layout:', {
       headerRowIndex,
       dataStartIndex,
-      minRows: config.MIN_ROWS
+      detected: layout.detected,
+      metadata
     });
 
-    // Validate we have enough rows
-    if (rawData.length < config.MIN_ROWS) {
-      throw new Error(`Insufficient data rows. Expected at least ${config.MIN_ROWS} rows, got ${rawData.length}`);
+    // Validate we have data below the header
+    if (dataStartIndex >= rawData.length) {
+      throw new Error(`Insufficient data rows. No data found below header row ${headerRowIndex + 1}`);
     }
 
     // Get header row for validation
@@ -318,27 +392,23 @@ export class DataProcessor {
       console.warn('⚠️ Header row seems incomplete:', headerRow);
     }
 
-    // Detect column mapping if headers don't match expected structure
-    let columnMapping = MAIN_INVENTORY_COLUMNS;
-    if (headerRow) {
-      const detectedMapping = this.detectColumnMapping(headerRow, MAIN_INVENTORY_COLUMNS);
-      // Use detected mapping if it seems more accurate
-      const detectedValid = Object.values(detectedMapping).filter(index => index >= 0).length;
-      const originalValid = Object.values(MAIN_INVENTORY_COLUMNS).filter(index => index < headerRow.length).length;
-      
-      if (detectedValid > originalValid) {
-        console.log('✅ Using detected column mapping');
-        columnMapping = detectedMapping;
-      } else {
-        console.log('✅ Using default column mapping');
-      }
-    }
+    // Use the confirmed mapping from the import wizard, otherwise score the headers
+    const columnMapping = options.columnMapping || this.analyzeColumnMapping(
+      headerRow,
+      rawData.slice(dataStartIndex, dataStartIndex + 5),
+      MAIN_INVENTORY_COLUMNS
+    ).mapping;
+    console.log(options.columnMapping ? '✅ Using confirmed column mapping' : '✅ Using detected column mapping');
 
     // Process data rows
     console.log(`📊 Processing rows ${dataStartIndex + 1} to ${rawData.length}`);
     
     for (let i = dataStartIndex; i < rawData.length; i++) {
       const row = rawData[i];
+
+      if (options.onProgress && (i - dataStartIndex) % IMPORT_WORKER.PROGRESS_INTERVAL === 0) {
+        options.onProgress(i - dataStartIndex, rawData.length - dataStartIndex, IMPORT_STAGES.PROCESSING);
+      }
       
       // Skip completely empty rows
       if (!row || !row.some(cell => cell !== null && cell !== undefined && cell !== '')) {
@@ -360,12 +430,25 @@ export class DataProcessor {
           barcode: this.cleanString(row[columnMapping.BARCODE]),
           bioTrackCode: this.cleanString(row[columnMapping.BIOTRACK_CODE]),
           quantity: this.parseQuantity(row[columnMapping.QUANTITY]),
-          price: this.cleanString(row[columnMapping.PRICE]),
-          wholesaleCost: this.cleanString(row[columnMapping.WHOLESALE_COST]),
+          price: QualityRules.parseNumber(row[columnMapping.PRICE]),
+          wholesaleCost: QualityRules.parseNumber(row[columnMapping.WHOLESALE_COST]),
+          cbdPercent: QualityRules.parseNumber(row[columnMapping.CBD_PERCENT]),
+          thcPercent: QualityRules.parseNumber(row[columnMapping.THC_PERCENT]),
+          shipmentId: this.cleanString(row[columnMapping.SHIPMENT_ID]),
+          internalNo: this.cleanString(row[columnMapping.INTERNAL_NO]),
+          receptionDate: this.parseDate(row[columnMapping.RECEPTION_DATE]),
           location: this.cleanString(row[columnMapping.LOCATION]),
+          locationStockType: this.cleanString(row[columnMapping.LOCATION_STOCK_TYPE]),
+          manufacturingDate: this.parseDate(row[columnMapping.MANUFACTURING_DATE]),
+          manufacturingAge: QualityRules.parseNumber(row[columnMapping.MANUFACTURING_AGE]),
+          expirationDate: this.parseDate(row[columnMapping.EXPIRATION_DATE]),
+          ageDays: QualityRules.parseNumber(row[columnMapping.AGE_DAYS]),
+          reservedQty: this.parseQuantity(row[columnMapping.RESERVED_QTY]),
+          reservedTransactionType: this.cleanString(row[columnMapping.RESERVED_TRANSACTION_TYPE]),
           distributor: this.cleanString(row[columnMapping.DISTRIBUTOR]),
           manufacturer: this.cleanString(row[columnMapping.MANUFACTURER]),
           dataSource: DATA_SOURCES.MAIN_INVENTORY,
+          sheetName: options.sheetName || null,
           rowIndex: i + 1
         };
 
@@ -389,18 +472,35 @@ export class DataProcessor {
           item.sku = item.barcode;
         }
 
+        // Apply data-quality rules - blocked rows are rejected, warnings flag the item
+        const quality = QualityRules.evaluateItem(item, qualitySeverities);
+        if (quality.blocked) {
+          errors.push({
+            row: i + 1,
+            error: quality.blockReasons.join('; '),
+            data: item
+          });
+          qualityBlocked++;
+          continue;
+        }
+        if (quality.flags.length > 0) {
+          item.qualityFlags = quality.flags;
+          qualityFlagged++;
+        }
+
         // Check for duplicates
         const uniqueKey = `${item.barcode}_${item.sku}`;
         if (seenKeys.has(uniqueKey)) {
           duplicates.push({
             row: i + 1,
             key: uniqueKey,
+            firstRow: seenKeys.get(uniqueKey),
             data: item
           });
           // Still add with modified key to preserve data
           item.duplicateKey = `${uniqueKey}_DUP_${duplicates.length}`;
         } else {
-          seenKeys.add(uniqueKey);
+          seenKeys.set(uniqueKey, i + 1);
         }
 
         processedData.push(item);
@@ -426,10 +526,15 @@ export class DataProcessor {
         processedRows: processedData.length,
         duplicates: duplicates.length,
         errors: errors.length,
+        qualityFlagged,
+        qualityBlocked,
         skippedRows: dataStartIndex,
         headerRow: headerRowIndex + 1,
-        dataStartRow: dataStartIndex + 1
+        dataStartRow: dataStartIndex + 1,
+        headerDetected: layout.detected,
+        metadata
       },
+      columnMapping,
       duplicates,
       errors
     };
@@ -438,30 +543,40 @@ export class DataProcessor {
   /**
    * Process Sweed Report data into structured format
    * @param {Array} rawData - Raw CSV/Excel data array
+   * @param {Object} options - Processing options
+   * @param {Object} options.columnMapping - Confirmed field → column index mapping (optional)
+   * @param {Function} options.onProgress - Progress callback (processed, total, stage) (optional)
+   * @param {string} options.sheetName - Workbook sheet the rows came from (optional)
+   * @param {Object} options.qualityRules - Rule id → severity overrides (optional)
    * @returns {Object} - Processed data with statistics
    */
-  static processSweedData(rawData) {
+  static processSweedData(rawData, options = {}) {
     console.log('🚛 Processing Sweed data, total rows:', rawData.length);
     
     const processedData = [];
     const duplicates = [];
     const errors = [];
-    const seenKeys = new Set();
-
-    // Use the configured structure for Sweed files
-    const config = FILE_STRUCTURE.SWEED_REPORT;
-    const headerRowIndex = config.HEADER_ROW;      // Row 11 (index 10)
-    const dataStartIndex = config.DATA_START_ROW;  // Row 12 (index 11)
-
-    console.log('⚙️ Using Sweed configuration:', {
+    const seenKeys = new Map(); // key → row of first occurrence - per sheet, since facility sheets share SKUs
+    const qualitySeverities = QualityRules.resolveSeverities(options.qualityRules);
+    let qualityFlagged = 0;
+    let qualityBlocked = 0;
+
+    // Locate the header row and read the report preamble above it
+    const layout = this.locateHeaderRow(rawData, DATA_SOURCES.SWEED_REPORT);
+    const headerRowIndex = layout.headerRowIndex;
+    const dataStartIndex = layout.dataStartIndex;
+    const metadata = this.parseExportMetadata(rawData.slice(0, headerRowIndex));
+
+    console.log('⚙️ Using detected Sweed layout:', {
       headerRowIndex,
       dataStartIndex,
-      minRows: config.MIN_ROWS
+      detected: layout.detected,
+      metadata
     });
 
-    // Validate we have enough rows
-    if (rawData.length < config.MIN_ROWS) {
-      throw new Error(`Insufficient data rows. Expected at least ${config.MIN_ROWS} rows, got ${rawData.length}`);
+    // Validate we have data below the header
+    if (dataStartIndex >= rawData.length) {
+      throw new Error(`Insufficient data rows. No data found below header row ${headerRowIndex + 1}`);
     }
 
     // Get header row for validation
@@ -472,25 +587,21 @@ export class DataProcessor {
       console.warn('⚠️ Sweed header row seems incomplete:', headerRow);
     }
 
-    // Detect column mapping if headers don't match expected structure
-    let columnMapping = SWEED_COLUMNS;
-    if (headerRow) {
-      const detectedMapping = this.detectColumnMapping(headerRow, SWEED_COLUMNS);
-      // Use detected mapping if it seems more accurate
-      const detectedValid = Object.values(detectedMapping).filter(index => index >= 0).length;
-      const originalValid = Object.values(SWEED_COLUMNS).filter(index => index < headerRow.length).length;
-      
-      if (detectedValid > originalValid) {
-        console.log('✅ Using detected Sweed column mapping:', detectedMapping);
-        columnMapping = detectedMapping;
-      } else {
-        console.log('✅ Using default Sweed column mapping');
-      }
-    }
+    // Use the confirmed mapping from the import wizard, otherwise score the headers
+    const columnMapping = options.columnMapping || this.analyzeColumnMapping(
+      headerRow,
+      rawData.slice(dataStartIndex, dataStartIndex + 5),
+      SWEED_COLUMNS
+    ).mapping;
+    console.log(options.columnMapping ? '✅ Using confirmed Sweed column mapping' : '✅ Using detected Sweed column mapping:', columnMapping);
 
     // Process data rows
     for (let i = dataStartIndex; i < rawData.length; i++) {
       const row = rawData[i];
+
+      if (options.onProgress && (i - dataStartIndex) % IMPORT_WORKER.PROGRESS_INTERVAL === 0) {
+        options.onProgress(i - dataStartIndex, rawData.length - dataStartIndex, IMPORT_STAGES.PROCESSING);
+      }
       
       // Skip completely empty rows
       if (!row || !row.some(cell => cell !== null && cell !== undefined && cell !== '')) {
@@ -515,6 +626,7 @@ export class DataProcessor {
           dataSource: DATA_SOURCES.SWEED_REPORT,
           // Map externalTrackCode to bioTrackCode for compatibility
           bioTrackCode: this.cleanString(row[columnMapping.EXTERNAL_TRACK_CODE]),
+          sheetName: options.sheetName || null,
           rowIndex: i + 1
         };
 
@@ -538,18 +650,35 @@ export class DataProcessor {
           item.sku = item.barcode;
         }
 
+        // Apply data-quality rules - blocked rows are rejected, warnings flag the item
+        const quality = QualityRules.evaluateItem(item, qualitySeverities);
+        if (quality.blocked) {
+          errors.push({
+            row: i + 1,
+            error: quality.blockReasons.join('; '),
+            data: item
+          });
+          qualityBlocked++;
+          continue;
+        }
+        if (quality.flags.length > 0) {
+          item.qualityFlags = quality.flags;
+          qualityFlagged++;
+        }
+
         // Check for duplicates
         const uniqueKey = `${item.barcode}_${item.sku}`;
         if (seenKeys.has(uniqueKey)) {
           duplicates.push({
             row: i + 1,
             key: uniqueKey,
+            firstRow: seenKeys.get(uniqueKey),
             data: item
           });
           // Still add with modified key to preserve data
           item.duplicateKey = `${uniqueKey}_SWEED_DUP_${duplicates.length}`;
         } else {
-          seenKeys.add(uniqueKey);
+          seenKeys.set(uniqueKey, i + 1);
         }
 
         processedData.push(item);
@@ -572,39 +701,170 @@ export class DataProcessor {
         processedRows: processedData.length,
         duplicates: duplicates.length,
         errors: errors.length,
+        qualityFlagged,
+        qualityBlocked,
         skippedRows: dataStartIndex,
         headerRow: headerRowIndex + 1,
-        dataStartRow: dataStartIndex + 1
+        dataStartRow: dataStartIndex + 1,
+        headerDetected: layout.detected,
+        metadata
       },
+      columnMapping,
       duplicates,
       errors
     };
   }
 
   /**
-   * Detect header row in data
+   * Detect header row in data by scoring each candidate row against the
+   * known header names for every expected column
    * @param {Array} rawData - Raw data array
-   * @param {Array} expectedHeaders - Array of expected header keywords
+   * @param {Object} expectedMappings - Expected column mappings
+   * @param {number} searchRows - Number of leading rows to consider
+   * @param {number} minMatches - Fields that must match for a row to qualify
    * @returns {number} - Header row index (-1 if not found)
    */
-  static detectHeaderRow(rawData, expectedHeaders) {
-    for (let i = 0; i < Math.min(15, rawData.length); i++) {
-      const row = rawData[i];
-      if (!row || !Array.isArray(row)) continue;
-      
-      const headerMatches = expectedHeaders.filter(header => 
-        row.some(cell => 
-          cell && typeof cell === 'string' && 
-          cell.toLowerCase().includes(header.toLowerCase())
-        )
-      );
-      
-      // If we find at least 60% of expected headers, consider this the header row
-      if (headerMatches.length >= expectedHeaders.length * 0.6) {
-        return i;
+  static detectHeaderRow(rawData, expectedMappings, searchRows = 30, minMatches = 3) {
+    let bestIndex = -1;
+    let bestScore = 0;
+
+    for (let i = 0; i < Math.min(searchRows, rawData.length); i++) {
+      const { score, matches } = this.scoreHeaderRow(rawData[i], expectedMappings);
+      if (matches >= minMatches && score > bestScore) {
+        bestIndex = i;
+        bestScore = score;
       }
     }
-    return -1;
+
+    return bestIndex;
+  }
+
+  /**
+   * Score a row as a header candidate
+   * @param {Array} row - Candidate row
+   * @param {Object} expectedMappings - Expected column mappings
+   * @returns {Object} - { score, matches } where matches counts strong field matches
+   */
+  static scoreHeaderRow(row, expectedMappings) {
+    if (!row || !Array.isArray(row)) return { score: 0, matches: 0 };
+
+    let score = 0;
+    let matches = 0;
+    Object.keys(expectedMappings).forEach(key => {
+      const variations = this.getHeaderVariations(key);
+      const best = row.reduce((max, cell) => Math.max(max, this.scoreHeaderMatch(cell, variations)), 0);
+      if (best >= 0.75) matches++;
+      score += best;
+    });
+
+    // Data rows are full of numbers; header rows are text
+    const cells = row.map(cell => this.cleanString(cell)).filter(cell => cell !== '');
+    if (cells.length > 0) {
+      const numericCells = cells.filter(cell => !isNaN(Number(cell.replace(/,/g, '')))).length;
+      score *= 1 - (numericCells / cells.length) * 0.5;
+    }
+
+    return { score, matches };
+  }
+
+  /**
+   * Locate header and first data row for an import file
+   * @param {Array} rawData - Raw data array
+   * @param {string} dataSource - DATA_SOURCES value
+   * @returns {Object} - { headerRowIndex, dataStartIndex, detected }
+   */
+  static locateHeaderRow(rawData, dataSource) {
+    const { config, defaults } = this.getSourceConfig(dataSource);
+    const detectedIndex = this.detectHeaderRow(
+      rawData,
+      defaults,
+      config.HEADER_SEARCH_ROWS,
+      config.MIN_HEADER_MATCHES
+    );
+
+    const detected = detectedIndex !== -1;
+    const headerRowIndex = detected ? detectedIndex : config.HEADER_ROW;
+
+    // First non-empty row below the header holds the data
+    let dataStartIndex = headerRowIndex + 1;
+    while (
+      dataStartIndex < rawData.length &&
+      !(rawData[dataStartIndex] || []).some(cell => this.cleanString(cell) !== '')
+    ) {
+      dataStartIndex++;
+    }
+
+    return { headerRowIndex, dataStartIndex, detected };
+  }
+
+  /**
+   * Parse the preamble rows above the header into export metadata
+   * @param {Array} preambleRows - Rows above the header row
+   * @returns {Object} - { facility, exportDate, reportName, fields }
+   */
+  static parseExportMetadata(preambleRows) {
+    const metadata = { facility: '', exportDate: '', reportName: '', fields: [] };
+
+    (preambleRows || []).forEach(row => {
+      const cells = (row || []).map(cell => this.cleanString(cell)).filter(cell => cell !== '');
+      if (cells.length === 0) return;
+
+      // "Label: value" in one cell, or label and value in separate cells
+      let label = '';
+      let value = cells.join(' ');
+      const colonIndex = cells[0].indexOf(':');
+      if (cells.length > 1) {
+        label = cells[0].replace(/:\s*$/, '');
+        value = cells.slice(1).join(' ');
+      } else if (colonIndex > 0) {
+        label = cells[0].slice(0, colonIndex).trim();
+        value = cells[0].slice(colonIndex + 1).trim();
+      }
+
+      metadata.fields.push({ label, value });
+
+      const key = label.toLowerCase();
+      if (!metadata.facility && /facility|store|site|location/.test(key)) {
+        metadata.facility = value;
+      } else if (!metadata.exportDate && (/date|export|generated|created|as of|run/.test(key) || this.looksLikeDate(value))) {
+        metadata.exportDate = value;
+        if (label && !metadata.reportName && /report/.test(key)) metadata.reportName = label;
+      } else if (!metadata.reportName && (!label || /report|title|name/.test(key))) {
+        metadata.reportName = value;
+      }
+    });
+
+    return metadata;
+  }
+
+  /**
+   * Check whether a string contains a date
+   * @param {string} value - Value to check
+   * @returns {boolean} - True if a date pattern is present
+   */
+  static looksLikeDate(value) {
+    return /\d{1,4}[/\-.]\d{1,2}[/\-.]\d{1,4}/.test(value) ||
+      /\b(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.? \d{1,2}/i.test(value);
+  }
+
+  /**
+   * Get structure config and default column mapping for a data source
+   * @param {string} dataSource - DATA_SOURCES value
+   * @returns {Object} - { config, defaults }
+   */
+  static getSourceConfig(dataSource) {
+    return dataSource === DATA_SOURCES.SWEED_REPORT
+      ? { config: FILE_STRUCTURE.SWEED_REPORT, defaults: SWEED_COLUMNS }
+      : { config: FILE_STRUCTURE.MAIN_INVENTORY, defaults: MAIN_INVENTORY_COLUMNS };
+  }
+
+  /**
+   * Get known header names for a target field
+   * @param {string} key - Column key
+   * @returns {Array} - Lowercase header names
+   */
+  static getHeaderVariations(key) {
+    return HEADER_VARIATIONS[key] || [key.toLowerCase().replace(/_/g, ' ')];
   }
 
   /**
@@ -614,57 +874,384 @@ export class DataProcessor {
    * @returns {Object} - Detected column mappings
    */
   static detectColumnMapping(headerRow, expectedMappings) {
-    const detectedMapping = {};
-    
-    // Common header variations
-    const headerVariations = {
-      FACILITY_NAME: ['facility', 'facility name'],
-      PRODUCT_NAME: ['product', 'product name', 'name'],
-      BRAND: ['brand', 'manufacturer'],
-      STRAIN: ['strain', 'strain prevalence', 'variety'],
-      SIZE: ['size', 'weight', 'volume'],
-      SKU: ['sku', 'item code', 'product code'],
-      BARCODE: ['barcode', 'upc', 'gtin'],
-      BIOTRACK_CODE: ['biotrack', 'biotrack code', 'tracking code', 'track code'],
-      QUANTITY: ['qty', 'quantity', 'amount', 'count'],
-      LOCATION: ['location', 'warehouse', 'storage'],
-      DISTRIBUTOR: ['distributor', 'supplier', 'vendor'],
-      EXTERNAL_TRACK_CODE: ['external', 'external track', 'external tracking'],
-      SHIP_TO_LOCATION: ['ship to', 'ship to location', 'destination'],
-      SHIP_TO_ADDRESS: ['ship to address', 'address', 'shipping address'],
-      ORDER_NUMBER: ['order', 'order number', 'order #'],
-      REQUEST_DATE: ['request date', 'date', 'request']
-    };
+    return this.analyzeColumnMapping(headerRow, [], expectedMappings).mapping;
+  }
 
-    Object.entries(expectedMappings).forEach(([key, defaultIndex]) => {
-      const variations = headerVariations[key] || [key.toLowerCase()];
-      
-      // Find column index by matching header text
-      const foundIndex = headerRow.findIndex(cell => {
-        if (!cell || typeof cell !== 'string') return false;
-        const cellLower = cell.toLowerCase();
-        return variations.some(variation => cellLower.includes(variation));
+  /**
+   * Score every header cell against every target field and build a mapping
+   * with per-field confidence and sample values for the import wizard
+   * @param {Array} headerRow - Header row data
+   * @param {Array} sampleRows - First few data rows (for sample values)
+   * @param {Object} expectedMappings - Default field → column index mapping
+   * @returns {Object} - { mapping, fields, headers, signature, sampleRows }
+   */
+  static analyzeColumnMapping(headerRow, sampleRows, expectedMappings) {
+    const headers = (headerRow || []).map((cell, index) => ({
+      index,
+      label: this.cleanString(cell) || `Column ${index + 1}`
+    }));
+    const fieldKeys = Object.keys(expectedMappings);
+
+    // Collect every plausible field/column pair, then assign greedily by score
+    // so a strong exact match is never stolen by a weaker partial one
+    const candidates = [];
+    fieldKeys.forEach(key => {
+      const variations = this.getHeaderVariations(key);
+      (headerRow || []).forEach((cell, index) => {
+        const score = this.scoreHeaderMatch(cell, variations);
+        if (score > 0) {
+          candidates.push({ key, index, score });
+        }
       });
-      
-      detectedMapping[key] = foundIndex !== -1 ? foundIndex : defaultIndex;
+    });
+    candidates.sort((a, b) => b.score - a.score || a.index - b.index);
+
+    const assigned = {};
+    const usedColumns = new Set();
+    candidates.forEach(({ key, index, score }) => {
+      if (assigned[key] || usedColumns.has(index)) return;
+      assigned[key] = { index, score };
+      usedColumns.add(index);
+    });
+
+    // Fall back to the documented column position when no header matched
+    fieldKeys.forEach(key => {
+      if (assigned[key]) return;
+      const defaultIndex = expectedMappings[key];
+      if (defaultIndex < headers.length && !usedColumns.has(defaultIndex)) {
+        assigned[key] = { index: defaultIndex, score: 0.25 };
+        usedColumns.add(defaultIndex);
+      } else {
+        assigned[key] = { index: -1, score: 0 };
+      }
+    });
+
+    const mapping = {};
+    const fields = fieldKeys.map(key => {
+      const { index, score } = assigned[key];
+      mapping[key] = index;
+      return {
+        key,
+        label: this.formatFieldLabel(key),
+        index,
+        header: index >= 0 ? headers[index].label : '',
+        score,
+        confidence: this.getMappingConfidence(score),
+        samples: this.getColumnSamples(sampleRows, index)
+      };
+    });
+
+    return {
+      mapping,
+      fields,
+      headers,
+      signature: this.getHeaderSignature(headerRow),
+      sampleRows: sampleRows || []
+    };
+  }
+
+  /**
+   * Score how well a header cell matches a list of known header names
+   * @param {any} cell - Header cell value
+   * @param {Array} variations - Known header names for the field
+   * @returns {number} - Score between 0 (no match) and 1 (exact match)
+   */
+  static scoreHeaderMatch(cell, variations) {
+    const normalized = this.normalizeHeader(cell);
+    if (!normalized) return 0;
+
+    if (variations.some(variation => normalized === variation)) return 1;
+    if (variations.some(variation =>
+      normalized.startsWith(`${variation} `) || normalized.endsWith(` ${variation}`)
+    )) return 0.75;
+    if (variations.some(variation => variation.length > 2 && normalized.includes(variation))) return 0.5;
+    return 0;
+  }
+
+  /**
+   * Convert a mapping score into a confidence level
+   * @param {number} score - Mapping score
+   * @returns {string} - MAPPING_CONFIDENCE value
+   */
+  static getMappingConfidence(score) {
+    if (score >= 1) return MAPPING_CONFIDENCE.HIGH;
+    if (score >= 0.75) return MAPPING_CONFIDENCE.MEDIUM;
+    if (score > 0) return MAPPING_CONFIDENCE.LOW;
+    return MAPPING_CONFIDENCE.NONE;
+  }
+
+  /**
+   * Get non-empty sample values for a column
+   * @param {Array} rows - Data rows
+   * @param {number} index - Column index
+   * @param {number} limit - Maximum number of samples
+   * @returns {Array} - Sample values as strings
+   */
+  static getColumnSamples(rows, index, limit = 3) {
+    if (!rows || index < 0) return [];
+    return rows
+      .map(row => this.cleanString(row?.[index]))
+      .filter(value => value !== '')
+      .slice(0, limit);
+  }
+
+  /**
+   * Build a stable signature for a header row so saved mappings can be
+   * matched to future exports with the same columns
+   * @param {Array} headerRow - Header row data
+   * @returns {string} - Header signature
+   */
+  static getHeaderSignature(headerRow) {
+    if (!headerRow) return '';
+    return headerRow.map(cell => this.normalizeHeader(cell)).join('|');
+  }
+
+  /**
+   * Normalize header text for matching
+   * @param {any} value - Header cell value
+   * @returns {string} - Lowercase, single-spaced header text
+   */
+  static normalizeHeader(value) {
+    return this.cleanString(value).toLowerCase().replace(/\s+/g, ' ');
+  }
+
+  /**
+   * Format a column constant key as a readable field label
+   * @param {string} key - Column key (e.g. 'WHOLESALE_COST')
+   * @returns {string} - Field label (e.g. 'Wholesale Cost')
+   */
+  static formatFieldLabel(key) {
+    return key
+      .toLowerCase()
+      .split('_')
+      .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+      .join(' ');
+  }
+
+  /**
+   * Build the column-mapping analysis for a parsed import file
+   * @param {Array} rawData - Raw CSV/Excel data array
+   * @param {string} dataSource - DATA_SOURCES value
+   * @returns {Object} - Mapping analysis (see analyzeColumnMapping)
+   */
+  static buildMappingAnalysis(rawData, dataSource) {
+    const { defaults } = this.getSourceConfig(dataSource);
+    const layout = this.locateHeaderRow(rawData, dataSource);
+
+    const headerRow = rawData[layout.headerRowIndex] || [];
+    const sampleRows = rawData.slice(layout.dataStartIndex, layout.dataStartIndex + 5);
+
+    return {
+      ...this.analyzeColumnMapping(headerRow, sampleRows, defaults),
+      dataSource,
+      headerRow: layout.headerRowIndex + 1,
+      dataStartRow: layout.dataStartIndex + 1,
+      headerDetected: layout.detected,
+      metadata: this.parseExportMetadata(rawData.slice(0, layout.headerRowIndex))
+    };
+  }
+
+  /**
+   * Apply a saved mapping profile on top of a mapping analysis
+   * @param {Object} analysis - Mapping analysis
+   * @param {Object} profile - Saved mapping profile
+   * @returns {Object} - Analysis with the profile mapping applied
+   */
+  static applyMappingProfile(analysis, profile) {
+    const mapping = { ...analysis.mapping };
+    const fields = analysis.fields.map(field => {
+      if (!(field.key in profile.mapping)) return field;
+
+      const index = profile.mapping[field.key];
+      mapping[field.key] = index;
+      return {
+        ...field,
+        index,
+        header: index >= 0 && analysis.headers[index] ? analysis.headers[index].label : '',
+        confidence: MAPPING_CONFIDENCE.PROFILE,
+        samples: this.getColumnSamples(analysis.sampleRows, index)
+      };
     });
 
-    return detectedMapping;
+    return { ...analysis, mapping, fields, profileId: profile.id, profileName: profile.name };
+  }
+
+  /**
+   * Summarize each sheet of a parsed file for the sheet picker
+   * @param {Object} fileData - Result of parseFile
+   * @param {string} dataSource - DATA_SOURCES value
+   * @returns {Array} - [{ name, rowCount, columnCount, headerRow, headerDetected, headerPreview, dataRows }]
+   */
+  static getSheetSummaries(fileData, dataSource) {
+    return fileData.sheets.map(sheet => {
+      const layout = this.locateHeaderRow(sheet.data, dataSource);
+      const headerRow = sheet.data[layout.headerRowIndex] || [];
+
+      return {
+        name: sheet.name,
+        rowCount: sheet.rowCount,
+        columnCount: sheet.columnCount,
+        headerRow: layout.headerRowIndex + 1,
+        headerDetected: layout.detected,
+        headerPreview: headerRow.map(cell => this.cleanString(cell)).filter(cell => cell !== ''),
+        dataRows: Math.max(0, sheet.data.length - layout.dataStartIndex)
+      };
+    });
+  }
+
+  /**
+   * Pick the sheets to import - the requested names, otherwise every sheet
+   * with recognizable headers, otherwise the first sheet
+   * @param {Object} fileData - Result of parseFile
+   * @param {string} dataSource - DATA_SOURCES value
+   * @param {Array} sheetNames - Requested sheet names (optional)
+   * @returns {Array} - Selected sheets from fileData.sheets
+   */
+  static selectSheets(fileData, dataSource, sheetNames = null) {
+    if (sheetNames && sheetNames.length > 0) {
+      const selected = fileData.sheets.filter(sheet => sheetNames.includes(sheet.name));
+      if (selected.length === 0) {
+        throw new Error(`Sheet not found: ${sheetNames.join(', ')}`);
+      }
+      return selected;
+    }
+
+    const detected = fileData.sheets.filter(sheet => this.locateHeaderRow(sheet.data, dataSource).detected);
+    return detected.length > 0 ? detected : fileData.sheets.slice(0, 1);
+  }
+
+  /**
+   * Build the mapping-step analysis for a parsed file, including the
+   * preview rows the import screen shows under the mapping table. The
+   * mapping is built from the first selected sheet.
+   * @param {Object} fileData - Result of parseFile
+   * @param {string} dataSource - DATA_SOURCES value
+   * @param {Array} sheetNames - Sheets to import (optional)
+   * @returns {Object} - Mapping analysis with previewRows, sheets and selectedSheets
+   */
+  static analyzeParsedFile(fileData, dataSource, sheetNames = null) {
+    const selected = this.selectSheets(fileData, dataSource, sheetNames);
+    const sheet = selected[0];
+    const analysis = this.buildMappingAnalysis(sheet.data, dataSource);
+    const dataStartIndex = analysis.dataStartRow - 1;
+
+    return {
+      ...analysis,
+      previewRows: sheet.data.slice(dataStartIndex, dataStartIndex + IMPORT_WORKER.PREVIEW_ROWS),
+      rowCount: sheet.rowCount,
+      columnCount: sheet.columnCount,
+      parseWarnings: fileData.errors.length,
+      sheets: this.getSheetSummaries(fileData, dataSource),
+      selectedSheets: selected.map(item => item.name)
+    };
+  }
+
+  /**
+   * Validate and process the selected sheets of a parsed file. Sheets whose
+   * headers match the confirmed mapping's signature use that mapping; others
+   * are mapped automatically.
+   * @param {Object} fileData - Result of parseFile
+   * @param {string} dataSource - DATA_SOURCES value
+   * @param {Object} options - Processing options
+   * @param {Array} options.sheetNames - Sheets to import (optional)
+   * @param {Object} options.columnMapping - Confirmed mapping (optional)
+   * @param {string} options.signature - Header signature the mapping was confirmed for (optional)
+   * @param {Object} options.qualityRules - Rule id → severity overrides (optional)
+   * @param {Function} options.onProgress - Progress callback (processed, total, stage) (optional)
+   * @returns {Object} - Processed data with statistics and validation warnings
+   */
+  static runImport(fileData, dataSource, options = {}) {
+    const isSweed = dataSource === DATA_SOURCES.SWEED_REPORT;
+    const sheets = this.selectSheets(fileData, dataSource, options.sheetNames);
+    const totalRows = sheets.reduce((sum, sheet) => sum + sheet.data.length, 0);
+
+    const combined = { data: [], duplicates: [], errors: [], warnings: [], sheetResults: [] };
+    let rowOffset = 0;
+
+    sheets.forEach((sheet, index) => {
+      const label = sheet.name ? `Sheet "${sheet.name}": ` : '';
+
+      const validation = isSweed
+        ? this.validateSweedStructure(sheet.data)
+        : this.validateMainInventoryStructure(sheet.data);
+      if (!validation.isValid) {
+        throw new Error(`Invalid file structure: ${label}${validation.errors.join(', ')}`);
+      }
+      combined.warnings.push(...validation.warnings.map(warning => `${label}${warning}`));
+
+      // Reuse the confirmed mapping only where the headers are the same
+      let columnMapping = options.columnMapping;
+      if (columnMapping && index > 0 && options.signature) {
+        const headerRow = sheet.data[validation.layout.headerRowIndex];
+        if (this.getHeaderSignature(headerRow) !== options.signature) {
+          columnMapping = null;
+          combined.warnings.push(`${label}Columns differ from the first sheet - mapped automatically`);
+        }
+      }
+
+      const offset = rowOffset;
+      const processOptions = {
+        columnMapping,
+        sheetName: sheet.name,
+        qualityRules: options.qualityRules,
+        onProgress: options.onProgress
+          ? (processed, total, stage) => options.onProgress(offset + processed, totalRows, stage)
+          : null
+      };
+
+      const processed = isSweed
+        ? this.processSweedData(sheet.data, processOptions)
+        : this.processMainInventoryData(sheet.data, processOptions);
+
+      const tag = entry => ({ ...entry, sheetName: sheet.name });
+      combined.data = combined.data.concat(processed.data);
+      combined.duplicates = combined.duplicates.concat(processed.duplicates.map(tag));
+      combined.errors = combined.errors.concat(processed.errors.map(tag));
+      combined.sheetResults.push({ name: sheet.name, processed });
+      rowOffset += sheet.data.length;
+    });
+
+    const first = combined.sheetResults[0].processed;
+
+    return {
+      data: combined.data,
+      statistics: {
+        ...first.statistics,
+        totalRows,
+        processedRows: combined.data.length,
+        duplicates: combined.duplicates.length,
+        errors: combined.errors.length,
+        qualityFlagged: combined.sheetResults.reduce((sum, result) => sum + result.processed.statistics.qualityFlagged, 0),
+        qualityBlocked: combined.sheetResults.reduce((sum, result) => sum + result.processed.statistics.qualityBlocked, 0),
+        sheets: combined.sheetResults.map(({ name, processed }) => ({
+          name,
+          processedRows: processed.statistics.processedRows,
+          duplicates: processed.statistics.duplicates,
+          errors: processed.statistics.errors,
+          headerRow: processed.statistics.headerRow
+        }))
+      },
+      columnMapping: first.columnMapping,
+      duplicates: combined.duplicates,
+      errors: combined.errors,
+      warnings: combined.warnings
+    };
   }
 
   /**
    * Find all products matching a barcode across both inventories
-   * @param {string} barcode - Barcode to search for
+   * @param {string|Array} barcode - Barcode to search for, or candidate forms of one (e.g. from a GTIN)
    * @param {Array} inventoryData - Main inventory data
    * @param {Array} sweedData - Sweed data
    * @returns {Array} - Array of matching products
    */
   static findProductsByBarcode(barcode, inventoryData, sweedData) {
     const matches = [];
+    const codes = Array.isArray(barcode) ? barcode : [barcode];
     
     // Search main inventory
     inventoryData.forEach(item => {
-      if (item.barcode === barcode) {
+      if (codes.includes(item.barcode)) {
         matches.push({
           ...item,
           source: 'MainInventory',
@@ -675,7 +1262,7 @@ export class DataProcessor {
 
     // Search Sweed data
     sweedData.forEach(item => {
-      if (item.barcode === barcode) {
+      if (codes.includes(item.barcode)) {
         matches.push({
           ...item,
           source: 'SweedReport',
@@ -691,25 +1278,43 @@ export class DataProcessor {
    * Get detailed information about scanned items
    * @param {Array} scannedItems - Array of scanned item keys
    * @param {Array} scannedSweedItems - Array of scanned Sweed item keys  
-   * @param {Array} inventoryData - Main inventory data
-   * @param {Array} sweedData - Sweed data
+   * @param {Array|InventoryIndex} inventoryData - Main inventory data, or its index
+   * @param {Array|InventoryIndex} sweedData - Sweed data, or its index
+   * @param {Object} pickedQuantities - { MainInventory: {key: qty}, SweedReport: {key: qty} } (optional)
+   * @param {Object} scannedLots - { MainInventory: {key: [lot]}, SweedReport: {key: [lot]} } from GS1 scans (optional)
    * @returns {Array} - Detailed information about scanned items
    */
-  static getScannedItemsDetails(scannedItems, scannedSweedItems, inventoryData, sweedData) {
+  static getScannedItemsDetails(scannedItems, scannedSweedItems, inventoryData, sweedData, pickedQuantities = {}, scannedLots = {}) {
+    // Entries scanned before quantities were tracked count as one unit
+    const pickedFor = (source, key) => (pickedQuantities[source] && pickedQuantities[source][key]) || 1;
+
+    // Lots read from GS1 barcodes - the most recent scan supplies lotNumber/lotExpirationDate
+    const lotsFor = (source, key) => {
+      const lots = (scannedLots[source] && scannedLots[source][key]) || [];
+      const latest = lots[lots.length - 1];
+      return {
+        scannedLots: lots,
+        lotNumber: latest ? latest.lot : null,
+        lotExpirationDate: latest ? latest.expirationDate : null
+      };
+    };
+
     const details = [];
+    const mainIndex = InventoryIndex.from(inventoryData);
+    const sweedIndex = InventoryIndex.from(sweedData);
 
     // Process main inventory scanned items
     scannedItems.forEach(scannedKey => {
       const [barcode, sku] = scannedKey.split('_');
-      const item = inventoryData.find(item => 
-        item.barcode === barcode && item.sku === sku
-      );
+      const item = mainIndex.getByKey(barcode, sku);
       
       if (item) {
         details.push({
           source: 'Main Inventory',
           displaySource: '[MAIN]',
           ...item,
+          pickedQuantity: pickedFor(DATA_SOURCES.MAIN_INVENTORY, scannedKey),
+          ...lotsFor(DATA_SOURCES.MAIN_INVENTORY, scannedKey),
           scannedAt: new Date().toISOString()
         });
       }
@@ -718,15 +1323,15 @@ export class DataProcessor {
     // Process Sweed scanned items
     scannedSweedItems.forEach(scannedKey => {
       const [barcode, sku] = scannedKey.split('_');
-      const item = sweedData.find(item => 
-        item.barcode === barcode && item.sku === sku
-      );
+      const item = sweedIndex.getByKey(barcode, sku);
       
       if (item) {
         details.push({
           source: 'Sweed Report',
           displaySource: '[SWEED]',
           ...item,
+          pickedQuantity: pickedFor(DATA_SOURCES.SWEED_REPORT, scannedKey),
+          ...lotsFor(DATA_SOURCES.SWEED_REPORT, scannedKey),
           scannedAt: new Date().toISOString()
         });
       }
@@ -750,14 +1355,509 @@ export class DataProcessor {
       brand: item.brand,
       size: item.size,
       quantity: item.quantity,
+      pickedQuantity: item.pickedQuantity || 1,
       location: item.location || '',
       shipTo: item.shipToLocation || '',
       orderNumber: item.orderNumber || '',
+      thcPercent: item.thcPercent ?? '',
+      cbdPercent: item.cbdPercent ?? '',
+      expirationDate: item.expirationDate || '',
+      shipmentId: item.shipmentId || '',
+      lotNumber: (item.scannedLots || []).map(lot => lot.lot).filter(Boolean).join(', '),
+      lotExpirationDate: item.lotExpirationDate || '',
       picked: false,
       notes: ''
     }));
   }
 
+  /**
+   * Group Sweed rows into orders. Rows for the same barcode/SKU on one order
+   * are merged into a single line with their quantities summed.
+   * @param {Array} sweedData - Sweed report items
+   * @returns {Array} - [{ orderNumber, shipToLocation, shipToAddress, requestDate, lines, totalRequested }]
+   */
+  static getSweedOrders(sweedData) {
+    const orders = new Map();
+
+    sweedData.forEach(item => {
+      if (!item.orderNumber) return;
+
+      if (!orders.has(item.orderNumber)) {
+        orders.set(item.orderNumber, {
+          orderNumber: item.orderNumber,
+          shipToLocation: item.shipToLocation || '',
+          shipToAddress: item.shipToAddress || '',
+          requestDate: item.requestDate || '',
+          lines: new Map(),
+          totalRequested: 0
+        });
+      }
+
+      const order = orders.get(item.orderNumber);
+      const key = `${item.barcode}_${item.sku}`;
+      const requested = Math.max(0, item.quantity || 0);
+      const line = order.lines.get(key);
+
+      if (line) {
+        line.requestedQuantity += requested;
+      } else {
+        order.lines.set(key, {
+          key,
+          barcode: item.barcode,
+          sku: item.sku,
+          productName: item.productName,
+          brand: item.brand,
+          size: item.size,
+          requestedQuantity: requested
+        });
+      }
+      order.totalRequested += requested;
+    });
+
+    return Array.from(orders.values())
+      .map(order => ({ ...order, lines: Array.from(order.lines.values()) }))
+      .sort((a, b) => a.orderNumber.localeCompare(b.orderNumber, undefined, { numeric: true }));
+  }
+
+  /**
+   * Find the order line a scanned barcode belongs to. When several lines share
+   * the barcode, the first one still short of its requested quantity wins.
+   * @param {Array} lines - Order lines from getSweedOrders
+   * @param {string|Array} barcode - Scanned barcode, or candidate forms of one (e.g. from a GTIN)
+   * @param {Object} picks - Line key → picked quantity
+   * @returns {Object|null} - Matching line, or null when the barcode is not on the order
+   */
+  static findOrderLine(lines, barcode, picks = {}) {
+    const codes = Array.isArray(barcode) ? barcode : [barcode];
+    const matches = lines.filter(line => codes.includes(line.barcode) || codes.includes(line.sku));
+    if (matches.length === 0) return null;
+
+    return matches.find(line => (picks[line.key] || 0) < line.requestedQuantity) || matches[0];
+  }
+
+  /**
+   * Compare picked against requested quantities for every order line
+   * @param {Array} lines - Order lines from getSweedOrders
+   * @param {Object} picks - Line key → picked quantity
+   * @returns {Object} - { lines, totalRequested, totalPicked, shortLines, overLines, status }
+   */
+  static summarizeOrderPicks(lines, picks = {}) {
+    const summary = lines.map(line => {
+      const pickedQuantity = picks[line.key] || 0;
+      const variance = pickedQuantity - line.requestedQuantity;
+      let lineStatus = 'pending';
+      if (variance > 0) lineStatus = 'over';
+      else if (variance === 0) lineStatus = 'complete';
+      else if (pickedQuantity > 0) lineStatus = 'partial';
+
+      return { ...line, pickedQuantity, variance, lineStatus };
+    });
+
+    const shortLines = summary.filter(line => line.variance < 0);
+    const overLines = summary.filter(line => line.variance > 0);
+
+    // Any over-pick must be put back, so it outranks a short pick
+    let status = ORDER_STATUS.COMPLETE;
+    if (overLines.length > 0) status = ORDER_STATUS.OVER_PICKED;
+    else if (shortLines.length > 0) status = ORDER_STATUS.SHORT_PICKED;
+
+    return {
+      lines: summary,
+      totalRequested: summary.reduce((sum, line) => sum + line.requestedQuantity, 0),
+      totalPicked: summary.reduce((sum, line) => sum + line.pickedQuantity, 0),
+      shortLines,
+      overLines,
+      status
+    };
+  }
+
+  /**
+   * Comparable form of a location - case and separators are ignored
+   * @param {string} location - Location or bin name
+   * @returns {string} - Normalized location ('' when empty)
+   */
+  static normalizeLocation(location) {
+    return String(location || '').trim().toUpperCase().replace(LOCATION_SCAN.SEPARATOR_PATTERN, '');
+  }
+
+  /**
+   * Known locations from the Main Inventory export
+   * @param {Array} inventoryData - Main inventory data
+   * @returns {Map} - Normalized location → location as written in the export
+   */
+  static getLocationLookup(inventoryData) {
+    const lookup = new Map();
+    inventoryData.forEach(item => {
+      const normalized = this.normalizeLocation(item.location);
+      if (normalized && !lookup.has(normalized)) lookup.set(normalized, item.location);
+    });
+    return lookup;
+  }
+
+  /**
+   * Read a scan as a location label: a LOC:/BIN prefix, or a known location name
+   * @param {string} input - Scanned or typed code
+   * @param {Map} locationLookup - From getLocationLookup
+   * @returns {string|null} - Location (in its export spelling when known), or null for a product scan
+   */
+  static parseLocationScan(input, locationLookup) {
+    const text = String(input || '').trim();
+    const prefixed = text.match(LOCATION_SCAN.PREFIX_PATTERN);
+    const candidate = prefixed ? prefixed[1].trim() : text;
+    const known = locationLookup.get(this.normalizeLocation(candidate));
+
+    if (known) return known;
+    return prefixed && candidate ? candidate : null;
+  }
+
+  /**
+   * Compare where an item was found with its system location
+   * @param {Object} item - Inventory item
+   * @param {string} location - Bin the item was scanned in
+   * @returns {Object|null} - { found, expected, mismatch }, or null without a bin. Items
+   * with no system location (e.g. Sweed rows) are never a mismatch.
+   */
+  static checkItemLocation(item, location) {
+    if (!location) return null;
+
+    const expected = item.location || '';
+    return {
+      found: location,
+      expected,
+      mismatch: Boolean(expected) && this.normalizeLocation(expected) !== this.normalizeLocation(location)
+    };
+  }
+
+  /**
+   * List every scanned entry by the bin it was found in
+   * @param {Object} locationFinds - { MainInventory: {key: [find]}, SweedReport: {key: [find]} }
+   * @param {Array|InventoryIndex} inventoryData - Main inventory data
+   * @param {Array|InventoryIndex} sweedData - Sweed data
+   * @returns {Object} - { rows, mismatches, locations } - rows carry systemLocation,
+   * foundLocation, quantity, lastScannedAt and mismatch; mismatches is the unexpected-location subset
+   */
+  static buildLocationReport(locationFinds, inventoryData, sweedData) {
+    const sources = [
+      { source: DATA_SOURCES.MAIN_INVENTORY, displaySource: '[MAIN]', index: InventoryIndex.from(inventoryData) },
+      { source: DATA_SOURCES.SWEED_REPORT, displaySource: '[SWEED]', index: InventoryIndex.from(sweedData) }
+    ];
+    const rows = [];
+
+    sources.forEach(({ source, displaySource, index }) => {
+      Object.entries((locationFinds && locationFinds[source]) || {}).forEach(([key, finds]) => {
+        const separator = key.indexOf('_');
+        const item = index.getByKey(key.slice(0, separator), key.slice(separator + 1));
+        if (!item) return;
+
+        finds.forEach(find => {
+          const check = this.checkItemLocation(item, find.location);
+          rows.push({
+            source,
+            displaySource,
+            sku: item.sku,
+            barcode: item.barcode,
+            productName: item.productName,
+            brand: item.brand,
+            systemLocation: check.expected,
+            foundLocation: find.location,
+            quantity: find.quantity,
+            lastScannedAt: find.lastScannedAt,
+            mismatch: check.mismatch
+          });
+        });
+      });
+    });
+
+    rows.sort((a, b) => a.foundLocation.localeCompare(b.foundLocation, undefined, { numeric: true }) || a.sku.localeCompare(b.sku));
+
+    return {
+      rows,
+      mismatches: rows.filter(row => row.mismatch),
+      locations: new Set(rows.map(row => this.normalizeLocation(row.foundLocation))).size
+    };
+  }
+
+  /**
+   * Compare cycle-counted units with the imported on-hand quantities of a zone
+   * @param {Object} counts - { scannedItems, scannedSweedItems, pickedQuantities } of the count session
+   * @param {Array|InventoryIndex} inventoryData - Main inventory data
+   * @param {Array|InventoryIndex} sweedData - Sweed data
+   * @param {string|null} zone - Location counted (null counts every Main Inventory location)
+   * @returns {Object} - { rows, counts, totalExpected, totalCounted, netVariance, expectedSkus, countedExpectedSkus }
+   */
+  static buildCycleCountReport(counts, inventoryData, sweedData, zone = null) {
+    const mainIndex = InventoryIndex.from(inventoryData);
+    const sweedIndex = InventoryIndex.from(sweedData);
+    const pickedQuantities = counts.pickedQuantities || {};
+    const countedFor = (source, key) => (pickedQuantities[source] && pickedQuantities[source][key]) || 1;
+    const inZone = item => !zone || this.normalizeLocation(item.location) === this.normalizeLocation(zone);
+
+    // Rows sharing barcode and SKU are one count line - their quantities add up
+    const expected = new Map();
+    mainIndex.items.filter(inZone).forEach(item => {
+      const key = `${item.barcode}_${item.sku}`;
+      const line = expected.get(key) || { item, expectedQuantity: 0 };
+      line.expectedQuantity += item.quantity || 0;
+      expected.set(key, line);
+    });
+
+    const toRow = (item, key, source, expectedQuantity, countedQuantity, status) => ({
+      key,
+      source,
+      displaySource: source === DATA_SOURCES.SWEED_REPORT ? '[SWEED]' : '[MAIN]',
+      sku: item.sku,
+      barcode: item.barcode,
+      productName: item.productName,
+      brand: item.brand,
+      location: item.location || item.shipToLocation || '',
+      expectedQuantity,
+      countedQuantity,
+      variance: countedQuantity - expectedQuantity,
+      status
+    });
+
+    const rows = [];
+    const countedMain = new Set(counts.scannedItems || []);
+
+    expected.forEach(({ item, expectedQuantity }, key) => {
+      const countedQuantity = countedMain.has(key) ? countedFor(DATA_SOURCES.MAIN_INVENTORY, key) : 0;
+      if (countedQuantity === 0 && expectedQuantity <= 0) return;
+
+      let status = VARIANCE_STATUS.MATCHED;
+      if (countedQuantity === 0) status = VARIANCE_STATUS.MISSING;
+      else if (countedQuantity > expectedQuantity) status = VARIANCE_STATUS.OVER;
+      else if (countedQuantity < expectedQuantity) status = VARIANCE_STATUS.SHORT;
+
+      rows.push(toRow(item, key, DATA_SOURCES.MAIN_INVENTORY, expectedQuantity, countedQuantity, status));
+    });
+
+    // Anything counted that the zone does not hold - including Sweed-only products
+    const addUnexpected = (keys, index, source) => {
+      keys.forEach(key => {
+        if (source === DATA_SOURCES.MAIN_INVENTORY && expected.has(key)) return;
+
+        const separator = key.indexOf('_');
+        const item = index.getByKey(key.slice(0, separator), key.slice(separator + 1));
+        if (!item) return;
+
+        rows.push(toRow(item, key, source, 0, countedFor(source, key), VARIANCE_STATUS.UNEXPECTED));
+      });
+    };
+    addUnexpected(counts.scannedItems || [], mainIndex, DATA_SOURCES.MAIN_INVENTORY);
+    addUnexpected(counts.scannedSweedItems || [], sweedIndex, DATA_SOURCES.SWEED_REPORT);
+
+    const statusOrder = Object.values(VARIANCE_STATUS);
+    rows.sort((a, b) =>
+      statusOrder.indexOf(a.status) - statusOrder.indexOf(b.status) ||
+      String(a.sku).localeCompare(String(b.sku), undefined, { numeric: true })
+    );
+
+    const statusCounts = {};
+    statusOrder.forEach(status => {
+      statusCounts[status] = rows.filter(row => row.status === status).length;
+    });
+
+    const expectedRows = rows.filter(row => row.status !== VARIANCE_STATUS.UNEXPECTED);
+    const totalExpected = expectedRows.reduce((sum, row) => sum + row.expectedQuantity, 0);
+    const totalCounted = rows.reduce((sum, row) => sum + row.countedQuantity, 0);
+
+    return {
+      rows,
+      counts: statusCounts,
+      totalExpected,
+      totalCounted,
+      netVariance: totalCounted - totalExpected,
+      expectedSkus: expectedRows.length,
+      countedExpectedSkus: expectedRows.filter(row => row.countedQuantity > 0).length
+    };
+  }
+
+  /**
+   * Whole days from one calendar day to an ISO date (negative when in the past)
+   * @param {string} isoDate - Date in YYYY-MM-DD form
+   * @param {Date} now - Reference date
+   * @returns {number|null} - Day difference, or null without a date
+   */
+  static daysUntil(isoDate, now = new Date()) {
+    const match = isoDate && String(isoDate).match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (!match) return null;
+
+    const target = Date.UTC(parseInt(match[1], 10), parseInt(match[2], 10) - 1, parseInt(match[3], 10));
+    const today = Date.UTC(now.getFullYear(), now.getMonth(), now.getDate());
+    return Math.round((target - today) / 86400000);
+  }
+
+  /**
+   * Group Main Inventory items by days to expiration and by product age.
+   * Age comes from the manufacturing date, then the reception date, then the
+   * export's own age column. Items without the relevant date are returned
+   * separately.
+   * @param {Array} items - Main Inventory items
+   * @param {Date} now - Reference date
+   * @returns {Object} - { expiration: [bucket], age: [bucket], noExpiration, noAge }
+   */
+  static buildExpirationReport(items, now = new Date()) {
+    const toBuckets = definitions => definitions.map(bucket => ({ ...bucket, items: [], totalQuantity: 0 }));
+    const expiration = toBuckets(EXPIRATION_BUCKETS);
+    const age = toBuckets(AGE_BUCKETS);
+    const noExpiration = [];
+    const noAge = [];
+
+    const place = (buckets, days, item) => {
+      const bucket = buckets.find(entry => days <= entry.maxDays);
+      bucket.items.push(item);
+      bucket.totalQuantity += item.quantity || 0;
+    };
+
+    items.forEach(item => {
+      const daysToExpiration = this.daysUntil(item.expirationDate, now);
+      const datedAge = this.daysUntil(item.manufacturingDate || item.receptionDate, now);
+      const ageInDays = datedAge !== null ? -datedAge : (typeof item.ageDays === 'number' ? item.ageDays : null);
+      const entry = { ...item, daysToExpiration, ageInDays };
+
+      if (daysToExpiration === null) {
+        noExpiration.push(entry);
+      } else {
+        place(expiration, daysToExpiration, entry);
+      }
+
+      if (ageInDays === null) {
+        noAge.push(entry);
+      } else {
+        place(age, ageInDays, entry);
+      }
+    });
+
+    // Soonest to expire / oldest first
+    expiration.forEach(bucket => bucket.items.sort((a, b) => a.daysToExpiration - b.daysToExpiration));
+    age.forEach(bucket => bucket.items.sort((a, b) => b.ageInDays - a.ageInDays));
+
+    return { expiration, age, noExpiration, noAge };
+  }
+
+  /**
+   * Compare incoming items against the currently loaded inventory
+   * @param {Array} currentItems - Items currently in storage
+   * @param {Array} incomingItems - Newly processed items
+   * @returns {Object} - { added, removed, quantityChanges, priceChanges, locationChanges, unchanged, summary }
+   */
+  static diffInventory(currentItems, incomingItems) {
+    const sheetScopedKeys = this.getMultiSheetKeys(incomingItems);
+    const current = this.indexByItemKey(currentItems, sheetScopedKeys);
+    const incoming = this.indexByItemKey(incomingItems, sheetScopedKeys);
+
+    const diff = {
+      added: [],
+      removed: [],
+      quantityChanges: [],
+      priceChanges: [],
+      locationChanges: [],
+      unchanged: 0
+    };
+
+    incoming.forEach((item, key) => {
+      const previous = current.get(key);
+      if (!previous) {
+        diff.added.push(item);
+        return;
+      }
+
+      let changed = false;
+
+      if (previous.quantity !== item.quantity) {
+        diff.quantityChanges.push({
+          key,
+          item,
+          before: previous.quantity,
+          after: item.quantity,
+          delta: item.quantity - previous.quantity
+        });
+        changed = true;
+      }
+
+      const priceFields = ['price', 'wholesaleCost']
+        .filter(field => !this.isSameAmount(previous[field], item[field]))
+        .map(field => ({ field, before: previous[field], after: item[field] }));
+      if (priceFields.length > 0) {
+        diff.priceChanges.push({ key, item, fields: priceFields });
+        changed = true;
+      }
+
+      if (this.cleanString(previous.location) !== this.cleanString(item.location)) {
+        diff.locationChanges.push({ key, item, before: previous.location, after: item.location });
+        changed = true;
+      }
+
+      if (!changed) diff.unchanged++;
+    });
+
+    current.forEach((item, key) => {
+      if (!incoming.has(key)) diff.removed.push(item);
+    });
+
+    diff.summary = {
+      added: diff.added.length,
+      removed: diff.removed.length,
+      quantityChanges: diff.quantityChanges.length,
+      priceChanges: diff.priceChanges.length,
+      locationChanges: diff.locationChanges.length,
+      unchanged: diff.unchanged,
+      hasChanges: diff.added.length + diff.removed.length + diff.quantityChanges.length +
+        diff.priceChanges.length + diff.locationChanges.length > 0
+    };
+
+    return diff;
+  }
+
+  /**
+   * Barcode+SKU keys that appear on more than one sheet of an import
+   * @param {Array} items - Inventory items
+   * @returns {Set} - Item keys found on several sheets
+   */
+  static getMultiSheetKeys(items) {
+    const sheetsByKey = new Map();
+    (items || []).forEach(item => {
+      if (!item.sheetName) return;
+      const key = `${item.barcode}_${item.sku}`;
+      if (!sheetsByKey.has(key)) sheetsByKey.set(key, new Set());
+      sheetsByKey.get(key).add(item.sheetName);
+    });
+    return new Set(Array.from(sheetsByKey).filter(([, sheets]) => sheets.size > 1).map(([key]) => key));
+  }
+
+  /**
+   * Index items by barcode+SKU, keeping the first occurrence of duplicates. Keys listed in
+   * sheetScopedKeys are repeated on per-facility sheets, so those also carry the sheet name.
+   * @param {Array} items - Inventory items
+   * @param {Set} sheetScopedKeys - Item keys to index per sheet (optional)
+   * @returns {Map} - Item key → item
+   */
+  static indexByItemKey(items, sheetScopedKeys = new Set()) {
+    const index = new Map();
+    (items || []).forEach(item => {
+      const itemKey = `${item.barcode}_${item.sku}`;
+      const key = item.sheetName && sheetScopedKeys.has(itemKey) ? `${item.sheetName}/${itemKey}` : itemKey;
+      if (!index.has(key)) index.set(key, item);
+    });
+    return index;
+  }
+
+  /**
+   * Compare two price/cost values, ignoring currency formatting
+   * @param {any} a - First value
+   * @param {any} b - Second value
+   * @returns {boolean} - True if both represent the same amount
+   */
+  static isSameAmount(a, b) {
+    const left = this.cleanString(a).replace(/[$,]/g, '');
+    const right = this.cleanString(b).replace(/[$,]/g, '');
+    if (left === right) return true;
+
+    const leftNumber = parseFloat(left);
+    const rightNumber = parseFloat(right);
+    return !isNaN(leftNumber) && !isNaN(rightNumber) && Math.abs(leftNumber - rightNumber) < 0.005;
+  }
+
   // Utility methods
 
   /**
@@ -785,6 +1885,48 @@ export class DataProcessor {
     return isNaN(parsed) ? 0 : parsed;
   }
 
+  /**
+   * Parse a date cell into an ISO date string (YYYY-MM-DD). Handles
+   * M/D/YY, M/D/YYYY, YYYY-MM-DD, Excel serial numbers and Date objects.
+   * Stored as a string so items survive JSON storage unchanged.
+   * @param {any} value - Value to parse
+   * @returns {string|null} - ISO date or null when empty/invalid
+   */
+  static parseDate(value) {
+    if (value === null || value === undefined || value === '') return null;
+
+    let date = null;
+
+    if (value instanceof Date) {
+      date = new Date(value.getFullYear(), value.getMonth(), value.getDate());
+    } else {
+      const text = String(value).trim();
+      const usMatch = text.match(/^(\d{1,2})[\/-](\d{1,2})[\/-](\d{2}|\d{4})$/);
+      const isoMatch = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+
+      if (usMatch) {
+        const year = usMatch[3].length === 2 ? 2000 + parseInt(usMatch[3], 10) : parseInt(usMatch[3], 10);
+        date = new Date(year, parseInt(usMatch[1], 10) - 1, parseInt(usMatch[2], 10));
+      } else if (isoMatch) {
+        date = new Date(parseInt(isoMatch[1], 10), parseInt(isoMatch[2], 10) - 1, parseInt(isoMatch[3], 10));
+      } else if (/^\d{5}(\.\d+)?$/.test(text)) {
+        // Excel serial day number (days since 1899-12-30)
+        date = new Date(1899, 11, 30 + Math.floor(parseFloat(text)));
+      } else {
+        const parsed = new Date(text);
+        if (!isNaN(parsed.getTime())) {
+          date = new Date(parsed.getFullYear(), parsed.getMonth(), parsed.getDate());
+        }
+      }
+    }
+
+    if (!date || isNaN(date.getTime())) return null;
+
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+  }
+
   /**
    * Validate file structure for Sweed Report
    * @param {Array} data - Raw file data
@@ -795,40 +1937,26 @@ export class DataProcessor {
     
     const errors = [];
     const warnings = [];
-    const config = FILE_STRUCTURE.SWEED_REPORT;
 
-    if (data.length < config.MIN_ROWS) {
-      errors.push(`File must have at least ${config.MIN_ROWS} rows (10 info rows + headers + data)`);
-      return { isValid: false, errors, warnings };
-    }
+    // Locate the header row instead of assuming a fixed preamble length
+    const layout = this.locateHeaderRow(data, DATA_SOURCES.SWEED_REPORT);
 
-    // Check if we have the expected header row at position 10 (row 11)
-    const headerRow = data[config.HEADER_ROW];
-    if (!headerRow || headerRow.length < 5) {
-      warnings.push('Header row at position 11 appears to be missing or incomplete');
+    if (!layout.detected) {
+      warnings.push(`Could not locate expected headers - assuming header row ${layout.headerRowIndex + 1}. File structure may be different than expected.`);
     }
 
-    // Look for expected header patterns in the correct position
-    const expectedHeaders = ['Product', 'Brand', 'SKU', 'Barcode', 'Ship To', 'Order'];
-    let headerFound = false;
-    
-    // Check specifically around row 11 (index 10)
-    for (let i = Math.max(0, config.HEADER_ROW - 2); i <= Math.min(data.length - 1, config.HEADER_ROW + 2); i++) {
-      const row = data[i];
-      if (row && expectedHeaders.some(header => 
-        row.some(cell => cell && String(cell).toLowerCase().includes(header.toLowerCase()))
-      )) {
-        headerFound = true;
-        break;
-      }
+    if (layout.dataStartIndex >= data.length) {
+      errors.push(`File has no data rows below the header row (row ${layout.headerRowIndex + 1})`);
+      return { isValid: false, errors, warnings, layout };
     }
 
-    if (!headerFound) {
-      warnings.push('Could not locate expected headers around row 11. File structure may be different than expected.');
+    const headerRow = data[layout.headerRowIndex];
+    if (!headerRow || headerRow.length < 5) {
+      warnings.push(`Header row at position ${layout.headerRowIndex + 1} appears to be missing or incomplete`);
     }
 
     // Check data rows
-    const sampleDataRow = data[config.DATA_START_ROW];
+    const sampleDataRow = data[layout.dataStartIndex];
     if (!sampleDataRow || sampleDataRow.length < 5) {
       warnings.push('Data rows appear to be missing or incomplete');
     }
@@ -836,10 +1964,60 @@ export class DataProcessor {
     return {
       isValid: errors.length === 0,
       errors,
-      warnings
+      warnings,
+      layout
     };
   }
 
+  /**
+   * Flatten import errors and duplicates into one issue list for review/export
+   * @param {Object} result - Import result with errors and duplicates arrays
+   * @returns {Array} - [{ type, sheetName, row, firstRow, sku, barcode, productName, reason }]
+   */
+  static buildImportIssueRows(result) {
+    const describe = (data) => Array.isArray(data) || !data
+      ? { sku: '', barcode: '', productName: '' }
+      : { sku: data.sku || '', barcode: data.barcode || '', productName: data.productName || '' };
+
+    const errorRows = (result.errors || []).map(error => ({
+      type: 'Error',
+      sheetName: error.sheetName || '',
+      row: error.row,
+      firstRow: '',
+      ...describe(error.data),
+      reason: error.error
+    }));
+
+    const duplicateRows = (result.duplicates || []).map(duplicate => ({
+      type: 'Duplicate',
+      sheetName: duplicate.sheetName || '',
+      row: duplicate.row,
+      firstRow: duplicate.firstRow,
+      ...describe(duplicate.data),
+      reason: `Same barcode/SKU as row ${duplicate.firstRow}`
+    }));
+
+    return [...errorRows, ...duplicateRows];
+  }
+
+  /**
+   * Export data to an XLSX workbook
+   * @param {Array} data - Data to export
+   * @param {Array} columns - Column definitions ({ key, header })
+   * @param {string} sheetName - Worksheet name
+   * @returns {ArrayBuffer} - XLSX file contents
+   */
+  static exportToXLSX(data, columns, sheetName = 'Sheet1') {
+    const rows = [
+      columns.map(col => col.header),
+      ...data.map(item => columns.map(col => item[col.key] ?? ''))
+    ];
+
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rows), sheetName);
+    return XLSX.write(workbook, { bookType: 'xlsx', type: 'array' });
+  }
+
   /**
    * Export data to CSV format
    * @param {Array} data - Data to export
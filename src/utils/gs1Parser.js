@@ -0,0 +1,210 @@
+import { GS1 } from '../constants.js';
+
+// "(01)00012345678905(17)251231" - human-readable element string
+const BRACKETED_PATTERN = /^\(\d{2}\)/;
+const BRACKETED_ELEMENT = /\((\d{2})\)([^(]*)/g;
+
+// Unbracketed element string starting with a GTIN and at least one more AI
+const PLAIN_GTIN_PATTERN = /^01\d{14}./;
+
+/**
+ * Parser for GS1-128 / GS1 DataMatrix element strings read by the scanner
+ */
+export class GS1Parser {
+  /**
+   * Check whether scan input looks like a GS1 element string rather than a plain barcode
+   * @param {string} input - Raw scan input
+   * @returns {boolean} - True when the input should be parsed as GS1
+   */
+  static isGS1(input) {
+    if (!input) return false;
+
+    return GS1.SYMBOLOGY_PREFIX.test(input) ||
+      input.includes(GS1.GROUP_SEPARATOR) ||
+      BRACKETED_PATTERN.test(input) ||
+      PLAIN_GTIN_PATTERN.test(input);
+  }
+
+  /**
+   * Parse a GS1 element string into its application identifiers
+   * @param {string} input - Raw scan input (GS/FNC1 separated, bracketed, or prefixed)
+   * @returns {Object} - { elements, gtin, lot, expirationDate, serialNumber, matchCodes, error }
+   */
+  static parse(input) {
+    const result = {
+      elements: [],
+      gtin: null,
+      lot: null,
+      expirationDate: null,
+      serialNumber: null,
+      matchCodes: [],
+      error: null
+    };
+
+    let text = String(input || '').replace(GS1.SYMBOLOGY_PREFIX, '');
+    while (text.startsWith(GS1.GROUP_SEPARATOR)) {
+      text = text.slice(1);
+    }
+
+    const parsed = BRACKETED_PATTERN.test(text) ? this.parseBracketed(text) : this.parseElementString(text);
+    if (parsed.error) {
+      result.error = parsed.error;
+      return result;
+    }
+
+    result.elements = parsed.elements;
+
+    for (const element of parsed.elements) {
+      const definition = GS1.APPLICATION_IDENTIFIERS[element.ai];
+
+      if (definition.length && element.value.length !== definition.length) {
+        result.error = `AI ${element.ai} (${definition.name}) must be ${definition.length} characters`;
+        return result;
+      }
+
+      if (definition.maxLength && (!element.value || element.value.length > definition.maxLength)) {
+        result.error = `AI ${element.ai} (${definition.name}) must be 1-${definition.maxLength} characters`;
+        return result;
+      }
+
+      if (definition.field === 'expirationDate') {
+        result.expirationDate = this.parseDate(element.value);
+        if (!result.expirationDate) {
+          result.error = `AI 17 expiration date "${element.value}" is not a valid YYMMDD date`;
+          return result;
+        }
+      } else if (definition.field) {
+        result[definition.field] = element.value;
+      }
+    }
+
+    if (!result.gtin) {
+      result.error = 'GS1 barcode has no GTIN (AI 01)';
+      return result;
+    }
+
+    if (!this.isValidGTIN(result.gtin)) {
+      result.error = `GTIN ${result.gtin} has an invalid check digit`;
+      return result;
+    }
+
+    result.matchCodes = this.gtinCandidates(result.gtin);
+    return result;
+  }
+
+  /**
+   * Split a raw element string - variable-length fields end at a group separator
+   * @param {string} text - Element string without symbology prefix
+   * @returns {Object} - { elements, error }
+   */
+  static parseElementString(text) {
+    const elements = [];
+    let position = 0;
+
+    while (position < text.length) {
+      const ai = text.substr(position, 2);
+      const definition = GS1.APPLICATION_IDENTIFIERS[ai];
+      if (!definition) {
+        return { elements, error: `Unsupported GS1 application identifier "${ai}"` };
+      }
+      position += 2;
+
+      let value;
+      if (definition.length) {
+        value = text.substr(position, definition.length);
+        position += definition.length;
+      } else {
+        const separatorIndex = text.indexOf(GS1.GROUP_SEPARATOR, position);
+        const end = separatorIndex === -1 ? text.length : separatorIndex;
+        value = text.slice(position, Math.min(end, position + definition.maxLength));
+        position += value.length;
+      }
+
+      // Separators are optional after fixed-length fields and required after variable ones
+      if (text[position] === GS1.GROUP_SEPARATOR) {
+        position++;
+      }
+
+      elements.push({ ai, name: definition.name, value });
+    }
+
+    return { elements, error: null };
+  }
+
+  /**
+   * Split a human-readable "(01)...(10)..." element string
+   * @param {string} text - Bracketed element string
+   * @returns {Object} - { elements, error }
+   */
+  static parseBracketed(text) {
+    const elements = [];
+
+    for (const match of text.matchAll(BRACKETED_ELEMENT)) {
+      const definition = GS1.APPLICATION_IDENTIFIERS[match[1]];
+      if (!definition) {
+        return { elements, error: `Unsupported GS1 application identifier "${match[1]}"` };
+      }
+      elements.push({ ai: match[1], name: definition.name, value: match[2].replace(GS1.GROUP_SEPARATOR, '').trim() });
+    }
+
+    return { elements, error: null };
+  }
+
+  /**
+   * Convert a GS1 YYMMDD date to ISO. Day 00 means the last day of the month and
+   * the century follows the GS1 sliding window (-49 to +50 years from today).
+   * @param {string} value - YYMMDD date
+   * @param {Date} now - Reference date for the century window
+   * @returns {string|null} - Date in YYYY-MM-DD form, or null when invalid
+   */
+  static parseDate(value, now = new Date()) {
+    const match = String(value).match(/^(\d{2})(\d{2})(\d{2})$/);
+    if (!match) return null;
+
+    const currentYear = now.getFullYear();
+    const century = Math.floor(currentYear / 100) * 100;
+    let year = century + parseInt(match[1], 10);
+    if (year - currentYear > 50) year -= 100;
+    if (currentYear - year > 49) year += 100;
+
+    const month = parseInt(match[2], 10);
+    const lastDay = new Date(year, month, 0).getDate();
+    const day = parseInt(match[3], 10) || lastDay;
+    if (month < 1 || month > 12 || day > lastDay) return null;
+
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+  }
+
+  /**
+   * Check a GTIN's mod-10 check digit
+   * @param {string} gtin - 8, 12, 13 or 14 digit GTIN
+   * @returns {boolean} - True when the check digit matches
+   */
+  static isValidGTIN(gtin) {
+    if (!/^(\d{8}|\d{12}|\d{13}|\d{14})$/.test(gtin)) return false;
+
+    const digits = gtin.split('').map(Number);
+    const checkDigit = digits.pop();
+    const sum = digits.reverse().reduce((total, digit, index) => total + digit * (index % 2 === 0 ? 3 : 1), 0);
+    return (10 - (sum % 10)) % 10 === checkDigit;
+  }
+
+  /**
+   * Barcode forms a GTIN-14 may be stored under in the inventory exports
+   * (GTIN-14, EAN-13, UPC-A, GTIN-8, and without any leading zeros)
+   * @param {string} gtin - GTIN-14
+   * @returns {Array} - Candidate barcode strings, longest first
+   */
+  static gtinCandidates(gtin) {
+    const candidates = [gtin];
+    [13, 12, 8].forEach(length => {
+      const leading = gtin.slice(0, gtin.length - length);
+      if (/^0*$/.test(leading)) candidates.push(gtin.slice(-length));
+    });
+    candidates.push(gtin.replace(/^0+/, ''));
+
+    return [...new Set(candidates)];
+  }
+}
+
+export default GS1Parser;
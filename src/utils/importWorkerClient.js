@@ -0,0 +1,184 @@
+import { DataProcessor } from './dataProcessor.js';
+import { IMPORT_STAGES } from '../constants.js';
+
+/**
+ * Main-thread side of the import worker
+ * Runs one job at a time; cancel() terminates the worker outright so a long
+ * XLSX.read stops immediately. Falls back to parsing on the main thread when
+ * Web Workers are unavailable.
+ */
+export class ImportWorkerClient {
+  constructor() {
+    this.worker = null;
+    this.job = null;
+    this.nextJobId = 1;
+  }
+
+  /**
+   * Check whether the browser can run the import worker
+   * @returns {boolean} - True if module workers can be created
+   */
+  static isSupported() {
+    return typeof Worker !== 'undefined';
+  }
+
+  /**
+   * Parse a file and build its column-mapping analysis
+   * @param {File} file - File to analyze
+   * @param {string} dataSource - DATA_SOURCES value
+   * @param {Function} onProgress - Progress callback (loaded, total, stage) (optional)
+   * @param {Array} sheetNames - Workbook sheets to analyze (optional)
+   * @returns {Promise<Object>} - Mapping analysis with preview rows and sheet summaries
+   */
+  analyze(file, dataSource, onProgress = null, sheetNames = null) {
+    if (!ImportWorkerClient.isSupported()) {
+      return this.runInline(async () => {
+        const fileData = await DataProcessor.parseFile(file, onProgress);
+        return DataProcessor.analyzeParsedFile(fileData, dataSource, sheetNames);
+      });
+    }
+
+    return this.startJob({ type: 'analyze', file, dataSource, sheetNames }, onProgress);
+  }
+
+  /**
+   * Parse, validate and process a file into inventory items
+   * @param {File} file - File to import
+   * @param {string} dataSource - DATA_SOURCES value
+   * @param {Object} options - { columnMapping, signature, sheetNames, qualityRules }
+   * @param {Function} onProgress - Progress callback (loaded, total, stage) (optional)
+   * @returns {Promise<Object>} - { data, statistics, columnMapping, duplicates, errors, warnings }
+   */
+  process(file, dataSource, options = {}, onProgress = null) {
+    if (!ImportWorkerClient.isSupported()) {
+      return this.runInline(async () => {
+        const fileData = await DataProcessor.parseFile(file, onProgress);
+        return DataProcessor.runImport(fileData, dataSource, { ...options, onProgress });
+      });
+    }
+
+    return this.startJob({
+      type: 'process',
+      file,
+      dataSource,
+      columnMapping: options.columnMapping || null,
+      signature: options.signature || null,
+      sheetNames: options.sheetNames || null,
+      qualityRules: options.qualityRules || null
+    }, onProgress);
+  }
+
+  /**
+   * Cancel the running job, if any
+   * @returns {boolean} - True if a job was cancelled
+   */
+  cancel() {
+    if (!this.job) return false;
+
+    const { reject } = this.job;
+    this.job = null;
+    this.terminate();
+
+    const error = new Error('Import cancelled');
+    error.cancelled = true;
+    reject(error);
+    return true;
+  }
+
+  /**
+   * Check whether a job is running
+   * @returns {boolean} - True while a job is in progress
+   */
+  isBusy() {
+    return this.job !== null;
+  }
+
+  /**
+   * Stop the worker; a new one is created for the next job
+   */
+  terminate() {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+  }
+
+  getWorker() {
+    if (!this.worker) {
+      this.worker = new Worker(new URL('../workers/importWorker.js', import.meta.url), { type: 'module' });
+      this.worker.onmessage = (event) => this.handleMessage(event.data);
+      this.worker.onerror = (event) => {
+        event.preventDefault();
+        this.failJob(new Error(event.message || 'Import worker crashed'));
+        this.terminate();
+      };
+    }
+    return this.worker;
+  }
+
+  startJob(message, onProgress) {
+    // Only one import at a time - a new file replaces the previous job
+    this.cancel();
+
+    return new Promise((resolve, reject) => {
+      const id = this.nextJobId++;
+      this.job = { id, resolve, reject, onProgress, items: [] };
+      this.getWorker().postMessage({ ...message, id });
+    });
+  }
+
+  handleMessage(message) {
+    const job = this.job;
+    if (!job || message.id !== job.id) return; // Stale message from a cancelled job
+
+    switch (message.type) {
+      case 'progress':
+        if (job.onProgress) job.onProgress(message.loaded, message.total, message.stage);
+        break;
+
+      case 'analysis':
+        this.job = null;
+        job.resolve(message.analysis);
+        break;
+
+      case 'chunk':
+        for (let i = 0; i < message.items.length; i++) job.items.push(message.items[i]);
+        if (job.onProgress) job.onProgress(job.items.length, message.total, IMPORT_STAGES.PROCESSING);
+        break;
+
+      case 'complete':
+        this.job = null;
+        job.resolve({
+          data: job.items,
+          statistics: message.statistics,
+          columnMapping: message.columnMapping,
+          duplicates: message.duplicates,
+          errors: message.errors,
+          warnings: message.warnings
+        });
+        break;
+
+      case 'error':
+        this.failJob(new Error(message.message));
+        break;
+
+      default:
+        console.warn('⚠️ Unknown import worker message:', message.type);
+    }
+  }
+
+  failJob(error) {
+    const job = this.job;
+    if (!job) return;
+
+    this.job = null;
+    job.reject(error);
+  }
+
+  async runInline(task) {
+    console.warn('⚠️ Web Workers unavailable - parsing on the main thread');
+    return task();
+  }
+}
+
+export default ImportWorkerClient;
@@ -0,0 +1,199 @@
+import { BarcodeMatcher } from './barcodeMatcher.js';
+
+// Fields whose words are searchable by prefix
+const SEARCH_FIELDS = ['productName', 'brand', 'strain', 'sku', 'barcode', 'bioTrackCode', 'shipmentId', 'internalNo'];
+
+// Code fields are also indexed whole so "ABC-123" finds itself
+const CODE_FIELDS = ['sku', 'barcode', 'bioTrackCode', 'shipmentId', 'internalNo'];
+
+const TOKEN_SPLIT = /[^a-z0-9]+/;
+
+// Indexes by the array they were built from - imports replace the array, so identity is enough
+const indexCache = new WeakMap();
+
+/**
+ * In-memory lookup tables over one inventory dataset. Built once per import
+ * or restore so scans and searches don't walk the whole array.
+ */
+export class InventoryIndex {
+  /**
+   * @param {Array} items - Main Inventory or Sweed items
+   */
+  constructor(items = []) {
+    this.items = items;
+    this.byKey = new Map();      // "barcode_sku" → first item with that key
+    this.byBarcode = new Map();  // exact barcode → [item]
+    this.bySku = new Map();      // uppercase SKU → [item]
+    this.byCode = new Map();     // every BarcodeMatcher key form → [item]
+    this.byToken = new Map();    // lowercase search token → Set of item positions
+    this.tokens = [];            // sorted tokens for prefix lookups
+    this.searchText = [];        // per position: lowercase search fields, one per line, for substring matches
+
+    items.forEach((item, position) => {
+      const key = `${item.barcode}_${item.sku}`;
+      if (!this.byKey.has(key)) this.byKey.set(key, item);
+
+      this.addTo(this.byBarcode, item.barcode, item);
+      this.addTo(this.bySku, item.sku ? String(item.sku).toUpperCase() : null, item);
+      new Set(BarcodeMatcher.itemKeys(item)).forEach(code => this.addTo(this.byCode, code, item));
+
+      this.searchText[position] = SEARCH_FIELDS
+        .map(field => (item[field] ? String(item[field]).toLowerCase() : ''))
+        .join('\n');
+
+      this.tokenize(item).forEach(token => {
+        if (!this.byToken.has(token)) this.byToken.set(token, new Set());
+        this.byToken.get(token).add(position);
+      });
+    });
+
+    this.tokens = Array.from(this.byToken.keys()).sort();
+  }
+
+  /**
+   * Use a prebuilt index as-is, or the (cached) index of a plain array
+   * @param {InventoryIndex|Array} data - Index or items
+   * @returns {InventoryIndex} - Index over the data
+   */
+  static from(data) {
+    if (data instanceof InventoryIndex) return data;
+    if (!Array.isArray(data)) return new InventoryIndex([]);
+
+    if (!indexCache.has(data)) indexCache.set(data, new InventoryIndex(data));
+    return indexCache.get(data);
+  }
+
+  addTo(map, key, item) {
+    if (key === null || key === undefined || key === '') return;
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push(item);
+  }
+
+  /**
+   * Lowercase search tokens for an item - words of every search field plus whole code values
+   * @param {Object} item - Inventory item
+   * @returns {Set} - Tokens
+   */
+  tokenize(item) {
+    const tokens = new Set();
+
+    SEARCH_FIELDS.forEach(field => {
+      const value = item[field];
+      if (!value) return;
+      String(value).toLowerCase().split(TOKEN_SPLIT).forEach(token => {
+        if (token) tokens.add(token);
+      });
+    });
+
+    CODE_FIELDS.forEach(field => {
+      if (item[field]) tokens.add(String(item[field]).toLowerCase());
+    });
+
+    return tokens;
+  }
+
+  /**
+   * Get the item for a scanned-list key
+   * @param {string} barcode - Barcode
+   * @param {string} sku - SKU
+   * @returns {Object|undefined} - Item
+   */
+  getByKey(barcode, sku) {
+    return this.byKey.get(`${barcode}_${sku}`);
+  }
+
+  /**
+   * Items with an exact barcode
+   * @param {string|Array} barcode - Barcode, or candidate forms of one
+   * @returns {Array} - Matching items
+   */
+  findByBarcode(barcode) {
+    const codes = Array.isArray(barcode) ? barcode : [barcode];
+    return this.unique(codes.flatMap(code => this.byBarcode.get(code) || []));
+  }
+
+  /**
+   * Items with a SKU (case-insensitive)
+   * @param {string} sku - SKU
+   * @returns {Array} - Matching items
+   */
+  findBySku(sku) {
+    return sku ? this.bySku.get(String(sku).toUpperCase()) || [] : [];
+  }
+
+  /**
+   * Items registered under any of the given BarcodeMatcher key forms
+   * @param {Array} keys - Key forms from BarcodeMatcher.scanKeys
+   * @returns {Array} - Candidate items (unranked)
+   */
+  findCodeCandidates(keys) {
+    return this.unique(keys.flatMap(key => this.byCode.get(key) || []));
+  }
+
+  /**
+   * Items where every word of the term starts one of the item's tokens,
+   * or where the whole term appears anywhere in a search field ("ream" → "Blue Dream")
+   * @param {string} term - Search text
+   * @returns {Array} - Matching items in dataset order
+   */
+  search(term) {
+    const text = String(term || '').toLowerCase().trim();
+    if (!text) return [];
+
+    const positions = this.searchTokens(text);
+    this.searchText.forEach((fields, position) => {
+      if (!positions.has(position) && fields.includes(text)) positions.add(position);
+    });
+
+    return Array.from(positions).sort((a, b) => a - b).map(position => this.items[position]);
+  }
+
+  /**
+   * Positions where every word of the term starts one of the item's tokens
+   * @param {string} text - Lowercase search text
+   * @returns {Set} - Item positions
+   */
+  searchTokens(text) {
+    const words = text.split(TOKEN_SPLIT).filter(Boolean);
+    if (words.length === 0) return new Set();
+
+    let positions = null;
+
+    for (const word of words) {
+      const matched = new Set();
+      for (let i = this.lowerBound(word); i < this.tokens.length && this.tokens[i].startsWith(word); i++) {
+        this.byToken.get(this.tokens[i]).forEach(position => {
+          if (!positions || positions.has(position)) matched.add(position);
+        });
+      }
+
+      positions = matched;
+      if (positions.size === 0) break;
+    }
+
+    return positions;
+  }
+
+  // First token position >= word
+  lowerBound(word) {
+    let low = 0;
+    let high = this.tokens.length;
+
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (this.tokens[middle] < word) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+
+    return low;
+  }
+
+  unique(items) {
+    return items.length > 1 ? [...new Set(items)] : items;
+  }
+}
+
+export default InventoryIndex;
@@ -0,0 +1,66 @@
+import labelSansUrl from '../assets/fonts/DejaVuSans.ttf?url';
+import labelSansBoldUrl from '../assets/fonts/DejaVuSans-Bold.ttf?url';
+
+export const LABEL_FONT_FAMILY = 'LabelSans';
+
+const FONT_FILES = [
+  { file: 'DejaVuSans.ttf', url: labelSansUrl, style: 'normal' },
+  { file: 'DejaVuSans-Bold.ttf', url: labelSansBoldUrl, style: 'bold' }
+];
+
+// Each is loaded once per session and retried after a failure
+let fontFilesPromise = null;
+let canvasFontsPromise = null;
+
+/**
+ * The bundled label typeface (DejaVu Sans), shared by the vector PDF and the
+ * canvas preview so both wrap and autoFit text with the same metrics.
+ */
+export class LabelFonts {
+  /**
+   * Fetch the TrueType files as binary strings for jsPDF's virtual file system
+   * @returns {Promise<Array>} - [{ file, style, data }]
+   */
+  static loadFontFiles() {
+    if (!fontFilesPromise) {
+      fontFilesPromise = Promise.all(FONT_FILES.map(async (font) => {
+        const response = await fetch(font.url);
+        if (!response.ok) throw new Error(`${font.file}: HTTP ${response.status}`);
+        return { ...font, data: this.toBinaryString(await response.arrayBuffer()) };
+      })).catch(error => {
+        fontFilesPromise = null;
+        throw error;
+      });
+    }
+    return fontFilesPromise;
+  }
+
+  /**
+   * Register the typeface with the document so canvases can draw with it
+   * @returns {Promise<string>} - CSS family name to draw with
+   */
+  static loadCanvasFonts() {
+    if (!canvasFontsPromise) {
+      canvasFontsPromise = Promise.all(FONT_FILES.map(async (font) => {
+        const face = new FontFace(LABEL_FONT_FAMILY, `url(${font.url})`, { weight: font.style });
+        document.fonts.add(await face.load());
+      })).then(() => LABEL_FONT_FAMILY).catch(error => {
+        canvasFontsPromise = null;
+        throw error;
+      });
+    }
+    return canvasFontsPromise;
+  }
+
+  static toBinaryString(buffer) {
+    const bytes = new Uint8Array(buffer);
+    const chunkSize = 0x8000;
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += chunkSize) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+    }
+    return binary;
+  }
+}
+
+export default LabelFonts;
@@ -1,20 +1,27 @@
+import { LabelStocks } from './labelStocks.js';
+
+// Sheet geometry comes from the label stock registry
+const S5492_STOCK = LabelStocks.getStock('S-5492');
+const S5492_PRINTABLE = LabelStocks.getPrintableArea(S5492_STOCK);
+
 // S-5492 NEW ROTATED CONTENT LAYOUT specifications
 const LABEL_SPECS = {
   // S-5492 Physical Specifications: 4" × 6" positioned SIDEWAYS with content rotated 90° right
-  WIDTH_INCHES: 6,        // 6" wide when paper is rotated 90°
-  HEIGHT_INCHES: 4,       // 4" tall when paper is rotated 90°
-  LABELS_PER_SHEET: 4,    // 2×2 grid (when rotated)
-  SHEET_WIDTH: 8.5,       // Legal width (printed orientation)
-  SHEET_HEIGHT: 14,       // Legal height (printed orientation)
+  STOCK_ID: S5492_STOCK.id,
+  WIDTH_INCHES: S5492_STOCK.label.height / 72,   // 6" wide when paper is rotated 90°
+  HEIGHT_INCHES: S5492_STOCK.label.width / 72,   // 4" tall when paper is rotated 90°
+  LABELS_PER_SHEET: LabelStocks.getLabelsPerSheet(S5492_STOCK),
+  SHEET_WIDTH: S5492_STOCK.page.width / 72,      // Legal width (printed orientation)
+  SHEET_HEIGHT: S5492_STOCK.page.height / 72,    // Legal height (printed orientation)
   ORIENTATION: 'rotated_content', // Labels positioned sideways, content rotated 90° right
   ROTATION_ANGLE: 90,     // Rotate paper 90° clockwise to read
   CONTENT_ROTATION: 90,   // Content also rotated 90° right for optimal layout
   WORKFLOW: 'print_rotate_peel',
   
   // HP E877 Printer specs
-  PRINTER_MARGIN: 0.167,  // 0.167" margins on all sides
-  PRINTABLE_WIDTH: 8.17,  // 8.5" - (2 × 0.167")
-  PRINTABLE_HEIGHT: 13.67, // 14" - (2 × 0.167")
+  PRINTER_MARGIN: S5492_STOCK.margins.left / 72,
+  PRINTABLE_WIDTH: S5492_PRINTABLE.width / 72,
+  PRINTABLE_HEIGHT: S5492_PRINTABLE.height / 72,
   
   // Migration info
   REPLACES: 'S-21846',
@@ -181,7 +188,14 @@ export class LabelFormatter {
       caseQuantity: enhancedData?.caseQuantity || '',
       boxCount: Math.max(1, parseInt(enhancedData?.boxCount || '1')),
       harvestDate: this.formatDateForNewLayout(enhancedData?.harvestDate),
-      packagedDate: this.formatDateForNewLayout(enhancedData?.packagedDate),
+      // Fall back to the imported manufacturing date when no packaged date was entered
+      packagedDate: this.formatDateForNewLayout(enhancedData?.packagedDate || item.manufacturingDate),
+      
+      // Imported inventory attributes
+      thcPercent: item.thcPercent ?? null,
+      cbdPercent: item.cbdPercent ?? null,
+      expirationDate: this.formatDateForNewLayout(item.expirationDate),
+      shipmentId: item.shipmentId || '',
       
       // Display formats - Enhanced for new rotated content layout
       barcodeDisplay: this.formatBarcodeForNewLayout(item.barcode || item.sku || ''),
@@ -505,7 +519,7 @@ export class LabelFormatter {
       if (isNaN(qty) || qty < VALIDATION.LABEL_QUANTITY.min || qty > VALIDATION.LABEL_QUANTITY.max) {
         errors.push(`Label quantity must be between ${VALIDATION.LABEL_QUANTITY.min} and ${VALIDATION.LABEL_QUANTITY.max}`);
       } else if (qty > VALIDATION.LABEL_QUANTITY.warningThreshold) {
-        const pages = Math.ceil(qty / LABEL_SPECS.LABELS_PER_SHEET);
+        const pages = LabelStocks.getSheetCount(S5492_STOCK, qty);
         warnings.push(`Large label quantity (${qty}) will require ${pages} legal size sheets`);
       }
     }
@@ -657,7 +671,7 @@ export class LabelFormatter {
    * @returns {number} - Number of pages needed
    */
   static calculateS5492NewLayoutPagesNeeded(totalLabels) {
-    return Math.ceil(totalLabels / LABEL_SPECS.LABELS_PER_SHEET);
+    return LabelStocks.getSheetCount(S5492_STOCK, totalLabels);
   }
 
   /**
@@ -0,0 +1,192 @@
+import { LabelTemplateEngine } from './labelTemplateEngine.js';
+import { BarcodeGenerator } from './barcodeGenerator.js';
+import { LabelFonts, LABEL_FONT_FAMILY } from './labelFonts.js';
+import { PDF_RENDERING } from '../constants.js';
+
+const FALLBACK_FAMILY = 'helvetica';
+
+const DEBUG_COLOR = '#ff0000';
+const FALLBACK_BAR_WIDTH = 2;
+const FALLBACK_PATTERN = [1, 0, 1, 1, 0, 1, 0, 1, 1, 0, 1, 0, 1, 1, 0, 1, 0, 1, 1, 0];
+
+/**
+ * Vector label rendering - draws LabelTemplateEngine's operations straight
+ * onto a jsPDF page: text as real (selectable) text in an embedded font,
+ * barcodes as filled bar and cell rectangles, boxes and rules as strokes.
+ * Nothing is rasterized, so labels stay sharp when the printer rescales the page.
+ */
+export class LabelPDFRenderer {
+  /**
+   * Embed the label fonts in a document - call once per jsPDF instance
+   * @param {Object} pdf - jsPDF instance
+   * @returns {string} - Font family to render with (Helvetica when the fonts could not be loaded)
+   */
+  static async prepareDocument(pdf) {
+    try {
+      // jsPDF subsets the fonts into each document
+      const files = await LabelFonts.loadFontFiles();
+      files.forEach(({ file, style, data }) => {
+        pdf.addFileToVFS(file, data);
+        pdf.addFont(file, LABEL_FONT_FAMILY, style);
+      });
+      return LABEL_FONT_FAMILY;
+    } catch (error) {
+      console.warn('⚠️ Label fonts could not be embedded, using Helvetica:', error);
+      return FALLBACK_FAMILY;
+    }
+  }
+
+  /**
+   * Draw one label at its position on the current page
+   * @param {Object} pdf - jsPDF instance
+   * @param {Object} template - Label template (see LabelTemplateEngine)
+   * @param {Object} values - Field name → value for placeholders
+   * @param {Object} position - { x, y } of the label's top-left corner in points
+   * @param {Object} options - { debug, fontFamily } - fontFamily from prepareDocument
+   */
+  static async renderToPDF(pdf, template, values, position, options = {}) {
+    const { debug = false, fontFamily = FALLBACK_FAMILY } = options;
+    const frame = {
+      x: position.x,
+      y: position.y,
+      width: template.label.width,
+      height: template.label.height,
+      rotated: template.rotate === 90
+    };
+
+    if (template.border) {
+      pdf.setDrawColor(template.border.color || '#000000');
+      pdf.setLineWidth(template.border.lineWidth || 1);
+      pdf.rect(frame.x, frame.y, frame.width, frame.height, 'S');
+    }
+
+    // Lay out with the PDF's own font metrics so wrapping and autoFit match what is drawn
+    const measure = (text, font) => {
+      this.setFont(pdf, fontFamily, font);
+      return pdf.getTextWidth(text);
+    };
+    const { ops } = LabelTemplateEngine.layout(template, values, measure);
+
+    for (const op of ops) {
+      if (op.type === 'debug' && !debug) continue;
+      await this.drawOp(pdf, op, frame, fontFamily);
+    }
+  }
+
+  static async drawOp(pdf, op, frame, fontFamily) {
+    switch (op.type) {
+      case 'text':
+        this.drawText(pdf, op, frame, fontFamily);
+        break;
+
+      case 'rect': {
+        const rect = this.toPageRect(frame, op);
+        pdf.setDrawColor(op.color);
+        pdf.setLineWidth(op.lineWidth);
+        pdf.rect(rect.x, rect.y, rect.width, rect.height, 'S');
+        break;
+      }
+
+      case 'line': {
+        const start = this.toPage(frame, op.x1, op.y1);
+        const end = this.toPage(frame, op.x2, op.y2);
+        pdf.setDrawColor(op.color);
+        pdf.setLineWidth(op.lineWidth);
+        pdf.line(start.x, start.y, end.x, end.y);
+        break;
+      }
+
+      case 'barcode':
+        await this.drawBarcode(pdf, op, frame);
+        break;
+
+      case 'debug': {
+        const rect = this.toPageRect(frame, op);
+        pdf.saveGraphicsState();
+        pdf.setDrawColor(DEBUG_COLOR);
+        pdf.setLineWidth(0.5);
+        pdf.setLineDashPattern([4, 3], 0);
+        pdf.rect(rect.x, rect.y, rect.width, rect.height, 'S');
+        pdf.restoreGraphicsState();
+        this.drawText(pdf, {
+          text: op.label, x: op.x + 1, y: op.y + 1, size: 6, weight: 'normal',
+          color: DEBUG_COLOR, align: 'left', baseline: 'top'
+        }, frame, fontFamily);
+        break;
+      }
+
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Text is anchored by its alignment and canvas-style baseline ('top' or 'middle'),
+   * so the start point and alphabetic baseline are worked out here before drawing
+   */
+  static drawText(pdf, op, frame, fontFamily) {
+    if (!op.text) return;
+
+    this.setFont(pdf, fontFamily, op);
+    pdf.setTextColor(op.color);
+
+    const width = pdf.getTextWidth(op.text);
+    const startX = op.align === 'center' ? op.x - width / 2 : op.align === 'right' ? op.x - width : op.x;
+    const ascent = PDF_RENDERING.TEXT_ASCENT * op.size;
+    const baselineY = op.baseline === 'middle' ? op.y + ascent - op.size / 2 : op.y + ascent;
+
+    const point = this.toPage(frame, startX, baselineY);
+    pdf.text(op.text, point.x, point.y, { angle: frame.rotated ? -90 : 0 });
+  }
+
+  /**
+   * Barcode as filled bars or cells - unreadable values get a placeholder bar pattern
+   */
+  static async drawBarcode(pdf, op, frame) {
+    pdf.setFillColor('#000000');
+
+    const encoding = await BarcodeGenerator.encode(op.value, op.symbology);
+    if (!encoding.isValid) {
+      console.warn('Invalid barcode:', encoding.error);
+      this.drawFallbackBarcode(pdf, op, frame);
+      return;
+    }
+
+    BarcodeGenerator.getModuleRects(encoding, op).forEach(rect => this.fillRect(pdf, frame, rect));
+  }
+
+  static drawFallbackBarcode(pdf, op, frame) {
+    for (let i = 0; i < Math.min(FALLBACK_PATTERN.length, Math.floor(op.width / FALLBACK_BAR_WIDTH)); i++) {
+      if (FALLBACK_PATTERN[i] === 1) {
+        this.fillRect(pdf, frame, { x: op.x + i * FALLBACK_BAR_WIDTH, y: op.y, width: FALLBACK_BAR_WIDTH, height: op.height });
+      }
+    }
+  }
+
+  static fillRect(pdf, frame, rect) {
+    const pageRect = this.toPageRect(frame, rect);
+    pdf.rect(pageRect.x, pageRect.y, pageRect.width, pageRect.height, 'F');
+  }
+
+  static setFont(pdf, fontFamily, font) {
+    pdf.setFont(fontFamily, font.weight === 'bold' ? 'bold' : 'normal');
+    pdf.setFontSize(font.size);
+  }
+
+  /**
+   * Content point → page point, turning it 90° clockwise when the template rotates
+   */
+  static toPage(frame, x, y) {
+    return frame.rotated
+      ? { x: frame.x + frame.width - y, y: frame.y + x }
+      : { x: frame.x + x, y: frame.y + y };
+  }
+
+  static toPageRect(frame, rect) {
+    return frame.rotated
+      ? { x: frame.x + frame.width - (rect.y + rect.height), y: frame.y + rect.x, width: rect.height, height: rect.width }
+      : { x: frame.x + rect.x, y: frame.y + rect.y, width: rect.width, height: rect.height };
+  }
+}
+
+export default LabelPDFRenderer;
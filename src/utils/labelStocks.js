@@ -0,0 +1,207 @@
+import { LABEL_STOCKS } from '../constants.js';
+
+// Templates and stocks match when their label sizes agree to within this many points
+const SIZE_TOLERANCE = 0.5;
+
+/**
+ * Label stock registry - page size, grid, label size, gutters and printer
+ * margins for each sheet we print on. Labels are laid out as a grid centered
+ * inside the printable area (the page less the printer margins).
+ *
+ * Stock shape (all lengths in points):
+ *   id, name, description
+ *   page      { width, height }
+ *   label     { width, height }
+ *   columns, rows
+ *   gutter    { x, y } - space between neighbouring labels
+ *   margins   { top, right, bottom, left } - printer's unprintable edge
+ *   rotation  0 or 90 - how far the sheet is turned to read the labels
+ *   legacy, replacedBy (built-in formats we moved away from), custom (added by an Administrator)
+ */
+export class LabelStocks {
+  /**
+   * Built-in stocks followed by custom ones
+   * @param {Array} customStocks - Saved custom stocks
+   * @returns {Array} - Stock objects
+   */
+  static getStocks(customStocks = []) {
+    return [
+      ...LABEL_STOCKS.BUILT_IN,
+      ...customStocks.map(stock => ({ ...stock, custom: true }))
+    ];
+  }
+
+  /**
+   * Find a stock by id
+   * @param {string} stockId - Stock id (default stock when omitted or unknown)
+   * @param {Array} customStocks - Saved custom stocks
+   * @returns {Object} - Stock
+   */
+  static getStock(stockId = LABEL_STOCKS.DEFAULT_ID, customStocks = []) {
+    const stocks = this.getStocks(customStocks);
+    return stocks.find(stock => stock.id === stockId)
+      || stocks.find(stock => stock.id === LABEL_STOCKS.DEFAULT_ID);
+  }
+
+  /**
+   * Check a stock's geometry - the label grid has to fit inside the printable area
+   * @param {Object} stock - Stock object
+   * @param {Array} existingStocks - Stocks whose ids are taken
+   * @returns {Object} - { isValid, errors }
+   */
+  static validateStock(stock, existingStocks = []) {
+    const errors = [];
+    const isPositive = (value) => Number.isFinite(value) && value > 0;
+    const isNonNegative = (value) => Number.isFinite(value) && value >= 0;
+
+    if (!stock.id || !String(stock.id).trim()) {
+      errors.push('Stock id is required');
+    } else if (existingStocks.some(existing => existing.id.toLowerCase() === String(stock.id).trim().toLowerCase())) {
+      errors.push(`Stock id "${stock.id}" is already in use`);
+    }
+    if (!stock.name || !String(stock.name).trim()) errors.push('Name is required');
+
+    if (!isPositive(stock.page?.width) || !isPositive(stock.page?.height)) errors.push('Page width and height must be positive');
+    if (!isPositive(stock.label?.width) || !isPositive(stock.label?.height)) errors.push('Label width and height must be positive');
+    if (!Number.isInteger(stock.columns) || stock.columns < 1) errors.push('Columns must be a whole number of at least 1');
+    if (!Number.isInteger(stock.rows) || stock.rows < 1) errors.push('Rows must be a whole number of at least 1');
+    if (!isNonNegative(stock.gutter?.x) || !isNonNegative(stock.gutter?.y)) errors.push('Gutters cannot be negative');
+    if (!['top', 'right', 'bottom', 'left'].every(side => isNonNegative(stock.margins?.[side]))) {
+      errors.push('Printer margins cannot be negative');
+    }
+    if (!LABEL_STOCKS.ROTATIONS.includes(stock.rotation)) errors.push('Rotation must be 0 or 90');
+
+    if (errors.length === 0) {
+      const grid = this.getGridSize(stock);
+      const printable = this.getPrintableArea(stock);
+      if (grid.width > printable.width + SIZE_TOLERANCE || grid.height > printable.height + SIZE_TOLERANCE) {
+        errors.push(
+          `Labels need ${this.formatSize(grid)} but the printable area is ${this.formatSize(printable)}`
+        );
+      }
+    }
+
+    return { isValid: errors.length === 0, errors };
+  }
+
+  /**
+   * Page less the printer margins
+   * @param {Object} stock - Stock object
+   * @returns {Object} - { x, y, width, height }
+   */
+  static getPrintableArea(stock) {
+    const { page, margins } = stock;
+    return {
+      x: margins.left,
+      y: margins.top,
+      width: page.width - margins.left - margins.right,
+      height: page.height - margins.top - margins.bottom
+    };
+  }
+
+  /**
+   * Size of the whole label grid including gutters
+   * @param {Object} stock - Stock object
+   * @returns {Object} - { width, height }
+   */
+  static getGridSize(stock) {
+    return {
+      width: stock.columns * stock.label.width + (stock.columns - 1) * stock.gutter.x,
+      height: stock.rows * stock.label.height + (stock.rows - 1) * stock.gutter.y
+    };
+  }
+
+  /**
+   * @param {Object} stock - Stock object
+   * @returns {number} - Labels on one sheet
+   */
+  static getLabelsPerSheet(stock) {
+    return stock.columns * stock.rows;
+  }
+
+  /**
+   * Sheets needed for a number of labels
+   * @param {Object} stock - Stock object
+   * @param {number} labelCount - Labels to print
+   * @returns {number}
+   */
+  static getSheetCount(stock, labelCount) {
+    return Math.ceil(Math.max(0, labelCount) / this.getLabelsPerSheet(stock));
+  }
+
+  /**
+   * Position of a label on its sheet, filling rows left to right
+   * @param {Object} stock - Stock object
+   * @param {number} labelIndex - Label index (wraps onto the next sheet)
+   * @returns {Object} - { x, y, width, height, row, col, labelIndex, stockId } in points
+   */
+  static getLabelPosition(stock, labelIndex) {
+    const slot = labelIndex % this.getLabelsPerSheet(stock);
+    const row = Math.floor(slot / stock.columns);
+    const col = slot % stock.columns;
+
+    const printable = this.getPrintableArea(stock);
+    const grid = this.getGridSize(stock);
+    const startX = printable.x + (printable.width - grid.width) / 2;
+    const startY = printable.y + (printable.height - grid.height) / 2;
+
+    return {
+      x: Math.floor(startX + col * (stock.label.width + stock.gutter.x)),
+      y: Math.floor(startY + row * (stock.label.height + stock.gutter.y)),
+      width: stock.label.width,
+      height: stock.label.height,
+      row,
+      col,
+      labelIndex: slot,
+      stockId: stock.id
+    };
+  }
+
+  /**
+   * Every label position on one sheet
+   * @param {Object} stock - Stock object
+   * @returns {Array} - Positions from getLabelPosition
+   */
+  static getSheetLayout(stock) {
+    return Array.from({ length: this.getLabelsPerSheet(stock) }, (_, index) => this.getLabelPosition(stock, index));
+  }
+
+  /**
+   * A single label centered on the page - used for debug prints
+   * @param {Object} stock - Stock object
+   * @returns {Object} - { x, y, width, height, centered }
+   */
+  static getCenteredPosition(stock) {
+    return {
+      x: (stock.page.width - stock.label.width) / 2,
+      y: (stock.page.height - stock.label.height) / 2,
+      width: stock.label.width,
+      height: stock.label.height,
+      centered: true,
+      stockId: stock.id
+    };
+  }
+
+  /**
+   * Whether a label template was drawn for this stock's label size
+   * @param {Object} stock - Stock object
+   * @param {Object} template - Label template
+   * @returns {boolean}
+   */
+  static fitsTemplate(stock, template) {
+    return Math.abs(stock.label.width - template.label.width) <= SIZE_TOLERANCE
+      && Math.abs(stock.label.height - template.label.height) <= SIZE_TOLERANCE;
+  }
+
+  /**
+   * Points as inches for display, e.g. 4" × 6"
+   * @param {Object} size - { width, height } in points
+   * @returns {string}
+   */
+  static formatSize({ width, height }) {
+    const inches = (points) => `${Number((points / 72).toFixed(3))}"`;
+    return `${inches(width)} × ${inches(height)}`;
+  }
+}
+
+export default LabelStocks;
@@ -0,0 +1,624 @@
+import { BarcodeGenerator } from './barcodeGenerator.js';
+import { LabelStocks } from './labelStocks.js';
+import { LabelFonts } from './labelFonts.js';
+import { LABEL_TEMPLATES, BARCODE_CONFIG, BARCODE_SYMBOLOGIES } from '../constants.js';
+import s12212Balanced from '../templates/labels/s12212-balanced.json';
+import s5492FourColumn from '../templates/labels/s5492-four-column.json';
+import s21846Wide from '../templates/labels/s21846-wide.json';
+import s5627Compact from '../templates/labels/s5627-compact.json';
+import s12212PackageQr from '../templates/labels/s12212-package-qr.json';
+
+// Built-in layouts - a new layout is a new JSON file listed here
+const BUILT_IN_TEMPLATES = [s12212Balanced, s12212PackageQr, s5492FourColumn, s21846Wide, s5627Compact];
+
+const NODE_TYPES = ['stack', 'columns', 'text', 'box', 'barcode'];
+
+// Matches {field} and {field|fallback} placeholders
+const PLACEHOLDER_PATTERN = /\{(\w+)(?:\|([^}]*))?\}/g;
+
+const DEFAULT_FONT = { family: 'Arial, sans-serif', color: '#000000' };
+const DEFAULT_LINE_GAP = 2;
+const RULE_COLOR = '#cccccc';
+
+/**
+ * Declarative label layouts: JSON templates are laid out into drawing
+ * operations ({ type: 'text' | 'rect' | 'line' | 'barcode' | 'debug', ... })
+ * in content coordinates, which a renderer then draws.
+ *
+ * Template shape:
+ *   label     { width, height } - physical label size in points
+ *   rotate    0 or 90 - content is laid out sideways on the label when 90
+ *   padding   { top, right, bottom, left } around the body
+ *   font      { family, color } defaults
+ *   border    { lineWidth, color } around the label (optional)
+ *   barcode   { symbology } default for barcode nodes (optional, Code 39 when omitted)
+ *   body      root node, laid out inside the padding
+ *   overlays  nodes placed at an absolute { x, y } (optional)
+ *
+ * Nodes:
+ *   stack     children top to bottom; a child with height "fill" takes the space left
+ *   columns   children side by side, split by their weight (default 1)
+ *   text      text with {field|fallback} placeholders - size, weight, align, color,
+ *             lineGap or lineHeight, maxLines, insetX, hideIfEmpty, and
+ *             autoFit { max, min, step } to pick the largest size that fits maxLines
+ *   box       outlined rectangle with optional writing rules and centered text
+ *   barcode   { value, symbology, width, height } - centered in its slot; symbology
+ *             overrides the template default. QR and DATAMATRIX are squares of
+ *             side size (default height)
+ * Any node takes id, marginTop and marginBottom.
+ */
+export class LabelTemplateEngine {
+  /**
+   * Get the built-in templates
+   * @returns {Array} - Template objects
+   */
+  static getTemplates() {
+    return BUILT_IN_TEMPLATES;
+  }
+
+  /**
+   * Find a template by id
+   * @param {string} templateId - Template id (default template when omitted or unknown)
+   * @returns {Object} - Template
+   */
+  static getTemplate(templateId = LABEL_TEMPLATES.DEFAULT_ID) {
+    return this.getTemplates().find(template => template.id === templateId)
+      || this.getTemplates().find(template => template.id === LABEL_TEMPLATES.DEFAULT_ID);
+  }
+
+  /**
+   * Templates drawn for a stock's label size
+   * @param {Object} stock - Label stock (see LabelStocks)
+   * @returns {Array} - Template objects
+   */
+  static getTemplatesForStock(stock) {
+    return this.getTemplates().filter(template => LabelStocks.fitsTemplate(stock, template));
+  }
+
+  /**
+   * Check a template's structure before it is used
+   * @param {Object} template - Template object
+   * @returns {Object} - { isValid, errors }
+   */
+  static validateTemplate(template) {
+    const errors = [];
+
+    if (!template || typeof template !== 'object') {
+      return { isValid: false, errors: ['Template must be an object'] };
+    }
+    if (!template.id) errors.push('Template id is required');
+    if (!template.label || !(template.label.width > 0) || !(template.label.height > 0)) {
+      errors.push('label.width and label.height must be positive numbers');
+    }
+    if (template.rotate && template.rotate !== 90) errors.push('rotate must be 0 or 90');
+    if (template.barcode && !Object.values(BARCODE_SYMBOLOGIES).includes(template.barcode.symbology)) {
+      errors.push(`barcode.symbology "${template.barcode.symbology}" is not supported`);
+    }
+    if (!template.body) errors.push('Template body is required');
+
+    const checkNode = (node, path) => {
+      if (!node || !NODE_TYPES.includes(node.type)) {
+        errors.push(`${path}: unknown node type "${node && node.type}"`);
+        return;
+      }
+      if ((node.type === 'stack' || node.type === 'columns') && !Array.isArray(node.children)) {
+        errors.push(`${path}: ${node.type} needs a children array`);
+      }
+      if (node.type === 'box' && !(node.height > 0)) errors.push(`${path}: box needs a height`);
+      if (node.type === 'barcode' && (!node.value || !(node.height > 0))) errors.push(`${path}: barcode needs a value and height`);
+      if (node.type === 'barcode' && node.symbology && !Object.values(BARCODE_SYMBOLOGIES).includes(node.symbology)) {
+        errors.push(`${path}: barcode symbology "${node.symbology}" is not supported`);
+      }
+      if (node.autoFit && !(node.autoFit.max >= node.autoFit.min && node.autoFit.min > 0)) {
+        errors.push(`${path}: autoFit needs min > 0 and max >= min`);
+      }
+      (node.children || []).forEach((child, index) => checkNode(child, `${path}.${child && child.id ? child.id : index}`));
+    };
+
+    if (template.body) checkNode(template.body, 'body');
+    (template.overlays || []).forEach((node, index) => checkNode(node, `overlays.${node && node.id ? node.id : index}`));
+
+    return { isValid: errors.length === 0, errors };
+  }
+
+  /**
+   * Size of the content area - the label turned sideways when the template rotates
+   * @param {Object} template - Template object
+   * @returns {Object} - { width, height } in points
+   */
+  static getContentSize(template) {
+    const { width, height } = template.label;
+    return template.rotate === 90 ? { width: height, height: width } : { width, height };
+  }
+
+  /**
+   * Lay a template out for one label
+   * @param {Object} template - Template object
+   * @param {Object} values - Field name → value for placeholders
+   * @param {Function} measure - (text, font) → width in points, font is { size, weight, family }
+   * @returns {Object} - { width, height, ops } in content coordinates
+   */
+  static layout(template, values, measure) {
+    const { width, height } = this.getContentSize(template);
+    const padding = { top: 0, right: 0, bottom: 0, left: 0, ...template.padding };
+    const context = {
+      values,
+      measure,
+      font: { ...DEFAULT_FONT, ...template.font },
+      symbology: this.getDefaultSymbology(template)
+    };
+
+    const body = this.layoutNode(template.body, {
+      x: padding.left,
+      y: padding.top,
+      width: width - padding.left - padding.right,
+      height: height - padding.top - padding.bottom
+    }, context);
+
+    const overlayOps = (template.overlays || []).flatMap(node => (
+      this.layoutNode(node, { x: node.x || 0, y: node.y || 0, width: node.width || width - (node.x || 0), height: null }, context).ops
+    ));
+
+    return { width, height, ops: [...body.ops, ...overlayOps] };
+  }
+
+  /**
+   * Symbology for barcode nodes that do not name one
+   * @param {Object} template - Template object
+   * @returns {string} - One of BARCODE_SYMBOLOGIES
+   */
+  static getDefaultSymbology(template) {
+    return (template.barcode && template.barcode.symbology) || BARCODE_CONFIG.FORMAT;
+  }
+
+  /**
+   * Barcode fields a template prints, for checking values before generation
+   * @param {Object} template - Template object
+   * @param {Object} values - Field name → value for placeholders
+   * @returns {Array} - [{ id, symbology, value }]
+   */
+  static getBarcodeFields(template, values) {
+    const fields = [];
+    const visit = (node) => {
+      if (!node) return;
+      if (node.type === 'barcode') {
+        fields.push({
+          id: node.id || 'barcode',
+          symbology: node.symbology || this.getDefaultSymbology(template),
+          value: this.resolveText(node.value, values)
+        });
+      }
+      (node.children || []).forEach(visit);
+    };
+
+    visit(template.body);
+    (template.overlays || []).forEach(visit);
+    return fields;
+  }
+
+  /**
+   * Lay out one node inside a slot
+   * @param {Object} node - Template node
+   * @param {Object} slot - { x, y, width, height } - height null when unconstrained
+   * @param {Object} context - { values, measure, font }
+   * @returns {Object} - { height, ops } - height excludes the node's margins
+   */
+  static layoutNode(node, slot, context) {
+    switch (node.type) {
+      case 'stack':
+        return this.layoutStack(node, slot, context);
+      case 'columns':
+        return this.layoutColumns(node, slot, context);
+      case 'text':
+        return this.layoutText(node, slot, context);
+      case 'box':
+        return this.layoutBox(node, slot, context);
+      case 'barcode':
+        return this.layoutBarcode(node, slot, context);
+      default:
+        console.warn(`⚠️ Unknown label template node type: ${node.type}`);
+        return { height: 0, ops: [] };
+    }
+  }
+
+  static layoutStack(node, slot, context) {
+    // First pass sizes every child that is not "fill" so fill children get what is left
+    const placed = node.children.map(child => {
+      const margins = (child.marginTop || 0) + (child.marginBottom || 0);
+      if (child.height === 'fill') return { child, margins, result: null };
+
+      const result = this.layoutNode(child, { ...slot, y: 0, height: null }, context);
+      return { child, margins, result };
+    });
+
+    const fixedHeight = placed.reduce((total, entry) => {
+      if (!entry.result) return total + entry.margins;
+      return this.isHidden(entry.result) ? total : total + entry.result.height + entry.margins;
+    }, 0);
+    const fillCount = placed.filter(entry => !entry.result).length;
+    const fillHeight = slot.height != null && fillCount > 0 ? Math.max(0, (slot.height - fixedHeight) / fillCount) : null;
+
+    const ops = [];
+    let y = slot.y;
+    placed.forEach(({ child, result }) => {
+      // Hidden children take no space, margins included
+      if (result && this.isHidden(result)) return;
+
+      y += child.marginTop || 0;
+      if (result) {
+        ops.push(...this.shiftOps(result.ops, y));
+        y += result.height;
+      } else {
+        const filled = this.layoutNode(child, { ...slot, y, height: fillHeight }, context);
+        ops.push(...filled.ops);
+        y += fillHeight != null ? fillHeight : filled.height;
+      }
+      y += child.marginBottom || 0;
+    });
+
+    if (node.id) ops.push({ type: 'debug', label: node.id, x: slot.x, y: slot.y, width: slot.width, height: y - slot.y });
+    return { height: y - slot.y, ops };
+  }
+
+  static layoutColumns(node, slot, context) {
+    const totalWeight = node.children.reduce((total, child) => total + (child.weight || 1), 0);
+    const ops = [];
+    let x = slot.x;
+    let height = 0;
+
+    node.children.forEach(child => {
+      const width = slot.width * (child.weight || 1) / totalWeight;
+      const columnY = slot.y + (child.marginTop || 0);
+      const result = this.layoutNode(child, { x, y: columnY, width, height: slot.height }, context);
+
+      ops.push(...result.ops);
+      height = Math.max(height, result.height + (child.marginTop || 0) + (child.marginBottom || 0));
+      x += width;
+    });
+
+    const finalHeight = slot.height != null ? slot.height : height;
+    if (node.id) ops.push({ type: 'debug', label: node.id, x: slot.x, y: slot.y, width: slot.width, height: finalHeight });
+    return { height: finalHeight, ops };
+  }
+
+  static layoutText(node, slot, context) {
+    const text = this.resolveText(node.text, context.values);
+    if (!text && node.hideIfEmpty) return { height: 0, ops: [] };
+
+    const insetX = node.insetX || 0;
+    const maxWidth = slot.width - insetX * 2;
+    const maxLines = node.maxLines || 1;
+    const font = { family: context.font.family, weight: node.weight || 'normal' };
+
+    const fit = this.fitText(text, { ...font, size: node.size || 12 }, node.autoFit, maxWidth, maxLines, context.measure);
+    const lineHeight = node.lineHeight || fit.size + (node.lineGap != null ? node.lineGap : DEFAULT_LINE_GAP);
+    const align = node.align || 'center';
+    const x = align === 'left' ? slot.x + insetX : align === 'right' ? slot.x + slot.width - insetX : slot.x + slot.width / 2;
+
+    const ops = fit.lines.map((line, index) => ({
+      type: 'text',
+      text: line,
+      x,
+      y: slot.y + index * lineHeight,
+      size: fit.size,
+      weight: font.weight,
+      family: font.family,
+      color: node.color || context.font.color,
+      align,
+      baseline: 'top'
+    }));
+
+    const height = fit.lines.length * lineHeight;
+    if (node.id) ops.push({ type: 'debug', label: node.id, x: slot.x, y: slot.y, width: slot.width, height });
+    return { height, ops };
+  }
+
+  static layoutBox(node, slot, context) {
+    const width = Math.min(node.width || slot.width, slot.width);
+    const x = this.alignX(node.align, slot, width);
+    const { height } = node;
+    const color = node.color || context.font.color;
+    const ops = [{ type: 'rect', x, y: slot.y, width, height, lineWidth: node.lineWidth || 1, color }];
+
+    // Evenly spaced writing rules, inset from the sides
+    for (let i = 1; i <= (node.rules || 0); i++) {
+      const ruleY = slot.y + i * height / (node.rules + 1);
+      ops.push({ type: 'line', x1: x + 5, y1: ruleY, x2: x + width - 5, y2: ruleY, lineWidth: 0.5, color: RULE_COLOR });
+    }
+
+    if (node.text) {
+      const text = this.resolveText(node.text, context.values);
+      const font = { family: context.font.family, weight: node.weight || 'normal' };
+      const fit = this.fitText(text, { ...font, size: node.size || 10 }, node.autoFit, width - 4, 1, context.measure);
+      ops.push({
+        type: 'text',
+        text: fit.lines[0],
+        x: x + width / 2,
+        y: slot.y + height / 2,
+        size: fit.size,
+        weight: font.weight,
+        family: font.family,
+        color,
+        align: 'center',
+        baseline: 'middle'
+      });
+    }
+
+    if (node.id) ops.push({ type: 'debug', label: node.id, x, y: slot.y, width, height });
+    return { height, ops };
+  }
+
+  static layoutBarcode(node, slot, context) {
+    const insetX = node.insetX != null ? node.insetX : 10;
+    const symbology = node.symbology || context.symbology;
+    const available = Math.max(0, slot.width - insetX * 2);
+
+    // 2D symbols are square; linear ones take the node's width
+    const isMatrix = BarcodeGenerator.isMatrix(symbology);
+    const width = isMatrix
+      ? Math.min(node.size || node.height, available)
+      : Math.min(node.width || slot.width, available);
+    const height = isMatrix ? width : node.height;
+    const x = this.alignX(node.align, slot, width);
+
+    return {
+      height,
+      ops: [{
+        type: 'barcode',
+        value: this.resolveText(node.value, context.values),
+        symbology,
+        x,
+        y: slot.y,
+        width,
+        height
+      }]
+    };
+  }
+
+  /**
+   * Pick a font size and wrap text into at most maxLines lines
+   * @param {string} text - Text to fit
+   * @param {Object} font - { size, weight, family } - size is used when there is no autoFit
+   * @param {Object} autoFit - { max, min, step } (optional)
+   * @param {number} maxWidth - Line width in points
+   * @param {number} maxLines - Most lines allowed - the last one is ellipsized on overflow
+   * @param {Function} measure - (text, font) → width
+   * @returns {Object} - { size, lines }
+   */
+  static fitText(text, font, autoFit, maxWidth, maxLines, measure) {
+    const sizes = [];
+    if (autoFit) {
+      const step = autoFit.step || 1;
+      for (let size = autoFit.max; size >= autoFit.min; size -= step) sizes.push(size);
+      if (sizes.length === 0) sizes.push(autoFit.min);
+    } else {
+      sizes.push(font.size);
+    }
+
+    for (const size of sizes) {
+      const sized = { ...font, size };
+      const lines = this.wrapText(text, sized, maxWidth, measure);
+      if (lines.length <= maxLines && lines.every(line => measure(line, sized) <= maxWidth)) {
+        return { size, lines };
+      }
+    }
+
+    // Nothing fits - use the smallest size and cut the overflow
+    const size = sizes[sizes.length - 1];
+    const sized = { ...font, size };
+    const lines = maxLines > 1 ? this.wrapText(text, sized, maxWidth, measure) : [text];
+    const kept = lines.slice(0, maxLines);
+    const overflow = lines.length > maxLines;
+    kept[kept.length - 1] = this.ellipsize(overflow ? `${kept[kept.length - 1]}…` : kept[kept.length - 1], sized, maxWidth, measure);
+
+    return { size, lines: kept };
+  }
+
+  /**
+   * Break text into lines on spaces
+   * @returns {Array} - Lines (a single word wider than maxWidth stays on its own line)
+   */
+  static wrapText(text, font, maxWidth, measure) {
+    const words = String(text || '').split(/\s+/).filter(Boolean);
+    const lines = [];
+    let current = '';
+
+    words.forEach(word => {
+      const candidate = current ? `${current} ${word}` : word;
+      if (current && measure(candidate, font) > maxWidth) {
+        lines.push(current);
+        current = word;
+      } else {
+        current = candidate;
+      }
+    });
+
+    if (current) lines.push(current);
+    return lines.length > 0 ? lines : [''];
+  }
+
+  static ellipsize(line, font, maxWidth, measure) {
+    if (measure(line, font) <= maxWidth) return line;
+
+    let trimmed = line.replace(/…$/, '');
+    while (trimmed && measure(`${trimmed}…`, font) > maxWidth) {
+      trimmed = trimmed.slice(0, -1);
+    }
+    return `${trimmed.trimEnd()}…`;
+  }
+
+  /**
+   * Fill {field} and {field|fallback} placeholders
+   * @param {string} text - Template text
+   * @param {Object} values - Field name → value
+   * @returns {string} - Resolved text, trimmed
+   */
+  static resolveText(text, values) {
+    return String(text || '').replace(PLACEHOLDER_PATTERN, (match, field, fallback) => {
+      const value = values[field];
+      return value === null || value === undefined || value === '' ? (fallback || '') : String(value);
+    }).trim();
+  }
+
+  static isHidden(result) {
+    return result.height === 0 && result.ops.length === 0;
+  }
+
+  static alignX(align, slot, width) {
+    if (align === 'left') return slot.x;
+    if (align === 'right') return slot.x + slot.width - width;
+    return slot.x + (slot.width - width) / 2;
+  }
+
+  static shiftOps(ops, dy) {
+    return ops.map(op => (op.type === 'line'
+      ? { ...op, y1: op.y1 + dy, y2: op.y2 + dy }
+      : { ...op, y: op.y + dy }));
+  }
+
+  /**
+   * Draw a label onto a canvas at the template's physical size
+   * @param {CanvasRenderingContext2D} ctx - Canvas context, already scaled to points
+   * @param {Object} template - Template object
+   * @param {Object} values - Field name → value for placeholders
+   * @param {Object} options - { debug } outlines named regions in red
+   */
+  static async renderToCanvas(ctx, template, values, options = {}) {
+    const { debug = false } = options;
+    const { width, height } = template.label;
+
+    // Measure and draw with the typeface the vector PDF embeds, so preview and print wrap alike
+    const labelTemplate = await this.withLabelFont(template);
+
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, width, height);
+
+    if (template.border) {
+      ctx.strokeStyle = template.border.color || '#000000';
+      ctx.lineWidth = template.border.lineWidth || 1;
+      ctx.strokeRect(0, 0, width, height);
+    }
+
+    ctx.save();
+
+    // Sideways content: rotate 90° clockwise about the label center
+    if (template.rotate === 90) {
+      ctx.translate(width / 2, height / 2);
+      ctx.rotate(Math.PI / 2);
+      ctx.translate(-height / 2, -width / 2);
+    }
+
+    const measure = (text, font) => {
+      ctx.font = this.canvasFont(font);
+      return ctx.measureText(text).width;
+    };
+    const { ops } = this.layout(labelTemplate, values, measure);
+
+    for (const op of ops) {
+      if (op.type === 'debug' && !debug) continue;
+      await this.drawCanvasOp(ctx, op);
+    }
+
+    ctx.restore();
+  }
+
+  /**
+   * The template with the label typeface ahead of its own font family - the
+   * template font is kept when the typeface cannot be loaded, as the PDF falls back to Helvetica
+   */
+  static async withLabelFont(template) {
+    const family = (template.font && template.font.family) || DEFAULT_FONT.family;
+
+    try {
+      const labelFamily = await LabelFonts.loadCanvasFonts();
+      return { ...template, font: { ...template.font, family: `"${labelFamily}", ${family}` } };
+    } catch (error) {
+      console.warn('⚠️ Label fonts could not be loaded for the preview, using the template font:', error);
+      return template;
+    }
+  }
+
+  static async drawCanvasOp(ctx, op) {
+    switch (op.type) {
+      case 'text':
+        ctx.font = this.canvasFont(op);
+        ctx.fillStyle = op.color;
+        ctx.textAlign = op.align;
+        ctx.textBaseline = op.baseline;
+        ctx.fillText(op.text, op.x, op.y);
+        break;
+
+      case 'rect':
+        ctx.strokeStyle = op.color;
+        ctx.lineWidth = op.lineWidth;
+        ctx.strokeRect(op.x, op.y, op.width, op.height);
+        break;
+
+      case 'line':
+        ctx.strokeStyle = op.color;
+        ctx.lineWidth = op.lineWidth;
+        ctx.beginPath();
+        ctx.moveTo(op.x1, op.y1);
+        ctx.lineTo(op.x2, op.y2);
+        ctx.stroke();
+        break;
+
+      case 'barcode':
+        await this.drawCanvasBarcode(ctx, op);
+        break;
+
+      case 'debug':
+        ctx.save();
+        ctx.strokeStyle = '#ff0000';
+        ctx.lineWidth = 0.5;
+        ctx.setLineDash([4, 3]);
+        ctx.strokeRect(op.x, op.y, op.width, op.height);
+        ctx.setLineDash([]);
+        ctx.fillStyle = '#ff0000';
+        ctx.font = '6px Arial, sans-serif';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'top';
+        ctx.fillText(op.label, op.x + 1, op.y + 1);
+        ctx.restore();
+        break;
+
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Draw a barcode slot - unreadable values get a placeholder bar pattern
+   */
+  static async drawCanvasBarcode(ctx, op) {
+    const encoding = await BarcodeGenerator.encode(op.value, op.symbology);
+    if (!encoding.isValid) {
+      console.warn('Invalid barcode:', encoding.error);
+      this.drawFallbackBarcode(ctx, op);
+      return;
+    }
+
+    ctx.fillStyle = '#000000';
+    BarcodeGenerator.getModuleRects(encoding, op).forEach(rect => {
+      ctx.fillRect(rect.x, rect.y, rect.width, rect.height);
+    });
+  }
+
+  static drawFallbackBarcode(ctx, op) {
+    ctx.fillStyle = '#000000';
+    const barWidth = 2;
+    const pattern = [1, 0, 1, 1, 0, 1, 0, 1, 1, 0, 1, 0, 1, 1, 0, 1, 0, 1, 1, 0];
+
+    for (let i = 0; i < Math.min(pattern.length, Math.floor(op.width / barWidth)); i++) {
+      if (pattern[i] === 1) {
+        ctx.fillRect(op.x + i * barWidth, op.y, barWidth, op.height);
+      }
+    }
+  }
+
+  static canvasFont(font) {
+    return `${font.weight === 'bold' ? 'bold ' : ''}${font.size}px ${font.family}`;
+  }
+}
+
+export default LabelTemplateEngine;
@@ -1,47 +1,60 @@
-// BALANCED CANVAS-BASED PDF GENERATOR - Optimized spacing & font sizes
+// TEMPLATE-DRIVEN PDF GENERATOR - label layouts come from src/templates/labels
 import { jsPDF } from 'jspdf';
 import 'jspdf/dist/jspdf.es.min.js';
 
-import { BarcodeGenerator } from './barcodeGenerator.js';
 import { LabelFormatter } from './labelFormatter.js';
-import { EVENT_TYPES } from '../constants.js';
+import { LabelTemplateEngine } from './labelTemplateEngine.js';
+import { LabelStocks } from './labelStocks.js';
+import { LabelPDFRenderer } from './labelPdfRenderer.js';
+import { BarcodeGenerator } from './barcodeGenerator.js';
+import { EVENT_TYPES, PDF_RENDERING } from '../constants.js';
 import storage from './storage.js';
 
 /**
- * Balanced Canvas-based PDF Generator for Uline S-12212 labels
- * Optimized spacing and modest font size increases to prevent cutoff
+ * PDF Generator for label sheets from the label stock registry
+ * Each label is drawn from a declarative template by LabelTemplateEngine, either
+ * as vector PDF (LabelPDFRenderer) or as an embedded canvas image (raster)
  */
 export class PDFGenerator {
   /**
-   * Generate PDF labels using balanced Canvas approach
+   * Generate PDF labels from a label template
    * @param {Array} labelDataArray - Array of label data objects
-   * @param {Object} options - Generation options
+   * @param {Object} options - Generation options - stock is the sheet (default stock when
+   *   omitted), templateId picks the layout (first template that fits the stock when omitted),
+   *   renderMode is 'vector' or 'raster' (PDF_RENDERING.DEFAULT_MODE when omitted)
    * @returns {Blob} - PDF blob
    */
   static async generateLabels(labelDataArray, options = {}) {
-    console.log('🎨 Starting BALANCED Canvas-based PDF generation...');
+    console.log('🎨 Starting template PDF generation...');
     console.log('📋 Label data array length:', labelDataArray.length);
     
     const {
-      format = 'legal',
-      orientation = 'portrait',
+      stock = LabelStocks.getStock(),
       debug = false,
       currentUser = 'Unknown',
-      startWithSingle = false
+      startWithSingle = false,
+      templateId,
+      renderMode = PDF_RENDERING.DEFAULT_MODE
     } = options;
 
-    // Create PDF instance
+    const template = this.resolveTemplate(stock, templateId);
+    console.log(`🧩 Using label template: ${template.name} (${template.id}) on ${stock.name}, ${renderMode} rendering`);
+
+    // Create PDF instance sized to the stock's sheet
     const pdf = new jsPDF({
-      orientation: 'portrait',
+      orientation: stock.page.width > stock.page.height ? 'landscape' : 'portrait',
       unit: 'pt',
-      format: [612, 1008] // Legal size: 8.5" × 14"
+      format: [stock.page.width, stock.page.height],
+      compress: true
     });
 
-    console.log('📄 PDF instance created for balanced Canvas generation');
+    console.log('📄 PDF instance created for template generation');
+
+    const render = await this.prepareRendering(pdf, renderMode);
 
     let currentLabelIndex = 0;
     let currentPage = 1;
-    const specs = this.getS12212Specs();
+    const labelsPerSheet = LabelStocks.getLabelsPerSheet(stock);
 
     try {
       // Process each label data item
@@ -63,27 +76,26 @@ export class PDFGenerator {
           
           // For single label debugging, center it on page
           if (startWithSingle) {
-            const centerPosition = this.calculateSingleLabelCenterPosition();
-            await this.drawBalancedCanvasLabel(pdf, formattedData, centerPosition, 1, 1, debug, currentUser);
-            console.log('🧪 Single balanced Canvas label generated');
+            const centerPosition = LabelStocks.getCenteredPosition(stock);
+            await this.drawTemplateLabel(pdf, template, formattedData, centerPosition, 1, 1, debug, currentUser, render);
+            console.log('🧪 Single template label generated');
             break;
           }
           
-          // Check if we need a new page (4 labels per sheet)
-          if (currentLabelIndex > 0 && currentLabelIndex % specs.LABELS_PER_SHEET === 0) {
+          // Check if the current sheet is full
+          if (currentLabelIndex > 0 && currentLabelIndex % labelsPerSheet === 0) {
             console.log('📄 Adding new page');
             pdf.addPage();
             currentPage++;
           }
 
-          // Calculate position for connected labels
-          const position = this.calculateS12212PositionConnected(currentLabelIndex % specs.LABELS_PER_SHEET);
+          // Calculate position on the sheet
+          const position = LabelStocks.getLabelPosition(stock, currentLabelIndex);
 
-          // Calculate box number
-          const boxNumber = Math.floor(labelCopy / Math.max(1, Math.floor(formattedData.labelQuantity / formattedData.boxCount))) + 1;
+          const boxNumber = this.getBoxNumber(labelCopy, formattedData);
 
-          // Draw the label using balanced Canvas approach
-          await this.drawBalancedCanvasLabel(pdf, formattedData, position, boxNumber, formattedData.boxCount, debug, currentUser);
+          // Draw the label from its template
+          await this.drawTemplateLabel(pdf, template, formattedData, position, boxNumber, formattedData.boxCount, debug, currentUser, render);
 
           currentLabelIndex++;
         }
@@ -91,470 +103,247 @@ export class PDFGenerator {
         if (startWithSingle) break;
       }
 
-      console.log(`✅ Generated ${currentLabelIndex} balanced Canvas labels across ${currentPage} pages`);
+      console.log(`✅ Generated ${currentLabelIndex} template labels across ${currentPage} pages`);
 
       // Add metadata
       pdf.setDocumentProperties({
-        title: `Cannabis Inventory Labels - Balanced Canvas - ${new Date().toISOString().slice(0, 10)}`,
-        subject: 'Uline S-12212 Labels - Balanced Canvas Generation',
+        title: `Cannabis Inventory Labels - ${template.name} - ${new Date().toISOString().slice(0, 10)}`,
+        subject: `${stock.name} Labels - Template Generation`,
         author: 'Cannabis Inventory Management System',
         creator: 'Cannabis Inventory Management System v9.3.0',
-        keywords: 'cannabis, inventory, labels, uline, s-12212, balanced-canvas'
+        keywords: `cannabis, inventory, labels, ${stock.id.toLowerCase()}, label-template, ${render.mode}`
       });
 
       return pdf.output('blob');
 
     } catch (error) {
-      console.error('❌ Balanced Canvas PDF generation error:', error);
-      throw new Error(`Balanced Canvas PDF generation failed: ${error.message}`);
+      console.error('❌ Template PDF generation error:', error);
+      throw new Error(`Template PDF generation failed: ${error.message}`);
     }
   }
 
   /**
-   * Draw label using balanced Canvas approach
-   * @param {Object} pdf - jsPDF instance
-   * @param {Object} labelData - Formatted label data
-   * @param {Object} position - Label position
-   * @param {number} boxNumber - Box number
-   * @param {number} totalBoxes - Total boxes
-   * @param {boolean} debug - Debug mode
-   * @param {string} currentUser - Current user
+   * Render each item's first label both ways, side by side on one page per item,
+   * so vector output can be checked against the canvas output during rollout
+   * @param {Array} labelDataArray - Array of label data objects
+   * @param {Object} options - { stock, templateId, currentUser, debug }
+   * @returns {Blob} - PDF blob
    */
-  static async drawBalancedCanvasLabel(pdf, labelData, position, boxNumber, totalBoxes, debug, currentUser) {
-    console.log(`🎨 Drawing balanced Canvas label...`);
-    
-    const { x, y, width, height } = position;
+  static async generateComparisonPDF(labelDataArray, options = {}) {
+    const {
+      stock = LabelStocks.getStock(),
+      debug = false,
+      currentUser = 'Unknown',
+      templateId
+    } = options;
 
-    try {
-      // Create high-resolution canvas
-      const canvas = document.createElement('canvas');
-      const dpr = window.devicePixelRatio || 1;
-      const canvasWidth = width * 2; // High resolution
-      const canvasHeight = height * 2;
-      
-      canvas.width = canvasWidth;
-      canvas.height = canvasHeight;
-      canvas.style.width = width + 'px';
-      canvas.style.height = height + 'px';
-      
-      const ctx = canvas.getContext('2d');
-      ctx.scale(2, 2); // Scale for high DPI
-      
-      // Clear canvas with white background
-      ctx.fillStyle = '#ffffff';
-      ctx.fillRect(0, 0, width, height);
-      
-      // Draw label border
-      ctx.strokeStyle = '#000000';
-      ctx.lineWidth = 1;
-      ctx.strokeRect(0, 0, width, height);
-      
-      // Draw balanced content for landscape application
-      await this.drawBalancedCanvasContent(ctx, labelData, width, height, boxNumber, totalBoxes, currentUser, debug);
-      
-      // Convert canvas to image and add to PDF
-      const imgData = canvas.toDataURL('image/png', 1.0);
-      pdf.addImage(imgData, 'PNG', x, y, width, height, undefined, 'NONE');
-      
-      // Clean up
-      canvas.remove();
-      
-      console.log('✅ Balanced Canvas label drawn successfully');
+    const template = this.resolveTemplate(stock, templateId);
+    const { width, height } = template.label;
+    const margin = 36;
+    const captionHeight = 24;
+    const pageSize = [width * 2 + margin * 3, height + captionHeight + margin * 2];
 
-    } catch (error) {
-      console.error('❌ Balanced Canvas label drawing failed:', error);
-      
-      // Emergency fallback - simple text
-      pdf.setFontSize(12);
-      pdf.setTextColor(255, 0, 0);
-      pdf.text('Label Generation Error', x + 10, y + 30);
-      pdf.text('Canvas Fallback Mode', x + 10, y + 50);
-    }
-  }
+    console.log(`🔍 Generating raster/vector comparison with ${template.name} (${template.id})`);
 
-  /**
-   * Draw balanced content on canvas for landscape application
-   * Optimized spacing and modest font increases to prevent cutoff
-   * @param {CanvasRenderingContext2D} ctx - Canvas context
-   * @param {Object} labelData - Label data
-   * @param {number} width - Canvas width
-   * @param {number} height - Canvas height
-   * @param {number} boxNumber - Box number
-   * @param {number} totalBoxes - Total boxes
-   * @param {string} currentUser - Current user
-   * @param {boolean} debug - Debug mode
-   */
-  static async drawBalancedCanvasContent(ctx, labelData, width, height, boxNumber, totalBoxes, currentUser, debug) {
-    console.log(`🎨 Drawing balanced Canvas content for landscape application`);
-    
-    // Save context state
-    ctx.save();
-    
-    // Transform for landscape application
-    // Rotate 90° clockwise and adjust positioning
-    ctx.translate(width / 2, height / 2);
-    ctx.rotate(Math.PI / 2); // 90° clockwise
-    ctx.translate(-height / 2, -width / 2);
-    
-    // After rotation: width becomes height, height becomes width
-    const landscapeWidth = height; // 432pt (6" wide when applied)
-    const landscapeHeight = width; // 288pt (4" tall when applied)
-    
-    // Extract brand info
-    const brandInfo = this.extractBrandFromProductName(labelData.productName);
-    
-    // Set up text rendering
-    ctx.textBaseline = 'top';
-    ctx.fillStyle = '#000000';
-    
-    const padding = 15;
-    let currentY = padding;
-    
-    // SECTION 1: BRAND NAME (centered at top) - MODEST INCREASE
-    if (brandInfo.brand) {
-      const brandFontSize = this.calculateBalancedBrandFontSize(brandInfo.brand);
-      ctx.font = `bold ${brandFontSize}px Arial, sans-serif`;
-      ctx.textAlign = 'center';
-      
-      ctx.fillText(brandInfo.brand, landscapeWidth / 2, currentY);
-      currentY += brandFontSize + 12; // Reduced spacing from 15
-    }
-    
-    // SECTION 2: PRODUCT NAME (large, centered, multi-line) - MODEST INCREASE
-    const productFontSize = this.calculateBalancedProductFontSize(brandInfo.productName);
-    ctx.font = `bold ${productFontSize}px Arial, sans-serif`;
-    ctx.textAlign = 'center';
-    
-    const productLines = this.wrapTextForCanvas(ctx, brandInfo.productName, landscapeWidth - 60);
-    productLines.slice(0, 3).forEach((line, index) => {
-      ctx.fillText(line, landscapeWidth / 2, currentY + (index * (productFontSize + 4))); // Reduced line spacing
+    const pdf = new jsPDF({
+      orientation: pageSize[0] > pageSize[1] ? 'landscape' : 'portrait',
+      unit: 'pt',
+      format: pageSize,
+      compress: true
     });
-    currentY += (productLines.length * (productFontSize + 4)) + 18; // Reduced spacing from 25
-    
-    // SECTION 3: STORE SECTION (centered) - MOVED UP
-    ctx.font = 'bold 14px Arial, sans-serif';
-    ctx.textAlign = 'center';
-    ctx.fillText('Store:', landscapeWidth / 2, currentY);
-    currentY += 18; // Reduced from 20
-    
-    // Store textbox
-    const storeBoxWidth = Math.min(200, landscapeWidth - 60);
-    const storeBoxHeight = 32; // Slightly reduced from 35
-    const storeBoxX = (landscapeWidth - storeBoxWidth) / 2;
-    
-    ctx.strokeStyle = '#000000';
-    ctx.lineWidth = 2;
-    ctx.strokeRect(storeBoxX, currentY, storeBoxWidth, storeBoxHeight);
-    
-    // Writing lines in store box
-    ctx.strokeStyle = '#cccccc';
-    ctx.lineWidth = 0.5;
-    const lineSpacing = storeBoxHeight / 3;
-    for (let i = 1; i < 3; i++) {
-      const lineY = currentY + (i * lineSpacing);
-      ctx.beginPath();
-      ctx.moveTo(storeBoxX + 5, lineY);
-      ctx.lineTo(storeBoxX + storeBoxWidth - 5, lineY);
-      ctx.stroke();
-    }
-    currentY += storeBoxHeight + 18; // Reduced spacing from 25
-    
-    // SECTION 4: BOTTOM ROW (3 columns: Barcode | Dates | Case/Box) - MOVED UP
-    const bottomRowY = currentY;
-    const bottomRowHeight = landscapeHeight - currentY - padding - 15; // Reduced audit space
-    const columnWidth = landscapeWidth / 3;
-    
-    // Column 1: BARCODE (left)
-    await this.drawBalancedBarcodeColumn(ctx, labelData, padding, bottomRowY, columnWidth, bottomRowHeight);
-    
-    // Column 2: DATES (center) - OPTIMIZED SPACING
-    this.drawBalancedDatesColumn(ctx, labelData, columnWidth, bottomRowY, columnWidth, bottomRowHeight);
-    
-    // Column 3: CASE/BOX (right) - OPTIMIZED SPACING
-    this.drawBalancedCaseBoxColumn(ctx, labelData, boxNumber, totalBoxes, columnWidth * 2, bottomRowY, columnWidth, bottomRowHeight);
-    
-    // AUDIT TRAIL (bottom-left) - MOVED UP SLIGHTLY
-    const auditLine = this.generateAuditLine(currentUser);
-    ctx.font = '6px Arial, sans-serif';
-    ctx.fillStyle = '#666666';
-    ctx.textAlign = 'left';
-    ctx.fillText(auditLine, padding, landscapeHeight - 8); // Moved up from -10
-    
-    // Debug overlay
-    if (debug) {
-      ctx.strokeStyle = '#ff0000';
-      ctx.lineWidth = 1;
-      ctx.setLineDash([5, 5]);
-      
-      // Section dividers
-      ctx.strokeRect(padding, padding, landscapeWidth - (padding * 2), landscapeHeight - (padding * 2));
-      
-      // Column dividers
-      ctx.beginPath();
-      ctx.moveTo(columnWidth, bottomRowY);
-      ctx.lineTo(columnWidth, bottomRowY + bottomRowHeight);
-      ctx.moveTo(columnWidth * 2, bottomRowY);
-      ctx.lineTo(columnWidth * 2, bottomRowY + bottomRowHeight);
-      ctx.stroke();
-      
-      // Add debug labels
-      ctx.setLineDash([]);
-      ctx.fillStyle = '#ff0000';
-      ctx.font = '8px Arial, sans-serif';
-      ctx.textAlign = 'left';
-      ctx.fillText('BARCODE', padding + 5, bottomRowY + 10);
-      ctx.fillText('DATES', columnWidth + 5, bottomRowY + 10);
-      ctx.fillText('CASE/BOX', columnWidth * 2 + 5, bottomRowY + 10);
-    }
-    
-    // Restore context state
-    ctx.restore();
-    
-    console.log('✅ Balanced Canvas content drawn for landscape application');
-  }
+    const raster = await this.prepareRendering(pdf, PDF_RENDERING.MODES.RASTER);
+    const vector = await this.prepareRendering(pdf, PDF_RENDERING.MODES.VECTOR);
+    const labelTop = margin + captionHeight;
 
-  /**
-   * Draw balanced barcode column on canvas
-   */
-  static async drawBalancedBarcodeColumn(ctx, labelData, x, y, width, height) {
-    const centerX = x + width / 2;
-    
-    // Barcode numeric display
-    ctx.font = '10px Arial, sans-serif';
-    ctx.textAlign = 'center';
-    ctx.fillStyle = '#000000';
-    const spacedBarcode = this.formatBarcodeWithSpaces(labelData.barcodeDisplay);
-    ctx.fillText(spacedBarcode, centerX, y + 12); // Moved up slightly
-    
-    // Enhanced barcode generation
-    const barcodeY = y + 25; // Moved up slightly
-    const barcodeWidth = Math.min(width - 20, 100);
-    const barcodeHeight = 28; // Slightly reduced
-    const barcodeX = centerX - barcodeWidth / 2;
-    
     try {
-      // Try to generate proper barcode using existing BarcodeGenerator
-      await this.drawCanvasBarcode(ctx, labelData.barcode, barcodeX, barcodeY, barcodeWidth, barcodeHeight);
-    } catch (error) {
-      console.warn('Barcode generation failed, using fallback:', error);
-      // Fallback: simple bar pattern
-      this.drawFallbackBarcode(ctx, barcodeX, barcodeY, barcodeWidth, barcodeHeight);
-    }
-  }
+      for (let dataIndex = 0; dataIndex < labelDataArray.length; dataIndex++) {
+        const labelData = labelDataArray[dataIndex];
+        const formattedData = this.formatLabelDataForS12212(
+          labelData,
+          labelData.enhancedData || {},
+          labelData.user || currentUser
+        );
 
-  /**
-   * Draw enhanced barcode on canvas
-   */
-  static async drawCanvasBarcode(ctx, barcodeValue, x, y, width, height) {
-    if (!barcodeValue) {
-      this.drawFallbackBarcode(ctx, x, y, width, height);
-      return;
-    }
+        if (dataIndex > 0) pdf.addPage();
 
-    try {
-      const cleanBarcodeValue = barcodeValue.replace(/[^A-Za-z0-9]/g, '');
-      
-      // Use existing BarcodeGenerator validation
-      const validation = BarcodeGenerator.validateCode39(cleanBarcodeValue);
-      if (!validation.isValid) {
-        console.warn('Invalid barcode:', validation.error);
-        this.drawFallbackBarcode(ctx, x, y, width, height);
-        return;
+        pdf.setFont('helvetica', 'bold');
+        pdf.setFontSize(10);
+        pdf.setTextColor('#000000');
+        pdf.text(`Raster (canvas) - ${formattedData.sku}`, margin, margin + 12);
+        pdf.text(`Vector - ${formattedData.sku}`, margin * 2 + width, margin + 12);
+
+        await this.drawTemplateLabel(pdf, template, formattedData, { x: margin, y: labelTop, width, height }, 1, formattedData.boxCount, debug, currentUser, raster);
+        await this.drawTemplateLabel(pdf, template, formattedData, { x: margin * 2 + width, y: labelTop, width, height }, 1, formattedData.boxCount, debug, currentUser, vector);
+
+        // Outline both so label edges line up when the two are compared
+        pdf.setDrawColor('#9FA3AC');
+        pdf.setLineWidth(0.5);
+        pdf.rect(margin, labelTop, width, height, 'S');
+        pdf.rect(margin * 2 + width, labelTop, width, height, 'S');
       }
 
-      // Create temporary canvas for barcode
-      const barcodeCanvas = document.createElement('canvas');
-      barcodeCanvas.width = width * 2;
-      barcodeCanvas.height = height * 2;
-      
-      // Import and use JsBarcode
-      const JsBarcode = (await import('jsbarcode')).default;
-      
-      JsBarcode(barcodeCanvas, validation.cleanValue, {
-        format: 'CODE39',
-        width: Math.max(2, Math.floor(width / 25)),
-        height: height * 2,
-        displayValue: false,
-        margin: 0,
-        background: '#ffffff',
-        lineColor: '#000000'
+      pdf.setDocumentProperties({
+        title: `Label Rendering Comparison - ${template.name} - ${new Date().toISOString().slice(0, 10)}`,
+        subject: 'Raster and vector label rendering side by side',
+        author: 'Cannabis Inventory Management System',
+        creator: 'Cannabis Inventory Management System v9.3.0'
       });
 
-      // Draw barcode canvas onto main canvas
-      ctx.drawImage(barcodeCanvas, x, y, width, height);
+      return pdf.output('blob');
 
     } catch (error) {
-      console.error('Canvas barcode generation error:', error);
-      this.drawFallbackBarcode(ctx, x, y, width, height);
+      console.error('❌ Comparison PDF generation error:', error);
+      throw new Error(`Comparison PDF generation failed: ${error.message}`);
     }
   }
 
   /**
-   * Draw fallback barcode pattern
+   * Pick and check the template for a stock
+   * @param {Object} stock - Label stock
+   * @param {string} templateId - Template id (first template that fits the stock when omitted)
+   * @returns {Object} - Template
    */
-  static drawFallbackBarcode(ctx, x, y, width, height) {
-    ctx.fillStyle = '#000000';
-    const barWidth = 2;
-    const barcodePattern = [1, 0, 1, 1, 0, 1, 0, 1, 1, 0, 1, 0, 1, 1, 0, 1, 0, 1, 1, 0];
-    
-    for (let i = 0; i < Math.min(barcodePattern.length, Math.floor(width / barWidth)); i++) {
-      if (barcodePattern[i] === 1) {
-        ctx.fillRect(x + (i * barWidth), y, barWidth, height);
-      }
+  static resolveTemplate(stock, templateId) {
+    const template = templateId
+      ? LabelTemplateEngine.getTemplate(templateId)
+      : LabelTemplateEngine.getTemplatesForStock(stock)[0] || LabelTemplateEngine.getTemplate();
+    const templateCheck = LabelTemplateEngine.validateTemplate(template);
+    if (!templateCheck.isValid) {
+      throw new Error(`Label template "${template.id}" is invalid: ${templateCheck.errors.join(', ')}`);
+    }
+    if (!LabelStocks.fitsTemplate(stock, template)) {
+      throw new Error(
+        `Label template "${template.name}" is ${LabelStocks.formatSize(template.label)} but ${stock.name} labels are ${LabelStocks.formatSize(stock.label)}`
+      );
     }
+    return template;
   }
 
   /**
-   * Draw balanced dates column on canvas - OPTIMIZED SPACING
+   * Set a document up for a rendering mode - vector output embeds its fonts once per document
+   * @param {Object} pdf - jsPDF instance
+   * @param {string} mode - 'vector' or 'raster'
+   * @returns {Object} - { mode, fontFamily } for drawTemplateLabel
    */
-  static drawBalancedDatesColumn(ctx, labelData, x, y, width, height) {
-    const centerX = x + width / 2;
-    let textY = y + 8; // Start higher
-    
-    ctx.textAlign = 'center';
-    ctx.fillStyle = '#000000';
-    
-    // Harvest date - ENLARGED
-    ctx.font = 'bold 13px Arial, sans-serif';
-    ctx.fillText('Harvest:', centerX, textY);
-    textY += 14; // Reduced spacing
-    
-    ctx.font = '12px Arial, sans-serif';
-    ctx.fillText(labelData.harvestDate || 'MM/DD/YY', centerX, textY);
-    textY += 18; // Reduced spacing
-    
-    // Package date - ENLARGED and OPTIMIZED POSITION
-    ctx.font = 'bold 13px Arial, sans-serif';
-    ctx.fillText('Package:', centerX, textY);
-    textY += 14; // Reduced spacing
-    
-    ctx.font = '12px Arial, sans-serif';
-    ctx.fillText(labelData.packagedDate || 'MM/DD/YY', centerX, textY);
+  static async prepareRendering(pdf, mode) {
+    if (mode === PDF_RENDERING.MODES.RASTER) {
+      return { mode };
+    }
+    return { mode: PDF_RENDERING.MODES.VECTOR, fontFamily: await LabelPDFRenderer.prepareDocument(pdf) };
   }
 
   /**
-   * Draw balanced case/box column on canvas - OPTIMIZED SPACING
+   * Draw one label from its template and place it on the PDF
+   * @param {Object} pdf - jsPDF instance
+   * @param {Object} template - Label template (see LabelTemplateEngine)
+   * @param {Object} labelData - Formatted label data
+   * @param {Object} position - Label position
+   * @param {number} boxNumber - Box number
+   * @param {number} totalBoxes - Total boxes
+   * @param {boolean} debug - Outline template regions
+   * @param {string} currentUser - Current user
+   * @param {Object} render - { mode, fontFamily } from prepareRendering
    */
-  static drawBalancedCaseBoxColumn(ctx, labelData, boxNumber, totalBoxes, x, y, width, height) {
-    const centerX = x + width / 2;
-    let textY = y + 12; // Start higher
-    
-    ctx.textAlign = 'center';
-    ctx.fillStyle = '#000000';
-    
-    // Case quantity with textbox - OPTIMIZED
-    const caseBoxWidth = 75;
-    const caseBoxHeight = 18; // Slightly reduced
-    const caseBoxX = centerX - caseBoxWidth / 2;
-    
-    // Draw case textbox
-    ctx.strokeStyle = '#000000';
-    ctx.lineWidth = 1.5;
-    ctx.strokeRect(caseBoxX, textY, caseBoxWidth, caseBoxHeight);
-    
-    // Case text - "Case: X" INSIDE THE TEXTBOX
-    ctx.font = 'bold 10px Arial, sans-serif';
-    ctx.textBaseline = 'middle';
-    const caseText = `Case: ${labelData.caseQuantity || '___'}`;
-    ctx.fillText(caseText, centerX, textY + caseBoxHeight / 2);
-    
-    textY += caseBoxHeight + 18; // Reduced spacing
-    
-    // Box quantity with textbox - OPTIMIZED
-    const boxBoxX = centerX - caseBoxWidth / 2;
-    
-    // Draw box textbox
-    ctx.strokeRect(boxBoxX, textY, caseBoxWidth, caseBoxHeight);
-    
-    // Box text - "Box X:X" INSIDE THE TEXTBOX
-    ctx.textBaseline = 'middle';
-    const boxText = `Box ${boxNumber}:${totalBoxes}`;
-    ctx.fillText(boxText, centerX, textY + caseBoxHeight / 2);
-    
-    // Reset text baseline
-    ctx.textBaseline = 'top';
-  }
+  static async drawTemplateLabel(pdf, template, labelData, position, boxNumber, totalBoxes, debug, currentUser, render = { mode: PDF_RENDERING.MODES.RASTER }) {
+    const { x, y } = position;
 
-  /**
-   * Wrap text for canvas with accurate measurements
-   */
-  static wrapTextForCanvas(ctx, text, maxWidth) {
-    const words = text.split(' ');
-    const lines = [];
-    let currentLine = '';
-
-    for (const word of words) {
-      const testLine = currentLine + (currentLine ? ' ' : '') + word;
-      const metrics = ctx.measureText(testLine);
-      
-      if (metrics.width > maxWidth && currentLine !== '') {
-        lines.push(currentLine);
-        currentLine = word;
+    try {
+      const values = this.buildTemplateValues(labelData, boxNumber, totalBoxes, currentUser);
+
+      if (render.mode === PDF_RENDERING.MODES.VECTOR) {
+        await LabelPDFRenderer.renderToPDF(pdf, template, values, position, { debug, fontFamily: render.fontFamily });
       } else {
-        currentLine = testLine;
+        await this.drawRasterLabel(pdf, template, values, position, debug);
       }
+
+    } catch (error) {
+      console.error('❌ Template label drawing failed:', error);
+      
+      // Emergency fallback - simple text
+      pdf.setFont('helvetica', 'normal');
+      pdf.setFontSize(12);
+      pdf.setTextColor(255, 0, 0);
+      pdf.text('Label Generation Error', x + 10, y + 30);
+      pdf.text(`Template: ${template.id}`, x + 10, y + 50);
     }
-    
-    if (currentLine) lines.push(currentLine);
-    return lines.length > 0 ? lines : [''];
   }
 
-  // ============================================================================
-  // UTILITY METHODS (maintaining existing interface)
-  // ============================================================================
+  /**
+   * Draw a label onto a canvas and embed it as an image
+   */
+  static async drawRasterLabel(pdf, template, values, position, debug) {
+    const { x, y, width, height } = position;
+    const scale = PDF_RENDERING.RASTER_SCALE;
+
+    // Oversample so text and barcodes stay sharp in print
+    const canvas = document.createElement('canvas');
+    canvas.width = width * scale;
+    canvas.height = height * scale;
+
+    const ctx = canvas.getContext('2d');
+    ctx.scale(scale, scale);
+
+    await LabelTemplateEngine.renderToCanvas(ctx, template, values, { debug });
+
+    const imgData = canvas.toDataURL('image/png', 1.0);
+    pdf.addImage(imgData, 'PNG', x, y, width, height, undefined, 'NONE');
+    canvas.remove();
+  }
 
   /**
-   * Calculate S-12212 label position for connected labels
+   * Box a label copy belongs to - copies are split evenly across the boxes
+   * @param {number} labelCopy - Zero-based copy index for one item
+   * @param {Object} labelData - Formatted label data
+   * @returns {number} - One-based box number
    */
-  static calculateS12212PositionConnected(labelIndex) {
-    const pageWidth = 612;   // 8.5" in points  
-    const pageHeight = 1008; // 14" in points
-    const labelWidth = 288;  // 4" in points
-    const labelHeight = 432; // 6" in points
-    
-    const cols = 2;
-    const rows = 2;
-    const row = Math.floor(labelIndex / cols);
-    const col = labelIndex % cols;
-    
-    const totalLabelsWidth = cols * labelWidth;
-    const totalLabelsHeight = rows * labelHeight;
-    
-    const startX = (pageWidth - totalLabelsWidth) / 2;
-    const startY = (pageHeight - totalLabelsHeight) / 2;
-    
-    const xPos = startX + (col * labelWidth);
-    const yPos = startY + (row * labelHeight);
-    
-    return {
-      x: Math.floor(xPos),
-      y: Math.floor(yPos),
-      width: labelWidth,
-      height: labelHeight,
-      row, col, labelIndex,
-      method: 'balanced_canvas_s12212'
-    };
+  static getBoxNumber(labelCopy, labelData) {
+    return Math.floor(labelCopy / Math.max(1, Math.floor(labelData.labelQuantity / labelData.boxCount))) + 1;
   }
 
   /**
-   * Calculate single label center position
+   * Field values a label template can place - see the {field} placeholders in src/templates/labels
+   * @param {Object} labelData - Formatted label data
+   * @param {number} boxNumber - Box number
+   * @param {number} totalBoxes - Total boxes
+   * @param {string} currentUser - Current user
+   * @returns {Object} - Field name → value
    */
-  static calculateSingleLabelCenterPosition() {
-    const pageWidth = 612;
-    const pageHeight = 1008;
-    const labelWidth = 288;
-    const labelHeight = 432;
-    
+  static buildTemplateValues(labelData, boxNumber, totalBoxes, currentUser) {
+    const brandInfo = this.extractBrandFromProductName(labelData.productName);
+
     return {
-      x: (pageWidth - labelWidth) / 2,
-      y: (pageHeight - labelHeight) / 2,
-      width: labelWidth,
-      height: labelHeight,
-      method: 'single_label_balanced_canvas_debug',
-      centered: true
+      brand: brandInfo.brand,
+      productName: brandInfo.productName,
+      fullProductName: labelData.productName,
+      sku: labelData.sku,
+      barcode: labelData.barcode,
+      barcodeText: this.formatBarcodeWithSpaces(labelData.barcodeDisplay),
+      harvestDate: labelData.harvestDate,
+      packagedDate: labelData.packagedDate,
+      expirationDate: labelData.expirationDate,
+      caseQuantity: labelData.caseQuantity,
+      pickedQuantity: labelData.pickedQuantity,
+      boxNumber,
+      totalBoxes,
+      thcPercent: labelData.thcPercent,
+      cbdPercent: labelData.cbdPercent,
+      shipmentId: labelData.shipmentId,
+      lotNumber: labelData.lotNumber,
+      packageId: labelData.packageId,
+      qrPayload: BarcodeGenerator.buildQRPayload({
+        sku: labelData.sku,
+        lot: labelData.lotNumber,
+        packageId: labelData.packageId,
+        packagedDate: labelData.packagedDate
+      }),
+      auditLine: this.generateAuditLine(currentUser)
     };
   }
 
+  // ============================================================================
+  // UTILITY METHODS (maintaining existing interface)
+  // ============================================================================
+
   /**
    * Format label data for S-12212
    */
@@ -571,9 +360,21 @@ export class PDFGenerator {
       
       labelQuantity: Math.max(1, parseInt(enhancedData?.labelQuantity || '1')),
       caseQuantity: enhancedData?.caseQuantity || '',
+      // Units picked in the scanning session - printed as its own field, never as the case quantity
+      pickedQuantity: item.pickedQuantity || null,
       boxCount: Math.max(1, parseInt(enhancedData?.boxCount || '1')),
       harvestDate: this.formatDate(enhancedData?.harvestDate),
-      packagedDate: this.formatDate(enhancedData?.packagedDate),
+      // Fall back to the imported manufacturing date when no packaged date was entered
+      packagedDate: this.formatDate(enhancedData?.packagedDate || item.manufacturingDate),
+      
+      // Imported inventory attributes
+      thcPercent: item.thcPercent ?? null,
+      cbdPercent: item.cbdPercent ?? null,
+      expirationDate: this.formatDate(item.expirationDate),
+      shipmentId: item.shipmentId || '',
+      // BioTrack package ID and the lot read from the latest GS1 scan
+      packageId: item.bioTrackCode || '',
+      lotNumber: item.lotNumber || '',
       
       barcodeDisplay: this.formatBarcodeDisplay(item.barcode || item.sku || ''),
       
@@ -617,36 +418,6 @@ export class PDFGenerator {
     return { brand: '', productName: trimmed };
   }
 
-  /**
-   * Calculate balanced brand font size - MODEST INCREASE (2-3px)
-   */
-  static calculateBalancedBrandFontSize(brandText) {
-    if (!brandText) return 20; // Increased from 18 by 2px
-    const length = brandText.length;
-    if (length <= 8) return 22;  // Increased from 20 by 2px
-    if (length <= 12) return 20; // Increased from 18 by 2px
-    if (length <= 16) return 18; // Increased from 16 by 2px
-    return 16; // Increased from 14 by 2px
-  }
-
-  /**
-   * Calculate balanced product font size - MODEST INCREASE (2-3px)
-   */
-  static calculateBalancedProductFontSize(productText) {
-    if (!productText) return 26; // Increased from 24 by 2px
-    
-    const length = productText.length;
-    let fontSize = 26; // Increased from 24 by 2px
-    
-    if (length > 80) fontSize = 16;      // Increased from 14 by 2px
-    else if (length > 60) fontSize = 18; // Increased from 16 by 2px
-    else if (length > 40) fontSize = 20; // Increased from 18 by 2px
-    else if (length > 25) fontSize = 22; // Increased from 20 by 2px
-    else if (length > 15) fontSize = 24; // Increased from 22 by 2px
-    
-    return Math.max(fontSize, 14); // Increased minimum from 12 by 2px
-  }
-
   /**
    * Format barcode with spaces
    */
@@ -731,32 +502,11 @@ export class PDFGenerator {
     return truncated + timestamp;
   }
 
-  /**
-   * Get S-12212 specifications
-   */
-  static getS12212Specs() {
-    return {
-      WIDTH_INCHES: 4,
-      HEIGHT_INCHES: 6,
-      LABELS_PER_SHEET: 4,
-      SHEET_WIDTH: 8.5,
-      SHEET_HEIGHT: 14,
-      ORIENTATION: 'portrait_pdf_balanced_canvas',
-      FORMAT: 'S-12212',
-      LAYOUT: 'balanced_canvas_landscape_content',
-      
-      LABEL_WIDTH_PT: 288,
-      LABEL_HEIGHT_PT: 432,
-      PAGE_WIDTH_PT: 612,
-      PAGE_HEIGHT_PT: 1008
-    };
-  }
-
   /**
    * Generate test PDF (single label for debugging)
    */
   static async generateTestPDF() {
-    console.log('🧪 Generating balanced Canvas test PDF (single label)...');
+    console.log('🧪 Generating template test PDF (single label)...');
     
     const testData = [
       {
@@ -786,7 +536,7 @@ export class PDFGenerator {
    * Generate full sheet test PDF (4 connected labels)
    */
   static async generateFullSheetTestPDF() {
-    console.log('🧪 Generating balanced Canvas full sheet test PDF...');
+    console.log('🧪 Generating template full sheet test PDF...');
     
     const testData = [
       {
@@ -818,14 +568,17 @@ export class PDFGenerator {
   /**
    * Legacy method - maintain compatibility
    */
-  static calculateUlineLabelPosition(labelIndex) {
-    return this.calculateS12212PositionConnected(labelIndex % 4);
+  static calculateUlineLabelPosition(labelIndex, stock = LabelStocks.getStock()) {
+    return LabelStocks.getLabelPosition(stock, labelIndex);
   }
 
   /**
-   * Validate generation data - maintain compatibility
+   * Validate generation data and count the labels and sheets it will print
+   * @param {Array} labelDataArray - Array of label data objects
+   * @param {Object} stock - Label stock (default stock when omitted)
+   * @param {string} templateId - When given, every barcode on the template is checked against its symbology
    */
-  static validateGenerationData(labelDataArray) {
+  static validateGenerationData(labelDataArray, stock = LabelStocks.getStock(), templateId) {
     const errors = [];
     const warnings = [];
 
@@ -834,16 +587,43 @@ export class PDFGenerator {
       return { isValid: false, errors, warnings };
     }
 
+    if (templateId) {
+      const template = LabelTemplateEngine.getTemplate(templateId);
+      labelDataArray.forEach(labelData => {
+        const formattedData = this.formatLabelDataForS12212(labelData, labelData.enhancedData || {}, labelData.user);
+        const values = this.buildTemplateValues(formattedData, 1, formattedData.boxCount, labelData.user);
+
+        LabelTemplateEngine.getBarcodeFields(template, values).forEach(field => {
+          const validation = BarcodeGenerator.validate(
+            BarcodeGenerator.normalizeForSymbology(field.value, field.symbology),
+            field.symbology
+          );
+          if (!validation.isValid) {
+            errors.push(`${formattedData.sku || 'Item'} ${field.id}: ${validation.error}`);
+          }
+        });
+      });
+
+      if (errors.length > 0) {
+        return { isValid: false, errors, warnings };
+      }
+    }
+
+    const totalLabels = labelDataArray.reduce(
+      (total, labelData) => total + Math.max(1, parseInt(labelData.enhancedData?.labelQuantity || '1')),
+      0
+    );
+
     return {
       isValid: true,
       errors,
       warnings,
-      totalLabels: labelDataArray.length,
-      estimatedPages: Math.ceil(labelDataArray.length / 4),
-      labelFormat: 'Uline S-12212 (Balanced Canvas Generation)',
-      approach: 'Balanced Canvas-based rendering with optimized spacing and modest font increases',
-      method: 'balanced_canvas_reliable',
-      compatibility: 'Uline S-12212 label sheets on legal paper'
+      totalLabels,
+      estimatedPages: LabelStocks.getSheetCount(stock, totalLabels),
+      labelFormat: `${stock.name} (Template Generation)`,
+      approach: 'Declarative label templates laid out by LabelTemplateEngine',
+      method: 'label_template',
+      compatibility: `${stock.name}: ${LabelStocks.getLabelsPerSheet(stock)} labels of ${LabelStocks.formatSize(stock.label)} per ${LabelStocks.formatSize(stock.page)} sheet`
     };
   }
 }
\ No newline at end of file
@@ -0,0 +1,135 @@
+import { QUALITY_RULES, QUALITY_SEVERITY } from '../constants.js';
+
+// BioTrack traceability IDs are 16-digit numbers
+const BIOTRACK_PATTERN = /^\d{16}$/;
+
+/**
+ * Data-quality rules applied to imported inventory items
+ */
+export class QualityRules {
+  /**
+   * Get the built-in rule definitions
+   * @returns {Array} - Rule definitions from QUALITY_RULES
+   */
+  static getRules() {
+    return Object.values(QUALITY_RULES);
+  }
+
+  /**
+   * Merge saved severities over the rule defaults
+   * @param {Object} savedSeverities - Rule id → severity (optional)
+   * @returns {Object} - Rule id → severity for every rule
+   */
+  static resolveSeverities(savedSeverities = {}) {
+    const severities = {};
+    this.getRules().forEach(rule => {
+      const saved = savedSeverities && savedSeverities[rule.id];
+      severities[rule.id] = Object.values(QUALITY_SEVERITY).includes(saved) ? saved : rule.defaultSeverity;
+    });
+    return severities;
+  }
+
+  /**
+   * Check an item against every enabled rule
+   * @param {Object} item - Processed inventory item
+   * @param {Object} severities - Rule id → severity (defaults when omitted)
+   * @param {Date} now - Reference date for expiration checks
+   * @returns {Object} - { blocked, blockReasons, flags }
+   */
+  static evaluateItem(item, severities = null, now = new Date()) {
+    const resolved = severities || this.resolveSeverities();
+    const result = { blocked: false, blockReasons: [], flags: [] };
+
+    this.getRules().forEach(rule => {
+      const severity = resolved[rule.id];
+      if (severity === QUALITY_SEVERITY.IGNORE) return;
+
+      const message = this.checkRule(rule.id, item, now);
+      if (!message) return;
+
+      if (severity === QUALITY_SEVERITY.BLOCK) {
+        result.blocked = true;
+        result.blockReasons.push(message);
+      } else {
+        result.flags.push({ ruleId: rule.id, label: rule.label, message });
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * Run a single rule
+   * @param {string} ruleId - Rule id
+   * @param {Object} item - Processed inventory item
+   * @param {Date} now - Reference date for expiration checks
+   * @returns {string|null} - Violation message, or null when the item passes
+   */
+  static checkRule(ruleId, item, now) {
+    switch (ruleId) {
+      case QUALITY_RULES.NEGATIVE_QUANTITY.id:
+        return item.quantity < 0 ? `Quantity is negative (${item.quantity})` : null;
+
+      case QUALITY_RULES.THC_OVER_100.id: {
+        const thc = this.parseNumber(item.thcPercent);
+        return thc !== null && thc > 100 ? `THC is ${thc}%` : null;
+      }
+
+      case QUALITY_RULES.EXPIRED.id: {
+        const expiration = this.parseDate(item.expirationDate);
+        return expiration && expiration < now
+          ? `Expired on ${expiration.toLocaleDateString()}`
+          : null;
+      }
+
+      case QUALITY_RULES.COST_ABOVE_PRICE.id: {
+        const price = this.parseNumber(item.price);
+        const cost = this.parseNumber(item.wholesaleCost);
+        return price !== null && cost !== null && cost > price
+          ? `Cost ${cost.toFixed(2)} is above price ${price.toFixed(2)}`
+          : null;
+      }
+
+      case QUALITY_RULES.MALFORMED_BIOTRACK.id: {
+        const code = String(item.bioTrackCode || '').replace(/\s/g, '');
+        return code && !BIOTRACK_PATTERN.test(code) ? `BioTrack code "${item.bioTrackCode}" is malformed` : null;
+      }
+
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Parse a number from a formatted value ("$12.50", "23.4%")
+   * @param {any} value - Value to parse
+   * @returns {number|null} - Parsed number or null
+   */
+  static parseNumber(value) {
+    if (value === null || value === undefined || value === '') return null;
+    if (typeof value === 'number') return isNaN(value) ? null : value;
+
+    const parsed = parseFloat(String(value).replace(/[$,%\s]/g, ''));
+    return isNaN(parsed) ? null : parsed;
+  }
+
+  /**
+   * Parse a date string from an export
+   * @param {any} value - Value to parse
+   * @returns {Date|null} - Parsed date or null
+   */
+  static parseDate(value) {
+    if (!value) return null;
+    if (value instanceof Date) return isNaN(value.getTime()) ? null : value;
+
+    // ISO dates from DataProcessor.parseDate are calendar days in local time
+    const text = String(value).trim();
+    const isoMatch = text.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    const parsed = isoMatch
+      ? new Date(parseInt(isoMatch[1], 10), parseInt(isoMatch[2], 10) - 1, parseInt(isoMatch[3], 10))
+      : new Date(text);
+    return isNaN(parsed.getTime()) ? null : parsed;
+  }
+}
+
+export default QualityRules;
@@ -0,0 +1,131 @@
+import { SCAN_OUTCOMES, SCAN_FEEDBACK } from '../constants.js';
+
+// Shared across plays - browsers cap how many audio contexts a page may open
+let audioContext = null;
+
+/**
+ * Tones and flash colors that tell a scanner operator what a scan did
+ * without reading the screen
+ */
+export class ScanFeedback {
+  /**
+   * Get the built-in outcome definitions
+   * @returns {Array} - { id, label, description, waveform, tones, flashColor }
+   */
+  static getOutcomes() {
+    return Object.values(SCAN_OUTCOMES).map(id => ({ id, ...SCAN_FEEDBACK.OUTCOMES[id] }));
+  }
+
+  /**
+   * Merge a saved profile over the defaults - everything on at the default volume
+   * @param {Object} savedProfile - Saved profile (optional)
+   * @returns {Object} - { sound, flash, volume, outcomes: { [outcome]: { sound, flash } } }
+   */
+  static resolveProfile(savedProfile = null) {
+    const saved = savedProfile || {};
+    const volume = Number(saved.volume);
+    const outcomes = {};
+
+    Object.values(SCAN_OUTCOMES).forEach(outcome => {
+      const savedOutcome = (saved.outcomes && saved.outcomes[outcome]) || {};
+      outcomes[outcome] = {
+        sound: savedOutcome.sound !== false,
+        flash: savedOutcome.flash !== false
+      };
+    });
+
+    return {
+      sound: saved.sound !== false,
+      flash: saved.flash !== false,
+      volume: Number.isFinite(volume) ? Math.min(Math.max(volume, 0), 1) : SCAN_FEEDBACK.DEFAULT_VOLUME,
+      outcomes
+    };
+  }
+
+  /**
+   * Whether a profile plays the tone for an outcome
+   * @param {Object} profile - Resolved profile
+   * @param {string} outcome - Entry from SCAN_OUTCOMES
+   * @returns {boolean}
+   */
+  static wantsSound(profile, outcome) {
+    return profile.sound && profile.volume > 0 && !!profile.outcomes[outcome]?.sound;
+  }
+
+  /**
+   * Whether a profile flashes the screen for an outcome
+   * @param {Object} profile - Resolved profile
+   * @param {string} outcome - Entry from SCAN_OUTCOMES
+   * @returns {boolean}
+   */
+  static wantsFlash(profile, outcome) {
+    return profile.flash && !!profile.outcomes[outcome]?.flash;
+  }
+
+  /**
+   * Play an outcome's tone with the Web Audio API
+   * @param {string} outcome - Entry from SCAN_OUTCOMES
+   * @param {number} volume - 0 to 1
+   * @returns {boolean} - False when audio is unavailable
+   */
+  static playTone(outcome, volume = SCAN_FEEDBACK.DEFAULT_VOLUME) {
+    const definition = SCAN_FEEDBACK.OUTCOMES[outcome];
+    const context = this.getAudioContext();
+    if (!definition || !context) return false;
+
+    // Contexts created before a user gesture start suspended
+    if (context.state === 'suspended') {
+      context.resume().catch(() => {});
+    }
+
+    let start = context.currentTime;
+    definition.tones.forEach(([frequency, duration]) => {
+      const seconds = duration / 1000;
+      const oscillator = context.createOscillator();
+      const gain = context.createGain();
+
+      oscillator.type = definition.waveform;
+      oscillator.frequency.setValueAtTime(frequency, start);
+
+      // Short ramps avoid clicks at the start and end of each step
+      gain.gain.setValueAtTime(0, start);
+      gain.gain.linearRampToValueAtTime(volume, start + 0.01);
+      gain.gain.setValueAtTime(volume, start + seconds - 0.02);
+      gain.gain.linearRampToValueAtTime(0, start + seconds);
+
+      oscillator.connect(gain);
+      gain.connect(context.destination);
+      oscillator.start(start);
+      oscillator.stop(start + seconds);
+
+      start += seconds + SCAN_FEEDBACK.TONE_GAP / 1000;
+    });
+
+    return true;
+  }
+
+  /**
+   * Lazily open the shared audio context
+   * @returns {AudioContext|null} - Null when the browser has no Web Audio support
+   */
+  static getAudioContext() {
+    if (audioContext) return audioContext;
+
+    const AudioContextClass = typeof window !== 'undefined' && (window.AudioContext || window.webkitAudioContext);
+    if (!AudioContextClass) {
+      console.warn('🔇 Web Audio is not available - scan tones are disabled');
+      return null;
+    }
+
+    try {
+      audioContext = new AudioContextClass();
+    } catch (error) {
+      console.warn('🔇 Could not open an audio context:', error);
+      return null;
+    }
+
+    return audioContext;
+  }
+}
+
+export default ScanFeedback;
@@ -1,4 +1,16 @@
-import { STORAGE_KEYS, EVENT_TYPES } from '../constants.js';
+import { STORAGE_KEYS, EVENT_TYPES, IMPORT_HISTORY, CLOSED_ORDER_HISTORY, SCAN_SESSION_STATUS, SCAN_SESSION_TYPES, DATA_SOURCES } from '../constants.js';
+
+// Keys holding the current scanning session's data - saved aside when switching sessions
+const SCAN_SESSION_WORKSPACE_KEYS = [
+  STORAGE_KEYS.SCANNED_ITEMS,
+  STORAGE_KEYS.SCANNED_SWEED_ITEMS,
+  STORAGE_KEYS.PICKED_QUANTITIES,
+  STORAGE_KEYS.SCANNED_LOTS,
+  STORAGE_KEYS.LOCATION_SCANS,
+  STORAGE_KEYS.ACTIVE_ORDER,
+  STORAGE_KEYS.ENHANCED_DATA,
+  STORAGE_KEYS.SESSION_DATA
+];
 
 /**
  * Storage utility functions for Cannabis Inventory Management System
@@ -142,6 +154,71 @@ class StorageManager {
     return this.setScannedItems([]);
   }
 
+  // Picked Quantities (units picked per scanned entry, keyed by source then barcode_sku)
+  getPickedQuantities() {
+    return this.getItem(STORAGE_KEYS.PICKED_QUANTITIES) || { MainInventory: {}, SweedReport: {} };
+  }
+
+  setPickedQuantities(quantities) {
+    return this.setItem(STORAGE_KEYS.PICKED_QUANTITIES, quantities);
+  }
+
+  clearPickedQuantities() {
+    return this.setPickedQuantities({ MainInventory: {}, SweedReport: {} });
+  }
+
+  // Scanned Lots (lot/expiry read from GS1 barcodes, keyed by source then barcode_sku)
+  getScannedLots() {
+    return this.getItem(STORAGE_KEYS.SCANNED_LOTS) || { MainInventory: {}, SweedReport: {} };
+  }
+
+  setScannedLots(lots) {
+    return this.setItem(STORAGE_KEYS.SCANNED_LOTS, lots);
+  }
+
+  clearScannedLots() {
+    return this.setScannedLots({ MainInventory: {}, SweedReport: {} });
+  }
+
+  // Location Scans (current bin and where scanned entries were found, keyed by source then barcode_sku)
+  getLocationScans() {
+    return this.getItem(STORAGE_KEYS.LOCATION_SCANS) || { currentLocation: null, found: { MainInventory: {}, SweedReport: {} } };
+  }
+
+  setLocationScans(locationScans) {
+    return this.setItem(STORAGE_KEYS.LOCATION_SCANS, locationScans);
+  }
+
+  clearLocationScans() {
+    return this.setLocationScans({ currentLocation: null, found: { MainInventory: {}, SweedReport: {} } });
+  }
+
+  // Sweed Order Fulfillment (the order being picked and recently closed orders)
+  getActiveOrder() {
+    return this.getItem(STORAGE_KEYS.ACTIVE_ORDER);
+  }
+
+  setActiveOrder(order) {
+    return this.setItem(STORAGE_KEYS.ACTIVE_ORDER, order);
+  }
+
+  clearActiveOrder() {
+    return this.removeItem(STORAGE_KEYS.ACTIVE_ORDER);
+  }
+
+  getClosedOrders() {
+    return this.getItem(STORAGE_KEYS.CLOSED_ORDERS) || [];
+  }
+
+  addClosedOrder(order) {
+    const closedOrders = [order, ...this.getClosedOrders()].slice(0, CLOSED_ORDER_HISTORY);
+    return this.setItem(STORAGE_KEYS.CLOSED_ORDERS, closedOrders);
+  }
+
+  clearClosedOrders() {
+    return this.setItem(STORAGE_KEYS.CLOSED_ORDERS, []);
+  }
+
   // Scanned Sweed Items Management
   getScannedSweedItems() {
     return this.getItem(STORAGE_KEYS.SCANNED_SWEED_ITEMS) || [];
@@ -230,6 +307,307 @@ class StorageManager {
     return this.setEnhancedData(enhancedData);
   }
 
+  // Data-Quality Rules (rule id → severity overrides, set by an Administrator)
+  getQualityRules() {
+    return this.getItem(STORAGE_KEYS.QUALITY_RULES) || {};
+  }
+
+  setQualityRules(severities) {
+    return this.setItem(STORAGE_KEYS.QUALITY_RULES, severities);
+  }
+
+  // Custom Label Stocks (sheet geometry added by an Administrator)
+  getCustomLabelStocks() {
+    return this.getItem(STORAGE_KEYS.LABEL_STOCKS) || [];
+  }
+
+  setCustomLabelStocks(stocks) {
+    return this.setItem(STORAGE_KEYS.LABEL_STOCKS, stocks);
+  }
+
+  // Scan Feedback (username → tone and flash preferences)
+  getScanFeedbackProfiles() {
+    return this.getItem(STORAGE_KEYS.SCAN_FEEDBACK) || {};
+  }
+
+  getScanFeedbackProfile(username) {
+    return this.getScanFeedbackProfiles()[username] || null;
+  }
+
+  setScanFeedbackProfile(username, profile) {
+    return this.setItem(STORAGE_KEYS.SCAN_FEEDBACK, { ...this.getScanFeedbackProfiles(), [username]: profile });
+  }
+
+  // Column Mapping Profiles (saved import mappings keyed by header signature)
+  getMappingProfiles() {
+    return this.getItem(STORAGE_KEYS.MAPPING_PROFILES) || [];
+  }
+
+  setMappingProfiles(profiles) {
+    return this.setItem(STORAGE_KEYS.MAPPING_PROFILES, profiles);
+  }
+
+  findMappingProfile(dataSource, signature) {
+    if (!signature) return null;
+    return this.getMappingProfiles().find(profile =>
+      profile.dataSource === dataSource && profile.signature === signature
+    ) || null;
+  }
+
+  saveMappingProfile(profile) {
+    const profiles = this.getMappingProfiles();
+    const now = new Date().toISOString();
+    const currentUser = this.getCurrentUser();
+
+    // A header signature can only have one profile per data source
+    const existingIndex = profiles.findIndex(existing =>
+      existing.dataSource === profile.dataSource && existing.signature === profile.signature
+    );
+
+    const saved = {
+      id: existingIndex > -1 ? profiles[existingIndex].id : `profile_${Date.now()}`,
+      createdAt: existingIndex > -1 ? profiles[existingIndex].createdAt : now,
+      createdBy: existingIndex > -1
+        ? profiles[existingIndex].createdBy
+        : (currentUser ? currentUser.username : 'Unknown'),
+      useCount: existingIndex > -1 ? profiles[existingIndex].useCount || 0 : 0,
+      ...profile,
+      updatedAt: now
+    };
+
+    if (existingIndex > -1) {
+      profiles[existingIndex] = saved;
+    } else {
+      profiles.push(saved);
+    }
+
+    this.setMappingProfiles(profiles);
+    return saved;
+  }
+
+  markMappingProfileUsed(profileId) {
+    const profiles = this.getMappingProfiles();
+    const profile = profiles.find(existing => existing.id === profileId);
+    if (!profile) return false;
+
+    profile.useCount = (profile.useCount || 0) + 1;
+    profile.lastUsedAt = new Date().toISOString();
+    return this.setMappingProfiles(profiles);
+  }
+
+  deleteMappingProfile(profileId) {
+    const profiles = this.getMappingProfiles();
+    return this.setMappingProfiles(profiles.filter(profile => profile.id !== profileId));
+  }
+
+  // Import History (versioned snapshots of each imported dataset)
+  getImportHistory() {
+    return this.getItem(STORAGE_KEYS.IMPORT_HISTORY) || [];
+  }
+
+  setImportHistory(history) {
+    return this.setItem(STORAGE_KEYS.IMPORT_HISTORY, history);
+  }
+
+  getImportSnapshotData(snapshotId) {
+    return this.getItem(`${STORAGE_KEYS.IMPORT_SNAPSHOT_PREFIX}${snapshotId}`);
+  }
+
+  saveImportSnapshot(entry, data) {
+    let history = this.getImportHistory();
+    const currentUser = this.getCurrentUser();
+    const sourceHistory = history.filter(existing => existing.dataSource === entry.dataSource);
+
+    const snapshot = {
+      id: `snapshot_${Date.now()}`,
+      version: sourceHistory.reduce((max, existing) => Math.max(max, existing.version), 0) + 1,
+      importedAt: new Date().toISOString(),
+      importedBy: currentUser ? currentUser.username : 'Unknown',
+      itemCount: data.length,
+      ...entry,
+      active: true,
+      dataAvailable: true
+    };
+
+    // Snapshots share the localStorage quota with the live data, so make
+    // room by dropping the oldest inactive snapshots when a write fails
+    let saved = this.setItem(`${STORAGE_KEYS.IMPORT_SNAPSHOT_PREFIX}${snapshot.id}`, data);
+    while (!saved) {
+      const oldest = history.find(existing =>
+        existing.dataSource === entry.dataSource && existing.dataAvailable && !existing.active
+      );
+      if (!oldest) break;
+
+      this.removeItem(`${STORAGE_KEYS.IMPORT_SNAPSHOT_PREFIX}${oldest.id}`);
+      oldest.dataAvailable = false;
+      saved = this.setItem(`${STORAGE_KEYS.IMPORT_SNAPSHOT_PREFIX}${snapshot.id}`, data);
+    }
+    snapshot.dataAvailable = saved;
+
+    history = history.map(existing =>
+      existing.dataSource === entry.dataSource ? { ...existing, active: false } : existing
+    );
+    history.push(snapshot);
+
+    this.setImportHistory(this.pruneImportHistory(history, entry.dataSource));
+    return snapshot;
+  }
+
+  // Write an imported dataset to its live key. The live data comes before rollback copies:
+  // when the write does not fit, snapshot copies are dropped oldest first (their history
+  // entries stay, without data) until it does. Returns false when it still does not fit,
+  // leaving the previous live data in place.
+  saveLiveDataset(dataSource, data) {
+    const key = dataSource === DATA_SOURCES.SWEED_REPORT ? STORAGE_KEYS.SWEED_DATA : STORAGE_KEYS.INVENTORY_DATA;
+
+    let saved = this.setItem(key, data);
+    while (!saved && this.evictOldestSnapshot(dataSource)) {
+      saved = this.setItem(key, data);
+    }
+    return saved;
+  }
+
+  // Drop the data of the oldest inactive snapshot, or else of the snapshot of the
+  // dataset being replaced. Returns false when no snapshot data is left to drop.
+  evictOldestSnapshot(dataSource) {
+    const history = this.getImportHistory();
+    const oldest = history.find(entry => entry.dataAvailable && !entry.active) ||
+      history.find(entry => entry.dataAvailable && entry.active && entry.dataSource === dataSource);
+    if (!oldest) return false;
+
+    this.removeItem(`${STORAGE_KEYS.IMPORT_SNAPSHOT_PREFIX}${oldest.id}`);
+    this.setImportHistory(history.map(entry =>
+      entry.id === oldest.id ? { ...entry, dataAvailable: false } : entry
+    ));
+    return true;
+  }
+
+  pruneImportHistory(history, dataSource) {
+    const sourceHistory = history.filter(entry => entry.dataSource === dataSource);
+    const excess = sourceHistory.length - IMPORT_HISTORY.MAX_SNAPSHOTS_PER_SOURCE;
+    if (excess <= 0) return history;
+
+    const removed = new Set(
+      sourceHistory.filter(entry => !entry.active).slice(0, excess).map(entry => entry.id)
+    );
+    removed.forEach(snapshotId => this.removeItem(`${STORAGE_KEYS.IMPORT_SNAPSHOT_PREFIX}${snapshotId}`));
+    return history.filter(entry => !removed.has(entry.id));
+  }
+
+  setActiveImportSnapshot(snapshotId) {
+    const history = this.getImportHistory();
+    const target = history.find(entry => entry.id === snapshotId);
+    if (!target) return false;
+
+    return this.setImportHistory(history.map(entry =>
+      entry.dataSource === target.dataSource
+        ? { ...entry, active: entry.id === snapshotId }
+        : entry
+    ));
+  }
+
+  deactivateImportSnapshots(dataSource) {
+    return this.setImportHistory(this.getImportHistory().map(entry =>
+      entry.dataSource === dataSource ? { ...entry, active: false } : entry
+    ));
+  }
+
+  deleteImportSnapshot(snapshotId) {
+    this.removeItem(`${STORAGE_KEYS.IMPORT_SNAPSHOT_PREFIX}${snapshotId}`);
+    return this.setImportHistory(this.getImportHistory().filter(entry => entry.id !== snapshotId));
+  }
+
+  // Named Scanning Sessions (registry of sessions; the current session's data lives in the
+  // working keys above and every other session's data is saved under its own key)
+  getScanSessions() {
+    return this.getItem(STORAGE_KEYS.SCAN_SESSIONS) || [];
+  }
+
+  setScanSessions(sessions) {
+    return this.setItem(STORAGE_KEYS.SCAN_SESSIONS, sessions);
+  }
+
+  getCurrentScanSessionId() {
+    return this.getItem(STORAGE_KEYS.CURRENT_SCAN_SESSION);
+  }
+
+  setCurrentScanSessionId(sessionId) {
+    return this.setItem(STORAGE_KEYS.CURRENT_SCAN_SESSION, sessionId);
+  }
+
+  // There is always a current session - scan data from before sessions existed becomes the first one
+  ensureScanSessions() {
+    const sessions = this.getScanSessions();
+    if (sessions.some(session => session.id === this.getCurrentScanSessionId())) return sessions;
+
+    const session = this.addScanSession(`Session ${sessions.length + 1}`);
+    return [...sessions, session];
+  }
+
+  // options: { type, zone } - zone is the location a cycle count covers (null for every location)
+  addScanSession(name, options = {}) {
+    const currentUser = this.getCurrentUser();
+    const now = new Date().toISOString();
+    const session = {
+      id: `scan_session_${Date.now()}`,
+      name,
+      type: options.type || SCAN_SESSION_TYPES.PICK,
+      zone: options.zone || null,
+      status: SCAN_SESSION_STATUS.ACTIVE,
+      createdAt: now,
+      createdBy: currentUser ? currentUser.username : 'Unknown',
+      updatedAt: now,
+      itemCount: this.getScannedItems().length + this.getScannedSweedItems().length
+    };
+
+    this.setScanSessions([...this.getScanSessions(), session]);
+    this.setCurrentScanSessionId(session.id);
+    return session;
+  }
+
+  updateScanSession(sessionId, changes) {
+    const sessions = this.getScanSessions().map(session =>
+      session.id === sessionId ? { ...session, ...changes, updatedAt: new Date().toISOString() } : session
+    );
+    this.setScanSessions(sessions);
+    return sessions;
+  }
+
+  // Copy the working keys aside for a session that is being switched away from
+  saveScanSessionWorkspace(sessionId) {
+    const workspace = {};
+    SCAN_SESSION_WORKSPACE_KEYS.forEach(key => {
+      workspace[key] = this.getItem(key);
+    });
+    return this.setItem(`${STORAGE_KEYS.SCAN_SESSION_PREFIX}${sessionId}`, workspace);
+  }
+
+  // Move a saved session's data into the working keys (a session never saved starts empty)
+  loadScanSessionWorkspace(sessionId) {
+    const workspace = this.getItem(`${STORAGE_KEYS.SCAN_SESSION_PREFIX}${sessionId}`) || {};
+    SCAN_SESSION_WORKSPACE_KEYS.forEach(key => {
+      if (workspace[key] === undefined || workspace[key] === null) {
+        this.removeItem(key);
+      } else {
+        this.setItem(key, workspace[key]);
+      }
+    });
+    this.removeItem(`${STORAGE_KEYS.SCAN_SESSION_PREFIX}${sessionId}`);
+    return true;
+  }
+
+  // Empty the working keys for a new session
+  clearScanSessionWorkspace() {
+    SCAN_SESSION_WORKSPACE_KEYS.forEach(key => this.removeItem(key));
+    return true;
+  }
+
+  clearScanSessions() {
+    this.getScanSessions().forEach(session => this.removeItem(`${STORAGE_KEYS.SCAN_SESSION_PREFIX}${session.id}`));
+    this.removeItem(STORAGE_KEYS.SCAN_SESSIONS);
+    return this.removeItem(STORAGE_KEYS.CURRENT_SCAN_SESSION);
+  }
+
   // Session Data Management (for logging and tracking)
   getSessionData() {
     return this.getItem(STORAGE_KEYS.SESSION_DATA) || [];
@@ -263,6 +641,11 @@ class StorageManager {
   clearAllSessionData() {
     this.clearScannedItems();
     this.clearScannedSweedItems();
+    this.clearPickedQuantities();
+    this.clearScannedLots();
+    this.clearLocationScans();
+    this.clearActiveOrder();
+    this.clearClosedOrders();
     this.clearEnhancedData();
     this.clearSessionData();
     this.addSessionEvent(EVENT_TYPES.SESSION_CLEARED, 'All session data cleared', 'Manual reset');
@@ -273,6 +656,7 @@ class StorageManager {
     this.clearInventoryData();
     this.clearSweedData();
     this.clearAllSessionData();
+    this.clearScanSessions();
     this.clearCurrentUser();
     return true;
   }
@@ -306,8 +690,11 @@ class StorageManager {
     const inventoryData = this.getInventoryData();
     const sweedData = this.getSweedData();
     
+    const scanSessionId = this.getCurrentScanSessionId();
+    
     return {
       summary,
+      scanSession: this.getScanSessions().find(session => session.id === scanSessionId) || null,
       sessionEvents: sessionData,
       scannedItemsDetails: this.getScannedItemsDetails(),
       enhancedData: this.getEnhancedData(),
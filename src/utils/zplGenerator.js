@@ -0,0 +1,249 @@
+import { PDFGenerator } from './pdfGenerator.js';
+import { LabelTemplateEngine } from './labelTemplateEngine.js';
+import { BarcodeGenerator } from './barcodeGenerator.js';
+import { ZPL_CONFIG, BARCODE_SYMBOLOGIES, QR_PAYLOAD } from '../constants.js';
+
+// Field data characters that ZPL would read as commands, written as ^FH hex escapes
+const ZPL_ESCAPES = { _: '_5F', '^': '_5E', '~': '_7E' };
+
+/**
+ * ZPL II output for Zebra thermal printers. Labels are laid out by the same
+ * templates as the PDF, then each drawing operation becomes a ZPL field:
+ * text → ^A0 + ^FB, rect/line → ^GB, barcode → ^B3 (Code 39), ^BC (Code 128),
+ * ^BQ (QR) or ^BX (DataMatrix).
+ * Every label is its own ^XA … ^XZ format so box numbers can change per copy.
+ */
+export class ZPLGenerator {
+  /**
+   * Generate ZPL for a batch of labels
+   * @param {Array} labelDataArray - Array of label data objects (same shape as PDFGenerator.generateLabels)
+   * @param {Object} options - { templateId, currentUser, dpi }
+   * @returns {Promise<string>} - ZPL, one format per label
+   */
+  static async generateLabels(labelDataArray, options = {}) {
+    const {
+      templateId,
+      currentUser = 'Unknown',
+      dpi = ZPL_CONFIG.DEFAULT_DPI
+    } = options;
+
+    const template = LabelTemplateEngine.getTemplate(templateId);
+    const templateCheck = LabelTemplateEngine.validateTemplate(template);
+    if (!templateCheck.isValid) {
+      throw new Error(`Label template "${template.id}" is invalid: ${templateCheck.errors.join(', ')}`);
+    }
+
+    console.log(`🦓 Generating ZPL at ${dpi} dpi with template ${template.name} (${template.id})`);
+
+    const formats = [];
+    for (const labelData of labelDataArray) {
+      const formattedData = PDFGenerator.formatLabelDataForS12212(
+        labelData,
+        labelData.enhancedData || {},
+        labelData.user || currentUser
+      );
+
+      for (let labelCopy = 0; labelCopy < formattedData.labelQuantity; labelCopy++) {
+        const boxNumber = PDFGenerator.getBoxNumber(labelCopy, formattedData);
+        const values = PDFGenerator.buildTemplateValues(formattedData, boxNumber, formattedData.boxCount, currentUser);
+        const comment = `${formattedData.sku} label ${labelCopy + 1}/${formattedData.labelQuantity}`;
+        formats.push(await this.generateLabel(template, values, { dpi, comment }));
+      }
+    }
+
+    console.log(`✅ Generated ${formats.length} ZPL labels`);
+    return formats.join('\n');
+  }
+
+  /**
+   * ZPL for one label
+   * @param {Object} template - Label template
+   * @param {Object} values - Field name → value (see PDFGenerator.buildTemplateValues)
+   * @param {Object} options - { dpi, comment }
+   * @returns {Promise<string>} - One ^XA … ^XZ format
+   */
+  static async generateLabel(template, values, options = {}) {
+    const { dpi = ZPL_CONFIG.DEFAULT_DPI, comment } = options;
+    const context = {
+      template,
+      dpi,
+      content: LabelTemplateEngine.getContentSize(template),
+      orientation: template.rotate === 90 ? 'R' : 'N'
+    };
+
+    const { ops } = LabelTemplateEngine.layout(template, values, (text, font) => this.measureText(text, font));
+
+    // Die-cut thermal labels need no printed border, so template.border is not drawn
+    const lines = [
+      '^XA',
+      '^CI28',
+      `^PW${this.toDots(template.label.width, dpi)}`,
+      `^LL${this.toDots(template.label.height, dpi)}`,
+      '^LH0,0'
+    ];
+    if (comment) lines.push(`^FX ${this.escapeComment(`${template.id} ${comment}`)}`);
+
+    for (const op of ops) {
+      const command = await this.opToZPL(op, context);
+      if (command) lines.push(command);
+    }
+
+    lines.push('^XZ');
+    return lines.join('\n');
+  }
+
+  /**
+   * Approximate printed width of font 0 text - deliberately wide so the
+   * template engine wraps and shrinks text before the printer would
+   */
+  static measureText(text, font) {
+    return String(text).length * font.size * ZPL_CONFIG.CHAR_WIDTH_RATIO;
+  }
+
+  static async opToZPL(op, context) {
+    switch (op.type) {
+      case 'text':
+        return this.textToZPL(op, context);
+      case 'rect':
+        return this.boxToZPL({ x: op.x, y: op.y, width: op.width, height: op.height }, op.lineWidth, context);
+      case 'line':
+        return this.boxToZPL({
+          x: Math.min(op.x1, op.x2),
+          y: Math.min(op.y1, op.y2),
+          width: Math.abs(op.x2 - op.x1),
+          height: Math.abs(op.y2 - op.y1)
+        }, op.lineWidth, context);
+      case 'barcode':
+        return this.barcodeToZPL(op, context);
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Text as a one-line field block so the printer does the alignment with its own font metrics
+   */
+  static textToZPL(op, context) {
+    if (!op.text) return null;
+
+    const top = op.baseline === 'middle' ? op.y - op.size / 2 : op.y;
+    const contentWidth = context.content.width;
+
+    let left;
+    let width;
+    let justification;
+    if (op.align === 'left') {
+      left = op.x;
+      width = contentWidth - op.x;
+      justification = 'L';
+    } else if (op.align === 'right') {
+      left = 0;
+      width = op.x;
+      justification = 'R';
+    } else {
+      // Widest block centered on op.x that stays on the label
+      const half = Math.min(op.x, contentWidth - op.x);
+      left = op.x - half;
+      width = half * 2;
+      justification = 'C';
+    }
+
+    const origin = this.toPhysical({ x: left, y: top, width, height: op.size }, context);
+    const height = this.toDots(op.size, context.dpi);
+
+    return [
+      `^FO${origin.x},${origin.y}`,
+      `^A${ZPL_CONFIG.FONT}${context.orientation},${height},${height}`,
+      `^FB${this.toDots(width, context.dpi)},1,0,${justification},0`,
+      `^FH^FD${this.escapeFieldData(op.text)}^FS`
+    ].join('');
+  }
+
+  static boxToZPL(rect, lineWidth, context) {
+    const thickness = Math.max(1, this.toDots(lineWidth || 1, context.dpi));
+    const origin = this.toPhysical(rect, context);
+    const width = Math.max(thickness, origin.width);
+    const height = Math.max(thickness, origin.height);
+
+    return `^FO${origin.x},${origin.y}^GB${width},${height},${thickness}^FS`;
+  }
+
+  /**
+   * Linear barcodes get the module width that fills their slot, 2D symbols the
+   * largest module size that fits their square - both from the real encoding
+   */
+  static async barcodeToZPL(op, context) {
+    const encoding = await BarcodeGenerator.encode(op.value, op.symbology);
+    if (!encoding.isValid) {
+      console.warn('Invalid barcode for ZPL:', encoding.error);
+      return null;
+    }
+    if (encoding.cells) return this.matrixToZPL(op, encoding, context);
+
+    const origin = this.toPhysical(op, context);
+    const slotLength = this.toDots(op.width, context.dpi);
+    const barHeight = this.toDots(op.height, context.dpi);
+    const modules = encoding.bars.length;
+    const moduleWidth = Math.min(ZPL_CONFIG.MAX_MODULE_WIDTH, Math.max(1, Math.floor(slotLength / modules)));
+
+    // Center the symbol along its length
+    const offset = Math.max(0, Math.floor((slotLength - modules * moduleWidth) / 2));
+    const x = context.orientation === 'R' ? origin.x : origin.x + offset;
+    const y = context.orientation === 'R' ? origin.y + offset : origin.y;
+
+    // ^BC mode A picks subsets on the printer, as JsBarcode does for the module count
+    const symbology = encoding.symbology === BARCODE_SYMBOLOGIES.CODE128
+      ? `^BC${context.orientation},${barHeight},N,N,N,A`
+      : `^B3${context.orientation},N,${barHeight},N,N`;
+
+    return `^FO${x},${y}^BY${moduleWidth},${ZPL_CONFIG.CODE39_RATIO},${barHeight}${symbology}^FH^FD${this.escapeFieldData(encoding.value)}^FS`;
+  }
+
+  static matrixToZPL(op, encoding, context) {
+    const origin = this.toPhysical(op, context);
+    const size = Math.min(origin.width, origin.height);
+    const moduleSize = Math.min(ZPL_CONFIG.MAX_MODULE_WIDTH, Math.max(1, Math.floor(size / encoding.columns)));
+    const offset = Math.max(0, Math.floor((size - moduleSize * encoding.columns) / 2));
+    const data = this.escapeFieldData(encoding.value);
+
+    // ^BQ only prints upright - a QR code reads in any orientation, so it is placed unrotated
+    if (encoding.symbology === BARCODE_SYMBOLOGIES.QR) {
+      return `^FO${origin.x + offset},${origin.y + offset}^BQN,2,${moduleSize}^FH^FD${QR_PAYLOAD.ERROR_CORRECTION}A,${data}^FS`;
+    }
+
+    // ECC 200 at the encoder's size, so the printer draws the symbol that was measured
+    return `^FO${origin.x + offset},${origin.y + offset}^BX${context.orientation},${moduleSize},200,${encoding.columns},${encoding.rows}^FH^FD${data}^FS`;
+  }
+
+  /**
+   * Content rectangle → printer dots, turning it sideways when the template rotates
+   * @returns {Object} - { x, y, width, height } in dots for ^FO/^GB
+   */
+  static toPhysical(rect, context) {
+    const { template, dpi } = context;
+    const physical = template.rotate === 90
+      ? { x: template.label.width - (rect.y + rect.height), y: rect.x, width: rect.height, height: rect.width }
+      : rect;
+
+    return {
+      x: Math.max(0, this.toDots(physical.x, dpi)),
+      y: Math.max(0, this.toDots(physical.y, dpi)),
+      width: this.toDots(physical.width, dpi),
+      height: this.toDots(physical.height, dpi)
+    };
+  }
+
+  static toDots(points, dpi) {
+    return Math.round(points * dpi / 72);
+  }
+
+  static escapeFieldData(text) {
+    return String(text).replace(/[_^~]/g, char => ZPL_ESCAPES[char]);
+  }
+
+  static escapeComment(text) {
+    return String(text).replace(/[\^~]/g, ' ');
+  }
+}
+
+export default ZPLGenerator;
@@ -0,0 +1,212 @@
+import { BarcodeGenerator } from './barcodeGenerator.js';
+import { ZPL_CONFIG, BARCODE_SYMBOLOGIES } from '../constants.js';
+
+// Stand-in for font 0 (CG Triumvirate Bold Condensed) in the browser
+const PREVIEW_FONT = '"Arial Narrow", "Helvetica Neue", Arial, sans-serif';
+
+/**
+ * In-browser preview of ZPL II - draws the subset ZPLGenerator writes
+ * (^FO, ^A0, ^FB, ^FH, ^FD, ^GB, ^BY, ^B3, ^BC, ^BQ, ^BX, ^PW, ^LL) onto a canvas
+ * in printer dots, so layout can be checked without a Zebra printer.
+ */
+export class ZPLRenderer {
+  /**
+   * Split a batch into its ^XA … ^XZ label formats
+   * @param {string} zpl - ZPL text
+   * @returns {Array} - One string per label
+   */
+  static splitLabels(zpl) {
+    return (String(zpl).match(/\^XA[\s\S]*?\^XZ/g) || []);
+  }
+
+  /**
+   * Read one label format into its size and fields
+   * @param {string} labelZpl - One ^XA … ^XZ format
+   * @returns {Object} - { width, height, fields } in dots
+   */
+  static parse(labelZpl) {
+    const label = { width: 0, height: 0, fields: [] };
+    let field = {};
+    let barcodeDefaults = { moduleWidth: 2, ratio: ZPL_CONFIG.CODE39_RATIO, height: 10 };
+
+    // Commands start with ^ or ~ - field data never contains either once ^FH-escaped
+    const commands = String(labelZpl).split(/(?=[\^~])/).map(command => command.trim()).filter(Boolean);
+
+    commands.forEach(command => {
+      const code = command.slice(1, 3).toUpperCase();
+      const rest = command.slice(3);
+      const params = rest.split(',');
+
+      switch (code) {
+        case 'PW':
+          label.width = parseInt(rest, 10) || 0;
+          break;
+        case 'LL':
+          label.height = parseInt(rest, 10) || 0;
+          break;
+        case 'FO':
+          field = { x: parseInt(params[0], 10) || 0, y: parseInt(params[1], 10) || 0 };
+          break;
+        case 'BY':
+          barcodeDefaults = {
+            moduleWidth: parseInt(params[0], 10) || barcodeDefaults.moduleWidth,
+            ratio: parseFloat(params[1]) || barcodeDefaults.ratio,
+            height: parseInt(params[2], 10) || barcodeDefaults.height
+          };
+          break;
+        case 'FB':
+          field.block = { width: parseInt(params[0], 10) || 0, justification: params[3] || 'L' };
+          break;
+        case 'FH':
+          field.hexEscaped = true;
+          break;
+        case 'GB':
+          field.type = 'box';
+          field.width = parseInt(params[0], 10) || 1;
+          field.height = parseInt(params[1], 10) || 1;
+          field.thickness = parseInt(params[2], 10) || 1;
+          break;
+        case 'B3':
+          field.type = 'barcode';
+          field.symbology = BARCODE_SYMBOLOGIES.CODE39;
+          field.orientation = params[0] || 'N';
+          field.barHeight = parseInt(params[2], 10) || barcodeDefaults.height;
+          field.moduleWidth = barcodeDefaults.moduleWidth;
+          break;
+        case 'BC':
+          field.type = 'barcode';
+          field.symbology = BARCODE_SYMBOLOGIES.CODE128;
+          field.orientation = params[0] || 'N';
+          field.barHeight = parseInt(params[1], 10) || barcodeDefaults.height;
+          field.moduleWidth = barcodeDefaults.moduleWidth;
+          break;
+        case 'BQ':
+          // ^BQ{orientation},{model},{magnification}
+          field.type = 'barcode';
+          field.symbology = BARCODE_SYMBOLOGIES.QR;
+          field.orientation = 'N';
+          field.moduleWidth = parseInt(params[2], 10) || 1;
+          break;
+        case 'BX':
+          // ^BX{orientation},{module size},{quality},{columns},{rows}
+          field.type = 'barcode';
+          field.symbology = BARCODE_SYMBOLOGIES.DATAMATRIX;
+          field.orientation = params[0] || 'N';
+          field.moduleWidth = parseInt(params[1], 10) || 1;
+          break;
+        case 'FD': {
+          const data = field.hexEscaped ? this.decodeHex(rest) : rest;
+          // QR field data starts with its error correction level and input mode, e.g. MA,
+          field.data = field.symbology === BARCODE_SYMBOLOGIES.QR ? data.replace(/^[HQML][AM],/, '') : data;
+          break;
+        }
+        case 'FS':
+          if (field.type || field.data != null) label.fields.push(field);
+          field = {};
+          break;
+        default:
+          // ^A{font}{orientation},{height},{width} - e.g. ^A0R,34,34
+          if (code[0] === 'A') {
+            field.type = field.type || 'text';
+            field.orientation = /^[NRIB]/.test(rest) ? rest[0] : 'N';
+            const sizes = rest.replace(/^[NRIB]/, '').replace(/^,/, '').split(',');
+            field.fontHeight = parseInt(sizes[0], 10) || 20;
+          }
+          break;
+      }
+    });
+
+    return label;
+  }
+
+  /**
+   * Draw one label format onto a canvas
+   * @param {CanvasRenderingContext2D} ctx - Canvas context, scaled so one unit is one dot
+   * @param {Object} label - Parsed label from parse()
+   */
+  static async renderToCanvas(ctx, label) {
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, label.width, label.height);
+    ctx.fillStyle = '#000000';
+
+    for (const field of label.fields) {
+      if (field.type === 'box') {
+        this.drawBox(ctx, field);
+      } else if (field.type === 'barcode') {
+        await this.drawBarcode(ctx, field);
+      } else if (field.type === 'text') {
+        this.drawText(ctx, field);
+      }
+    }
+  }
+
+  static drawBox(ctx, field) {
+    const { x, y, width, height, thickness } = field;
+
+    // ^GB draws its border inward; a box no wider than its border is solid
+    if (width <= thickness || height <= thickness) {
+      ctx.fillRect(x, y, width, height);
+      return;
+    }
+    ctx.fillRect(x, y, width, thickness);
+    ctx.fillRect(x, y + height - thickness, width, thickness);
+    ctx.fillRect(x, y, thickness, height);
+    ctx.fillRect(x + width - thickness, y, thickness, height);
+  }
+
+  static drawText(ctx, field) {
+    const height = field.fontHeight;
+    const blockWidth = field.block ? field.block.width : 0;
+    const justification = field.block ? field.block.justification : 'L';
+
+    ctx.save();
+    this.orient(ctx, field, height);
+
+    ctx.font = `bold ${height}px ${PREVIEW_FONT}`;
+    ctx.textBaseline = 'top';
+    ctx.textAlign = justification === 'C' ? 'center' : justification === 'R' ? 'right' : 'left';
+    const textX = justification === 'C' ? blockWidth / 2 : justification === 'R' ? blockWidth : 0;
+    ctx.fillText(field.data || '', textX, 0, blockWidth || undefined);
+
+    ctx.restore();
+  }
+
+  static async drawBarcode(ctx, field) {
+    const encoding = await BarcodeGenerator.encode(field.data, field.symbology);
+    if (!encoding.isValid) {
+      console.error('ZPL preview barcode error:', encoding.error);
+      return;
+    }
+
+    // Symbols are drawn at the printer's own module size, in dots
+    const slot = encoding.cells
+      ? { x: 0, y: 0, width: encoding.columns * field.moduleWidth, height: encoding.rows * field.moduleWidth }
+      : { x: 0, y: 0, width: encoding.bars.length * field.moduleWidth, height: field.barHeight };
+
+    ctx.save();
+    this.orient(ctx, field, slot.height);
+    BarcodeGenerator.getModuleRects(encoding, slot).forEach(rect => {
+      ctx.fillRect(rect.x, rect.y, rect.width, rect.height);
+    });
+    ctx.restore();
+  }
+
+  /**
+   * Move the origin to the field and turn it for ^A/^B orientation R
+   * @param {number} depth - Field size across the reading direction, in dots
+   */
+  static orient(ctx, field, depth) {
+    if (field.orientation === 'R') {
+      ctx.translate(field.x + depth, field.y);
+      ctx.rotate(Math.PI / 2);
+    } else {
+      ctx.translate(field.x, field.y);
+    }
+  }
+
+  static decodeHex(data) {
+    return data.replace(/_([0-9A-Fa-f]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+  }
+}
+
+export default ZPLRenderer;
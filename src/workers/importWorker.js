@@ -0,0 +1,91 @@
+import { DataProcessor } from '../utils/dataProcessor.js';
+import { IMPORT_STAGES, IMPORT_WORKER } from '../constants.js';
+
+/**
+ * Import worker - parses, validates and processes inventory exports off the
+ * UI thread. Messages in: { id, type: 'analyze' | 'process', file, dataSource,
+ * columnMapping }. Messages out: progress, analysis, chunk, complete, error,
+ * all tagged with the job id.
+ */
+
+// Rows from the last parsed file, reused when the confirmed import follows
+// the mapping step for the same file
+let cachedFile = null;
+
+function getFileKey(file) {
+  return `${file.name}:${file.size}:${file.lastModified}`;
+}
+
+function postProgress(id, loaded, total, stage) {
+  self.postMessage({ id, type: 'progress', stage, loaded, total });
+}
+
+async function loadFile(id, file) {
+  const key = getFileKey(file);
+  if (cachedFile && cachedFile.key === key) {
+    return cachedFile.fileData;
+  }
+
+  postProgress(id, 0, 100, IMPORT_STAGES.READING);
+  const fileData = await DataProcessor.parseFile(file, (loaded, total, stage) => {
+    postProgress(id, loaded, total, stage || IMPORT_STAGES.PARSING);
+  });
+
+  cachedFile = { key, fileData };
+  return fileData;
+}
+
+async function handleAnalyze({ id, file, dataSource, sheetNames }) {
+  const fileData = await loadFile(id, file);
+  const analysis = DataProcessor.analyzeParsedFile(fileData, dataSource, sheetNames);
+
+  self.postMessage({ id, type: 'analysis', analysis });
+}
+
+async function handleProcess({ id, file, dataSource, columnMapping, signature, sheetNames, qualityRules }) {
+  const fileData = await loadFile(id, file);
+
+  const result = DataProcessor.runImport(fileData, dataSource, {
+    columnMapping,
+    signature,
+    sheetNames,
+    qualityRules,
+    onProgress: (loaded, total, stage) => postProgress(id, loaded, total, stage)
+  });
+
+  // Send items back in slices so the main thread never blocks on one huge clone
+  for (let start = 0; start < result.data.length; start += IMPORT_WORKER.CHUNK_SIZE) {
+    self.postMessage({
+      id,
+      type: 'chunk',
+      items: result.data.slice(start, start + IMPORT_WORKER.CHUNK_SIZE),
+      total: result.data.length
+    });
+  }
+
+  self.postMessage({
+    id,
+    type: 'complete',
+    statistics: result.statistics,
+    columnMapping: result.columnMapping,
+    duplicates: result.duplicates,
+    errors: result.errors,
+    warnings: result.warnings
+  });
+}
+
+self.addEventListener('message', async (event) => {
+  const message = event.data;
+
+  try {
+    if (message.type === 'analyze') {
+      await handleAnalyze(message);
+    } else if (message.type === 'process') {
+      await handleProcess(message);
+    } else {
+      throw new Error(`Unknown import worker message: ${message.type}`);
+    }
+  } catch (error) {
+    self.postMessage({ id: message.id, type: 'error', message: error.message || 'Import failed' });
+  }
+});